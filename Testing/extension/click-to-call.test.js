@@ -0,0 +1,26 @@
+// ============================================================
+// Click-to-call: the call buttons content.js adds to the phone
+// numbers on a customer card
+// ============================================================
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUp, connectBackground, waitFor } = require('./harness');
+
+let env;
+afterEach(() => env && env.tearDown());
+
+test('only the phone number gets a call button, not a ten-digit account number', async () => {
+    env = await setUp({ storage: { clickToCall: true } });
+    await connectBackground(env.browser);
+    const tabId = await env.browser.openTab('https://acme.pestroutes.com/customers/1001');
+    const card  = env.browser.page(tabId).document;
+
+    await waitFor(() => card.querySelector('.fr3cx-dial'), { what: 'the call buttons' });
+    assert.equal(card.querySelector('.customer-account').textContent, 'Account 4001001987');
+    assert.equal(card.querySelector('.customer-account .fr3cx-dial'), null);
+
+    const titles = [...card.querySelectorAll('.fr3cx-dial')].map(host => host.shadowRoot.querySelector('button').title);
+    assert.deepEqual(titles, ['Call (555) 123-4567 from your 3CX extension']);
+});
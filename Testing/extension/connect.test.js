@@ -0,0 +1,119 @@
+// ============================================================
+// Background script: token, SSE stream and reconnects
+// ============================================================
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUp, connectBackground, waitFor, AGENT, SECRET } = require('./harness');
+
+const RECONNECT_WAIT_MS = 8000;   // background.js waits RECONNECT_DELAY_MS (3 s) before reconnecting
+
+let env;
+afterEach(() => env && env.tearDown());
+
+test('connects with the shared secret and shows ON', async () => {
+    env = await setUp();
+    const { server, browser } = env;
+    await connectBackground(browser);
+
+    assert.deepEqual(server.tokenRequests, [{ agent: AGENT, secret: SECRET }]);
+    assert.deepEqual(server.connectedAgents(), [AGENT]);
+    assert.equal(server.sseRequests[0].lastEventId, '');
+    assert.equal(browser.badge.color, '#2d7d46');
+});
+
+test('reconnects after the stream drops and replays what it missed', async () => {
+    env = await setUp();
+    const { server, browser } = env;
+    await connectBackground(browser);
+
+    server.sendEvent(AGENT, 'callRinging', { callId: 'c1', phone: '5551234567' });
+    await waitFor(() => browser.badge.text === 'RING', { what: 'the ringing badge' });
+    server.sendEvent(AGENT, 'callEnded', { callId: 'c1' });
+    await waitFor(() => browser.badge.text === 'ON', { what: 'the call to end' });
+
+    server.dropConnections();
+    await waitFor(() => browser.badge.text === 'OFF', { what: 'the badge to show OFF' });
+
+    // Sent while the extension is away — only the buffer has it
+    const missed = server.sendEvent(AGENT, 'callRinging', { callId: 'c2', phone: '5559876543' });
+    await waitFor(() => browser.badge.text === 'RING', { what: 'the missed event to be replayed', timeout: RECONNECT_WAIT_MS });
+
+    assert.equal(server.sseRequests.length, 2);
+    assert.equal(server.sseRequests[1].lastEventId, '2');
+    assert.equal(browser.storage.lastEventId, missed);
+    assert.match(browser.badge.title, /RINGING — 5559876543/);
+});
+
+test('Warnings only drops the extension\'s routine lines without silencing the console', async () => {
+    env = await setUp({ storage: { logLevel: 'warn' } });
+    const { server, browser } = env;
+    const background = browser.startBackground();
+    await waitFor(() => browser.badge.text === 'ON', { what: 'the badge to show ON' });
+
+    const routine = () => browser.logs.filter(l => l.source === 'background' && l.level === 'log').map(l => l.text);
+    assert.deepEqual(routine(), []);
+    background.console.log('written by something else');
+    assert.deepEqual(routine(), ['written by something else']);
+
+    background.chrome.storage.local.set({ logLevel: 'info' });
+    await waitFor(() => browser.storage.logLevel === 'info', { what: 'the log level to change' });
+    server.sendEvent(AGENT, 'callRinging', { callId: 'c1', phone: '5551234567' });
+    await waitFor(() => routine().some(text => text.startsWith('[FieldRoutes] Call c1')), { what: 'the call to be logged' });
+});
+
+test('a wrong secret is refused: no stream, badge OFF with the reason logged', async () => {
+    env = await setUp({ storage: { sharedSecret: 'not-the-secret' } });
+    const { server, browser } = env;
+    browser.startBackground();
+
+    await waitFor(() => browser.logs.some(l => l.level === 'warn' && l.text.includes('Shared secret rejected by server')),
+                  { what: 'the token to be refused' });
+    assert.equal(browser.badge.text, 'OFF');
+    assert.equal(server.tokenRequests[0].secret, 'not-the-secret');
+    assert.equal(server.sseRequests.length, 0);
+});
+
+test('call-state events from 3CX need the shared secret header or the integration key', async () => {
+    env = await setUp();
+    const { server, browser } = env;
+    await connectBackground(browser);
+
+    const query = new URLSearchParams({ callId: 'c1', agent: AGENT, phone: '5551234567' });
+    assert.equal((await fetch(`${server.url}/call/ringing?${query}`)).status, 403);
+    assert.equal((await fetch(`${server.url}/call/ringing?${query}&secret=${SECRET}`)).status, 403);
+    assert.equal((await fetch(`${server.url}/call/ringing?${query}&key=${SECRET}`)).status, 403);
+    assert.deepEqual(server.events, []);
+
+    const sent = await fetch(`${server.url}/call/ringing?${query}`, { headers: { 'X-Shared-Secret': SECRET } });
+    assert.equal(sent.status, 200);
+    await waitFor(() => browser.badge.text === 'RING', { what: 'the ringing badge' });
+
+    const ended = await fetch(`${server.url}/call/ended?${query}&key=${server.integrationKey}`);
+    assert.equal(ended.status, 200);
+    await waitFor(() => browser.badge.text === 'ON', { what: 'the call to end' });
+    assert.equal(server.events[1].data.key, undefined);
+});
+
+test('/health names no one; /connections lists only the token\'s own extension', async () => {
+    env = await setUp();
+    const { server, browser } = env;
+    await connectBackground(browser);
+
+    const health = await (await fetch(`${server.url}/health`)).json();
+    assert.equal(health.connectedAgents, undefined);
+    assert.equal((await fetch(`${server.url}/connections`)).status, 401);
+
+    const tokenFor = async (agent) => (await (await fetch(`${server.url}/token`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Shared-Secret': SECRET },
+        body:    JSON.stringify({ agent })
+    })).json()).token;
+    const list = async (agent) => (await (await fetch(`${server.url}/connections`, {
+        headers: { Authorization: `Bearer ${await tokenFor(agent)}` }
+    })).json()).connectedAgents.map(c => c.agent);
+
+    assert.deepEqual(await list(AGENT), [AGENT]);
+    assert.deepEqual(await list('102'), []);
+});
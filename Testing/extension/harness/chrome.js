@@ -0,0 +1,666 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Test Harness: Fake Browser
+// ============================================================
+// Runs the built Chrome extension (extension-chrome/) offline:
+// background.js in a service-worker-like context, content.js in
+// each PestRoutes tab and the popup or another extension page
+// (popup.html with popup.js, options.html, board.html), each with a
+// fake chrome.* that behaves the way the extension relies on:
+//   - storage.local with onChanged in every context, and a
+//     read-only storage.managed set with setPolicy()
+//   - runtime.sendMessage between the background script, the
+//     popup and content scripts, with sender.tab and the real
+//     "Receiving end does not exist" error when nobody listens
+//   - tabs with loading/complete updates, pages served by the
+//     pages(url) function, content scripts injected on the
+//     manifest's matches or as scripting.registerContentScripts
+//     registered them, and scripting.executeScript
+//   - host permissions: the manifest's, those a test grants up
+//     front, and those permissions.request adds — which it only
+//     may for origins the manifest lists as optional
+//   - action badge, alarms and notifications, recorded for the
+//     tests to look at
+// Callbacks and promises both work, as in MV3 Chrome.
+//
+// Messages and storage values are copied through JSON, as the
+// browser serialises them, so no object crosses between contexts.
+// dispose() stops every timer and page so `node --test` exits.
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const util = require('util');
+const vm   = require('vm');
+
+const { createWindow, createIsolatedWorld, runScripts, createTimers } = require('./dom');
+
+const EXTENSION_DIR = path.resolve(__dirname, '../../../extension-chrome');
+const EXTENSION_ID  = 'fieldroutestestextension';
+const NO_RECEIVER   = 'Could not establish connection. Receiving end does not exist.';
+const PORT_CLOSED   = 'The message port closed before a response was received.';
+const PAGE_LOAD_MS  = 10;   // between a tab's 'loading' and its page running
+
+const NOT_FOUND_HTML = '<!DOCTYPE html><html><head><title>Not found</title></head><body><h1>404</h1></body></html>';
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener:    (fn) => { if (!listeners.includes(fn)) listeners.push(fn); },
+        removeListener: (fn) => { const i = listeners.indexOf(fn); if (i !== -1) listeners.splice(i, 1); },
+        hasListener:    (fn) => listeners.includes(fn),
+        hasListeners:   () => listeners.length > 0
+    };
+}
+
+// Match patterns as in the manifest: <all_urls>, or
+// scheme://host/path with * in the scheme, a leading *. in the
+// host, the port and anywhere in the path. A host without a port
+// matches any port.
+function matchesPattern(pattern, url) {
+    if (pattern === '<all_urls>') return /^(https?|file|ftp):/.test(url);
+    const parts = /^(\*|https?):\/\/([^/]+)(\/.*)$/.exec(pattern);
+    if (!parts) return false;
+    const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const scheme = parts[1] === '*' ? 'https?' : parts[1];
+    const host   = parts[2] === '*' ? '[^/]+'
+                 : escape(parts[2]).replace(/^\*\\\./, '(?:[^/]+\\.)?').replace(/\*/g, '[^/.:]+') +
+                   (parts[2].includes(':') ? '' : '(?::\\d+)?');
+    const route  = escape(parts[3]).replace(/\*/g, '.*');
+    return new RegExp(`^${scheme}://${host}${route}$`).test(url);
+}
+
+class FakeBrowser {
+    // options:
+    //   pages(url)   — the HTML for a tab at url, or null for a 404
+    //   storage      — initial chrome.storage.local contents
+    //   policy       — chrome.storage.managed, as IT's policy sets it
+    //   contentScripts — false to leave content.js out of every tab
+    //   granted      — host permissions granted besides the manifest's,
+    //                  as if the operator had already allowed them
+    //   verbose      — print the extension's console output
+    constructor({ pages = () => null, storage = {}, policy = {}, contentScripts = true, granted = [],
+                  verbose = !!process.env.FR_TEST_VERBOSE } = {}) {
+        this.pages          = pages;
+        this.storage        = clone(storage);
+        this.policy         = clone(policy);
+        this.contentScripts = contentScripts;
+        this.verbose        = verbose;
+        this.manifest       = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+
+        this.contexts      = [];   // { kind, tabId, api, global, closed }
+        this.tabs          = new Map();
+        this.nextTabId     = 1;
+        this.granted       = new Set([...(this.manifest.host_permissions || []), ...granted]);
+        this.registered    = new Map();   // id → content script from scripting.registerContentScripts
+        this.badge         = { text: '', color: '', title: '' };
+        this.alarms        = new Map();
+        this.notifications = new Map();
+        this.logs          = [];   // { source, level, text }
+        this.timers        = createTimers();   // the browser's own, e.g. tab loads
+        this.disposed      = false;
+
+        this.tabsOnUpdated        = createEvent();   // shared by every context's chrome.tabs
+        this.tabsOnRemoved        = createEvent();
+        this.permissionsOnAdded   = createEvent();   // and chrome.permissions
+        this.permissionsOnRemoved = createEvent();
+    }
+
+    // ========================================================
+    // CONTEXTS
+    // ========================================================
+    startBackground() {
+        const context = this._addContext('background', null);
+        const { clearAll, ...timers } = createTimers();
+        context.global = vm.createContext({
+            chrome: context.api,
+            console: this._console('background'),
+            ...timers,
+            queueMicrotask, fetch, AbortController, TextDecoder, TextEncoder, URL, URLSearchParams,
+            Headers, Request, Response, ReadableStream, structuredClone, performance
+        });
+        context.global.self = context.global;
+        context.close = clearAll;
+        this._run(context.global, 'background.js');
+        return context.global;
+    }
+
+    // Loads popup.html and runs popup.js in it. Returns the window.
+    openPopup() {
+        return this.openPage('popup.html');
+    }
+
+    // Loads one of the extension's pages, e.g. board.html, and runs
+    // the script of the same name in it. Returns the window.
+    openPage(file) {
+        const context = this._addContext('popup', null);
+        const html    = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+        const win     = createWindow({
+            url:     `chrome-extension://${EXTENSION_ID}/${file}`,
+            html,
+            globals: { chrome: context.api },
+            console: this._console(file.replace(/\.html$/, ''))
+        });
+        context.file   = file;
+        context.global = win;
+        context.close  = () => win.close();
+        this._run(win, file.replace(/\.html$/, '.js'));
+        return win;
+    }
+
+    // The window of an open extension page, e.g. the options page
+    // opened by chrome.runtime.openOptionsPage(), or null
+    findPage(file) {
+        const context = this.contexts.find(c => c.file === file && !c.closed);
+        return context ? context.global : null;
+    }
+
+    closePopup(win) {
+        const context = this.contexts.find(c => c.global === win);
+        if (context) this._closeContext(context);
+    }
+
+    _addContext(kind, tabId) {
+        const context = { kind, tabId, closed: false, onMessage: createEvent(), onStorageChanged: createEvent() };
+        context.api = this._createApi(context);
+        this.contexts.push(context);
+        return context;
+    }
+
+    _closeContext(context) {
+        if (context.closed) return;
+        context.closed = true;
+        if (context.close) context.close();
+        this.contexts = this.contexts.filter(c => c !== context);
+    }
+
+    _run(global, file) {
+        const source = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+        vm.runInContext(source, global, { filename: path.join(EXTENSION_DIR, file) });
+    }
+
+    _console(source) {
+        const write = level => (...args) => {
+            const text = util.format(...args);
+            this.logs.push({ source, level, text });
+            if (this.verbose) process.stderr.write(`  [${source}] ${text}\n`);
+        };
+        return { log: write('log'), info: write('info'), debug: write('debug'), warn: write('warn'), error: write('error') };
+    }
+
+    // Runs fn outside any context, after the caller's current task —
+    // as the browser delivers events and replies
+    _later(fn) {
+        if (this.disposed) return;
+        this.timers.setTimeout(() => { if (!this.disposed) fn(); }, 0);
+    }
+
+    // ========================================================
+    // PERMISSIONS
+    // ========================================================
+    // Grants or takes back host permissions, as the operator would
+    // on the extension's site access settings
+    grant(origins) {
+        const added = origins.filter(o => !this.granted.has(o));
+        added.forEach(o => this.granted.add(o));
+        if (added.length) this._permissionsChanged(this.permissionsOnAdded, added);
+    }
+
+    revoke(origins) {
+        const removed = origins.filter(o => this.granted.has(o));
+        removed.forEach(o => this.granted.delete(o));
+        if (removed.length) this._permissionsChanged(this.permissionsOnRemoved, removed);
+    }
+
+    _permissionsChanged(event, origins) {
+        this._later(() => {
+            for (const listener of [...event.listeners]) listener({ permissions: [], origins: [...origins] });
+        });
+    }
+
+    // ========================================================
+    // TABS
+    // ========================================================
+    // Opens a tab as the agent would and resolves with its id once loaded
+    async openTab(url, { pinned = false, active = true } = {}) {
+        const tab = this._createTab(url, { pinned, active });
+        await this.waitForTab(tab.id);
+        return tab.id;
+    }
+
+    // Closes a tab as the agent would
+    closeTab(tabId) {
+        this._removeTab(this._tab(tabId));
+    }
+
+    // Resolves once the tab's current page has finished loading
+    waitForTab(tabId) {
+        return waitFor(() => {
+            const tab = this.tabs.get(tabId);
+            return tab && tab.status === 'complete' && tab.page;
+        }, { what: `tab ${tabId} to load` });
+    }
+
+    // The window of the page open in a tab
+    page(tabId) {
+        const tab = this.tabs.get(tabId);
+        return tab ? tab.page : null;
+    }
+
+    tabInfo(tab) {
+        return clone({
+            id: tab.id, windowId: 1, index: [...this.tabs.keys()].indexOf(tab.id), url: tab.url, title: tab.title,
+            active: tab.active, pinned: tab.pinned, status: tab.status, discarded: false, lastAccessed: tab.lastAccessed
+        });
+    }
+
+    _createTab(url, { pinned = false, active = true } = {}) {
+        const tab = { id: this.nextTabId++, url: '', title: '', pinned: !!pinned, active: false,
+                      status: 'loading', lastAccessed: Date.now(), page: null, content: null, loads: 0,
+                      redirecting: 0 };
+        this.tabs.set(tab.id, tab);
+        if (active) this._activate(tab);
+        this._navigate(tab, url);
+        return tab;
+    }
+
+    _activate(tab) {
+        for (const other of this.tabs.values()) other.active = other === tab;
+        tab.lastAccessed = Date.now();
+    }
+
+    _closePage(tab) {
+        if (tab.content) this._closeContext(tab.content);
+        if (tab.injected) this._closeContext(tab.injected);
+        if (tab.page) tab.page.close();
+        tab.content  = null;
+        tab.injected = null;
+        tab.page     = null;
+    }
+
+    // The extension's isolated world in a tab's page, where
+    // scripting.executeScript runs: the content script's when there
+    // is one, otherwise one made on the first injection. As in
+    // Chrome, later injections share it and it has chrome.*.
+    _injectedWorld(tab) {
+        if (tab.content) return tab.content.global;
+        if (!tab.injected) {
+            const context  = this._addContext('content', tab.id);
+            context.global = createIsolatedWorld(tab.page, { globals: { chrome: context.api }, console: this._console(`injected ${tab.id}`) });
+            context.close  = () => context.global.close();
+            tab.injected   = context;
+        }
+        return tab.injected.global;
+    }
+
+    _navigate(tab, url) {
+        const load = ++tab.loads;
+        this._closePage(tab);
+        tab.url    = /^https?:/.test(url) ? new URL(url).href : url;   // as the browser shows it, e.g. with the trailing /
+        tab.status = 'loading';
+        this._tabUpdated(tab, { status: 'loading', url });
+        this.timers.setTimeout(() => {
+            if (load === tab.loads && this.tabs.has(tab.id) && !this.disposed) this._loadPage(tab, load);
+        }, PAGE_LOAD_MS);
+    }
+
+    _loadPage(tab, load) {
+        const html = this.pages(tab.url);
+        const page = createWindow({
+            url:        tab.url,
+            html:       html === null || html === undefined ? NOT_FOUND_HTML : html,
+            // A navigation starts once the script that asked for it has
+            // finished, but a page that redirects while loading never completes
+            onNavigate: (next) => {
+                if (load !== tab.loads) return;
+                tab.redirecting = load;
+                this._later(() => { if (load === tab.loads) this._navigate(tab, next); });
+            },
+            console:    this._console(`tab ${tab.id}`)
+        });
+        tab.page  = page;
+        tab.title = page.document.title;
+        runScripts(page, tab.url);
+        tab.title = page.document.title;
+        if (tab.redirecting === load) return;
+
+        const scripts = [...(this.manifest.content_scripts || []), ...this.registered.values()]
+            .filter(script => script.matches.some(p => matchesPattern(p, tab.url)));
+        if (this.contentScripts && scripts.length) {
+            const context = this._addContext('content', tab.id);
+            context.global = createIsolatedWorld(page, { globals: { chrome: context.api }, console: this._console(`content ${tab.id}`) });
+            context.close  = () => context.global.close();
+            tab.content    = context;
+            for (const file of new Set(scripts.flatMap(script => script.js))) this._run(context.global, file);
+        }
+
+        tab.status = 'complete';
+        this._tabUpdated(tab, { status: 'complete' });
+    }
+
+    _tabUpdated(tab, changeInfo) {
+        const info = this.tabInfo(tab);
+        this._later(() => {
+            for (const listener of [...this.tabsOnUpdated.listeners]) listener(tab.id, clone(changeInfo), info);
+        });
+    }
+
+    _removeTab(tab) {
+        this._closePage(tab);
+        this.tabs.delete(tab.id);
+        this._later(() => {
+            for (const listener of [...this.tabsOnRemoved.listeners]) listener(tab.id, { windowId: 1, isWindowClosing: false });
+        });
+    }
+
+    _tab(tabId) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        return tab;
+    }
+
+    // ========================================================
+    // MESSAGING
+    // Resolves with { response } or { error }, as the browser
+    // settles a sendMessage: the first sendResponse wins; no
+    // listener at all is NO_RECEIVER, and listeners that neither
+    // answer nor return true close the port.
+    // ========================================================
+    _deliver(targets, message, sender) {
+        return new Promise(resolve => {
+            this._later(() => {
+                const listeners = targets.filter(c => !c.closed).flatMap(c => c.onMessage.listeners);
+                if (!listeners.length) return resolve({ error: NO_RECEIVER });
+
+                let settled = false;
+                let waiting = 0;
+                const sendResponse = (value) => {
+                    if (settled) return;
+                    settled = true;
+                    resolve({ response: clone(value) });
+                };
+                for (const listener of listeners) {
+                    if (listener(clone(message), clone(sender), sendResponse) === true) waiting++;
+                }
+                if (!settled && !waiting) {
+                    settled = true;
+                    resolve({ error: PORT_CLOSED });
+                }
+            });
+        });
+    }
+
+    _senderFor(context) {
+        const sender = { id: EXTENSION_ID };
+        if (context.kind === 'content') {
+            const tab = this.tabs.get(context.tabId);
+            if (tab) {
+                sender.tab = this.tabInfo(tab);
+                sender.url = tab.url;
+            }
+        } else {
+            sender.url = `chrome-extension://${EXTENSION_ID}/${context.kind === 'popup' ? context.file : 'background.js'}`;
+        }
+        return sender;
+    }
+
+    // ========================================================
+    // STORAGE
+    // ========================================================
+    _storageGet(keys) {
+        if (keys === null || keys === undefined) return clone(this.storage);
+        const result = {};
+        if (typeof keys === 'string') keys = [keys];
+        if (Array.isArray(keys)) {
+            for (const key of keys) if (key in this.storage) result[key] = clone(this.storage[key]);
+        } else {
+            for (const [key, fallback] of Object.entries(keys)) {
+                result[key] = key in this.storage ? clone(this.storage[key]) : fallback;
+            }
+        }
+        return result;
+    }
+
+    _storageSet(items) {
+        const changes = {};
+        for (const [key, value] of Object.entries(clone(items))) {
+            changes[key] = { oldValue: clone(this.storage[key]), newValue: clone(value) };
+            this.storage[key] = value;
+        }
+        this._storageChanged(changes);
+    }
+
+    _storageRemove(keys) {
+        const changes = {};
+        for (const key of [].concat(keys)) {
+            if (!(key in this.storage)) continue;
+            changes[key] = { oldValue: clone(this.storage[key]) };
+            delete this.storage[key];
+        }
+        this._storageChanged(changes);
+    }
+
+    _storageChanged(changes, area = 'local') {
+        if (!Object.keys(changes).length) return;
+        this._later(() => {
+            for (const context of [...this.contexts]) {
+                if (context.closed) continue;
+                for (const listener of [...context.onStorageChanged.listeners]) listener(clone(changes), area);
+            }
+        });
+    }
+
+    // Replaces the managed policy, as when IT pushes a new one
+    setPolicy(policy) {
+        const changes = {};
+        for (const key of new Set([...Object.keys(this.policy), ...Object.keys(policy)])) {
+            if (JSON.stringify(this.policy[key]) === JSON.stringify(policy[key])) continue;
+            changes[key] = { oldValue: clone(this.policy[key]), newValue: clone(policy[key]) };
+        }
+        this.policy = clone(policy);
+        this._storageChanged(changes, 'managed');
+    }
+
+    // ========================================================
+    // chrome.* FOR ONE CONTEXT
+    // ========================================================
+    _createApi(context) {
+        const browser = this;
+        const api     = {};
+
+        // Settles an API call the way Chrome does: with a promise when
+        // no callback is given, otherwise by calling back with
+        // runtime.lastError set while the callback runs
+        const reply = (callback, work) => {
+            const result = new Promise(resolve => browser._later(resolve)).then(work);
+            if (typeof callback !== 'function') return result;
+            result.then(
+                value => { if (!context.closed) callback(value); },
+                error => {
+                    if (context.closed) return;
+                    api.runtime.lastError = { message: error.message };
+                    try { callback(); } finally { api.runtime.lastError = undefined; }
+                });
+            return undefined;
+        };
+        const sent = delivery => delivery.then(({ response, error }) => {
+            if (error) throw new Error(error);
+            return response;
+        });
+
+        api.runtime = {
+            id:          EXTENSION_ID,
+            lastError:   undefined,
+            onMessage:   context.onMessage,
+            getManifest: () => clone(browser.manifest),
+            getURL:      (file) => `chrome-extension://${EXTENSION_ID}/${file.replace(/^\//, '')}`,
+            sendMessage(message, callback) {
+                // Content scripts only reach extension pages, never each other
+                const targets = browser.contexts.filter(c => c !== context && c.kind !== 'content');
+                return reply(callback, () => sent(browser._deliver(targets, message, browser._senderFor(context))));
+            },
+            openOptionsPage(callback) {
+                return reply(callback, () => { browser.openPage('options.html'); });
+            }
+        };
+
+        api.storage = {
+            onChanged: context.onStorageChanged,
+            local: {
+                get:    (keys, callback) => {
+                    if (typeof keys === 'function') { callback = keys; keys = null; }
+                    return reply(callback, () => browser._storageGet(keys));
+                },
+                set:    (items, callback) => reply(callback, () => browser._storageSet(items)),
+                remove: (keys, callback) => reply(callback, () => browser._storageRemove(keys)),
+                clear:  (callback) => reply(callback, () => browser._storageRemove(Object.keys(browser.storage)))
+            },
+            managed: {
+                get: (keys, callback) => {
+                    if (typeof keys === 'function') { callback = keys; keys = null; }
+                    return reply(callback, () => clone(browser.policy));
+                }
+            }
+        };
+
+        api.tabs = {
+            onUpdated: browser.tabsOnUpdated,
+            onRemoved: browser.tabsOnRemoved,
+            get:    (tabId, callback) => reply(callback, () => browser.tabInfo(browser._tab(tabId))),
+            query:  (info = {}, callback) => reply(callback, () => {
+                const patterns = info.url === undefined ? null : [].concat(info.url);
+                return [...browser.tabs.values()]
+                    .filter(tab => !patterns || patterns.some(p => matchesPattern(p, tab.url)))
+                    .filter(tab => info.pinned === undefined || tab.pinned === info.pinned)
+                    .filter(tab => info.active === undefined || tab.active === info.active)
+                    .map(tab => browser.tabInfo(tab));
+            }),
+            create: (props = {}, callback) => reply(callback, () => {
+                const tab = browser._createTab(props.url || 'about:blank', { pinned: props.pinned, active: props.active !== false });
+                return browser.tabInfo(tab);
+            }),
+            update: (tabId, props = {}, callback) => reply(callback, () => {
+                const tab = browser._tab(tabId);
+                if (props.pinned !== undefined) tab.pinned = !!props.pinned;
+                if (props.active) browser._activate(tab);
+                if (props.url) browser._navigate(tab, props.url);
+                return browser.tabInfo(tab);
+            }),
+            remove: (tabId, callback) => reply(callback, () => browser._removeTab(browser._tab(tabId))),
+            sendMessage(tabId, message, callback) {
+                return reply(callback, () => {
+                    const tab = browser._tab(tabId);
+                    return sent(browser._deliver(tab.content ? [tab.content] : [], message, browser._senderFor(context)));
+                });
+            }
+        };
+
+        api.windows = {
+            update: (windowId, props, callback) => reply(callback, () => ({ id: windowId, focused: true }))
+        };
+
+        // Runs func in the tab's isolated world (see _injectedWorld), as
+        // Chrome does, so it sees the page's DOM but not its globals.
+        // Content scripts registered here load with the next page.
+        api.scripting = {
+            executeScript: ({ target, func, args = [] }, callback) => reply(callback, async () => {
+                const tab = browser._tab(target.tabId);
+                if (!tab.page) throw new Error('Cannot access contents of the page. Frame is still loading.');
+                if (!browser._isGranted(tab.url)) {
+                    throw new Error(`Cannot access contents of url "${tab.url}". Extension manifest must request permission to access this host.`);
+                }
+                const world = browser._injectedWorld(tab);
+                const fn    = vm.runInContext(`(${func.toString()})`, world);
+                const result = await fn(...clone(args));
+                return [{ frameId: 0, result: clone(result) }];
+            }),
+            registerContentScripts: (scripts, callback) => reply(callback, () => {
+                for (const script of scripts) {
+                    if (browser.registered.has(script.id)) throw new Error(`Duplicate script ID '${script.id}'`);
+                }
+                for (const script of scripts) browser.registered.set(script.id, clone(script));
+            }),
+            unregisterContentScripts: ({ ids } = {}, callback) => reply(callback, () => {
+                for (const id of ids || [...browser.registered.keys()]) browser.registered.delete(id);
+            }),
+            getRegisteredContentScripts: ({ ids } = {}, callback) => reply(callback, () =>
+                clone([...browser.registered.values()].filter(script => !ids || ids.includes(script.id))))
+        };
+
+        api.permissions = {
+            onAdded:   browser.permissionsOnAdded,
+            onRemoved: browser.permissionsOnRemoved,
+            contains: ({ origins = [] }, callback) => reply(callback, () => origins.every(o => browser._isGranted(o))),
+            // The operator always allows it
+            request:  ({ origins = [] }, callback) => reply(callback, () => {
+                const optional = browser.manifest.optional_host_permissions || [];
+                for (const origin of origins) {
+                    if (!optional.some(p => matchesPattern(p, origin.replace(/\*/g, 'x')))) {
+                        throw new Error(`Only permissions specified in the manifest may be requested: ${origin}`);
+                    }
+                }
+                browser.grant(origins);
+                return true;
+            })
+        };
+
+        const badge = key => (details, callback) => reply(callback, () => { browser.badge[key] = details[key]; });
+        api.action = {
+            setBadgeText:            badge('text'),
+            setBadgeBackgroundColor: badge('color'),
+            setTitle:                badge('title')
+        };
+
+        api.alarms = {
+            onAlarm: createEvent(),
+            create:  (name, info) => { browser.alarms.set(name, clone(info)); },
+            clear:   (name, callback) => reply(callback, () => browser.alarms.delete(name))
+        };
+
+        api.notifications = {
+            onClicked:       createEvent(),
+            onButtonClicked: createEvent(),
+            onClosed:        createEvent(),
+            create: (id, options, callback) => reply(callback, () => {
+                browser.notifications.set(id, clone(options));
+                return id;
+            }),
+            clear:  (id, callback) => reply(callback, () => browser.notifications.delete(id))
+        };
+
+        return api;
+    }
+
+    _isGranted(origin) {
+        const sample = origin.replace(/\*/g, 'x');
+        return [...this.granted].some(p => p === origin || matchesPattern(p, sample));
+    }
+
+    // Closes every page and context and stops every timer
+    dispose() {
+        this.disposed = true;
+        for (const tab of this.tabs.values()) this._closePage(tab);
+        for (const context of [...this.contexts]) this._closeContext(context);
+        this.timers.clearAll();
+    }
+}
+
+// Polls check() until it returns something truthy and resolves
+// with that, or rejects after timeout ms naming what it waited for
+function waitFor(check, { timeout = 5000, interval = 20, what = 'condition' } = {}) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            let value;
+            try { value = check(); } catch (err) { return reject(err); }
+            if (value) return resolve(value);
+            if (Date.now() - started >= timeout) return reject(new Error(`Timed out after ${timeout} ms waiting for ${what}`));
+            setTimeout(poll, interval);
+        };
+        poll();
+    });
+}
+
+module.exports = { FakeBrowser, waitFor };
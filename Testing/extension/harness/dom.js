@@ -0,0 +1,1657 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Test Harness: Minimal DOM
+// ============================================================
+// Just enough of the DOM for the extension's popup, its
+// content script and the PestRoutes fixture page to run under
+// plain Node.js, with no packages:
+//   - an HTML parser for well-formed pages (the fixture and
+//     popup.html) and innerHTML
+//   - elements, text, shadow roots, form fields with the value
+//     and selection behaviour pageStatus() relies on
+//   - CSS selectors: type, #id, .class, [attr op value],
+//     :not() and a few structural pseudo-classes, with the
+//     descendant, child and sibling combinators
+//   - events with capture and bubbling (across shadow roots),
+//     MutationObserver and TreeWalker
+// There is no layout. An element "has client rects" when it is
+// connected and neither it nor an ancestor is hidden, display:
+// none, or one of the never-rendered elements — which is all
+// the extension's visibility checks ask.
+//
+// createWindow() returns a vm context that serves as the page's
+// window; see chrome.js for how pages are loaded into it.
+// ============================================================
+
+const vm = require('vm');
+
+const VOID_ELEMENTS     = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+                                   'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const NEVER_RENDERED    = new Set(['head', 'script', 'style', 'template', 'title', 'meta', 'link', 'noscript']);
+const BLOCK_ELEMENTS    = new Set(['address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl',
+                                   'dd', 'dt', 'fieldset', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4',
+                                   'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+                                   'summary', 'table', 'tr', 'ul']);
+// An opening tag that closes the open element of the same kind
+const AUTO_CLOSING      = new Set(['li', 'option', 'p', 'tr', 'td', 'th']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', middot: '·',
+                   mdash: '—', ndash: '–', hellip: '…', copy: '©', times: '×', rarr: '→', larr: '←' };
+
+const NODE = { ELEMENT: 1, TEXT: 3, COMMENT: 8, DOCUMENT: 9, FRAGMENT: 11 };
+
+const NodeFilter = {
+    FILTER_ACCEPT: 1, FILTER_REJECT: 2, FILTER_SKIP: 3,
+    SHOW_ALL: 0xFFFFFFFF, SHOW_ELEMENT: 0x1, SHOW_TEXT: 0x4, SHOW_COMMENT: 0x80
+};
+
+// ============================================================
+// EVENTS
+// ============================================================
+class Event {
+    constructor(type, init = {}) {
+        this.type             = type;
+        this.bubbles          = !!init.bubbles;
+        this.cancelable       = !!init.cancelable;
+        this.composed         = !!init.composed;
+        this.defaultPrevented = false;
+        this.target           = null;
+        this.currentTarget    = null;
+        this.eventPhase       = 0;
+        this.timeStamp        = Date.now();
+        this._stop            = false;
+        this._stopNow         = false;
+    }
+    preventDefault()           { if (this.cancelable) this.defaultPrevented = true; }
+    stopPropagation()          { this._stop = true; }
+    stopImmediatePropagation() { this._stop = this._stopNow = true; }
+}
+
+class UIEvent extends Event {}
+
+class KeyboardEvent extends UIEvent {
+    constructor(type, init = {}) {
+        super(type, init);
+        this.key      = init.key  || '';
+        this.code     = init.code || '';
+        this.ctrlKey  = !!init.ctrlKey;
+        this.shiftKey = !!init.shiftKey;
+        this.altKey   = !!init.altKey;
+        this.metaKey  = !!init.metaKey;
+    }
+}
+
+class MouseEvent extends UIEvent {
+    constructor(type, init = {}) {
+        super(type, init);
+        this.button = init.button || 0;
+    }
+}
+
+class FocusEvent extends UIEvent {}
+
+class CustomEvent extends Event {
+    constructor(type, init = {}) {
+        super(type, init);
+        this.detail = init.detail === undefined ? null : init.detail;
+    }
+}
+
+class EventTarget {
+    constructor() {
+        this._listeners = new Map();   // type → [{ callback, capture, once }]
+    }
+
+    addEventListener(type, callback, options = false) {
+        if (!callback) return;
+        const capture = typeof options === 'boolean' ? options : !!(options && options.capture);
+        const once    = typeof options === 'object' && !!(options && options.once);
+        const list    = this._listeners.get(type) || [];
+        if (list.some(l => l.callback === callback && l.capture === capture)) return;
+        list.push({ callback, capture, once });
+        this._listeners.set(type, list);
+    }
+
+    removeEventListener(type, callback, options = false) {
+        const capture = typeof options === 'boolean' ? options : !!(options && options.capture);
+        const list    = this._listeners.get(type) || [];
+        this._listeners.set(type, list.filter(l => !(l.callback === callback && l.capture === capture)));
+    }
+
+    dispatchEvent(event) {
+        event.target = this;
+        const path = eventPath(this);
+
+        const invoke = (node, phase) => {
+            event.currentTarget = node;
+            event.eventPhase    = phase;
+            for (const listener of [...(node._listeners.get(event.type) || [])]) {
+                if (phase === 1 && !listener.capture) continue;
+                if (phase === 3 && listener.capture)  continue;
+                if (listener.once) node.removeEventListener(event.type, listener.callback, listener.capture);
+                if (typeof listener.callback === 'function') listener.callback.call(node, event);
+                else listener.callback.handleEvent(event);
+                if (event._stopNow) return;
+            }
+        };
+
+        for (let i = path.length - 1; i > 0 && !event._stop; i--) invoke(path[i], 1);
+        if (!event._stop) invoke(this, 2);
+        if (event.bubbles) {
+            for (let i = 1; i < path.length && !event._stop; i++) invoke(path[i], 3);
+        }
+        event.currentTarget = null;
+        event.eventPhase    = 0;
+        return !event.defaultPrevented;
+    }
+}
+
+// The node itself, its ancestors (continuing from a shadow root to
+// its host), then the document's window
+function eventPath(target) {
+    const path = [target];
+    let node = target;
+    while (node) {
+        node = node._host || node.parentNode || (node.nodeType === NODE.DOCUMENT ? node._window : null);
+        if (node) path.push(node);
+        if (node && node.nodeType === undefined) break;   // reached the window
+    }
+    return path;
+}
+
+// ============================================================
+// NODES
+// ============================================================
+class Node extends EventTarget {
+    constructor(doc) {
+        super();
+        this.ownerDocument = doc;
+        this.parentNode    = null;
+        this.childNodes    = [];
+    }
+
+    get firstChild()      { return this.childNodes[0] || null; }
+    get lastChild()       { return this.childNodes[this.childNodes.length - 1] || null; }
+    get parentElement()   { return this.parentNode && this.parentNode.nodeType === NODE.ELEMENT ? this.parentNode : null; }
+    get nextSibling()     { return siblingAt(this, 1); }
+    get previousSibling() { return siblingAt(this, -1); }
+    get nodeValue()       { return null; }
+
+    get isConnected() {
+        return rootOf(this, true).nodeType === NODE.DOCUMENT;
+    }
+
+    getRootNode(options = {}) {
+        return rootOf(this, !!options.composed);
+    }
+
+    contains(other) {
+        for (let node = other; node; node = node.parentNode) if (node === this) return true;
+        return false;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.nodeType === NODE.COMMENT ? '' : child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this._replaceAll(value === null || value === '' ? [] : [this.ownerDocument.createTextNode(String(value))]);
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    insertBefore(child, ref) {
+        const nodes = child.nodeType === NODE.FRAGMENT ? [...child.childNodes] : [child];
+        for (const node of nodes) {
+            if (node.parentNode) node.parentNode.removeChild(node);
+            const index = ref ? this.childNodes.indexOf(ref) : -1;
+            if (index === -1) this.childNodes.push(node);
+            else this.childNodes.splice(index, 0, node);
+            node.parentNode = this;
+            adopt(node, this.ownerDocument || this);
+        }
+        queueMutation(this, { type: 'childList', target: this, addedNodes: nodes, removedNodes: [] });
+        return child;
+    }
+
+    removeChild(child) {
+        const index = this.childNodes.indexOf(child);
+        if (index === -1) throw new Error('NotFoundError: the node is not a child of this node');
+        this.childNodes.splice(index, 1);
+        child.parentNode = null;
+        queueMutation(this, { type: 'childList', target: this, addedNodes: [], removedNodes: [child] });
+        return child;
+    }
+
+    replaceChild(child, old) {
+        this.insertBefore(child, old);
+        return this.removeChild(old);
+    }
+
+    _replaceAll(nodes) {
+        const removed = this.childNodes;
+        for (const node of removed) node.parentNode = null;
+        this.childNodes = [];
+        for (const node of nodes) {
+            if (node.parentNode) node.parentNode.removeChild(node);
+            this.childNodes.push(node);
+            node.parentNode = this;
+            adopt(node, this.ownerDocument || this);
+        }
+        if (removed.length || nodes.length) {
+            queueMutation(this, { type: 'childList', target: this, addedNodes: nodes, removedNodes: removed });
+        }
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    append(...items) {
+        for (const item of items) this.appendChild(toNode(this, item));
+    }
+
+    prepend(...items) {
+        const first = this.firstChild;
+        for (const item of items) this.insertBefore(toNode(this, item), first);
+    }
+
+    after(...items) {
+        if (!this.parentNode) return;
+        const next = this.nextSibling;
+        for (const item of items) this.parentNode.insertBefore(toNode(this, item), next);
+    }
+
+    before(...items) {
+        if (!this.parentNode) return;
+        for (const item of items) this.parentNode.insertBefore(toNode(this, item), this);
+    }
+
+    replaceWith(...items) {
+        if (!this.parentNode) return;
+        this.before(...items);
+        this.remove();
+    }
+}
+
+function siblingAt(node, offset) {
+    if (!node.parentNode) return null;
+    const siblings = node.parentNode.childNodes;
+    return siblings[siblings.indexOf(node) + offset] || null;
+}
+
+function rootOf(node, composed) {
+    let root = node;
+    for (;;) {
+        if (root.parentNode)           root = root.parentNode;
+        else if (composed && root._host) root = root._host;
+        else return root;
+    }
+}
+
+function adopt(node, doc) {
+    node.ownerDocument = doc;
+    for (const child of node.childNodes) adopt(child, doc);
+}
+
+function toNode(context, item) {
+    return typeof item === 'string' ? (context.ownerDocument || context).createTextNode(item) : item;
+}
+
+class CharacterData extends Node {
+    constructor(doc, data) {
+        super(doc);
+        this._data = String(data);
+    }
+    get data()             { return this._data; }
+    set data(value)        {
+        const oldValue = this._data;
+        this._data = String(value);
+        queueMutation(this, { type: 'characterData', target: this, oldValue });
+    }
+    get nodeValue()        { return this._data; }
+    set nodeValue(value)   { this.data = value; }
+    get textContent()      { return this._data; }
+    set textContent(value) { this.data = value; }
+    get length()           { return this._data.length; }
+}
+
+class Text extends CharacterData {
+    get nodeType() { return NODE.TEXT; }
+    get nodeName() { return '#text'; }
+}
+
+class Comment extends CharacterData {
+    get nodeType() { return NODE.COMMENT; }
+    get nodeName() { return '#comment'; }
+}
+
+// ============================================================
+// QUERYING — shared by elements, documents and fragments
+// ============================================================
+const queryMethods = {
+    querySelector(selectors) {
+        return this.querySelectorAll(selectors)[0] || null;
+    },
+    querySelectorAll(selectors) {
+        const list = parseSelectors(selectors);
+        return descendants(this).filter(el => list.some(complex => matchComplex(el, complex, complex.length - 1)));
+    },
+    getElementById(id) {
+        return descendants(this).find(el => el.getAttribute('id') === id) || null;
+    },
+    getElementsByTagName(name) {
+        const tag = name.toLowerCase();
+        return descendants(this).filter(el => tag === '*' || el.localName === tag);
+    },
+    getElementsByClassName(names) {
+        const wanted = names.split(/\s+/).filter(Boolean);
+        return descendants(this).filter(el => wanted.every(n => el.classList.contains(n)));
+    },
+    get children() {
+        return this.childNodes.filter(n => n.nodeType === NODE.ELEMENT);
+    },
+    get firstElementChild() {
+        return this.children[0] || null;
+    }
+};
+
+function mixin(target, source) {
+    for (const key of Object.getOwnPropertyNames(source)) {
+        Object.defineProperty(target.prototype, key, Object.getOwnPropertyDescriptor(source, key));
+    }
+}
+
+// Element descendants in document order, not entering shadow roots
+function descendants(root) {
+    const found = [];
+    const walk  = (node) => {
+        for (const child of node.childNodes) {
+            if (child.nodeType !== NODE.ELEMENT) continue;
+            found.push(child);
+            walk(child);
+        }
+    };
+    walk(root);
+    return found;
+}
+
+// ============================================================
+// ELEMENTS
+// ============================================================
+class Element extends Node {
+    constructor(doc, localName) {
+        super(doc);
+        this.localName   = localName;
+        this._attrs      = new Map();
+        this._styleProps = new Map();
+        this._shadow     = null;
+        this.style       = createStyle(this);
+        this.classList   = createClassList(this);
+        this.dataset     = createDataset(this);
+    }
+
+    get nodeType()  { return NODE.ELEMENT; }
+    get nodeName()  { return this.tagName; }
+    get tagName()   { return this.localName.toUpperCase(); }
+
+    get attributes() {
+        return [...this._attrs].map(([name, value]) => ({ name, value }));
+    }
+
+    getAttribute(name) {
+        const value = this._attrs.get(name.toLowerCase());
+        return value === undefined ? null : value;
+    }
+
+    hasAttribute(name) {
+        return this._attrs.has(name.toLowerCase());
+    }
+
+    setAttribute(name, value) {
+        name = name.toLowerCase();
+        const oldValue = this.getAttribute(name);
+        value = String(value);
+        this._attrs.set(name, value);
+        if (name === 'style') this._styleProps = parseStyle(value);
+        queueMutation(this, { type: 'attributes', target: this, attributeName: name, oldValue });
+    }
+
+    removeAttribute(name) {
+        name = name.toLowerCase();
+        if (!this._attrs.has(name)) return;
+        const oldValue = this._attrs.get(name);
+        this._attrs.delete(name);
+        if (name === 'style') this._styleProps = new Map();
+        queueMutation(this, { type: 'attributes', target: this, attributeName: name, oldValue });
+    }
+
+    toggleAttribute(name, force) {
+        const on = force === undefined ? !this.hasAttribute(name) : !!force;
+        if (on) { if (!this.hasAttribute(name)) this.setAttribute(name, ''); } else this.removeAttribute(name);
+        return on;
+    }
+
+    get id()                 { return this.getAttribute('id') || ''; }
+    set id(value)            { this.setAttribute('id', value); }
+    get className()          { return this.getAttribute('class') || ''; }
+    set className(value)     { this.setAttribute('class', value); }
+    get hidden()             { return this.hasAttribute('hidden'); }
+    set hidden(value)        { this.toggleAttribute('hidden', !!value); }
+    get title()              { return this.getAttribute('title') || ''; }
+    set title(value)         { this.setAttribute('title', value); }
+
+    get shadowRoot() {
+        return this._shadow && this._shadow.mode === 'open' ? this._shadow : null;
+    }
+
+    attachShadow({ mode = 'open' } = {}) {
+        if (this._shadow) throw new Error('NotSupportedError: the element already hosts a shadow root');
+        this._shadow = new ShadowRoot(this.ownerDocument, this, mode);
+        return this._shadow;
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(serialize).join('');
+    }
+
+    set innerHTML(html) {
+        this._replaceAll(parseFragment(this.ownerDocument, html, this.localName));
+    }
+
+    get outerHTML() {
+        return serialize(this);
+    }
+
+    get innerText() {
+        return isRendered(this) ? renderedText(this) : this.textContent;
+    }
+
+    set innerText(value) {
+        this.textContent = value;
+    }
+
+    get nextElementSibling() {
+        for (let node = this.nextSibling; node; node = node.nextSibling) if (node.nodeType === NODE.ELEMENT) return node;
+        return null;
+    }
+
+    get previousElementSibling() {
+        for (let node = this.previousSibling; node; node = node.previousSibling) if (node.nodeType === NODE.ELEMENT) return node;
+        return null;
+    }
+
+    matches(selectors) {
+        return parseSelectors(selectors).some(complex => matchComplex(this, complex, complex.length - 1));
+    }
+
+    closest(selectors) {
+        const list = parseSelectors(selectors);
+        for (let el = this; el && el.nodeType === NODE.ELEMENT; el = el.parentNode) {
+            if (list.some(complex => matchComplex(el, complex, complex.length - 1))) return el;
+        }
+        return null;
+    }
+
+    getClientRects() {
+        return isRendered(this) ? [{ x: 0, y: 0, top: 0, left: 0, width: 100, height: 20, right: 100, bottom: 20 }] : [];
+    }
+
+    getBoundingClientRect() {
+        return this.getClientRects()[0] || { x: 0, y: 0, top: 0, left: 0, width: 0, height: 0, right: 0, bottom: 0 };
+    }
+
+    get offsetParent() {
+        return isRendered(this) ? this.parentElement : null;
+    }
+
+    click() {
+        if (this.disabled) return;
+        const event = new MouseEvent('click', { bubbles: true, cancelable: true, composed: true });
+        this._beforeClick();
+        if (this.dispatchEvent(event)) this._activate();
+        else this._cancelClick();
+    }
+
+    _beforeClick() {}
+    _cancelClick() {}
+    _activate() {}
+
+    focus() {
+        const doc = this.ownerDocument;
+        if (doc.activeElement === this) return;
+        if (doc.activeElement) doc.activeElement.blur();
+        doc.activeElement = this;
+        this.dispatchEvent(new FocusEvent('focus'));
+        this.dispatchEvent(new FocusEvent('focusin', { bubbles: true, composed: true }));
+    }
+
+    blur() {
+        const doc = this.ownerDocument;
+        if (doc.activeElement !== this) return;
+        doc.activeElement = doc.body;
+        this.dispatchEvent(new FocusEvent('blur'));
+        this.dispatchEvent(new FocusEvent('focusout', { bubbles: true, composed: true }));
+    }
+
+    scrollIntoView() {}
+}
+mixin(Element, queryMethods);
+
+class HTMLElement extends Element {}
+
+// Boolean and string attributes reflected as properties
+function reflect(cls, booleans = [], strings = []) {
+    for (const name of booleans) {
+        const attr = name.toLowerCase();
+        Object.defineProperty(cls.prototype, name, {
+            get() { return this.hasAttribute(attr); },
+            set(value) { this.toggleAttribute(attr, !!value); },
+            configurable: true
+        });
+    }
+    for (const name of strings) {
+        const attr = name.toLowerCase();
+        Object.defineProperty(cls.prototype, name, {
+            get() { return this.getAttribute(attr) || ''; },
+            set(value) { this.setAttribute(attr, value); },
+            configurable: true
+        });
+    }
+}
+
+class HTMLAnchorElement extends HTMLElement {
+    get href() {
+        const href = this.getAttribute('href');
+        if (href === null) return '';
+        try { return new URL(href, this.ownerDocument.URL).href; } catch (err) { return href; }
+    }
+    set href(value) { this.setAttribute('href', value); }
+
+    _activate() {
+        const href = this.getAttribute('href');
+        if (href && !href.startsWith('#') && !/^javascript:/i.test(href)) this.ownerDocument._window.location.href = this.href;
+    }
+}
+
+class HTMLButtonElement extends HTMLElement {
+    get type() { return (this.getAttribute('type') || 'submit').toLowerCase(); }
+    set type(value) { this.setAttribute('type', value); }
+
+    _activate() {
+        const form = this.closest('form');
+        if (form && this.type === 'submit') form.requestSubmit();
+    }
+}
+reflect(HTMLButtonElement, ['disabled'], ['name', 'value']);
+
+class HTMLFormElement extends HTMLElement {
+    get elements() {
+        return this.querySelectorAll('input, select, textarea, button');
+    }
+    requestSubmit() {
+        this.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    }
+    submit() {}
+    reset() {
+        if (!this.dispatchEvent(new Event('reset', { bubbles: true, cancelable: true }))) return;
+        for (const field of this.elements) if (field._reset) field._reset();
+    }
+}
+
+class HTMLInputElement extends HTMLElement {
+    constructor(doc, localName) {
+        super(doc, localName);
+        this._value   = null;   // null until set — until then the value attribute is the value
+        this._checked = null;
+    }
+
+    get type() {
+        return (this.getAttribute('type') || 'text').toLowerCase();
+    }
+    set type(value) { this.setAttribute('type', value); }
+
+    get value() {
+        if (this.type === 'checkbox' || this.type === 'radio') return this.getAttribute('value') || 'on';
+        return this._value === null ? (this.getAttribute('value') || '') : this._value;
+    }
+    set value(value) {
+        this._value = value === null ? '' : String(value);
+    }
+
+    get defaultValue()       { return this.getAttribute('value') || ''; }
+    set defaultValue(value)  { this.setAttribute('value', value); }
+
+    get checked()            { return this._checked === null ? this.hasAttribute('checked') : this._checked; }
+    set checked(value) {
+        this._checked = !!value;
+        if (value && this.type === 'radio' && this.name) {
+            const root = this.closest('form') || rootOf(this, false);
+            for (const other of root.querySelectorAll(`input[type="radio"][name="${this.name}"]`)) {
+                if (other !== this) other._checked = false;
+            }
+        }
+    }
+    get defaultChecked()     { return this.hasAttribute('checked'); }
+    set defaultChecked(value) { this.toggleAttribute('checked', !!value); }
+
+    select() {}
+    setSelectionRange() {}
+
+    _beforeClick() {
+        this._wasChecked = this.checked;
+        if (this.type === 'checkbox') this.checked = !this.checked;
+        else if (this.type === 'radio') this.checked = true;
+    }
+    _cancelClick() {
+        if (this.type === 'checkbox' || this.type === 'radio') this._checked = this._wasChecked;
+    }
+    _activate() {
+        if ((this.type === 'checkbox' || this.type === 'radio') && this.checked !== this._wasChecked) {
+            this.dispatchEvent(new Event('input',  { bubbles: true, composed: true }));
+            this.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        const form = this.closest('form');
+        if (form && this.type === 'submit') form.requestSubmit();
+    }
+    _reset() {
+        this._value   = null;
+        this._checked = null;
+    }
+}
+reflect(HTMLInputElement, ['disabled', 'readOnly', 'required', 'multiple'], ['name', 'placeholder', 'autocomplete']);
+
+class HTMLTextAreaElement extends HTMLElement {
+    constructor(doc, localName) {
+        super(doc, localName);
+        this._value = null;
+    }
+    get type()              { return 'textarea'; }
+    get value()             { return this._value === null ? this.textContent : this._value; }
+    set value(value)        { this._value = value === null ? '' : String(value); }
+    get defaultValue()      { return this.textContent; }
+    set defaultValue(value) { this.textContent = value; }
+    select() {}
+    _reset() { this._value = null; }
+}
+reflect(HTMLTextAreaElement, ['disabled', 'readOnly', 'required'], ['name', 'placeholder']);
+
+// Selectedness follows the spec closely enough for the dirty
+// check in pageStatus(): an option the script selected wins,
+// then one with the selected attribute, then — for a single
+// select — the first option.
+class HTMLSelectElement extends HTMLElement {
+    get type()    { return this.multiple ? 'select-multiple' : 'select-one'; }
+    get options() { return this.querySelectorAll('option'); }
+    get length()  { return this.options.length; }
+
+    get selectedIndex() {
+        const options = this.options;
+        for (let i = options.length - 1; i >= 0; i--) if (options[i]._selected === true) return i;
+        for (let i = options.length - 1; i >= 0; i--) {
+            if (options[i]._selected === null && options[i].defaultSelected) return i;
+        }
+        if (this.multiple) return -1;
+        const first = options.findIndex(o => o._selected !== false);
+        return first === -1 ? (options.length ? 0 : -1) : first;
+    }
+    set selectedIndex(index) {
+        this.options.forEach((option, i) => { option._selected = i === index; });
+    }
+
+    get selectedOptions() {
+        return this.options.filter(o => o.selected);
+    }
+
+    get value() {
+        const option = this.options[this.selectedIndex];
+        return option ? option.value : '';
+    }
+    set value(value) {
+        const index = this.options.findIndex(o => o.value === String(value));
+        this.selectedIndex = index;
+    }
+
+    add(option, before = null) {
+        this.insertBefore(option, typeof before === 'number' ? this.options[before] || null : before);
+    }
+
+    remove(index) {
+        if (index === undefined) return super.remove();
+        const option = this.options[index];
+        if (option) option.remove();
+    }
+
+    _reset() {
+        for (const option of this.options) option._selected = null;
+    }
+}
+reflect(HTMLSelectElement, ['disabled', 'required', 'multiple'], ['name']);
+
+class HTMLOptionElement extends HTMLElement {
+    constructor(doc, localName) {
+        super(doc, localName);
+        this._selected = null;   // null until set by script
+    }
+
+    get value()             { return this.hasAttribute('value') ? this.getAttribute('value') : this.text; }
+    set value(value)        { this.setAttribute('value', value); }
+    get text()              { return this.textContent.replace(/\s+/g, ' ').trim(); }
+    set text(value)         { this.textContent = value; }
+    get label()             { return this.getAttribute('label') || this.text; }
+    get defaultSelected()   { return this.hasAttribute('selected'); }
+    set defaultSelected(on) { this.toggleAttribute('selected', !!on); }
+
+    get selected() {
+        const select = this.closest('select');
+        if (!select) return this._selected === null ? this.defaultSelected : this._selected;
+        if (select.multiple) return this._selected === null ? this.defaultSelected : this._selected;
+        return select.options[select.selectedIndex] === this;
+    }
+    set selected(value) {
+        const select = this.closest('select');
+        if (select && !select.multiple && value) {
+            for (const option of select.options) option._selected = false;
+        }
+        this._selected = !!value;
+    }
+
+    get index() {
+        const select = this.closest('select');
+        return select ? select.options.indexOf(this) : 0;
+    }
+}
+reflect(HTMLOptionElement, ['disabled'], []);
+
+class HTMLTableSectionElement extends HTMLElement {
+    get rows() {
+        return this.children.filter(el => el.localName === 'tr');
+    }
+    insertRow(index = -1) {
+        const row = this.ownerDocument.createElement('tr');
+        const rows = this.rows;
+        this.insertBefore(row, index === -1 || index >= rows.length ? null : rows[index]);
+        return row;
+    }
+    deleteRow(index) {
+        const row = this.rows[index === -1 ? this.rows.length - 1 : index];
+        if (row) row.remove();
+    }
+}
+
+class HTMLTableRowElement extends HTMLElement {
+    get cells() {
+        return this.children.filter(el => el.localName === 'td' || el.localName === 'th');
+    }
+    insertCell(index = -1) {
+        const cell  = this.ownerDocument.createElement('td');
+        const cells = this.cells;
+        this.insertBefore(cell, index === -1 || index >= cells.length ? null : cells[index]);
+        return cell;
+    }
+}
+
+// <details> and <dialog> — open is an attribute; details fires toggle
+class HTMLDetailsElement extends HTMLElement {
+    get open() { return this.hasAttribute('open'); }
+    set open(value) {
+        if (!!value === this.open) return;
+        this.toggleAttribute('open', !!value);
+        Promise.resolve().then(() => this.dispatchEvent(new Event('toggle')));
+    }
+}
+
+class HTMLDialogElement extends HTMLElement {
+    get open()      { return this.hasAttribute('open'); }
+    set open(value) { this.toggleAttribute('open', !!value); }
+    show()          { this.open = true; }
+    showModal()     { this.open = true; }
+    close()         { this.open = false; this.dispatchEvent(new Event('close')); }
+}
+
+class HTMLScriptElement extends HTMLElement {
+    get src()  { return this.getAttribute('src') || ''; }
+    get text() { return this.textContent; }
+}
+
+const ELEMENT_CLASSES = {
+    a: HTMLAnchorElement, button: HTMLButtonElement, form: HTMLFormElement, input: HTMLInputElement,
+    textarea: HTMLTextAreaElement, select: HTMLSelectElement, option: HTMLOptionElement,
+    table: HTMLTableSectionElement, tbody: HTMLTableSectionElement, thead: HTMLTableSectionElement,
+    tfoot: HTMLTableSectionElement, tr: HTMLTableRowElement, details: HTMLDetailsElement,
+    dialog: HTMLDialogElement, script: HTMLScriptElement
+};
+
+// ============================================================
+// DOCUMENTS, FRAGMENTS AND SHADOW ROOTS
+// ============================================================
+class DocumentFragment extends Node {
+    get nodeType() { return NODE.FRAGMENT; }
+    get nodeName() { return '#document-fragment'; }
+}
+mixin(DocumentFragment, queryMethods);
+
+class ShadowRoot extends DocumentFragment {
+    constructor(doc, host, mode) {
+        super(doc);
+        this._host = host;
+        this.mode  = mode;
+    }
+    get host()       { return this._host; }
+    get innerHTML()  { return this.childNodes.map(serialize).join(''); }
+    set innerHTML(html) {
+        this._replaceAll(parseFragment(this.ownerDocument, html, 'div'));
+    }
+    get activeElement() {
+        const active = this.ownerDocument.activeElement;
+        return active && rootOf(active, false) === this ? active : null;
+    }
+}
+
+class Document extends Node {
+    constructor() {
+        super(null);
+        this.ownerDocument = null;
+        this.activeElement = null;
+        this.readyState    = 'loading';
+        this._observers    = [];
+        this._window       = null;
+        this.URL           = 'about:blank';
+    }
+
+    get nodeType()        { return NODE.DOCUMENT; }
+    get nodeName()        { return '#document'; }
+    get documentElement() { return this.children[0] || null; }
+    get head()            { return this.documentElement && this.documentElement.children.find(el => el.localName === 'head') || null; }
+    get body()            { return this.documentElement && this.documentElement.children.find(el => el.localName === 'body') || null; }
+    get defaultView()     { return this._window; }
+    get location()        { return this._window ? this._window.location : null; }
+    get textContent()     { return null; }
+
+    get title() {
+        const title = this.querySelector('title');
+        return title ? title.textContent.trim() : '';
+    }
+
+    set title(value) {
+        let title = this.querySelector('title');
+        if (!title) title = this.head.appendChild(this.createElement('title'));
+        title.textContent = value;
+    }
+
+    createElement(name) {
+        const localName = String(name).toLowerCase();
+        const Cls = ELEMENT_CLASSES[localName] || HTMLElement;
+        return new Cls(this, localName);
+    }
+
+    createElementNS(ns, name) {
+        return this.createElement(name);
+    }
+
+    createTextNode(data) {
+        return new Text(this, data);
+    }
+
+    createComment(data) {
+        return new Comment(this, data);
+    }
+
+    createDocumentFragment() {
+        return new DocumentFragment(this);
+    }
+
+    createTreeWalker(root, whatToShow = NodeFilter.SHOW_ALL, filter = null) {
+        return new TreeWalker(root, whatToShow, filter);
+    }
+
+    hasFocus() {
+        return true;
+    }
+}
+mixin(Document, queryMethods);
+
+// Text nodes have no ownerDocument of their own until adopted
+function ownerOf(node) {
+    return node.nodeType === NODE.DOCUMENT ? node : node.ownerDocument;
+}
+
+// ============================================================
+// TREE WALKER
+// Pre-order, evaluated lazily so nodes inserted behind the
+// walker are not revisited. FILTER_REJECT skips the subtree.
+// ============================================================
+const SHOW_BITS = { [NODE.ELEMENT]: 0x1, [NODE.TEXT]: 0x4, [NODE.COMMENT]: 0x80, [NODE.DOCUMENT]: 0x100,
+                    [NODE.FRAGMENT]: 0x400 };
+
+class TreeWalker {
+    constructor(root, whatToShow, filter) {
+        this.root        = root;
+        this.whatToShow  = whatToShow;
+        this.filter      = filter;
+        this.currentNode = root;
+        this._iterator   = this._walk(root);
+    }
+
+    _accept(node) {
+        if (!(this.whatToShow & (SHOW_BITS[node.nodeType] || 0))) return NodeFilter.FILTER_SKIP;
+        if (!this.filter) return NodeFilter.FILTER_ACCEPT;
+        return typeof this.filter === 'function' ? this.filter(node) : this.filter.acceptNode(node);
+    }
+
+    *_walk(node) {
+        for (const child of [...node.childNodes]) {
+            const result = this._accept(child);
+            if (result === NodeFilter.FILTER_ACCEPT) yield child;
+            if (result !== NodeFilter.FILTER_REJECT) yield* this._walk(child);
+        }
+    }
+
+    nextNode() {
+        const { value, done } = this._iterator.next();
+        if (done) return null;
+        this.currentNode = value;
+        return value;
+    }
+}
+
+// ============================================================
+// MUTATION OBSERVER
+// Records are delivered in a microtask, batched per observer.
+// Shadow trees are not part of their host's subtree.
+// ============================================================
+class MutationObserver {
+    constructor(callback) {
+        this._callback = callback;
+        this._targets  = [];   // [{ target, options }]
+        this._records  = [];
+        this._queued   = false;
+    }
+
+    observe(target, options = {}) {
+        const doc = ownerOf(target);
+        if (!doc._observers.includes(this)) doc._observers.push(this);
+        this._doc = doc;
+        if (options.attributeFilter || options.attributeOldValue) options = { attributes: true, ...options };
+        if (options.characterDataOldValue) options = { characterData: true, ...options };
+        this._targets = this._targets.filter(t => t.target !== target).concat({ target, options });
+    }
+
+    disconnect() {
+        this._targets = [];
+        this._records = [];
+        if (this._doc) this._doc._observers = this._doc._observers.filter(o => o !== this);
+    }
+
+    takeRecords() {
+        const records = this._records;
+        this._records = [];
+        return records;
+    }
+
+    _interested(record) {
+        return this._targets.some(({ target, options }) => {
+            if (target !== record.target && !(options.subtree && target.contains(record.target))) return false;
+            if (record.type === 'childList')     return !!options.childList;
+            if (record.type === 'characterData') return !!options.characterData;
+            if (!options.attributes) return false;
+            return !options.attributeFilter || options.attributeFilter.includes(record.attributeName);
+        });
+    }
+
+    _enqueue(record) {
+        this._records.push(record);
+        if (this._queued) return;
+        this._queued = true;
+        queueMicrotask(() => {
+            this._queued = false;
+            const records = this.takeRecords();
+            if (records.length) this._callback(records, this);
+        });
+    }
+}
+
+function queueMutation(node, record) {
+    const doc = node.nodeType === NODE.DOCUMENT ? node : node.ownerDocument;
+    if (!doc || !doc._observers || !doc._observers.length) return;
+    const full = { addedNodes: [], removedNodes: [], attributeName: null, oldValue: null, ...record };
+    for (const observer of [...doc._observers]) {
+        if (observer._interested(full)) observer._enqueue(full);
+    }
+}
+
+// ============================================================
+// STYLE, CLASS LIST AND DATASET
+// ============================================================
+const kebab = name => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+function parseStyle(text) {
+    const props = new Map();
+    for (const declaration of String(text).split(';')) {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) continue;
+        const name  = declaration.slice(0, colon).trim().toLowerCase();
+        const value = declaration.slice(colon + 1).trim();
+        if (name) props.set(name, value);
+    }
+    return props;
+}
+
+function createStyle(el) {
+    const write = () => {
+        const text = [...el._styleProps].map(([name, value]) => `${name}: ${value};`).join(' ');
+        const oldValue = el.getAttribute('style');
+        if (text) el._attrs.set('style', text); else el._attrs.delete('style');
+        queueMutation(el, { type: 'attributes', target: el, attributeName: 'style', oldValue });
+    };
+    const api = {
+        get cssText() { return el.getAttribute('style') || ''; },
+        set cssText(value) { el.setAttribute('style', value); },
+        getPropertyValue: (name) => el._styleProps.get(name) || '',
+        setProperty: (name, value) => {
+            if (value === null || value === '') el._styleProps.delete(name);
+            else el._styleProps.set(name, String(value));
+            write();
+        },
+        removeProperty: (name) => {
+            const old = el._styleProps.get(name) || '';
+            el._styleProps.delete(name);
+            write();
+            return old;
+        }
+    };
+    return new Proxy(api, {
+        get(target, key) {
+            if (key in target || typeof key !== 'string') return target[key];
+            return el._styleProps.get(kebab(key)) || '';
+        },
+        set(target, key, value) {
+            if (key === 'cssText') target.cssText = value;
+            else target.setProperty(kebab(key), value);
+            return true;
+        }
+    });
+}
+
+function createClassList(el) {
+    const read  = () => el.className.split(/\s+/).filter(Boolean);
+    const write = (names) => el.setAttribute('class', names.join(' '));
+    return {
+        add:      (...names) => write([...new Set([...read(), ...names])]),
+        remove:   (...names) => write(read().filter(n => !names.includes(n))),
+        contains: (name) => read().includes(name),
+        toggle(name, force) {
+            const on = force === undefined ? !read().includes(name) : !!force;
+            if (on) this.add(name); else this.remove(name);
+            return on;
+        },
+        replace(oldName, newName) {
+            if (!read().includes(oldName)) return false;
+            write(read().map(n => n === oldName ? newName : n));
+            return true;
+        },
+        get length() { return read().length; },
+        item: (i) => read()[i] || null,
+        toString: () => el.className,
+        [Symbol.iterator]: () => read()[Symbol.iterator]()
+    };
+}
+
+function createDataset(el) {
+    const attr = key => `data-${kebab(key)}`;
+    return new Proxy({}, {
+        get: (target, key) => typeof key === 'string' && el.hasAttribute(attr(key)) ? el.getAttribute(attr(key)) : undefined,
+        set: (target, key, value) => { el.setAttribute(attr(key), value); return true; },
+        has: (target, key) => el.hasAttribute(attr(key)),
+        deleteProperty: (target, key) => { el.removeAttribute(attr(key)); return true; }
+    });
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+function isRendered(el) {
+    if (!el.isConnected) return false;
+    for (let node = el; node; node = node.parentNode || node._host) {
+        if (node.nodeType !== NODE.ELEMENT) continue;
+        if (NEVER_RENDERED.has(node.localName)) return false;
+        if (node.hasAttribute('hidden')) return false;
+        if (node._styleProps.get('display') === 'none') return false;
+        if (node.localName === 'dialog' && !node.hasAttribute('open')) return false;
+        if (node.localName === 'input' && node.type === 'hidden') return false;
+    }
+    return true;
+}
+
+// innerText: rendered text only, whitespace collapsed, a line
+// break for <br> and around block elements
+function renderedText(el) {
+    const parts = [];
+    const walk  = (node) => {
+        for (const child of node.childNodes) {
+            if (child.nodeType === NODE.TEXT) {
+                parts.push(child.data.replace(/\s+/g, ' '));
+            } else if (child.nodeType === NODE.ELEMENT) {
+                if (!isRendered(child)) continue;
+                if (child.localName === 'br') { parts.push('\n'); continue; }
+                const block = BLOCK_ELEMENTS.has(child.localName);
+                if (block) parts.push('\n');
+                walk(child);
+                if (block) parts.push('\n');
+            }
+        }
+    };
+    walk(el);
+    return parts.join('')
+        .split('\n').map(line => line.replace(/^ +| +$/g, '')).join('\n')
+        .replace(/\n{2,}/g, '\n')
+        .replace(/^\n+|\n+$/g, '');
+}
+
+// ============================================================
+// CSS SELECTORS
+// A selector list parses to [complex, ...]; a complex selector
+// is [{ compound, combinator }, ...] left to right, where
+// combinator joins the part to the one before it.
+// ============================================================
+const IDENT = /^-?(?:[_a-zA-Z\u00a0-\uffff]|\\.)(?:[-_a-zA-Z0-9\u00a0-\uffff]|\\.)*/;
+const ATTR  = /^\[\s*([^\s~|^$*!=\]]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*([iIsS])?\s*)?\]/;
+
+const selectorCache = new Map();
+
+function parseSelectors(text) {
+    const source = String(text);
+    if (selectorCache.has(source)) return selectorCache.get(source);
+
+    const invalid = () => {
+        const error = new Error(`Failed to execute 'querySelectorAll': '${source}' is not a valid selector.`);
+        error.name = 'SyntaxError';
+        return error;
+    };
+    let rest = source.trim();
+    const list = [];
+    let complex = [];
+    let combinator = null;
+
+    const ident = () => {
+        const match = rest.match(IDENT);
+        if (!match) throw invalid();
+        rest = rest.slice(match[0].length);
+        return match[0].replace(/\\(.)/g, '$1');
+    };
+
+    if (!rest) throw invalid();
+    while (rest.length) {
+        const space = rest.match(/^\s+/);
+        if (space) {
+            rest = rest.slice(space[0].length);
+            if (complex.length && !/^[>+~,]/.test(rest) && rest.length) combinator = combinator || ' ';
+            continue;
+        }
+        if (/^[>+~]/.test(rest)) {
+            if (!complex.length) throw invalid();
+            combinator = rest[0];
+            rest = rest.slice(1);
+            continue;
+        }
+        if (rest[0] === ',') {
+            if (!complex.length || combinator) throw invalid();
+            list.push(complex);
+            complex = [];
+            rest = rest.slice(1);
+            continue;
+        }
+
+        const compound = { tag: null, ids: [], classes: [], attrs: [], pseudos: [] };
+        if (rest[0] === '*') { compound.tag = '*'; rest = rest.slice(1); }
+        else if (IDENT.test(rest)) compound.tag = ident().toLowerCase();
+
+        for (;;) {
+            if (rest[0] === '#') { rest = rest.slice(1); compound.ids.push(ident()); continue; }
+            if (rest[0] === '.') { rest = rest.slice(1); compound.classes.push(ident()); continue; }
+            if (rest[0] === '[') {
+                const match = rest.match(ATTR);
+                if (!match) throw invalid();
+                rest = rest.slice(match[0].length);
+                const value = match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : match[5];
+                compound.attrs.push({ name: match[1].toLowerCase(), op: match[2] || null, value,
+                                      insensitive: /i/i.test(match[6] || '') });
+                continue;
+            }
+            if (rest[0] === ':') {
+                rest = rest.slice(1);
+                const name = ident().toLowerCase();
+                if (name === 'not' || name === 'is' || name === 'where') {
+                    if (rest[0] !== '(') throw invalid();
+                    let depth = 0;
+                    let end   = 0;
+                    for (; end < rest.length; end++) {
+                        if (rest[end] === '(') depth++;
+                        if (rest[end] === ')' && --depth === 0) break;
+                    }
+                    if (depth !== 0) throw invalid();
+                    compound.pseudos.push({ name, list: parseSelectors(rest.slice(1, end)) });
+                    rest = rest.slice(end + 1);
+                } else if (PSEUDO_CLASSES[name]) {
+                    compound.pseudos.push({ name });
+                } else {
+                    throw invalid();
+                }
+                continue;
+            }
+            break;
+        }
+        if (!compound.tag && !compound.ids.length && !compound.classes.length &&
+            !compound.attrs.length && !compound.pseudos.length) {
+            throw invalid();
+        }
+        complex.push({ compound, combinator: complex.length ? (combinator || ' ') : null });
+        combinator = null;
+    }
+    if (!complex.length || combinator) throw invalid();
+    list.push(complex);
+
+    selectorCache.set(source, list);
+    return list;
+}
+
+const PSEUDO_CLASSES = {
+    'checked':     el => !!el.checked || (el.localName === 'option' && el.selected),
+    'disabled':    el => !!el.disabled,
+    'enabled':     el => 'disabled' in el && !el.disabled,
+    'first-child': el => !el.previousElementSibling,
+    'last-child':  el => !el.nextElementSibling,
+    'only-child':  el => !el.previousElementSibling && !el.nextElementSibling,
+    'empty':       el => el.childNodes.every(n => n.nodeType === NODE.COMMENT),
+    'root':        el => !!el.ownerDocument && el.ownerDocument.documentElement === el,
+    'focus':       el => !!el.ownerDocument && el.ownerDocument.activeElement === el,
+    'scope':       () => true
+};
+
+function matchCompound(el, compound) {
+    if (compound.tag && compound.tag !== '*' && el.localName !== compound.tag) return false;
+    for (const id of compound.ids) if (el.getAttribute('id') !== id) return false;
+    for (const name of compound.classes) if (!el.classList.contains(name)) return false;
+    for (const attr of compound.attrs) {
+        let actual = el.getAttribute(attr.name);
+        if (actual === null) return false;
+        if (!attr.op) continue;
+        let wanted = attr.value;
+        if (attr.insensitive) { actual = actual.toLowerCase(); wanted = wanted.toLowerCase(); }
+        const ok = attr.op === '='  ? actual === wanted
+                 : attr.op === '~=' ? actual.split(/\s+/).includes(wanted)
+                 : attr.op === '|=' ? actual === wanted || actual.startsWith(`${wanted}-`)
+                 : attr.op === '^=' ? !!wanted && actual.startsWith(wanted)
+                 : attr.op === '$=' ? !!wanted && actual.endsWith(wanted)
+                 :                    !!wanted && actual.includes(wanted);
+        if (!ok) return false;
+    }
+    for (const pseudo of compound.pseudos) {
+        if (pseudo.list) {
+            const any = pseudo.list.some(complex => matchComplex(el, complex, complex.length - 1));
+            if (pseudo.name === 'not' ? any : !any) return false;
+        } else if (!PSEUDO_CLASSES[pseudo.name](el)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function matchComplex(el, complex, index) {
+    const { compound, combinator } = complex[index];
+    if (!matchCompound(el, compound)) return false;
+    if (index === 0) return true;
+
+    const parentOf = node => node.parentNode && node.parentNode.nodeType === NODE.ELEMENT ? node.parentNode : null;
+    if (combinator === '>') {
+        const parent = parentOf(el);
+        return !!parent && matchComplex(parent, complex, index - 1);
+    }
+    if (combinator === ' ') {
+        for (let node = parentOf(el); node; node = parentOf(node)) {
+            if (matchComplex(node, complex, index - 1)) return true;
+        }
+        return false;
+    }
+    if (combinator === '+') {
+        const previous = el.previousElementSibling;
+        return !!previous && matchComplex(previous, complex, index - 1);
+    }
+    for (let node = el.previousElementSibling; node; node = node.previousElementSibling) {
+        if (matchComplex(node, complex, index - 1)) return true;
+    }
+    return false;
+}
+
+// ============================================================
+// HTML PARSING AND SERIALISING
+// Expects well-formed markup, with the usual optional end tags
+// (li, option, p, tr, td) tolerated. Unknown entities are left
+// as they are.
+// ============================================================
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : whole;
+        }
+        return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : whole;
+    });
+}
+
+// Appends the parsed nodes to parent
+function parseInto(doc, html, parent) {
+    const stack = [parent];
+    const top   = () => stack[stack.length - 1];
+    let pos = 0;
+
+    while (pos < html.length) {
+        const lt = html.indexOf('<', pos);
+        if (lt === -1 || lt > pos) {
+            const text = html.slice(pos, lt === -1 ? html.length : lt);
+            top().appendChild(doc.createTextNode(decodeEntities(text)));
+            if (lt === -1) break;
+            pos = lt;
+        }
+
+        if (html.startsWith('<!--', pos)) {
+            const end = html.indexOf('-->', pos + 4);
+            const stop = end === -1 ? html.length : end;
+            top().appendChild(doc.createComment(html.slice(pos + 4, stop)));
+            pos = stop + 3;
+            continue;
+        }
+        if (html[pos + 1] === '!' || html[pos + 1] === '?') {
+            const end = html.indexOf('>', pos);
+            pos = end === -1 ? html.length : end + 1;
+            continue;
+        }
+        if (html[pos + 1] === '/') {
+            const end  = html.indexOf('>', pos);
+            const name = html.slice(pos + 2, end === -1 ? html.length : end).trim().toLowerCase();
+            const at   = stack.map(n => n.localName).lastIndexOf(name);
+            if (at > 0) stack.length = at;
+            pos = end === -1 ? html.length : end + 1;
+            continue;
+        }
+
+        const nameMatch = html.slice(pos + 1).match(/^[a-zA-Z][a-zA-Z0-9-]*/);
+        if (!nameMatch) {
+            top().appendChild(doc.createTextNode('<'));
+            pos++;
+            continue;
+        }
+        const name = nameMatch[0].toLowerCase();
+        pos += 1 + nameMatch[0].length;
+
+        // Attributes, up to the '>' that is not inside quotes
+        const attrs = [];
+        let selfClosing = false;
+        for (;;) {
+            const ws = html.slice(pos).match(/^\s*/)[0];
+            pos += ws.length;
+            if (pos >= html.length) break;
+            if (html[pos] === '>') { pos++; break; }
+            if (html.startsWith('/>', pos)) { selfClosing = true; pos += 2; break; }
+            const attr = html.slice(pos).match(/^([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/);
+            if (!attr) { pos++; continue; }
+            const value = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : attr[4] !== undefined ? attr[4] : '';
+            attrs.push([attr[1].toLowerCase(), decodeEntities(value)]);
+            pos += attr[0].length;
+        }
+
+        if (AUTO_CLOSING.has(name) && top().localName === name) stack.pop();
+        if ((name === 'td' || name === 'th') && ['td', 'th'].includes(top().localName)) stack.pop();
+
+        const el = doc.createElement(name);
+        for (const [attrName, value] of attrs) el._attrs.set(attrName, value);
+        if (el._attrs.has('style')) el._styleProps = parseStyle(el._attrs.get('style'));
+        top().appendChild(el);
+
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const close = html.toLowerCase().indexOf(`</${name}`, pos);
+            const end   = close === -1 ? html.length : close;
+            const text  = html.slice(pos, end);
+            if (text) el.appendChild(doc.createTextNode(name === 'script' || name === 'style' ? text : decodeEntities(text)));
+            const gt = close === -1 ? html.length : html.indexOf('>', close);
+            pos = gt === -1 ? html.length : gt + 1;
+            continue;
+        }
+        if (!VOID_ELEMENTS.has(name) && !selfClosing) stack.push(el);
+    }
+}
+
+function parseFragment(doc, html, contextName) {
+    const holder = doc.createElement(contextName === 'template' ? 'div' : contextName);
+    parseInto(doc, String(html), holder);
+    const nodes = holder.childNodes;
+    for (const node of nodes) node.parentNode = null;
+    holder.childNodes = [];
+    return nodes;
+}
+
+// A whole page: always ends up with <html>, <head> and <body>
+function parseDocument(html) {
+    const doc = new Document();
+    parseInto(doc, String(html), doc);
+    doc.childNodes = doc.childNodes.filter(n => n.nodeType === NODE.ELEMENT);
+
+    let root = doc.childNodes.find(n => n.localName === 'html');
+    if (!root) {
+        root = doc.createElement('html');
+        const loose = doc.childNodes;
+        doc.childNodes = [];
+        doc.appendChild(root);
+        const body = doc.createElement('body');
+        root.appendChild(body);
+        for (const node of loose) body.appendChild(node);
+    }
+    doc.childNodes = [root];
+    if (!root.children.some(el => el.localName === 'head')) root.insertBefore(doc.createElement('head'), root.firstChild);
+    if (!root.children.some(el => el.localName === 'body')) {
+        const body = doc.createElement('body');
+        for (const node of root.childNodes.filter(n => n.localName !== 'head')) body.appendChild(node);
+        root.appendChild(body);
+    }
+    doc.activeElement = doc.body;
+    return doc;
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+}
+
+function serialize(node) {
+    if (node.nodeType === NODE.TEXT) {
+        const parent = node.parentNode;
+        return parent && (parent.localName === 'script' || parent.localName === 'style') ? node.data : escapeText(node.data);
+    }
+    if (node.nodeType === NODE.COMMENT) return `<!--${node.data}-->`;
+    if (node.nodeType !== NODE.ELEMENT) return node.childNodes.map(serialize).join('');
+
+    const attrs = [...node._attrs].map(([name, value]) => ` ${name}="${value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`).join('');
+    if (VOID_ELEMENTS.has(node.localName)) return `<${node.localName}${attrs}>`;
+    return `<${node.localName}${attrs}>${node.childNodes.map(serialize).join('')}</${node.localName}>`;
+}
+
+// ============================================================
+// WINDOW
+// A vm context whose global object acts as the page's window.
+// options:
+//   url        — the page address (location is read-only apart
+//                from navigation, which calls onNavigate(url))
+//   html       — the page markup
+//   onNavigate — called with the absolute URL on navigation
+//   globals    — extra globals, e.g. chrome or fetch
+//   console    — the page's console
+// Inline scripts are not run here — see runScripts().
+//
+// Content scripts run in an isolated world, as in the browser:
+// createIsolatedWorld() gives them their own globals over the
+// same document, so their top-level declarations cannot clash
+// with the page's.
+// ============================================================
+function createWindow({ url = 'about:blank', html = '', onNavigate = () => {}, globals = {}, console: pageConsole = console } = {}) {
+    const doc    = parseDocument(html);
+    const target = new EventTarget();   // listeners registered on window
+    const worlds = [];
+
+    const location = createLocation(url, onNavigate);
+    doc.URL = location.href;
+
+    const context = createGlobals(doc, location, target, pageConsole, globals);
+    doc._window = context;
+
+    const closeTimers = context.close;
+    context.close = () => {
+        for (const world of worlds) world.close();
+        closeTimers();
+        doc._observers = [];
+    };
+    context._worlds = worlds;
+    return context;
+}
+
+function createIsolatedWorld(page, { globals = {}, console: worldConsole = console } = {}) {
+    const world = createGlobals(page.document, page.location, page, worldConsole, globals);
+    page._worlds.push(world);
+    return world;
+}
+
+// The global object shared by pages and isolated worlds
+function createGlobals(doc, location, target, scriptConsole, globals) {
+    const { clearAll: clearTimers, ...timers } = createTimers();
+    const win = {
+        document: doc,
+        location,
+        navigator:   { userAgent: 'FieldRoutes test harness', language: 'en-US', clipboard: { writeText: async () => {} } },
+        console:     scriptConsole,
+        NodeFilter,
+        Node, Element, HTMLElement, Text, Comment, Document, DocumentFragment, ShadowRoot,
+        HTMLInputElement, HTMLTextAreaElement, HTMLSelectElement, HTMLOptionElement, HTMLButtonElement,
+        HTMLAnchorElement, HTMLFormElement, HTMLDetailsElement, HTMLDialogElement,
+        Event, UIEvent, KeyboardEvent, MouseEvent, FocusEvent, CustomEvent, EventTarget,
+        MutationObserver,
+        Option: function Option(text = '', value, defaultSelected = false, selected = false) {
+            const option = doc.createElement('option');
+            option.textContent = text;
+            if (value !== undefined) option.setAttribute('value', value);
+            if (defaultSelected) option.setAttribute('selected', '');
+            if (selected) option._selected = true;
+            return option;
+        },
+        getComputedStyle: (el) => ({
+            display:    isRendered(el) ? (el._styleProps.get('display') || 'block') : 'none',
+            visibility: 'visible',
+            getPropertyValue(name) { return name === 'display' ? this.display : (el._styleProps.get(name) || ''); }
+        }),
+        matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} }),
+        requestAnimationFrame: (callback) => win.setTimeout(() => callback(Date.now()), 16),
+        cancelAnimationFrame:  (handle) => win.clearTimeout(handle),
+        alert() {}, confirm: () => true, prompt: () => null, scrollTo() {},
+        innerWidth: 1280, innerHeight: 800,
+        addEventListener:    (...args) => target.addEventListener(...args),
+        removeEventListener: (...args) => target.removeEventListener(...args),
+        dispatchEvent:       (event) => target.dispatchEvent(event),
+
+        ...timers,
+        queueMicrotask,
+        URL, URLSearchParams, TextEncoder, TextDecoder, AbortController, Headers, Request, Response,
+        ReadableStream, fetch, performance, structuredClone, atob, btoa,
+
+        // Stops the script's timers; nothing it scheduled runs afterwards
+        close() {
+            clearTimers();
+            win.closed = true;
+        },
+        closed: false,
+        ...globals
+    };
+    win.window = win;
+    win.self   = win;
+    win.top    = win;
+
+    const context = vm.createContext(win);
+    if (target instanceof EventTarget) {
+        // A page's window is itself an event target, at the end of every event path
+        context._listeners    = target._listeners;
+        context.dispatchEvent = (event) => EventTarget.prototype.dispatchEvent.call(context, event);
+    }
+    return context;
+}
+
+// Runs the page's inline <script>s in order. Scripts with src are
+// skipped — the harness loads extension scripts itself.
+function runScripts(win, filename = 'page') {
+    let index = 0;
+    for (const script of win.document.querySelectorAll('script')) {
+        if (script.getAttribute('src')) continue;
+        vm.runInContext(script.textContent, win, { filename: `${filename}#script${++index}` });
+    }
+    win.document.readyState = 'complete';
+    win.document.dispatchEvent(new Event('DOMContentLoaded', { bubbles: true }));
+    win.dispatchEvent(new Event('load'));
+}
+
+// setTimeout and friends for a script's globals, tracked so that
+// clearAll() can stop everything the script started. Nothing new
+// is scheduled after clearAll() — a closed page or a stopped
+// background script can still be finishing a fetch.
+function createTimers() {
+    const handles = new Set();
+    let stopped = false;
+    return {
+        setTimeout(callback, ms = 0, ...args) {
+            if (stopped) return null;
+            const handle = setTimeout(() => { handles.delete(handle); callback(...args); }, ms);
+            handles.add(handle);
+            return handle;
+        },
+        clearTimeout(handle) {
+            handles.delete(handle);
+            clearTimeout(handle);
+        },
+        setInterval(callback, ms = 0, ...args) {
+            if (stopped) return null;
+            const handle = setInterval(() => callback(...args), ms);
+            handles.add(handle);
+            return handle;
+        },
+        clearInterval(handle) {
+            handles.delete(handle);
+            clearInterval(handle);
+        },
+        clearAll() {
+            stopped = true;
+            for (const handle of handles) clearTimeout(handle);   // clears intervals too
+            handles.clear();
+        }
+    };
+}
+
+function createLocation(url, onNavigate) {
+    const current = new URL(url);
+    const go = (next) => onNavigate(new URL(String(next), current.href).href);
+    const location = {
+        get href()     { return current.href; },
+        set href(next) { go(next); },
+        get origin()   { return current.origin; },
+        get protocol() { return current.protocol; },
+        get host()     { return current.host; },
+        get hostname() { return current.hostname; },
+        get port()     { return current.port; },
+        get pathname() { return current.pathname; },
+        set pathname(path) { go(path); },
+        get search()   { return current.search; },
+        get hash()     { return current.hash; },
+        assign:  go,
+        replace: go,
+        reload:  () => go(current.href),
+        toString: () => current.href
+    };
+    return location;
+}
+
+module.exports = { createWindow, createIsolatedWorld, runScripts, createTimers };
@@ -0,0 +1,83 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Test Harness
+// ============================================================
+// What each test starts from: the mock middleware, and a fake
+// browser holding the built extension configured for it — agent
+// 101 on the acme PestRoutes site with the right shared secret,
+// and access to both granted as saving those settings would.
+// Any of that can be overridden per test through storage and
+// granted.
+//
+// The selector profile the middleware serves has short timeouts,
+// so a search that finds nothing fails in a second or two rather
+// than the ten seconds a real office needs.
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+const { FakeBrowser, waitFor } = require('./chrome');
+const { startMockServer }      = require('./mock-server');
+
+const FIXTURE      = fs.readFileSync(path.join(__dirname, '../fixtures/pestroutes.html'), 'utf8');
+const WEB_CLIENT   = fs.readFileSync(path.join(__dirname, '../fixtures/3cx-webclient.html'), 'utf8');
+const PBX_ORIGIN   = 'https://pbx.example.com';
+const SECRET       = 'test-secret';
+const AGENT        = '101';
+const TEST_PROFILE = { pageTimeoutMs: 2000, resultsTimeoutMs: 1500, settleMs: 100 };
+
+// The 3CX web client at PBX_ORIGIN, and every other https page
+// is the PestRoutes fixture
+function fixturePages(url) {
+    if (url.startsWith(`${PBX_ORIGIN}/`)) return WEB_CLIENT;
+    return url.startsWith('https://') ? FIXTURE : null;
+}
+
+// Resolves with { server, browser, tearDown() }. The background
+// script is not started — call browser.startBackground() once the
+// test has set up what it needs. supervisors lists the agents the
+// middleware treats as paired supervisors; policy is the browser's
+// managed storage; granted lists the host permissions the
+// operator has allowed besides the middleware's, by default the
+// pestroutes.com sites.
+async function setUp({ storage = {}, policy = {}, contentScripts = true, profile = TEST_PROFILE, supervisors = [],
+                       granted = ['https://*.pestroutes.com/*'] } = {}) {
+    const server  = await startMockServer({ secret: SECRET, profile, supervisors });
+    const browser = new FakeBrowser({
+        pages:   fixturePages,
+        policy,
+        contentScripts,
+        granted: [...granted, 'http://127.0.0.1/*'],
+        storage: {
+            extensionNumber:   AGENT,
+            serverAddress:     server.address,
+            sharedSecret:      SECRET,
+            pestRoutesCompany: 'acme',
+            ...storage
+        }
+    });
+
+    return {
+        server,
+        browser,
+        async tearDown() {
+            browser.dispose();
+            await server.close();
+        }
+    };
+}
+
+// Starts the background script and waits for the stream to open
+async function connectBackground(browser) {
+    browser.startBackground();
+    await waitFor(() => browser.badge.text === 'ON', { what: 'the badge to show ON' });
+}
+
+// Calls /notify as 3CX does when the agent answers
+async function notify(server, params) {
+    const query    = new URLSearchParams({ agent: AGENT, ...params });
+    const response = await fetch(`${server.url}/notify?${query}`);
+    if (!response.ok) throw new Error(`/notify failed: HTTP ${response.status}`);
+}
+
+module.exports = { setUp, connectBackground, notify, waitFor, AGENT, SECRET, PBX_ORIGIN };
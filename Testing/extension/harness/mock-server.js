@@ -0,0 +1,268 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Test Harness: Mock Middleware
+// ============================================================
+// A local stand-in for Start-PestRoutesMiddleware.ps1 with the
+// routes the extension talks to, answering the way the real
+// ones do:
+//   POST /token           shared secret → { token, expiresAt, expiresIn, role }
+//                         wrong secret  → 403 "Shared secret rejected by server"
+//   GET  /sse             Bearer token; sends 'connected', then replays
+//                         events after Last-Event-ID from the agent's buffer
+//   GET  /supervisor/sse  supervisor token; sends the board, then updates
+//   GET  /notify          openCustomer to the agent, as 3CX calls it
+//   GET  /call/:state     call-state events (ringing, answered, ...);
+//                         403 without the shared secret in
+//                         X-Shared-Secret or the integration key in key=
+//   POST /ack             records the pop's outcome; 404 for an event
+//                         that was not sent to the token's agent
+//   GET  /selectors.json  the selector profile
+//   GET  /health          version only
+//   GET  /connections     Bearer token; connectedAgents, the token's
+//                         own agent's or, for a supervisor, everyone's
+// Tokens are opaque here; the extension never looks inside one.
+// There is no pairing: the agents listed in supervisors get role
+// 'supervisor' with the shared secret, as an approved supervisor
+// credential would, and the board holds whatever the test puts
+// there with updateBoard().
+//
+// Tests drive it through the returned object: dropConnections()
+// ends every stream as a middleware restart would, and acks,
+// tokenRequests and sseRequests record what the extension sent.
+// ============================================================
+
+const http = require('http');
+
+const CALL_STATE_EVENTS = { ringing: 'callRinging', answered: 'callAnswered', hold: 'callHeld',
+                            transferred: 'callTransferred', ended: 'callEnded' };
+const CALLER_FIELDS     = ['firstName', 'lastName', 'companyName', 'email', 'address', 'city', 'balance'];
+const TOKEN_LIFETIME_S  = 3600;
+
+// options:
+//   secret      — the shared secret /token accepts
+//   integrationKey — the key= /call/:state accepts instead of it
+//   profile     — what /selectors.json returns
+//   supervisors — agents whose tokens have role 'supervisor'
+function startMockServer({ secret = 'test-secret', integrationKey = 'test-integration-key', profile = {},
+                          supervisors = [] } = {}) {
+    const tokens  = new Map();   // token → { agent, role }
+    const streams = new Set();   // { agent, clientId, res, connectedAt }
+    const boards  = new Set();   // supervisor streams: { agent, res }
+    const buffers = new Map();   // agent → [{ id, type, data }]
+    let nextEventId  = 1;
+    let nextClientId = 1;
+
+    const mock = {
+        url:           '',
+        address:       '',   // host:port, as entered in the popup
+        secret,
+        integrationKey,
+        profile,
+        acks:          [],
+        tokenRequests: [],
+        sseRequests:   [],   // { agent, lastEventId, status }
+        boardRequests: [],   // { agent, status } for /supervisor/sse
+        events:        [],   // every event sent, { id, agent, type, data, delivered }
+        board:         new Map(),   // agent → row
+
+        // Merges fields into the agent's board row and sends the row
+        // to every open supervisor board
+        updateBoard(fields) {
+            const row = { ...(mock.board.get(fields.agent) || {}), ...fields };
+            mock.board.set(row.agent, row);
+            const data = JSON.stringify({ row, serverTime: Date.now() });
+            for (const board of boards) board.res.write(`event: boardUpdate\ndata: ${data}\n\n`);
+            return row;
+        },
+
+        // Sends an event to every stream of the agent and keeps it for
+        // replay. Returns the event id.
+        sendEvent(agent, type, data) {
+            const event = { id: String(nextEventId++), type, data: JSON.stringify(data) };
+            const buffer = buffers.get(agent) || [];
+            buffer.push(event);
+            buffers.set(agent, buffer.slice(-50));
+
+            let delivered = 0;
+            for (const stream of streams) {
+                if (stream.agent !== agent) continue;
+                writeEvent(stream.res, event);
+                delivered++;
+            }
+            mock.events.push({ id: event.id, agent, type, data, delivered });
+            return event.id;
+        },
+
+        // Ends every open stream, as a middleware restart would
+        dropConnections() {
+            for (const stream of [...streams, ...boards]) stream.res.destroy();
+            streams.clear();
+            boards.clear();
+        },
+
+        connectedAgents() {
+            return [...streams].map(s => s.agent);
+        },
+
+        close() {
+            mock.dropConnections();
+            return new Promise(resolve => {
+                server.closeAllConnections();
+                server.close(() => resolve());
+            });
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url  = new URL(req.url, mock.url);
+        const body = req.method === 'POST' ? await readJson(req) : {};
+        const route = `${req.method} ${url.pathname}`;
+        const bearer = (/^Bearer\s+(\S+)$/.exec(req.headers.authorization || '') || [])[1];
+
+        if (route === 'POST /token') {
+            const agent = String(body.agent || '').trim();
+            mock.tokenRequests.push({ agent, secret: req.headers['x-shared-secret'] || '' });
+            if (!agent) return sendJson(res, 400, { error: 'Missing agent' });
+            if (req.headers['x-shared-secret'] !== mock.secret) {
+                return sendJson(res, 403, { error: 'Shared secret rejected by server' });
+            }
+            const token = `token-${agent}-${tokens.size + 1}`;
+            const role  = supervisors.includes(agent) ? 'supervisor' : 'agent';
+            tokens.set(token, { agent, role });
+            return sendJson(res, 200, {
+                token,
+                expiresAt: new Date(Date.now() + TOKEN_LIFETIME_S * 1000).toISOString(),
+                expiresIn: TOKEN_LIFETIME_S,
+                role
+            });
+        }
+
+        if (route === 'GET /sse') {
+            const agent       = url.searchParams.get('agent') || '';
+            const lastEventId = req.headers['last-event-id'] || '';
+            const request     = { agent, lastEventId, status: 200 };
+            mock.sseRequests.push(request);
+
+            if (!agent) { request.status = 400; return sendText(res, 400, 'Missing agent'); }
+            if (!bearer || !tokens.has(bearer) || tokens.get(bearer).agent !== agent) {
+                request.status = 401;
+                return sendText(res, 401, 'Invalid or expired token');
+            }
+
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            const stream = { agent, clientId: `client-${nextClientId++}`, res, connectedAt: Date.now() };
+            streams.add(stream);
+            req.on('close', () => streams.delete(stream));
+
+            res.write(`event: connected\ndata: ${JSON.stringify({ status: 'connected', agent, clientId: stream.clientId })}\n\n`);
+            if (lastEventId) {
+                for (const event of buffers.get(agent) || []) {
+                    if (Number(event.id) > Number(lastEventId)) writeEvent(res, event);
+                }
+            }
+            return;
+        }
+
+        if (route === 'GET /supervisor/sse') {
+            const claims  = tokens.get(bearer);
+            const request = { agent: claims ? claims.agent : '', status: 200 };
+            mock.boardRequests.push(request);
+            if (!claims || claims.role !== 'supervisor') {
+                request.status = 401;
+                return sendText(res, 401, 'Invalid or expired token');
+            }
+
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            const board = { agent: claims.agent, res };
+            boards.add(board);
+            req.on('close', () => boards.delete(board));
+            res.write(`event: board\ndata: ${JSON.stringify({ rows: [...mock.board.values()], serverTime: Date.now() })}\n\n`);
+            return;
+        }
+
+        if (route === 'GET /notify') {
+            const query = Object.fromEntries(url.searchParams);
+            if (!query.customerID && !query.phone) return sendText(res, 400, 'Missing customerID or phone');
+
+            const payload = { type: 'openCustomer', customerID: query.customerID || '', phone: query.phone || '',
+                              agent: query.agent || '', timestamp: new Date().toISOString() };
+            for (const field of CALLER_FIELDS) payload[field] = query[field] || '';
+            const id = mock.sendEvent(payload.agent, 'openCustomer', payload);
+            return sendText(res, 200, `Sent event ${id}`);
+        }
+
+        const callRoute = /^GET \/call\/(\w+)$/.exec(route);
+        if (callRoute) {
+            const query = Object.fromEntries(url.searchParams);
+            if (req.headers['x-shared-secret'] !== mock.secret && query.key !== mock.integrationKey) {
+                return sendJson(res, 403, { error: 'Shared secret or integration key rejected by server' });
+            }
+            delete query.key;
+            const type = CALL_STATE_EVENTS[callRoute[1]];
+            if (!type) return sendJson(res, 400, { error: 'Unknown call state' });
+            const id    = mock.sendEvent(query.agent || '', type, query);
+            if (type === 'callTransferred' && query.to) mock.sendEvent(query.to, type, query);
+            return sendJson(res, 200, { status: 'sent', eventId: id });
+        }
+
+        if (route === 'POST /ack') {
+            if (!bearer || !tokens.has(bearer)) return sendJson(res, 401, { error: 'Invalid or expired token' });
+            const agent = tokens.get(bearer).agent;
+            if (!mock.events.some(e => e.id === String(body.eventId) && e.agent === agent)) {
+                return sendJson(res, 404, { error: 'Unknown event id' });
+            }
+            mock.acks.push({ agent, ...body });
+            return sendJson(res, 200, { status: 'ok' });
+        }
+
+        if (route === 'GET /selectors.json') return sendJson(res, 200, mock.profile);
+
+        if (route === 'GET /health') return sendJson(res, 200, { status: 'ok', version: 'mock' });
+
+        if (route === 'GET /connections') {
+            const claims = tokens.get(bearer);
+            if (!claims) return sendJson(res, 401, { error: 'Invalid or expired token' });
+            const visible = [...streams].filter(s => claims.role === 'supervisor' || s.agent === claims.agent);
+            return sendJson(res, 200, {
+                connectedAgents: visible.map(s => ({ agent: s.agent, clientId: s.clientId, connectedAt: s.connectedAt }))
+            });
+        }
+
+        sendText(res, 404, 'Not found');
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            mock.address = `127.0.0.1:${port}`;
+            mock.url     = `http://${mock.address}`;
+            resolve(mock);
+        });
+    });
+}
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${event.data}\n\n`);
+}
+
+function readJson(req) {
+    return new Promise(resolve => {
+        let text = '';
+        req.on('data', chunk => { text += chunk; });
+        req.on('end', () => {
+            try { resolve(JSON.parse(text || '{}')); } catch (err) { resolve({}); }
+        });
+    });
+}
+
+function sendJson(res, status, value) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(value));
+}
+
+function sendText(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(text);
+}
+
+module.exports = { startMockServer };
@@ -0,0 +1,214 @@
+// ============================================================
+// Screen pops: handleOpenCustomer end to end against the fixture
+// ============================================================
+// Each test has the agent connected with a PestRoutes tab open
+// on the dashboard, then calls /notify as 3CX would and checks
+// where the tab ended up and what the middleware was told.
+// ============================================================
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUp, connectBackground, notify, waitFor, SECRET } = require('./harness');
+
+const POP_WAIT_MS = 10000;
+
+let env;
+afterEach(() => env && env.tearDown());
+
+// Connected, with one tab on the dashboard. Returns its tab id.
+async function ready(options = {}, url = 'https://acme.pestroutes.com/') {
+    env = await setUp(options);
+    await connectBackground(env.browser);
+    return env.browser.openTab(url);
+}
+
+function waitForAck() {
+    return waitFor(() => env.server.acks[0], { what: 'the pop to be acknowledged', timeout: POP_WAIT_MS });
+}
+
+test('opens the customer card by ID and acknowledges it', async () => {
+    const tabId = await ready();
+    await notify(env.server, { customerID: '1001', phone: '5551234567' });
+
+    const ack = await waitForAck();
+    assert.equal(ack.outcome, 'opened');
+    assert.equal(ack.method, 'url');
+    assert.equal(ack.eventId, '1');
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/customers/1001');
+
+    const [entry] = env.browser.storage.popHistory;
+    assert.equal(entry.status, 'opened');
+    assert.equal(entry.customerID, '1001');
+});
+
+test('the screen-pop tab is one the extension opened, never a tab the agent pinned', async () => {
+    const ownTab = await ready({ storage: { tabTarget: 'pinned' } });
+    env.browser.tabs.get(ownTab).pinned = true;
+    await notify(env.server, { customerID: '1001' });
+
+    const ack = await waitForAck();
+    assert.equal(ack.outcome, 'opened');
+    assert.equal(env.browser.tabs.get(ownTab).url, 'https://acme.pestroutes.com/');
+    const popTabId = env.browser.storage.popTabId;
+    assert.notEqual(popTabId, ownTab);
+    assert.equal(env.browser.tabs.get(popTabId).pinned, true);
+    assert.equal(env.browser.tabs.get(popTabId).url, 'https://acme.pestroutes.com/customers/1001');
+
+    await notify(env.server, { customerID: '1002' });
+    const second = await waitFor(() => env.server.acks[1], { what: 'the second pop', timeout: POP_WAIT_MS });
+    assert.equal(second.outcome, 'opened');
+    assert.equal(env.browser.tabs.size, 2);
+    assert.equal(env.browser.tabs.get(popTabId).url, 'https://acme.pestroutes.com/customers/1002');
+});
+
+test('refuses a pop until the PestRoutes site is allowed on the options page', async () => {
+    const tabId = await ready({ granted: [] });
+    assert.equal(env.browser.tabs.get(tabId).content, null);
+    await notify(env.server, { customerID: '1001' });
+
+    const refused = await waitForAck();
+    assert.equal(refused.outcome, 'not_configured');
+    assert.equal(refused.reason, 'No permission for acme.pestroutes.com');
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/');
+
+    const page = env.browser.openPage('options.html');
+    await waitFor(() => page.document.getElementById('companyInput').value === 'acme', { what: 'the form to fill in' });
+    page.document.getElementById('saveBtn').click();
+    await waitFor(() => env.browser.registered.has('pestroutes'), { what: 'the content script to be registered' });
+
+    await notify(env.server, { customerID: '1001' });
+    const ack = await waitFor(() => env.server.acks[1], { what: 'the second pop', timeout: POP_WAIT_MS });
+    assert.equal(ack.outcome, 'opened');
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/customers/1001');
+    assert.notEqual(env.browser.tabs.get(tabId).content, null);
+});
+
+test('the card counts as shown only at its own address, not one that merely contains the ID', async () => {
+    const tabId = await ready({}, 'https://acme.pestroutes.com/customers/1001');
+    await waitFor(() => env.browser.tabs.get(tabId).content, { what: 'the content script to load' });
+    const world   = env.browser.tabs.get(tabId).content.global;
+    const profile = world.normalizeSelectorProfile();
+    assert.equal(world.pageStatus('1001', profile).onCustomerCard, true);
+    assert.equal(world.pageStatus('100', profile).onCustomerCard, false);
+    assert.equal(world.pageStatus('001', profile).onCustomerCard, false);
+    assert.equal(world.pageStatus('', profile).onCustomerCard, false);
+});
+
+test('a field PestRoutes filled in by script is not unsaved work, one the agent typed in is', async () => {
+    const tabId = await ready();
+    await notify(env.server, { customerID: '1001' });
+    await waitForAck();
+    await env.browser.waitForTab(tabId);
+    const card = env.browser.page(tabId).document;
+    assert.notEqual(card.getElementById('phoneField').value, card.getElementById('phoneField').defaultValue);
+
+    await notify(env.server, { customerID: '1002' });
+    await waitFor(() => env.server.acks[1], { what: 'the second pop', timeout: POP_WAIT_MS });
+    await env.browser.waitForTab(tabId);
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/customers/1002');
+    assert.equal(env.browser.tabs.size, 1);
+
+    const page  = env.browser.page(tabId);
+    const notes = page.document.getElementById('notes');
+    notes.value = 'Gate code 4411';
+    notes.dispatchEvent(new page.Event('input', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 500));   // reported as pageBusy within 250 ms
+
+    await notify(env.server, { customerID: '1001' });
+    const ack = await waitFor(() => env.server.acks[2], { what: 'the third pop', timeout: POP_WAIT_MS });
+    assert.equal(ack.outcome, 'opened');
+    assert.equal(env.browser.tabs.size, 2);
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/customers/1002');
+    assert.equal(notes.value, 'Gate code 4411');
+});
+
+test('another agent cannot acknowledge the pop', async () => {
+    await ready();
+    await notify(env.server, { customerID: '1001' });
+    await waitForAck();
+
+    const tokenResponse = await fetch(`${env.server.url}/token`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Shared-Secret': SECRET },
+        body:    JSON.stringify({ agent: '102' })
+    });
+    const { token } = await tokenResponse.json();
+    const response = await fetch(`${env.server.url}/ack`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body:    JSON.stringify({ eventId: '1', outcome: 'no_results' })
+    });
+
+    assert.equal(response.status, 404);
+    assert.equal(env.server.acks.length, 1);
+    assert.equal(env.server.acks[0].outcome, 'opened');
+});
+
+test('finds a phone-only pop through the autocomplete search', async () => {
+    const tabId = await ready();
+    await notify(env.server, { phone: '5559876543' });
+
+    const ack = await waitForAck();
+    assert.equal(ack.outcome, 'opened');
+    assert.equal(ack.method, 'search');
+    await env.browser.waitForTab(tabId);
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/customers/1002');
+});
+
+test('falls back to the search when the card URL does not show the customer', async () => {
+    const tabId = await ready();
+    // PestRoutes sends an unknown ID back to the dashboard
+    await notify(env.server, { customerID: '9999', phone: '5551234567' });
+
+    const ack = await waitForAck();
+    assert.equal(ack.outcome, 'opened');
+    assert.equal(ack.method, 'search');
+    await env.browser.waitForTab(tabId);
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/customers/1001');
+    assert.ok(env.browser.logs.some(l => l.text.includes('Direct URL failed (Customer card not shown)')));
+});
+
+test('reports no_results when nobody matches the phone number', async () => {
+    const tabId = await ready();
+    await notify(env.server, { phone: '5550000000' });
+
+    const ack = await waitForAck();
+    assert.equal(ack.outcome, 'no_results');
+    assert.match(ack.reason, /No autocomplete results within 1\.5 s/);
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/');
+    assert.equal(env.browser.storage.popHistory[0].status, 'failed');
+});
+
+test('several matches go to the picker and the chosen row is opened', async () => {
+    const tabId = await ready();
+    await notify(env.server, { phone: '5552223333' });
+
+    const picker = await waitFor(() => env.browser.page(tabId).document.getElementById('fr3cx-picker'),
+                                 { what: 'the picker', timeout: POP_WAIT_MS });
+    const rows = picker.shadowRoot.querySelectorAll('li');
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1].querySelector('.name').textContent, 'Garcia Landscaping');
+    rows[1].click();
+
+    const ack = await waitForAck();
+    assert.equal(ack.outcome, 'opened');
+    await env.browser.waitForTab(tabId);
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/customers/1004');
+});
+
+test('injects the search into a tab that has no content script', async () => {
+    // A PestRoutes domain the content script is not registered for
+    const tabId = await ready({ storage: { pestRoutesDomain: 'pestroutes.example' }, granted: ['https://*.pestroutes.example/*'] },
+                              'https://acme.pestroutes.example/');
+    assert.equal(env.browser.tabs.get(tabId).content, null);
+
+    await notify(env.server, { phone: '5559876543' });
+
+    const ack = await waitForAck();
+    assert.equal(ack.outcome, 'opened');
+    assert.equal(ack.method, 'search');
+    await env.browser.waitForTab(tabId);
+    assert.equal(env.browser.tabs.get(tabId).url, 'https://acme.pestroutes.example/customers/1002');
+    assert.ok(env.browser.logs.some(l => l.text.includes(`No content script in tab ${tabId} — injecting searchCustomerInPage`)));
+});
@@ -0,0 +1,149 @@
+// ============================================================
+// options.js: settings form, validation, test connection and
+// import/export
+// ============================================================
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUp, connectBackground, waitFor, AGENT, SECRET } = require('./harness');
+
+let env;
+afterEach(() => env && env.tearDown());
+
+function field(win, id) {
+    return win.document.getElementById(id);
+}
+
+// Values made in a page's own realm, copied so deepEqual compares
+// only their contents
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function steps(win, id) {
+    return [...win.document.querySelectorAll(`#${id} li`)].map(li => ({
+        status: li.querySelector('.step-icon').className.replace('step-icon ', ''),
+        label:  li.querySelector('div').firstChild.textContent
+    }));
+}
+
+test('shows the saved settings, never the secret', async () => {
+    env = await setUp({ storage: { tabTarget: 'pinned', clickToCall: true, logLevel: 'warn' } });
+    const page = env.browser.openPage('options.html');
+
+    await waitFor(() => field(page, 'extensionInput').value === AGENT, { what: 'the form to fill in' });
+    assert.equal(field(page, 'serverInput').value, env.server.address);
+    assert.equal(field(page, 'companyInput').value, 'acme');
+    assert.equal(field(page, 'tabTargetSelect').value, 'pinned');
+    assert.equal(field(page, 'dialSelect').value, 'on');
+    assert.equal(field(page, 'wrapUpSelect').value, 'off');
+    assert.equal(field(page, 'logLevelSelect').value, 'warn');
+    assert.equal(field(page, 'secretInput').value, '');
+    assert.equal(field(page, 'secretSet').hidden, false);
+});
+
+test('saving a new extension number reconnects the background as it', async () => {
+    env = await setUp();
+    await connectBackground(env.browser);
+    const page = env.browser.openPage('options.html');
+    await waitFor(() => field(page, 'extensionInput').value === AGENT, { what: 'the form to fill in' });
+
+    field(page, 'extensionInput').value = '102';
+    field(page, 'saveBtn').click();
+
+    await waitFor(() => env.browser.storage.extensionNumber === '102', { what: 'the extension number to be saved' });
+    assert.equal(field(page, 'saveMessage').textContent, '✓ Saved — reconnecting');
+    await waitFor(() => env.server.connectedAgents().includes('102'), { what: 'a stream for extension 102' });
+    assert.deepEqual(env.server.connectedAgents(), ['102']);
+});
+
+test('checks the form and saves nothing while a field is wrong', async () => {
+    env = await setUp();
+    const page = env.browser.openPage('options.html');
+    await waitFor(() => field(page, 'extensionInput').value === AGENT, { what: 'the form to fill in' });
+
+    field(page, 'extensionInput').value = '10 1';
+    field(page, 'serverInput').value    = 'ftp://192.168.1.50:3000';
+    field(page, 'companyInput').value   = 'acme corp';
+    field(page, 'saveBtn').click();
+
+    await waitFor(() => field(page, 'saveMessage').className === 'message failed', { what: 'the save to be refused' });
+    assert.equal(field(page, 'extensionError').textContent, 'Up to 10 letters and digits, e.g. 101');
+    assert.equal(field(page, 'serverError').textContent, 'Use http:// or https://, not ftp://');
+    assert.match(field(page, 'siteError').textContent, /^Only letters, digits and dashes/);
+    assert.equal(field(page, 'serverField').classList.contains('invalid'), true);
+    assert.equal(env.browser.storage.extensionNumber, AGENT);
+    assert.equal(env.browser.storage.serverAddress, env.server.address);
+
+    assert.deepEqual(plain(page.parseServerAddress(' 192.168.1.50:3000/ ')), { address: '192.168.1.50:3000' });
+    assert.deepEqual(plain(page.parseServerAddress('https://middleware.example.com')), { address: 'https://middleware.example.com' });
+    assert.equal(page.parseServerAddress('192.168.1.50:99999').error, 'Not a valid host:port or address');
+    assert.equal(page.parseServerAddress('http://host:3000/api').error, 'Enter the server address only, without a path');
+});
+
+test('test connection checks the server and credentials in the form before they are saved', async () => {
+    env = await setUp();
+    await connectBackground(env.browser);
+    const page = env.browser.openPage('options.html');
+    await waitFor(() => field(page, 'extensionInput').value === AGENT, { what: 'the form to fill in' });
+
+    field(page, 'testConnectionBtn').click();
+    await waitFor(() => steps(page, 'connectionSteps').length === 3, { what: 'every step to finish' });
+    assert.deepEqual(steps(page, 'connectionSteps'), [
+        { status: 'pass', label: `Reach ${env.server.url}` },
+        { status: 'pass', label: `Extension ${AGENT} accepted with the shared secret` },
+        { status: 'pass', label: `Extension ${AGENT} connected` }
+    ]);
+
+    field(page, 'secretInput').value = 'not-the-secret';
+    field(page, 'testConnectionBtn').click();
+    await waitFor(() => steps(page, 'connectionSteps').length === 2 &&
+                        steps(page, 'connectionSteps')[1].status === 'fail', { what: 'the secret to be rejected' });
+    assert.equal(env.server.tokenRequests.at(-1).secret, 'not-the-secret');
+    assert.equal(env.browser.storage.sharedSecret, SECRET);
+});
+
+test('exports the settings without the pairing and imports them into the form', async () => {
+    env = await setUp({
+        storage: {
+            popMode:         'notify',
+            wrapUp:          true,
+            agentCredential: { credential: 'c', agent: AGENT, status: 'approved' }
+        }
+    });
+    const page = env.browser.openPage('options.html');
+    await waitFor(() => field(page, 'extensionInput').value === AGENT, { what: 'the form to fill in' });
+
+    const exported = plain(page.exportSettings(false));
+    assert.equal(exported.format, 'fieldroutes-3cx-settings');
+    assert.deepEqual(exported.settings, {
+        extensionNumber:   AGENT,
+        serverAddress:     env.server.address,
+        pestRoutesCompany: 'acme',
+        popMode:           'notify',
+        wrapUp:            true
+    });
+    assert.equal(page.exportSettings(true).settings.sharedSecret, SECRET);
+
+    const other = await setUp({ storage: { extensionNumber: '205' } });
+    try {
+        const target = other.browser.openPage('options.html');
+        await waitFor(() => field(target, 'extensionInput').value === '205', { what: 'the other form to fill in' });
+
+        const file   = plain(page.exportSettings(true));
+        file.settings.popMode   = 'sometimes';
+        file.settings.favourite = 'blue';
+        const result = target.importSettings(JSON.stringify(file));
+
+        assert.deepEqual(plain(result.ignored), ['popMode', 'favourite']);
+        assert.equal(field(target, 'extensionInput').value, AGENT);
+        assert.equal(field(target, 'wrapUpSelect').value, 'on');
+        assert.equal(field(target, 'popModeSelect').value, 'focus');
+        assert.equal(field(target, 'secretInput').value, SECRET);
+        assert.equal(other.browser.storage.extensionNumber, '205');   // not saved until Save
+        assert.throws(() => target.importSettings('{"settings": {}}'), /Not a FieldRoutes CRM for 3CX settings file/);
+    } finally {
+        await other.tearDown();
+    }
+});
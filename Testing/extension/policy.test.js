@@ -0,0 +1,87 @@
+// ============================================================
+// policy.js: settings from the browser's managed storage, and
+// the options page locking them
+// ============================================================
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUp, connectBackground, waitFor, AGENT, SECRET } = require('./harness');
+
+let env;
+afterEach(() => env && env.tearDown());
+
+function field(win, id) {
+    return win.document.getElementById(id);
+}
+
+// Everything but the extension number comes from the policy
+async function managedWorkstation(policy = {}) {
+    env = await setUp({
+        storage: { serverAddress: undefined, sharedSecret: undefined, pestRoutesCompany: undefined }
+    });
+    env.browser.setPolicy({
+        serverAddress:     env.server.address,
+        sharedSecret:      SECRET,
+        pestRoutesCompany: 'acme',
+        ...policy
+    });
+    return env;
+}
+
+test('a policy configures the workstation before it connects', async () => {
+    const { server, browser } = await managedWorkstation({ popMode: 'sometimes', wrapUp: true });
+    await connectBackground(browser);
+
+    assert.equal(browser.storage.serverAddress, server.address);
+    assert.equal(browser.storage.sharedSecret, SECRET);
+    assert.equal(browser.storage.wrapUp, true);
+    assert.equal(browser.storage.popMode, undefined);
+    assert.deepEqual(browser.storage.managedSettings, ['serverAddress', 'sharedSecret', 'pestRoutesCompany', 'wrapUp']);
+    assert.deepEqual(server.connectedAgents(), [AGENT]);
+    assert.ok(browser.logs.some(l => l.level === 'warn' && l.text.includes('Policy value for popMode ignored')));
+});
+
+test('the options page shows managed settings locked and saves only the rest', async () => {
+    const { browser } = await managedWorkstation();
+    await connectBackground(browser);
+    const page = browser.openPage('options.html');
+    await waitFor(() => field(page, 'serverInput').value === env.server.address, { what: 'the form to fill in' });
+
+    assert.equal(field(page, 'managedBanner').hidden, false);
+    assert.equal(field(page, 'serverInput').disabled, true);
+    assert.equal(field(page, 'secretInput').disabled, true);
+    assert.equal(field(page, 'companyInput').disabled, true);
+    assert.equal(field(page, 'extensionInput').disabled, false);
+    assert.equal(field(page, 'siteField').querySelector('.managed-note').hidden, false);
+    assert.equal(field(page, 'extensionField').querySelector('.managed-note').hidden, true);
+
+    field(page, 'serverInput').value    = 'ftp://not-checked';   // locked, so neither checked nor saved
+    field(page, 'extensionInput').value = '102';
+    field(page, 'saveBtn').click();
+
+    await waitFor(() => browser.storage.extensionNumber === '102', { what: 'the extension number to be saved' });
+    assert.equal(browser.storage.serverAddress, env.server.address);
+
+    const result = page.importSettings(JSON.stringify({
+        format:   'fieldroutes-3cx-settings',
+        settings: { serverAddress: 'elsewhere:3000', tabTarget: 'new' }
+    }));
+    assert.deepEqual(JSON.parse(JSON.stringify(result.ignored)), ['serverAddress']);
+    assert.equal(field(page, 'tabTargetSelect').value, 'new');
+});
+
+test('a setting the policy stops managing keeps its value and unlocks', async () => {
+    const { server, browser } = await managedWorkstation({ tabTarget: 'pinned' });
+    await connectBackground(browser);
+    const page = browser.openPage('options.html');
+    await waitFor(() => field(page, 'tabTargetSelect').disabled, { what: 'the tab setting to lock' });
+
+    browser.setPolicy({ serverAddress: server.address, sharedSecret: SECRET, pestRoutesCompany: 'acme' });
+
+    await waitFor(() => !field(page, 'tabTargetSelect').disabled, { what: 'the tab setting to unlock' });
+    assert.equal(browser.storage.tabTarget, 'pinned');
+    assert.equal(field(page, 'tabTargetSelect').value, 'pinned');
+    assert.deepEqual(browser.storage.managedSettings, ['serverAddress', 'sharedSecret', 'pestRoutesCompany']);
+    assert.deepEqual(server.connectedAgents(), [AGENT]);
+});
@@ -0,0 +1,65 @@
+// ============================================================
+// popup.js: status line, recent calls and the way to settings
+// ============================================================
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUp, connectBackground, notify, waitFor, AGENT } = require('./harness');
+
+let env;
+afterEach(() => env && env.tearDown());
+
+function text(win, id) {
+    return win.document.getElementById(id).textContent;
+}
+
+test('shows the connection the middleware reports', async () => {
+    env = await setUp();
+    await connectBackground(env.browser);
+    const popup = env.browser.openPopup();
+
+    await waitFor(() => text(popup, 'statusText') === `Connected as extension ${AGENT}`, { what: 'the status line' });
+    assert.equal(popup.document.getElementById('statusDot').className, 'status-dot connected');
+    assert.equal(popup.document.getElementById('extensionInput'), null);   // settings live on the options page
+});
+
+test('says so when the middleware has not registered the extension', async () => {
+    env = await setUp({ storage: { sharedSecret: 'not-the-secret' } });
+    env.browser.startBackground();
+    const popup = env.browser.openPopup();
+
+    await waitFor(() => text(popup, 'statusText') === `Extension ${AGENT} not yet registered with server`,
+                  { what: 'the status line' });
+    assert.equal(popup.document.getElementById('statusDot').className, 'status-dot disconnected');
+});
+
+test('sends an unconfigured workstation to the options page', async () => {
+    env = await setUp({ storage: { extensionNumber: '' } });
+    const popup = env.browser.openPopup();
+
+    await waitFor(() => text(popup, 'statusText') === 'Not configured — open Settings to enter your extension',
+                  { what: 'the status line' });
+    popup.document.getElementById('settingsBtn').click();
+    const page = await waitFor(() => env.browser.findPage('options.html'), { what: 'the options page to open' });
+    assert.equal(page.document.title, 'Settings — FieldRoutes CRM for 3CX');
+});
+
+test('lists a pop under recent calls as it happens', async () => {
+    env = await setUp();
+    await connectBackground(env.browser);
+    await env.browser.openTab('https://acme.pestroutes.com/');
+    const popup = env.browser.openPopup();
+    const doc   = popup.document;
+
+    await waitFor(() => doc.getElementById('historyEmpty').style.display === 'block', { what: 'the empty list' });
+    await notify(env.server, { customerID: '1001', phone: '5551234567', firstName: 'Jane', lastName: 'Smith' });
+
+    const icon = await waitFor(() => doc.querySelector('#historyList .pop-icon.opened'),
+                               { what: 'the pop to show as opened', timeout: 10000 });
+    const row = icon.closest('li');
+    assert.equal(doc.querySelectorAll('#historyList li').length, 1);
+    assert.equal(row.querySelector('.pop-caller').textContent, 'Jane Smith');
+    assert.match(row.querySelector('.pop-meta').textContent, /\(555\) 123-4567 · ID 1001/);
+    assert.equal(doc.getElementById('historyEmpty').style.display, 'none');
+});
@@ -0,0 +1,105 @@
+// ============================================================
+// Supervisor board: supervisor.js, board.html and the popup link
+// ============================================================
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUp, connectBackground, waitFor, AGENT } = require('./harness');
+
+let env;
+afterEach(() => env && env.tearDown());
+
+// Extension 102 on a call with Jane Smith, answered 65 s ago
+function janeOnCall(server) {
+    return server.updateBoard({
+        agent: '102', connected: true, callId: 'c1', state: 'answered',
+        phone: '5551234567', customerID: '1001', firstName: 'Jane', lastName: 'Smith',
+        eventId: '7', outcome: 'OPENED', method: 'url',
+        startedAt: String(Date.now() - 70000), answeredAt: String(Date.now() - 65000), endedAt: ''
+    });
+}
+
+function boardRow(win, agent) {
+    return [...win.document.querySelectorAll('#boardRows tr')]
+        .find(tr => tr.querySelector('.agent').textContent === agent);
+}
+
+test('a supervisor token opens the board and it follows every agent live', async () => {
+    env = await setUp({ supervisors: [AGENT] });
+    const { server, browser } = env;
+    janeOnCall(server);
+    await connectBackground(browser);
+
+    await waitFor(() => browser.storage.supervisorBoard && browser.storage.supervisorBoard.live,
+                  { what: 'the board to arrive' });
+    assert.deepEqual(server.boardRequests, [{ agent: AGENT, status: 200 }]);
+
+    const page = browser.openPage('board.html');
+    const row  = await waitFor(() => boardRow(page, '102'), { what: 'the row for extension 102' });
+    const cells = row.querySelectorAll('td');
+    assert.equal(cells[1].textContent, 'On call');
+    assert.match(cells[2].textContent, /^Jane Smith\(555\) 123-4567$/);
+    assert.equal(cells[3].textContent, 'ID 1001');
+    assert.equal(cells[4].textContent, 'Openedvia url');
+    assert.match(cells[5].textContent, /^1:0[5-9]$/);
+
+    server.updateBoard({ agent: '103', connected: true, callId: 'c2', state: 'ringing',
+                         phone: '5559876543', startedAt: String(Date.now()) });
+    const ringing = await waitFor(() => boardRow(page, '103'), { what: 'the new row for extension 103' });
+    assert.equal(ringing.querySelector('.state').textContent, 'Ringing');
+    assert.equal(page.document.getElementById('statusDot').className, 'status-dot connected');
+});
+
+test('Open shows the agent\'s customer in the supervisor\'s own tab, without acknowledging it', async () => {
+    env = await setUp({ supervisors: [AGENT] });
+    const { server, browser } = env;
+    janeOnCall(server);
+    await connectBackground(browser);
+    const tabId = await browser.openTab('https://acme.pestroutes.com/');
+
+    const page = browser.openPage('board.html');
+    const row  = await waitFor(() => boardRow(page, '102'), { what: 'the row for extension 102' });
+    row.querySelector('button.open').click();
+
+    await waitFor(() => page.document.getElementById('openResult').textContent === 'Opened extension 102\'s customer',
+                  { what: 'the customer to open', timeout: 10000 });
+    assert.equal(browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/customers/1001');
+    assert.deepEqual(server.acks, []);
+    assert.equal((browser.storage.popHistory || []).length, 0);
+});
+
+test('an agent token opens no board and the popup leaves it out', async () => {
+    env = await setUp();
+    const { server, browser } = env;
+    await connectBackground(browser);
+    const popup = browser.openPopup();
+
+    await waitFor(() => popup.document.getElementById('statusText').textContent === `Connected as extension ${AGENT}`,
+                  { what: 'the status line' });
+    assert.deepEqual(server.boardRequests, []);
+    assert.equal(browser.storage.supervisorBoard, undefined);
+    assert.equal(popup.document.getElementById('boardSection').hidden, true);
+
+    const page = browser.openPage('board.html');
+    await waitFor(() => page.document.getElementById('statusText').textContent === 'This workstation is not paired as a supervisor',
+                  { what: 'the board page to say so' });
+});
+
+test('after a browser restart the stored board still opens before the middleware sends a new one', async () => {
+    const board = { rows: [{ agent: '102', connected: true, callId: 'c1', state: 'answered',
+                             phone: '5551234567', customerID: '1001', firstName: 'Jane', lastName: 'Smith' }],
+                    clockOffset: 0, live: false, updatedAt: Date.now() };
+    env = await setUp({ storage: { serverAddress: 'http://127.0.0.1:1', supervisorBoard: board } });
+    const { browser } = env;
+    browser.startBackground();
+    const tabId = await browser.openTab('https://acme.pestroutes.com/');
+
+    const page = browser.openPage('board.html');
+    const row  = await waitFor(() => boardRow(page, '102'), { what: 'the stored row for extension 102' });
+    row.querySelector('button.open').click();
+
+    await waitFor(() => page.document.getElementById('openResult').textContent === 'Opened extension 102\'s customer',
+                  { what: 'the customer to open', timeout: 10000 });
+    assert.equal(browser.tabs.get(tabId).url, 'https://acme.pestroutes.com/customers/1001');
+});
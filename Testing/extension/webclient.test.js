@@ -0,0 +1,120 @@
+// ============================================================
+// webclient.js: the extension signed in to the 3CX web client,
+// the badge warning when it differs, and taking it over
+// ============================================================
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setUp, connectBackground, waitFor, AGENT, PBX_ORIGIN } = require('./harness');
+
+let env;
+afterEach(() => env && env.tearDown());
+
+// PestRoutes and the web client allowed, as saving the settings would
+const GRANTED = ['https://*.pestroutes.com/*', `${PBX_ORIGIN}/*`];
+
+function field(win, id) {
+    return win.document.getElementById(id);
+}
+
+function detected(browser) {
+    return browser.storage.detectedExtension && browser.storage.detectedExtension.extension;
+}
+
+test('warns on the badge and offers the web client\'s extension in the popup', async () => {
+    env = await setUp({ storage: { webClientAddress: PBX_ORIGIN }, granted: GRANTED });
+    const { server, browser } = env;
+    await connectBackground(browser);
+
+    await browser.openTab(`${PBX_ORIGIN}/#/people`);
+    await waitFor(() => browser.badge.text === 'EXT?', { what: 'the badge to warn' });
+    assert.equal(detected(browser), '102');
+    assert.equal(browser.badge.title, '3CX web client is signed in as 102, but this workstation is set to 101');
+    assert.equal(browser.storage.extensionNumber, AGENT);
+
+    const popup = browser.openPopup();
+    await waitFor(() => !field(popup, 'extensionCheck').hidden, { what: 'the popup to offer 102' });
+    assert.equal(field(popup, 'useDetectedBtn').textContent, 'Use 102');
+    field(popup, 'useDetectedBtn').click();
+
+    await waitFor(() => browser.badge.text === 'ON' && server.connectedAgents().includes('102'),
+                  { what: 'a stream for extension 102' });
+    assert.equal(browser.storage.extensionNumber, '102');
+    await waitFor(() => field(popup, 'extensionCheck').hidden, { what: 'the offer to go' });
+});
+
+test('forgets the web client\'s extension once its tab is closed', async () => {
+    env = await setUp({ storage: { webClientAddress: PBX_ORIGIN }, granted: GRANTED });
+    const { browser } = env;
+    await connectBackground(browser);
+
+    const tabId = await browser.openTab(`${PBX_ORIGIN}/#/people`);
+    await waitFor(() => browser.badge.text === 'EXT?', { what: 'the badge to warn' });
+    const popup = browser.openPopup();
+    await waitFor(() => !field(popup, 'extensionCheck').hidden, { what: 'the popup to offer 102' });
+
+    browser.closeTab(tabId);
+    await waitFor(() => browser.badge.text === 'ON', { what: 'the warning to go' });
+    assert.equal(detected(browser), undefined);
+    await waitFor(() => field(popup, 'extensionCheck').hidden, { what: 'the offer to go' });
+});
+
+test('keeps the extension number in sync as the web client signs in as someone else', async () => {
+    env = await setUp({ storage: { webClientAddress: 'pbx.example.com', extensionSync: 'sync' }, granted: GRANTED });
+    const { server, browser } = env;
+    await connectBackground(browser);
+
+    const tabId = await browser.openTab(`${PBX_ORIGIN}/#/people`);
+    await waitFor(() => server.connectedAgents().includes('102'), { what: 'a stream for extension 102' });
+    assert.equal(browser.storage.extensionNumber, '102');
+
+    browser.page(tabId).document.querySelector('.extension-number').textContent = 'Ext. 103';
+    await waitFor(() => browser.storage.extensionNumber === '103', { what: 'the next extension to be taken over' });
+    await waitFor(() => server.connectedAgents().includes('103'), { what: 'a stream for extension 103' });
+    assert.equal(browser.badge.text, 'ON');
+});
+
+test('a policy\'s extension number is never replaced, only warned about', async () => {
+    env = await setUp({
+        storage: { webClientAddress: PBX_ORIGIN, extensionSync: 'sync' },
+        policy:  { extensionNumber: AGENT },
+        granted: GRANTED
+    });
+    const { browser } = env;
+    await connectBackground(browser);
+
+    await browser.openTab(`${PBX_ORIGIN}/#/people`);
+    await waitFor(() => browser.badge.text === 'EXT?', { what: 'the badge to warn' });
+    assert.equal(browser.storage.extensionNumber, AGENT);
+
+    const popup = browser.openPopup();
+    await waitFor(() => !field(popup, 'extensionCheck').hidden, { what: 'the popup to show the difference' });
+    assert.equal(field(popup, 'useDetectedBtn').hidden, true);
+    assert.match(field(popup, 'extensionCheckText').textContent, /Your organization sets the extension number/);
+});
+
+test('only the configured web client is read', async () => {
+    env = await setUp({ storage: { webClientAddress: 'https://other-pbx.example.com' } });
+    const { browser } = env;
+    await connectBackground(browser);
+
+    await browser.openTab(`${PBX_ORIGIN}/#/people`);
+    const page = browser.openPage('options.html');
+    await waitFor(() => field(page, 'webClientInput').value === 'https://other-pbx.example.com', { what: 'the form to fill in' });
+    assert.equal(detected(browser), undefined);
+    assert.equal(browser.badge.text, 'ON');
+
+    field(page, 'webClientInput').value = `${PBX_ORIGIN}/#/people`;
+    field(page, 'saveBtn').click();
+    await waitFor(() => browser.storage.webClientAddress === PBX_ORIGIN, { what: 'the address to be saved' });
+    await waitFor(() => detected(browser) === '102', { what: 'the open web client to be read' });
+    await waitFor(() => !field(page, 'detectedExtension').hidden, { what: 'the options page to offer 102' });
+
+    field(page, 'useDetectedBtn').click();
+    assert.equal(field(page, 'extensionInput').value, '102');
+    assert.equal(browser.storage.extensionNumber, AGENT);   // not saved until Save
+
+    assert.equal(page.parseWebClientAddress('ftp://pbx.example.com').error, 'Use https:// or http://, not ftp://');
+    assert.equal(page.parseWebClientAddress(' ').address, '');
+});
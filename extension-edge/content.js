@@ -1,52 +1,907 @@
+// GENERATED by extension-src/build.js — edit the file in extension-src/ instead.
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Selector Profile
+// ============================================================
+// build.js includes this in both background.js and content.js.
+// Everything the extension needs to know about PestRoutes'
+// markup — and where the 3CX web client shows the signed-in
+// extension (webclient.js) — in one object, so a markup
+// change can be fixed by editing the profile on the
+// middleware's /selectors page instead of shipping a new
+// extension. The background script fetches /selectors.json
+// on every connect and keeps it in storage under
+// 'selectorProfile'.
+//
+// Selector fields are lists and the first one that matches
+// wins, so an old and a new layout can both be listed. Any
+// field that is missing or invalid falls back to the default.
+// ============================================================
+
+const DEFAULT_SELECTOR_PROFILE = {
+    searchInput:      ['#customerSearch'],
+    resultItem:       ['.ui-autocomplete li.ui-menu-item'],
+    resultLink:       ['a', '.ui-menu-item-wrapper', 'div'],   // clicked inside a result row
+    busyDialog:       ['dialog[open]', '[role="dialog"]', '[aria-modal="true"]',
+                       '.ui-dialog', '.modal.in', '.modal.show'],   // while one is open the tab is busy
+    customerCardPath: '/customers/{customerID}',               // direct link to a customer record
+    webClientExtension: ['[data-qa="extension-number"]', '.extension-number',
+                         '.user-extension'],   // the signed-in extension in the 3CX web client
+    pageTimeoutMs:    10000,   // wait this long for the search box to appear
+    resultsTimeoutMs: 5000,    // and this long for autocomplete results
+    settleMs:         300      // results must stop changing for this long before they are counted
+};
+
+function normalizeSelectorProfile(raw) {
+    const profile = { ...DEFAULT_SELECTOR_PROFILE };
+    if (!raw || typeof raw !== 'object') return profile;
+
+    for (const key of ['searchInput', 'resultItem', 'resultLink', 'busyDialog', 'webClientExtension']) {
+        const list = [].concat(raw[key] || []).filter(sel => typeof sel === 'string' && sel.trim());
+        if (list.length) profile[key] = list;
+    }
+    if (typeof raw.customerCardPath === 'string' && /^\/.*\{customerID\}/.test(raw.customerCardPath)) {
+        profile.customerCardPath = raw.customerCardPath;
+    }
+    for (const key of ['pageTimeoutMs', 'resultsTimeoutMs', 'settleMs']) {
+        const value = Number(raw[key]);
+        if (value >= 1 && value <= 60000) profile[key] = value;
+    }
+    return profile;
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — PestRoutes Customer Search
+// ============================================================
+// build.js includes this in both background.js and content.js.
+// searchCustomerInPage() types the phone number (or customer
+// ID) into the PestRoutes search box and opens the result:
+//   - one match is clicked straight away
+//   - several matches go to a picker so the operator chooses
+//
+// It is called directly by the content script and injected by
+// the background script, which serialises the function on its
+// own — so everything it uses is declared inside it, and the
+// selector profile is passed in rather than read from storage.
+//
+// Waiting is done with MutationObserver against the profile's
+// timeouts rather than fixed sleeps and polls, and every failure
+// says which selector it was looking for.
+//
+// Resolves with { opened, outcome, method: 'search', reason, matches }
+//
+// pageStatus() answers the background script's 'status' message
+// and is injected the same way when there is no content script.
+// ============================================================
+
+function searchCustomerInPage(customerID, phone, profile) {
+    const searchTerm = phone || customerID;
+    return run().catch(err => fail('script_error', `Page script error: ${err.message}`));
+
+    async function run() {
+        const box = await waitFor(() => queryFirst(profile.searchInput), profile.pageTimeoutMs);
+        if (!box) {
+            return fail('no_search_box',
+                `Search box not found after ${seconds(profile.pageTimeoutMs)} — looked for ${profile.searchInput.join(', ')}`);
+        }
+        const searchInput = box.element;
+        if (!(searchInput instanceof HTMLInputElement)) {
+            return fail('no_search_box',
+                `"${box.selector}" matched a <${searchInput.tagName.toLowerCase()}>, not an input`);
+        }
+
+        console.log(`[FieldRoutes] Triggering search for: ${searchTerm}`);
+        searchInput.focus();
+
+        // Set value via native setter (required for React/jQuery UI to detect change)
+        const nativeSetter = Object.getOwnPropertyDescriptor(
+            window.HTMLInputElement.prototype, 'value'
+        ).set;
+        nativeSetter.call(searchInput, searchTerm);
+
+        searchInput.dispatchEvent(new Event('input',  { bubbles: true }));
+        searchInput.dispatchEvent(new Event('keyup',  { bubbles: true }));
+
+        // Trigger jQuery UI autocomplete directly if jQuery is present
+        if (typeof jQuery !== 'undefined') {
+            try {
+                jQuery(searchInput).val(searchTerm).autocomplete('search', searchTerm);
+                console.log('[FieldRoutes] jQuery autocomplete search triggered');
+            } catch (e) {}
+        }
+
+        // Wait for the first visible result, then for the list to stop
+        // changing — the autocomplete often fills in over several renders
+        const first = await waitFor(() => visibleResults()[0], profile.resultsTimeoutMs);
+        if (!first) {
+            return fail('no_results',
+                `No autocomplete results within ${seconds(profile.resultsTimeoutMs)} — looked for ${profile.resultItem.join(', ')}`);
+        }
+        await waitForQuiet(first.parentElement || document.body, profile.settleMs);
+
+        const items = visibleResults();
+        if (items.length === 0) {
+            return fail('no_results', 'Autocomplete results disappeared before one could be opened');
+        }
+        if (items.length === 1) {
+            clickItem(items[0]);
+            return { opened: true, outcome: 'opened', method: 'search', reason: '', matches: 1 };
+        }
+
+        console.log(`[FieldRoutes] ${items.length} customers match ${searchTerm} — showing picker`);
+        const chosen = await showPicker(items);
+        if (!chosen) {
+            return { opened: false, outcome: 'multiple_matches', method: 'search',
+                     reason: 'Multiple matches — picker dismissed', matches: items.length };
+        }
+        clickItem(chosen);
+        return { opened: true, outcome: 'opened', method: 'search', reason: '', matches: items.length };
+    }
+
+    function fail(outcome, reason) {
+        console.warn(`[FieldRoutes] Customer search failed: ${reason}`);
+        return { opened: false, outcome, method: 'search', reason, matches: 0 };
+    }
+
+    function seconds(ms) {
+        return `${Math.round(ms / 100) / 10} s`;
+    }
+
+    // First selector in the list that matches anything. An invalid
+    // selector throws, naming itself, rather than silently matching nothing.
+    function queryFirst(selectors) {
+        for (const selector of selectors) {
+            let element;
+            try {
+                element = document.querySelector(selector);
+            } catch (err) {
+                throw new Error(`Invalid selector "${selector}" in the selector profile`);
+            }
+            if (element) return { element, selector };
+        }
+        return null;
+    }
+
+    // Result rows from the first resultItem selector with any visible
+    // match. jQuery UI keeps the previous search's menu in the DOM,
+    // hidden, so invisible rows are ignored.
+    function visibleResults() {
+        for (const selector of profile.resultItem) {
+            let items;
+            try {
+                items = Array.from(document.querySelectorAll(selector));
+            } catch (err) {
+                throw new Error(`Invalid selector "${selector}" in the selector profile`);
+            }
+            items = items.filter(item => item.getClientRects().length > 0);
+            if (items.length) return items;
+        }
+        return [];
+    }
+
+    // Resolves with check()'s first truthy result, re-checking on
+    // every DOM change, or with null once timeoutMs has passed.
+    function waitFor(check, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (error, value) => {
+                if (settled) return;
+                settled = true;
+                observer.disconnect();
+                clearTimeout(timer);
+                if (error) reject(error); else resolve(value);
+            };
+            const test = () => {
+                try {
+                    const value = check();
+                    if (value) finish(null, value);
+                } catch (err) {
+                    finish(err);
+                }
+            };
+
+            const observer = new MutationObserver(test);
+            const timer    = setTimeout(() => finish(null, null), timeoutMs);
+            observer.observe(document.documentElement, {
+                childList: true, subtree: true, attributes: true, attributeFilter: ['style', 'class', 'hidden']
+            });
+            test();
+        });
+    }
+
+    // Resolves once root has gone quietMs without a change, or after
+    // ten times that at most so a constantly updating page cannot stall it
+    function waitForQuiet(root, quietMs) {
+        return new Promise(resolve => {
+            const done     = () => { observer.disconnect(); clearTimeout(timer); clearTimeout(limit); resolve(); };
+            const observer = new MutationObserver(() => {
+                clearTimeout(timer);
+                timer = setTimeout(done, quietMs);
+            });
+            let timer   = setTimeout(done, quietMs);
+            const limit = setTimeout(done, quietMs * 10);
+            observer.observe(root, { childList: true, subtree: true, characterData: true });
+        });
+    }
+
+    function clickItem(item) {
+        item.click();
+        const link = item.querySelector(profile.resultLink.join(', '));
+        if (link) link.click();
+    }
+
+    // Autocomplete rows are plain text: name on the first line, address
+    // after it, and usually the customer ID as "#12345" or "ID: 12345".
+    function describeMatch(item) {
+        const text    = item.innerText || item.textContent || '';
+        const idMatch = text.match(/(?:\bID\b|#)\s*:?\s*(\d+)/i);
+        const lines   = text.split('\n').map(l => l.trim()).filter(Boolean);
+        return {
+            name:       lines[0] || '(no name)',
+            address:    lines.slice(1).filter(l => !idMatch || !l.includes(idMatch[0])).join(', '),
+            customerID: idMatch ? idMatch[1] : ''
+        };
+    }
+
+    // Overlay listing every match. Keys: 1–9 pick directly, ↑/↓ + Enter,
+    // Esc cancels. Focus stays in the search box (mousedown is swallowed
+    // and keys are captured) so jQuery UI keeps its result menu open.
+    function showPicker(items) {
+        return new Promise(done => {
+            const host = document.createElement('div');
+            host.id = 'fr3cx-picker';
+            const root = host.attachShadow({ mode: 'open' });
+            root.innerHTML = `
+                <style>
+                  .backdrop{position:fixed;inset:0;z-index:2147483647;background:rgba(0,0,0,.35);
+                            display:flex;align-items:flex-start;justify-content:center;padding-top:12vh;
+                            font-family:'Segoe UI',Arial,sans-serif}
+                  .box{background:white;border-radius:8px;width:440px;max-height:70vh;overflow:auto;
+                       box-shadow:0 8px 28px rgba(0,0,0,.3)}
+                  .title{background:#2d7d46;color:white;padding:12px 16px;font-size:14px;font-weight:600}
+                  ol{list-style:none;margin:0;padding:6px 0}
+                  li{display:flex;gap:10px;padding:9px 16px;cursor:pointer;font-size:13px;color:#333}
+                  li.selected{background:#f0f7f2}
+                  .key{flex-shrink:0;width:20px;height:20px;border-radius:4px;background:#e8ecef;
+                       text-align:center;line-height:20px;font-size:11px;font-weight:700;color:#555}
+                  .name{font-weight:600}
+                  .meta{font-size:12px;color:#777;margin-top:2px}
+                  .hint{padding:8px 16px;font-size:11px;color:#999;border-top:1px solid #e8ecef}
+                </style>
+                <div class="backdrop">
+                  <div class="box">
+                    <div class="title"></div>
+                    <ol></ol>
+                    <div class="hint">1–9 or ↑/↓ and Enter to open &nbsp;·&nbsp; Esc to cancel</div>
+                  </div>
+                </div>`;
+            root.querySelector('.title').textContent = `${items.length} customers match ${searchTerm}`;
+
+            const list = root.querySelector('ol');
+            const rows = items.map((item, i) => {
+                const match = describeMatch(item);
+                const row   = document.createElement('li');
+                row.innerHTML = '<span class="key"></span><div><div class="name"></div><div class="meta"></div></div>';
+                row.querySelector('.key').textContent  = i < 9 ? String(i + 1) : '';
+                row.querySelector('.name').textContent = match.name;
+                row.querySelector('.meta').textContent =
+                    [match.address, match.customerID && `ID ${match.customerID}`].filter(Boolean).join(' · ');
+                row.addEventListener('click', () => finish(i));
+                list.appendChild(row);
+                return row;
+            });
+
+            let selected = 0;
+            const render = () => rows.forEach((row, i) => row.classList.toggle('selected', i === selected));
+
+            function onKey(e) {
+                if (e.key === 'Escape') {
+                    finish(null);
+                } else if (e.key === 'Enter') {
+                    finish(selected);
+                } else if (e.key === 'ArrowDown') {
+                    selected = (selected + 1) % rows.length;
+                    render();
+                } else if (e.key === 'ArrowUp') {
+                    selected = (selected - 1 + rows.length) % rows.length;
+                    render();
+                } else if (/^[1-9]$/.test(e.key) && Number(e.key) <= rows.length) {
+                    finish(Number(e.key) - 1);
+                } else {
+                    return;
+                }
+                e.preventDefault();
+                e.stopPropagation();
+            }
+
+            function finish(index) {
+                window.removeEventListener('keydown', onKey, true);
+                host.remove();
+                done(index === null ? null : items[index]);
+            }
+
+            root.addEventListener('mousedown', e => e.preventDefault());
+            root.querySelector('.backdrop').addEventListener('click', e => {
+                if (e.target.classList.contains('backdrop')) finish(null);
+            });
+            window.addEventListener('keydown', onKey, true);
+            document.body.appendChild(host);
+            render();
+        });
+    }
+}
+
+// { url, onCustomerCard, busy } — onCustomerCard is true when the
+// address is exactly the profile's customerCardPath for customerID
+// (PestRoutes redirects unknown IDs and expired sessions away from
+// the card URL, so nothing on the page needs checking). busy says why
+// a screen pop must not take this tab over, or is '' when it may:
+// a visible form field the agent has typed in or changed differs
+// from the value the page loaded with (the customer search box is
+// ignored, since pops type into it), or one of the profile's
+// busyDialog dialogs is open.
+//
+// Only input and change events mark a field as the agent's:
+// PestRoutes fills many fields by script (jQuery .val()), which
+// changes the value but not defaultValue and fires neither event.
+// The first call starts listening for them — the content script
+// calls it as soon as it loads.
+function pageStatus(customerID, profile) {
+    const id       = customerID ? String(customerID) : '';
+    const cardPath = id ? profile.customerCardPath.replace('{customerID}', encodeURIComponent(id)) : '';
+    const edited   = window.fieldRoutesEditedFields || watchEdits();
+    return {
+        url:            window.location.href,
+        onCustomerCard: !!cardPath && window.location.pathname === cardPath,
+        busy:           hasUnsavedChanges() ? 'Unsaved changes in a form'
+                      : dialogOpen()        ? 'A dialog is open'
+                      : ''
+    };
+
+    function watchEdits() {
+        const fields = new WeakSet();
+        const mark   = (event) => fields.add(event.target);
+        document.addEventListener('input', mark, true);
+        document.addEventListener('change', mark, true);
+        window.fieldRoutesEditedFields = fields;
+        return fields;
+    }
+
+    function visible(el) {
+        return el.getClientRects().length > 0;
+    }
+
+    function dialogOpen() {
+        for (const selector of (profile && profile.busyDialog) || []) {
+            try {
+                if (Array.from(document.querySelectorAll(selector)).some(visible)) return true;
+            } catch (err) {}
+        }
+        return false;
+    }
+
+    function hasUnsavedChanges() {
+        const ignored = new Set();
+        for (const selector of (profile && profile.searchInput) || []) {
+            try {
+                document.querySelectorAll(selector).forEach(el => ignored.add(el));
+            } catch (err) {}
+        }
+
+        for (const field of document.querySelectorAll('input, textarea, select')) {
+            if (!edited.has(field) || ignored.has(field) || field.disabled || field.readOnly) continue;
+            if (!visible(field)) continue;
+
+            if (field instanceof HTMLSelectElement) {
+                // A single select with no default shows its first option
+                const options = Array.from(field.options);
+                const initial = options.some(o => o.defaultSelected)
+                    ? options.filter(o => o.defaultSelected)
+                    : (field.multiple ? [] : options.slice(0, 1));
+                if (options.some(o => o.selected !== initial.includes(o))) return true;
+            } else if (field.type === 'checkbox' || field.type === 'radio') {
+                if (field.checked !== field.defaultChecked) return true;
+            } else if (!['button', 'submit', 'reset', 'image', 'hidden', 'file'].includes(field.type)) {
+                if (field.value !== field.defaultValue) return true;
+            }
+        }
+        return false;
+    }
+}
+
 // ============================================================
 // FieldRoutes CRM for 3CX — Content Script
 // ============================================================
 // Runs on every PestRoutes page. Listens for messages from
 // the background service worker and can interact with the
-// live page DOM directly.
+// live page DOM directly. build.js prepends selector-profile.js
+// and page-search.js.
+//
+// Protocol — see CONTENT SCRIPT MESSAGING in background.js:
+//   → pageReady     sent once when the script loads
+//   → pageBusy      sent whenever pageStatus().busy changes
+//   → dial          a click-to-call button was clicked; the reply
+//                   is the middleware's result
+//   → submitWrapUp  the wrap-up panel was saved; same
+//   → skipWrapUp    the wrap-up panel was skipped
+//   ← status        replies with pageStatus()
+//   ← openCustomer  replies with the searchCustomerInPage() result
+//   ← callerCard    replies { ok: true }
+//   ← callerWaiting replies 'here', 'newTab' or 'dismiss'
+//   ← wrapUp        replies { ok: true }
 // ============================================================
 
 console.log('[FieldRoutes CRM for 3CX] Content script active on', window.location.hostname);
 
+// Handshake — the background script waits for this after opening
+// or navigating a tab before it sends anything
+chrome.runtime.sendMessage({ type: 'pageReady', url: window.location.href }, () => {
+    void chrome.runtime.lastError;
+});
+
 // Listen for messages from the background worker
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.type === 'wrapUp') {
+        showWrapUpPanel(msg);
+        sendResponse({ ok: true });
+        return;
+    }
+    if (msg.type === 'callerWaiting') {
+        showCallerWaiting(msg).then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'status') {
+        sendResponse(pageStatus(msg.customerID, normalizeSelectorProfile(msg.profile)));
+        return;
+    }
     if (msg.type === 'openCustomer') {
-        triggerCustomerSearch(msg.customerID, msg.phone);
+        // Resolves once the customer is opened or the search gives up
+        searchCustomerInPage(msg.customerID, msg.phone, normalizeSelectorProfile(msg.profile))
+            .then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'callerCard') {
+        showCallerCard(msg.customerID, msg.phone, msg.caller || {});
         sendResponse({ ok: true });
     }
 });
 
-function triggerCustomerSearch(customerID, phone) {
-    const searchInput = document.getElementById('customerSearch');
-    if (!searchInput) {
-        console.warn('[FieldRoutes CRM for 3CX] customerSearch not found');
-        return;
+// ============================================================
+// PAGE WATCHING
+// The busy check and the click-to-call scan both re-run when the
+// page changes. Each is batched so a busy page is scanned at
+// most every PAGE_CHECK_MS.
+// ============================================================
+const PAGE_CHECK_MS = 250;
+
+let pageProfile = normalizeSelectorProfile();
+let clickToCall = false;
+
+chrome.storage.local.get(['selectorProfile', 'clickToCall'], (result) => {
+    pageProfile = normalizeSelectorProfile(result.selectorProfile);
+    clickToCall = !!result.clickToCall;
+    scheduleBusyCheck();
+    schedulePhoneScan();
+});
+chrome.storage.onChanged.addListener((changes) => {
+    if (changes.selectorProfile) {
+        pageProfile = normalizeSelectorProfile(changes.selectorProfile.newValue);
+        scheduleBusyCheck();
     }
+    if (changes.clickToCall) {
+        clickToCall = !!changes.clickToCall.newValue;
+        if (!clickToCall) removeDialButtons();
+        schedulePhoneScan();
+    }
+});
 
-    const searchTerm = phone || customerID;
-    console.log(`[FieldRoutes CRM for 3CX] Content script triggering search for: ${searchTerm}`);
+for (const type of ['input', 'change', 'reset']) {
+    document.addEventListener(type, scheduleBusyCheck, true);
+}
+new MutationObserver(() => {
+    scheduleBusyCheck();
+    schedulePhoneScan();
+}).observe(document.documentElement, {
+    childList: true, subtree: true, attributes: true, attributeFilter: ['class', 'style', 'open', 'hidden']
+});
+
+// ============================================================
+// BUSY PAGE
+// Tells the background script (pageBusy) when the agent starts
+// editing a form or opens a PestRoutes dialog, and when the page
+// is idle again, so screen pops stay out of this tab meanwhile.
+// ============================================================
+let busyReason = '';
+let busyTimer  = null;
+
+pageStatus('', pageProfile);   // starts watching for the agent's edits before the first one
 
-    searchInput.focus();
-    searchInput.value = searchTerm;
+function checkBusy() {
+    busyTimer = null;
+    const reason = wrapUpUnsaved() ? 'Wrap-up notes not saved' : pageStatus('', pageProfile).busy;
+    if (reason === busyReason) return;
 
-    // Fire all the events jQuery UI autocomplete expects
-    ['input', 'keyup', 'keydown'].forEach(eventType => {
-        searchInput.dispatchEvent(new Event(eventType, { bubbles: true }));
+    busyReason = reason;
+    chrome.runtime.sendMessage({ type: 'pageBusy', busy: reason }, () => {
+        void chrome.runtime.lastError;
     });
+}
+
+function scheduleBusyCheck() {
+    if (!busyTimer) busyTimer = setTimeout(checkBusy, PAGE_CHECK_MS);
+}
 
-    // If jQuery is available, trigger directly
-    if (typeof jQuery !== 'undefined') {
-        jQuery('#customerSearch').val(searchTerm).autocomplete('search', searchTerm);
+// ============================================================
+// CLICK-TO-CALL
+// With click-to-call on (clickToCall in storage, set on the
+// options page) every phone number on a customer card gets a call
+// button. A click asks the background script to dial it through
+// the middleware from this agent's 3CX extension, and the result
+// shows in a toast. Text nodes are only scanned once, so adding
+// the buttons does not set off another full pass.
+//
+// Only numbers written the way PestRoutes shows them count —
+// (555) 123-4567, 555-123-4567 or 555.123.4567 — so a bare run of
+// ten digits, such as a customer or account ID, gets no button.
+// ============================================================
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[.-])\d{3}[.-]\d{4}\b/g;
+const DIAL_TOAST_MS = 6000;
+
+let phoneTimer  = null;
+let scannedText = new WeakSet();
+
+function schedulePhoneScan() {
+    if (clickToCall && !phoneTimer) phoneTimer = setTimeout(scanPhoneNumbers, PAGE_CHECK_MS);
+}
+
+// The customer ID in the address bar, or '' when this is not a
+// customer card (per the profile's customerCardPath)
+function customerIdFromPage() {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const [before, after = ''] = pageProfile.customerCardPath.split('{customerID}');
+    const match = window.location.pathname.match(new RegExp(`^${escape(before)}([^/]+)${escape(after)}`));
+    return match ? decodeURIComponent(match[1]) : '';
+}
+
+function scanPhoneNumbers() {
+    phoneTimer = null;
+    const customerID = customerIdFromPage();
+    if (!clickToCall || !customerID || !document.body) return;
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+            if (scannedText.has(node)) return NodeFilter.FILTER_REJECT;
+            const parent = node.parentElement;
+            return parent && !parent.closest('script, style, noscript, textarea, select, [contenteditable]')
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT;
+        }
+    });
+
+    // Collect first — inserting buttons while walking would move the walker
+    const found = [];
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        scannedText.add(node);
+        const numbers = node.nodeValue.match(PHONE_PATTERN);
+        if (numbers) found.push({ node, numbers });
+    }
+    for (const { node, numbers } of found) {
+        // Inserted last-first so the buttons end up in reading order
+        for (const number of numbers.reverse()) node.after(createDialButton(number.trim(), customerID));
     }
+}
+
+function removeDialButtons() {
+    document.querySelectorAll('.fr3cx-dial').forEach(host => host.remove());
+    scannedText = new WeakSet();
+}
+
+function createDialButton(number, customerID) {
+    const host = document.createElement('span');
+    host.className = 'fr3cx-dial';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+        <style>
+          button{margin-left:4px;padding:0 6px;border:1px solid #2d7d46;border-radius:4px;background:white;
+                 color:#2d7d46;font:600 11px/16px 'Segoe UI',Arial,sans-serif;cursor:pointer;vertical-align:middle}
+          button:hover{background:#f0f7f2}
+          button:disabled{opacity:.6;cursor:default}
+        </style>
+        <button type="button">&#x1F4DE; Call</button>`;
+
+    const button = root.querySelector('button');
+    button.title = `Call ${number} from your 3CX extension`;
+    button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        button.disabled = true;
+        chrome.runtime.sendMessage({ type: 'dial', phone: number, customerID }, (reply) => {
+            button.disabled = false;
+            if (chrome.runtime.lastError || !reply) {
+                reply = { ok: false, detail: 'The extension did not answer — reload the page and try again' };
+            }
+            showDialToast(number, reply);
+        });
+    });
+    return host;
+}
 
-    // Poll for the first autocomplete result and click it
-    let attempts = 0;
-    const timer = setInterval(() => {
-        const item = document.querySelector('.ui-autocomplete li.ui-menu-item');
-        if (item) {
-            clearInterval(timer);
-            item.click();
+function showDialToast(number, reply) {
+    const existing = document.getElementById('fr3cx-dial-toast');
+    if (existing) existing.remove();
+
+    const host = document.createElement('div');
+    host.id = 'fr3cx-dial-toast';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+        <style>
+          .toast{position:fixed;bottom:16px;right:16px;z-index:2147483646;max-width:320px;padding:10px 14px;
+                 border-radius:6px;box-shadow:0 6px 24px rgba(0,0,0,.25);color:white;background:#2d7d46;
+                 font:13px 'Segoe UI',Arial,sans-serif}
+          .toast.failed{background:#c0392b}
+          .detail{font-size:12px;opacity:.85;margin-top:2px}
+        </style>
+        <div class="toast"><div class="title"></div><div class="detail"></div></div>`;
+    root.querySelector('.toast').classList.toggle('failed', !reply.ok);
+    root.querySelector('.title').textContent  = reply.ok ? `📞 Calling ${number}` : `✗ Could not call ${number}`;
+    root.querySelector('.detail').textContent = reply.detail || '';
+
+    document.body.appendChild(host);
+    setTimeout(() => host.remove(), DIAL_TOAST_MS);
+}
+
+// ============================================================
+// CALLER WAITING PROMPT
+// Shown instead of a screen pop when this tab is busy and the
+// agent chose to be asked. Resolves with 'here' (take this tab
+// over), 'newTab' or 'dismiss'; unanswered, it dismisses itself
+// after CALLER_WAITING_MS.
+// ============================================================
+const CALLER_WAITING_MS = 120000;
+
+function showCallerWaiting({ phone, name, customerID, reason }) {
+    return new Promise(done => {
+        const existing = document.getElementById('fr3cx-caller-waiting');
+        if (existing) existing.remove();
+
+        const host = document.createElement('div');
+        host.id = 'fr3cx-caller-waiting';
+        const root = host.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>
+              .box{position:fixed;top:16px;left:50%;transform:translateX(-50%);z-index:2147483647;
+                   width:360px;background:white;border-radius:8px;box-shadow:0 8px 28px rgba(0,0,0,.3);
+                   overflow:hidden;font-family:'Segoe UI',Arial,sans-serif;color:#333}
+              .title{background:#2d7d46;color:white;padding:10px 14px;font-size:14px;font-weight:600}
+              .body{padding:10px 14px;font-size:13px}
+              .who{font-weight:700}
+              .why{font-size:12px;color:#777;margin-top:4px}
+              .buttons{display:flex;gap:6px;padding:0 14px 12px}
+              button{flex:1;padding:7px 6px;border:none;border-radius:5px;font-size:12px;font-weight:600;
+                     cursor:pointer;background:#e8ecef;color:#333}
+              button.primary{background:#2d7d46;color:white}
+            </style>
+            <div class="box">
+              <div class="title">&#x1F4DE; Caller waiting: open now?</div>
+              <div class="body"><div class="who"></div><div class="why"></div></div>
+              <div class="buttons">
+                <button class="primary" data-choice="here">Open here</button>
+                <button data-choice="newTab">Open in new tab</button>
+                <button data-choice="dismiss">Not now</button>
+              </div>
+            </div>`;
+        root.querySelector('.who').textContent =
+            [name, phone, customerID && `ID ${customerID}`].filter(Boolean).join(' · ') || 'Unknown caller';
+        root.querySelector('.why').textContent = `${reason} — opening the record here could lose your work.`;
+
+        const timer = setTimeout(() => finish('dismiss'), CALLER_WAITING_MS);
+        function finish(choice) {
+            clearTimeout(timer);
+            host.remove();
+            done(choice);
         }
-        if (++attempts > 20) clearInterval(timer);
-    }, 150);
+        root.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => finish(button.dataset.choice));
+        });
+        document.body.appendChild(host);
+    });
+}
+
+// ============================================================
+// WRAP-UP PANEL
+// Shown on the record after a pop (see wrapup.js): disposition,
+// notes and a follow-up flag, saved as a FieldRoutes note via
+// the middleware. Starts collapsed to a bar in the bottom-left
+// corner so it does not cover the record; a panel with anything
+// filled in counts as unsaved work for the busy check.
+// ============================================================
+const WRAP_UP_DISPOSITIONS = [
+    'Question answered', 'Service scheduled', 'Service rescheduled', 'Service cancelled',
+    'Billing or payment', 'Complaint', 'New sale', 'Left message', 'Wrong number', 'Other'
+];
+const WRAP_UP_SAVED_MS = 4000;   // how long "Saved" shows before the panel goes
+
+let wrapUpForm = null;   // { eventId, dirty() } while a panel is on the page
+
+function wrapUpUnsaved() {
+    return !!wrapUpForm && wrapUpForm.dirty();
+}
+
+function showWrapUpPanel({ eventId, customerID, phone, name }) {
+    // The same call's panel is already open — keep what was typed
+    if (wrapUpForm && wrapUpForm.eventId === eventId && document.getElementById('fr3cx-wrap-up')) return;
+    const existing = document.getElementById('fr3cx-wrap-up');
+    if (existing) existing.remove();
+
+    const host = document.createElement('div');
+    host.id = 'fr3cx-wrap-up';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+        <style>
+          .panel{position:fixed;bottom:16px;left:16px;z-index:2147483645;width:320px;background:white;
+                 border-radius:8px;box-shadow:0 6px 24px rgba(0,0,0,.25);overflow:hidden;
+                 font-family:'Segoe UI',Arial,sans-serif;color:#333;font-size:13px}
+          .head{display:flex;align-items:center;justify-content:space-between;gap:8px;background:#2d7d46;
+                color:white;padding:8px 12px;font-size:12px;font-weight:600;cursor:pointer}
+          .who{font-weight:400;opacity:.9;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+          .body{padding:10px 12px;display:flex;flex-direction:column;gap:8px}
+          .panel.collapsed .body{display:none}
+          select,textarea{width:100%;box-sizing:border-box;padding:6px;border:1px solid #dce0e5;border-radius:5px;
+                          font:13px 'Segoe UI',Arial,sans-serif}
+          textarea{height:70px;resize:vertical}
+          .follow{display:flex;align-items:center;gap:6px;font-size:12px}
+          .buttons{display:flex;gap:6px}
+          button{flex:1;padding:7px 6px;border:none;border-radius:5px;font-size:12px;font-weight:600;
+                 cursor:pointer;background:#e8ecef;color:#333}
+          button.primary{background:#2d7d46;color:white}
+          button:disabled{opacity:.6;cursor:default}
+          .message{font-size:12px;color:#777;min-height:14px}
+          .message.failed{color:#c0392b}
+          .message.saved{color:#2d7d46}
+        </style>
+        <div class="panel collapsed">
+          <div class="head"><span>&#x1F4DD; Call wrap-up</span><span class="who"></span></div>
+          <div class="body">
+            <select class="disposition"><option value="">Disposition…</option></select>
+            <textarea class="notes" placeholder="Notes for the customer record"></textarea>
+            <label class="follow"><input type="checkbox" class="follow-up"> Needs follow-up</label>
+            <div class="buttons">
+              <button class="primary save">Save to FieldRoutes</button>
+              <button class="skip">Skip</button>
+            </div>
+            <div class="message"></div>
+          </div>
+        </div>`;
+
+    const panel       = root.querySelector('.panel');
+    const disposition = root.querySelector('.disposition');
+    const notes       = root.querySelector('.notes');
+    const followUp    = root.querySelector('.follow-up');
+    const saveBtn     = root.querySelector('.save');
+    const message     = root.querySelector('.message');
+
+    root.querySelector('.who').textContent = [name, phone, customerID && `ID ${customerID}`].filter(Boolean).join(' · ');
+    for (const label of WRAP_UP_DISPOSITIONS) disposition.add(new Option(label, label));
+
+    const setMessage = (text, className = '') => {
+        message.textContent = text;
+        message.className   = `message ${className}`;
+    };
+    const form = {
+        eventId,
+        dirty: () => !!(disposition.value || notes.value.trim() || followUp.checked)
+    };
+    const close = () => {
+        host.remove();
+        if (wrapUpForm === form) wrapUpForm = null;
+        scheduleBusyCheck();
+    };
+
+    root.querySelector('.head').addEventListener('click', () => panel.classList.toggle('collapsed'));
+    for (const field of [disposition, notes, followUp]) field.addEventListener('input', scheduleBusyCheck);
+
+    saveBtn.addEventListener('click', () => {
+        if (!disposition.value) {
+            setMessage('Choose a disposition first', 'failed');
+            disposition.focus();
+            return;
+        }
+        saveBtn.disabled = true;
+        setMessage('Saving…');
+        chrome.runtime.sendMessage({
+            type:        'submitWrapUp',
+            disposition: disposition.value,
+            notes:       notes.value.trim(),
+            followUp:    followUp.checked,
+            customerID:  customerIdFromPage() || customerID || ''
+        }, (reply) => {
+            if (chrome.runtime.lastError || !reply) {
+                reply = { ok: false, detail: 'The extension did not answer — try again' };
+            }
+            if (!reply.ok) {
+                saveBtn.disabled = false;
+                setMessage(reply.detail, 'failed');
+                return;
+            }
+            setMessage(`✓ ${reply.detail}`, 'saved');
+            form.dirty = () => false;
+            scheduleBusyCheck();
+            setTimeout(close, WRAP_UP_SAVED_MS);
+        });
+    });
+    root.querySelector('.skip').addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'skipWrapUp' }, () => void chrome.runtime.lastError);
+        close();
+    });
+
+    wrapUpForm = form;
+    document.body.appendChild(host);
+}
+
+// ============================================================
+// CALLER CARD
+// Banner in the top-right corner with the caller details that
+// 3CX looked up. Replaces any previous card and hides itself
+// after CALLER_CARD_MS unless the mouse is over it.
+// ============================================================
+const CALLER_CARD_MS = 30000;
+
+function showCallerCard(customerID, phone, caller) {
+    const existing = document.getElementById('fr3cx-caller-card');
+    if (existing) existing.remove();
+
+    const host = document.createElement('div');
+    host.id = 'fr3cx-caller-card';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+        <style>
+          .card{position:fixed;top:16px;right:16px;z-index:2147483646;width:300px;background:white;
+                border-radius:8px;box-shadow:0 6px 24px rgba(0,0,0,.25);overflow:hidden;
+                font-family:'Segoe UI',Arial,sans-serif;color:#333}
+          .head{display:flex;align-items:center;justify-content:space-between;background:#2d7d46;
+                color:white;padding:8px 12px;font-size:12px;font-weight:600;letter-spacing:.3px}
+          .close{background:none;border:none;color:white;font-size:16px;cursor:pointer;line-height:1}
+          .body{padding:10px 12px}
+          .name{font-size:15px;font-weight:700}
+          .line{font-size:12px;color:#666;margin-top:3px}
+          .balance{font-weight:700;color:#2d7d46}
+          .balance.owing{color:#c0392b}
+        </style>
+        <div class="card">
+          <div class="head"><span>&#x1F4DE; Incoming call</span><button class="close" title="Close">&times;</button></div>
+          <div class="body"></div>
+        </div>`;
+
+    const body    = root.querySelector('.body');
+    const addLine = (text, className = 'line') => {
+        if (!text) return null;
+        const div = document.createElement('div');
+        div.className   = className;
+        div.textContent = text;
+        body.appendChild(div);
+        return div;
+    };
+
+    const name = [caller.firstName, caller.lastName].filter(Boolean).join(' ');
+    addLine(name || caller.companyName || phone || 'Unknown caller', 'name');
+    if (name) addLine(caller.companyName);
+    addLine([phone, customerID && `ID ${customerID}`].filter(Boolean).join(' · '));
+    addLine([caller.address, caller.city].filter(Boolean).join(', '));
+    addLine(caller.email);
+
+    const amount = parseFloat(caller.balance);
+    if (!isNaN(amount)) {
+        addLine(`Balance $${amount.toFixed(2)}`, amount > 0 ? 'line balance owing' : 'line balance');
+    }
+
+    let timer = setTimeout(() => host.remove(), CALLER_CARD_MS);
+    const card = root.querySelector('.card');
+    card.addEventListener('mouseenter', () => clearTimeout(timer));
+    card.addEventListener('mouseleave', () => { timer = setTimeout(() => host.remove(), CALLER_CARD_MS); });
+    root.querySelector('.close').addEventListener('click', () => {
+        clearTimeout(timer);
+        host.remove();
+    });
+
+    document.body.appendChild(host);
 }
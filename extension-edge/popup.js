@@ -1,106 +1,276 @@
+// GENERATED by extension-src/build.js — edit the file in extension-src/ instead.
+
 // ============================================================
 // FieldRoutes CRM for 3CX — Popup Script
 // ============================================================
+// Status and recent calls only. Settings, pairing and the test
+// pop live on the options page (options.html).
+// ============================================================
 
-const extensionInput = document.getElementById('extensionInput');
-const serverInput    = document.getElementById('serverInput');
-const secretInput    = document.getElementById('secretInput');
-const saveBtn        = document.getElementById('saveBtn');
-const saveServerBtn  = document.getElementById('saveServerBtn');
-const saveSecretBtn  = document.getElementById('saveSecretBtn');
 const statusDot      = document.getElementById('statusDot');
 const statusText     = document.getElementById('statusText');
-const secretSet      = document.getElementById('secretSet');
-const toast          = document.getElementById('toast');
-
-// Load saved values on popup open.
-// The secret is never shown back to the user — only a "configured" indicator.
-chrome.storage.local.get(['extensionNumber', 'serverAddress', 'sharedSecret'], (result) => {
-    if (result.extensionNumber) extensionInput.value = result.extensionNumber;
-    if (result.serverAddress)   serverInput.value    = result.serverAddress;
-
-    // Show indicator if secret is stored — never populate the password field
-    if (result.sharedSecret) {
-        secretSet.style.display = 'block';
-    }
-});
+const callStatus     = document.getElementById('callStatus');
+const settingsBtn    = document.getElementById('settingsBtn');
+const historyList    = document.getElementById('historyList');
+const historyEmpty   = document.getElementById('historyEmpty');
+const diagPanel      = document.getElementById('diagnostics');
+const diagTable      = document.getElementById('diagTable');
+const boardSection   = document.getElementById('boardSection');
+const boardSummary   = document.getElementById('boardSummary');
+const boardBtn       = document.getElementById('boardBtn');
+const extCheck       = document.getElementById('extensionCheck');
+const extCheckText   = document.getElementById('extensionCheckText');
+const useDetectedBtn = document.getElementById('useDetectedBtn');
+
+// ============================================================
+// CONNECTION STATUS & DIAGNOSTICS
+// The status line checks /health for the server's version and
+// asks the background script for this extension's connections
+// (getServerConnections — /connections needs a token). The
+// diagnostics panel adds the background script's view of the
+// stream (see getDiagnostics there) and refreshes every few
+// seconds while it is open.
+// ============================================================
+const DIAG_REFRESH_MS = 3000;
+let lastHealth        = null;   // { ok, version, latencyMs, clientIds, error }
+
+function getServerConnections() {
+    return new Promise(resolve => chrome.runtime.sendMessage({ type: 'getServerConnections' }, (result) => {
+        resolve(chrome.runtime.lastError || !result ? { ok: false, error: 'Background script not running' } : result);
+    }));
+}
+
+function setStatusLine(connected, text) {
+    statusDot.className    = `status-dot ${connected ? 'connected' : 'disconnected'}`;
+    statusText.textContent = text;
+}
 
-// Check connection status against the middleware health endpoint
 function refreshStatus() {
-    chrome.storage.local.get(['extensionNumber', 'serverAddress', 'sharedSecret'], (result) => {
+    chrome.storage.local.get(['extensionNumber', 'serverAddress', 'sharedSecret', 'agentCredential',
+                              'pestRoutesCompany'], async (result) => {
         if (!result.extensionNumber) {
-            statusDot.className    = 'status-dot disconnected';
-            statusText.textContent = 'Not configured — enter your extension number below';
+            setStatusLine(false, 'Not configured — open Settings to enter your extension');
             return;
         }
 
-        if (!result.sharedSecret) {
-            statusDot.className    = 'status-dot disconnected';
-            statusText.textContent = 'Shared secret not set — enter it below';
+        const paired = result.agentCredential && result.agentCredential.agent === result.extensionNumber;
+        if (!result.sharedSecret && !paired) {
+            setStatusLine(false, 'Shared secret not set — enter it or pair in Settings');
             return;
         }
 
-        const server = result.serverAddress || 'localhost:3000';
-        const proto  = server.startsWith('https://') ? '' : 'http://';
-        const host   = server.replace(/^https?:\/\//, '');
-
-        fetch(`${proto}${host}/health`)
-            .then(r => r.json())
-            .then(data => {
-                const ext = result.extensionNumber;
-                if (data.connectedOperators && data.connectedOperators.includes(ext)) {
-                    statusDot.className    = 'status-dot connected';
-                    statusText.textContent = `Connected as extension ${ext}`;
-                } else {
-                    statusDot.className    = 'status-dot disconnected';
-                    statusText.textContent = `Extension ${ext} not yet registered with server`;
-                }
-            })
-            .catch(() => {
-                statusDot.className    = 'status-dot disconnected';
-                statusText.textContent = 'Cannot reach middleware server';
-            });
+        if (!result.pestRoutesCompany) {
+            setStatusLine(false, 'PestRoutes site not set — enter it in Settings');
+            return;
+        }
+
+        const ext     = result.extensionNumber;
+        const started = performance.now();
+        try {
+            const response    = await fetch(`${serverBaseUrl(result.serverAddress)}/health`, { cache: 'no-store' });
+            const data        = await response.json();
+            const latencyMs   = Math.round(performance.now() - started);
+            const connections = await getServerConnections();
+            const mine        = connections.ok ? connections.clientIds : [];
+            lastHealth = {
+                ok:        true,
+                version:   data.version || 'unknown',
+                latencyMs,
+                clientIds: mine
+            };
+            setStatusLine(mine.length > 0, mine.length
+                ? `Connected as extension ${ext}`
+                : `Extension ${ext} not yet registered with server`);
+        } catch (err) {
+            lastHealth = { ok: false, error: err.message };
+            setStatusLine(false, 'Cannot reach middleware server');
+        }
+        refreshDiagnostics();
     });
 }
 
-// Save extension number
-saveBtn.addEventListener('click', () => {
-    const val = extensionInput.value.trim();
-    if (!val) return;
-    chrome.storage.local.set({ extensionNumber: val }, () => {
-        toast.style.display = 'block';
-        setTimeout(() => { toast.style.display = 'none'; }, 2500);
-        setTimeout(refreshStatus, 1500);
+function refreshDiagnostics() {
+    if (!diagPanel.open) return;
+    chrome.runtime.sendMessage({ type: 'getDiagnostics' }, (diag) => {
+        if (chrome.runtime.lastError || !diag) diag = {};
+        const health = lastHealth || {};
+        const rows = [
+            ['Stream',          diag.readyState || 'unknown'],
+            ['Background',      diag.status],
+            ['Connected since', formatTime(diag.connectedAt)],
+            ['Last event',      diag.lastEventAt ? `${diag.lastEventType} at ${formatTime(diag.lastEventAt)}` : 'none yet'],
+            ['Last event ID',   diag.lastEventId],
+            ['Reconnects',      diag.reconnectCount],
+            ['Last error',      diag.lastError],
+            ['Client ID',       diag.clientId],
+            ['Server sees',     health.ok ? `${health.clientIds.length} connection(s)` : ''],
+            ['Server version',  health.ok ? health.version : health.error],
+            ['Round trip',      health.ok ? `${health.latencyMs} ms` : '']
+        ];
+
+        diagTable.textContent = '';
+        for (const [label, value] of rows) {
+            if (value === undefined || value === null || value === '') continue;
+            const tr = diagTable.insertRow();
+            tr.insertCell().textContent = label;
+            tr.insertCell().textContent = String(value);
+        }
     });
-});
+}
+
+function formatTime(ms) {
+    return ms ? new Date(ms).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', second: '2-digit' }) : '';
+}
+
+// The call in progress, as the badge tooltip shows it
+// ("ON CALL 3:05 — 5551234567"), ticking while the popup is open
+const CALL_STATUS_MS = 1000;
 
-// Save server address
-saveServerBtn.addEventListener('click', () => {
-    const val = serverInput.value.trim();
-    if (!val) return;
-    chrome.storage.local.set({ serverAddress: val }, () => {
-        showToast('Server address saved');
-        setTimeout(refreshStatus, 500);
+function refreshCallStatus() {
+    chrome.runtime.sendMessage({ type: 'getCallStatus' }, (call) => {
+        if (chrome.runtime.lastError || !call) call = {};
+        callStatus.hidden      = !call.text;
+        callStatus.className   = `call-status ${call.state || ''}`;
+        callStatus.textContent = call.text || '';
     });
+}
+
+refreshCallStatus();
+setInterval(refreshCallStatus, CALL_STATUS_MS);
+
+diagPanel.addEventListener('toggle', () => {
+    if (diagPanel.open) refreshStatus();
 });
+setInterval(() => { if (diagPanel.open) refreshStatus(); }, DIAG_REFRESH_MS);
 
-// Save shared secret — stored in chrome.storage.local, never shown back
-saveSecretBtn.addEventListener('click', () => {
-    const val = secretInput.value;
-    if (!val) return;
-    chrome.storage.local.set({ sharedSecret: val }, () => {
-        secretInput.value      = '';              // clear field immediately after save
-        secretSet.style.display = 'block';        // show "configured" indicator
-        showToast('Secret saved');
-        setTimeout(refreshStatus, 500);
+// Accepts "host:port", "http://host:port" or "https://host:port"
+function serverBaseUrl(address) {
+    const trimmed = (address || 'localhost:3000').trim().replace(/\/+$/, '');
+    return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
+settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+// ============================================================
+// SIGNED-IN EXTENSION
+// Shown while the 3CX web client is signed in as another
+// extension than this workstation's (see webclient.js). Use
+// saves it, unless a policy sets the extension number.
+// ============================================================
+let offeredExtension = '';
+
+function refreshExtensionCheck() {
+    chrome.storage.local.get(['extensionNumber', 'detectedExtension', 'managedSettings'], (result) => {
+        const detected = result.detectedExtension ? result.detectedExtension.extension : '';
+        extCheck.hidden = !detected || detected === result.extensionNumber;
+        if (extCheck.hidden) return;
+
+        const managed = (result.managedSettings || []).includes('extensionNumber');
+        extCheckText.textContent = `The 3CX web client is signed in as ${detected}, but this workstation is set to ` +
+            `${result.extensionNumber || 'no extension'}.${managed ? ' Your organization sets the extension number.' : ''}`;
+        useDetectedBtn.textContent = `Use ${detected}`;
+        useDetectedBtn.hidden      = managed;
+        offeredExtension           = detected;
     });
+}
+
+useDetectedBtn.addEventListener('click', () => {
+    chrome.storage.local.set({ extensionNumber: offeredExtension });
 });
 
-function showToast(msg) {
-    toast.textContent    = '✓ ' + msg;
-    toast.style.display  = 'block';
-    setTimeout(() => { toast.style.display = 'none'; }, 2500);
+refreshExtensionCheck();
+
+// ============================================================
+// SUPERVISOR BOARD
+// Shown only while the background script keeps a board, i.e. on
+// a workstation paired and approved as a supervisor. The board
+// itself is a page of its own (board.html) with room for every
+// agent.
+// ============================================================
+function renderBoardSummary(board) {
+    boardSection.hidden = !board;
+    if (!board) return;
+
+    const onCall = board.rows.filter(row => ['ringing', 'answered', 'hold'].includes(row.state)).length;
+    boardSummary.textContent = board.live
+        ? `${board.rows.length} agent(s) on the board, ${onCall} on a call`
+        : 'Board reconnecting...';
 }
 
+boardBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('board.html') });
+});
+
+chrome.storage.local.get(['supervisorBoard'], (result) => renderBoardSummary(result.supervisorBoard || null));
+
+// ============================================================
+// RECENT CALLS
+// The background script keeps the list in storage ('popHistory');
+// re-rendered whenever it changes so in-progress pops update live.
+// ============================================================
+const POP_ICONS = { opened: '✓', failed: '✗', opening: '…', notified: '●', dismissed: '–' };
+
+function renderHistory(history) {
+    historyList.textContent    = '';
+    historyEmpty.style.display = history.length ? 'none' : 'block';
+
+    for (const entry of history) {
+        const li = document.createElement('li');
+
+        const icon = document.createElement('span');
+        icon.className   = `pop-icon ${entry.status}`;
+        icon.textContent = POP_ICONS[entry.status] || '?';
+        icon.title       = entry.status === 'failed' ? entry.reason : (entry.method ? `Opened via ${entry.method}` : '');
+
+        const info   = document.createElement('div');
+        info.className = 'pop-info';
+        const caller = document.createElement('div');
+        caller.className   = 'pop-caller';
+        const name = entry.caller
+            ? [entry.caller.firstName, entry.caller.lastName].filter(Boolean).join(' ') || entry.caller.companyName
+            : '';
+        caller.textContent = name || formatPhone(entry.phone) || `Customer ${entry.customerID}`;
+        const meta = document.createElement('div');
+        meta.className   = 'pop-meta';
+        meta.textContent = [
+            new Date(entry.time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }),
+            name && formatPhone(entry.phone),
+            entry.customerID && `ID ${entry.customerID}`,
+            entry.status === 'failed' && entry.reason
+        ].filter(Boolean).join(' · ');
+        info.append(caller, meta);
+
+        const reopen = document.createElement('button');
+        reopen.className   = 'reopen';
+        reopen.textContent = 'Re-open';
+        reopen.disabled    = entry.status === 'opening';
+        reopen.addEventListener('click', () => {
+            chrome.runtime.sendMessage({ type: 'reopenCustomer', id: entry.id });
+        });
+
+        li.append(icon, info, reopen);
+        historyList.appendChild(li);
+    }
+}
+
+function formatPhone(phone) {
+    const digits = (phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+    return digits.length === 10
+        ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`
+        : (phone || '');
+}
+
+chrome.storage.local.get(['popHistory'], (result) => renderHistory(result.popHistory || []));
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes.popHistory) renderHistory(changes.popHistory.newValue || []);
+    if (changes.supervisorBoard) renderBoardSummary(changes.supervisorBoard.newValue || null);
+    if (changes.detectedExtension || changes.extensionNumber || changes.managedSettings) refreshExtensionCheck();
+    if (changes.extensionNumber || changes.serverAddress || changes.sharedSecret ||
+        changes.agentCredential || changes.pestRoutesCompany) {
+        setTimeout(refreshStatus, 1500);
+    }
+});
+
 // Refresh on popup open
 refreshStatus();
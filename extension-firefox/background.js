@@ -1,239 +1,2565 @@
+// GENERATED by extension-src/build.js — edit the file in extension-src/ instead.
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Browser Compatibility Layer
+// ============================================================
+// build.js prepends this file to background.js for every
+// target. It hides the differences between Chrome/Edge
+// (Manifest V3 service worker) and Firefox (Manifest V2 event
+// page) so the rest of the background script is written once:
+//   - chrome.action (MV3) vs chrome.browserAction (MV2)
+//   - chrome.scripting.executeScript (MV3) vs
+//     chrome.tabs.executeScript (MV2)
+//   - chrome.scripting.registerContentScripts (MV3) vs
+//     browser.contentScripts.register (MV2)
+//   - MV3 service workers are suspended when idle and need the
+//     keepAlive alarm; MV2 event pages do not
+//   - Firefox notifications cannot have buttons
+//   - chrome.storage.session may be missing on Firefox
+// ============================================================
+
+const IS_MV3    = chrome.runtime.getManifest().manifest_version >= 3;
+const actionApi = chrome.action || chrome.browserAction;
+
+const IS_FIREFOX                    = typeof browser !== 'undefined' && !!browser.runtime.getBrowserInfo;
+const SUPPORTS_NOTIFICATION_BUTTONS = !IS_FIREFOX;
+
+// Runs func(...args) inside the page of the given tab and
+// resolves with the function's return value.
+async function executeInTab(tabId, func, args = []) {
+    if (IS_MV3) {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId },
+            func,
+            args
+        });
+        return results && results[0] ? results[0].result : undefined;
+    }
+
+    // MV2 only accepts a code string — serialise the function and its arguments
+    const code    = `(${func.toString()})(${args.map(a => JSON.stringify(a)).join(', ')})`;
+    const results = await chrome.tabs.executeScript(tabId, { code });
+    return results ? results[0] : undefined;
+}
+
+// Registers file as the content script for matches, replacing
+// what was registered under id before; no matches leaves none.
+// MV3 registrations outlive the service worker and MV2 ones end
+// with the event page, so this runs on every background start.
+const mv2ContentScripts = new Map();   // id → RegisteredContentScript
+
+async function registerContentScript(id, matches, file) {
+    if (IS_MV3) {
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [id] });
+        if (registered.length) await chrome.scripting.unregisterContentScripts({ ids: [id] });
+        if (matches.length) {
+            await chrome.scripting.registerContentScripts([{ id, matches, js: [file], runAt: 'document_idle' }]);
+        }
+        return;
+    }
+
+    if (mv2ContentScripts.has(id)) await mv2ContentScripts.get(id).unregister();
+    mv2ContentScripts.delete(id);
+    if (matches.length) {
+        mv2ContentScripts.set(id, await browser.contentScripts.register({ matches, js: [{ file }], runAt: 'document_idle' }));
+    }
+}
+
+// Whether every origin is granted. Callback form, as storage
+// below, for Firefox's MV2 chrome.* namespace.
+function hasOrigins(origins) {
+    return new Promise(resolve => chrome.permissions.contains({ origins }, (granted) => resolve(!!granted)));
+}
+
+// The match pattern for a URL's host on any port
+function originPattern(url) {
+    const { protocol, hostname } = new URL(url);
+    return `${protocol}//${hostname}/*`;
+}
+
+// chrome.storage.local wrapped in promises. Firefox's chrome.*
+// namespace is callback-only under MV2, so always use callbacks.
+function storageGet(keys) {
+    return new Promise(resolve => chrome.storage.local.get(keys, resolve));
+}
+
+function storageSet(items) {
+    return new Promise(resolve => chrome.storage.local.set(items, resolve));
+}
+
+// The same for state that should last only as long as the browser
+// does: chrome.storage.session, kept in memory across service
+// worker restarts. A Firefox without it falls back to
+// storage.local.
+const sessionArea = chrome.storage.session || chrome.storage.local;
+
+function sessionGet(keys) {
+    return new Promise(resolve => sessionArea.get(keys, resolve));
+}
+
+function sessionSet(items) {
+    return new Promise(resolve => sessionArea.set(items, resolve));
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Logging
+// ============================================================
+// build.js puts this file straight after compat.js in
+// background.js, so log() is there for every module after it.
+// The background script writes its routine lines with log(),
+// which the options page's Extension Log setting ('logLevel')
+// silences at 'warn'. Warnings and errors go to console.warn and
+// console.error and are always written. The console itself is
+// never patched, so other code's output is untouched.
+// ============================================================
+let logLevel = 'info';
+
+function setLogLevel(level) {
+    logLevel = level === 'warn' ? 'warn' : 'info';
+}
+
+function log(...args) {
+    if (logLevel === 'info') console.log(...args);
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — SSE Stream Reader
+// ============================================================
+// build.js concatenates this into background.js ahead of the
+// main script. It replaces the native EventSource, which cannot
+// send request headers, with fetch() + ReadableStream:
+//   - the SSE token goes in an Authorization header, not the URL
+//   - the id of the last event received is sent back as
+//     Last-Event-ID, so the middleware replays anything sent
+//     while the extension was reconnecting
+//   - it never reconnects by itself; onClose is called once and
+//     the caller decides when to connect again
+// ============================================================
+
+// Opens a stream and returns { close(), closed, lastEventId }.
+//   onOpen()         — response accepted, events will follow
+//   onEvent(event)   — { type, data, id } for each complete event
+//   onClose(error)   — stream ended; error.status is set when the
+//                      server refused the request. Not called after
+//                      close().
+function openEventStream(url, { headers = {}, lastEventId = '', onOpen, onEvent, onClose }) {
+    const controller = new AbortController();
+    const stream = {
+        closed:      false,
+        lastEventId,
+        close() {
+            stream.closed = true;
+            controller.abort();
+        }
+    };
+
+    const requestHeaders = { Accept: 'text/event-stream', ...headers };
+    if (lastEventId) requestHeaders['Last-Event-ID'] = lastEventId;
+
+    (async () => {
+        let error;
+        try {
+            const response = await fetch(url, { headers: requestHeaders, cache: 'no-store', signal: controller.signal });
+            if (!response.ok) {
+                error = new Error(`HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            if (!(response.headers.get('Content-Type') || '').startsWith('text/event-stream')) {
+                throw new Error('Server did not return an event stream');
+            }
+
+            if (onOpen) onOpen();
+            await readEventStream(response.body, (event) => {
+                if (event.id !== null) stream.lastEventId = event.id;
+                if (!stream.closed && onEvent) onEvent(event);
+            });
+            error = new Error('Stream ended by server');
+        } catch (err) {
+            error = err;
+        }
+
+        if (stream.closed) return;
+        stream.closed = true;
+        if (onClose) onClose(error);
+    })();
+
+    return stream;
+}
+
+// Parses text/event-stream per the HTML spec: fields up to a
+// blank line make one event, ':' lines are comments, and only
+// events with data are dispatched. id is null when the event
+// had no id: field.
+async function readEventStream(body, dispatch) {
+    const reader  = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let type   = '';
+    let data   = [];
+    let id     = null;
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += decoder.decode(value, { stream: true });
+        // A trailing lone \r may be the first half of \r\n — keep it for the next chunk
+        const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line === '') {
+                if (data.length) dispatch({ type: type || 'message', data: data.join('\n'), id });
+                type = '';
+                data = [];
+                id   = null;
+                continue;
+            }
+            if (line.startsWith(':')) continue;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const text  = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+            if (field === 'event')                          type = text;
+            else if (field === 'data')                      data.push(text);
+            else if (field === 'id' && !text.includes('\0')) id  = text;
+        }
+    }
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Selector Profile
+// ============================================================
+// build.js includes this in both background.js and content.js.
+// Everything the extension needs to know about PestRoutes'
+// markup — and where the 3CX web client shows the signed-in
+// extension (webclient.js) — in one object, so a markup
+// change can be fixed by editing the profile on the
+// middleware's /selectors page instead of shipping a new
+// extension. The background script fetches /selectors.json
+// on every connect and keeps it in storage under
+// 'selectorProfile'.
+//
+// Selector fields are lists and the first one that matches
+// wins, so an old and a new layout can both be listed. Any
+// field that is missing or invalid falls back to the default.
+// ============================================================
+
+const DEFAULT_SELECTOR_PROFILE = {
+    searchInput:      ['#customerSearch'],
+    resultItem:       ['.ui-autocomplete li.ui-menu-item'],
+    resultLink:       ['a', '.ui-menu-item-wrapper', 'div'],   // clicked inside a result row
+    busyDialog:       ['dialog[open]', '[role="dialog"]', '[aria-modal="true"]',
+                       '.ui-dialog', '.modal.in', '.modal.show'],   // while one is open the tab is busy
+    customerCardPath: '/customers/{customerID}',               // direct link to a customer record
+    webClientExtension: ['[data-qa="extension-number"]', '.extension-number',
+                         '.user-extension'],   // the signed-in extension in the 3CX web client
+    pageTimeoutMs:    10000,   // wait this long for the search box to appear
+    resultsTimeoutMs: 5000,    // and this long for autocomplete results
+    settleMs:         300      // results must stop changing for this long before they are counted
+};
+
+function normalizeSelectorProfile(raw) {
+    const profile = { ...DEFAULT_SELECTOR_PROFILE };
+    if (!raw || typeof raw !== 'object') return profile;
+
+    for (const key of ['searchInput', 'resultItem', 'resultLink', 'busyDialog', 'webClientExtension']) {
+        const list = [].concat(raw[key] || []).filter(sel => typeof sel === 'string' && sel.trim());
+        if (list.length) profile[key] = list;
+    }
+    if (typeof raw.customerCardPath === 'string' && /^\/.*\{customerID\}/.test(raw.customerCardPath)) {
+        profile.customerCardPath = raw.customerCardPath;
+    }
+    for (const key of ['pageTimeoutMs', 'resultsTimeoutMs', 'settleMs']) {
+        const value = Number(raw[key]);
+        if (value >= 1 && value <= 60000) profile[key] = value;
+    }
+    return profile;
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — PestRoutes Customer Search
+// ============================================================
+// build.js includes this in both background.js and content.js.
+// searchCustomerInPage() types the phone number (or customer
+// ID) into the PestRoutes search box and opens the result:
+//   - one match is clicked straight away
+//   - several matches go to a picker so the operator chooses
+//
+// It is called directly by the content script and injected by
+// the background script, which serialises the function on its
+// own — so everything it uses is declared inside it, and the
+// selector profile is passed in rather than read from storage.
+//
+// Waiting is done with MutationObserver against the profile's
+// timeouts rather than fixed sleeps and polls, and every failure
+// says which selector it was looking for.
+//
+// Resolves with { opened, outcome, method: 'search', reason, matches }
+//
+// pageStatus() answers the background script's 'status' message
+// and is injected the same way when there is no content script.
+// ============================================================
+
+function searchCustomerInPage(customerID, phone, profile) {
+    const searchTerm = phone || customerID;
+    return run().catch(err => fail('script_error', `Page script error: ${err.message}`));
+
+    async function run() {
+        const box = await waitFor(() => queryFirst(profile.searchInput), profile.pageTimeoutMs);
+        if (!box) {
+            return fail('no_search_box',
+                `Search box not found after ${seconds(profile.pageTimeoutMs)} — looked for ${profile.searchInput.join(', ')}`);
+        }
+        const searchInput = box.element;
+        if (!(searchInput instanceof HTMLInputElement)) {
+            return fail('no_search_box',
+                `"${box.selector}" matched a <${searchInput.tagName.toLowerCase()}>, not an input`);
+        }
+
+        console.log(`[FieldRoutes] Triggering search for: ${searchTerm}`);
+        searchInput.focus();
+
+        // Set value via native setter (required for React/jQuery UI to detect change)
+        const nativeSetter = Object.getOwnPropertyDescriptor(
+            window.HTMLInputElement.prototype, 'value'
+        ).set;
+        nativeSetter.call(searchInput, searchTerm);
+
+        searchInput.dispatchEvent(new Event('input',  { bubbles: true }));
+        searchInput.dispatchEvent(new Event('keyup',  { bubbles: true }));
+
+        // Trigger jQuery UI autocomplete directly if jQuery is present
+        if (typeof jQuery !== 'undefined') {
+            try {
+                jQuery(searchInput).val(searchTerm).autocomplete('search', searchTerm);
+                console.log('[FieldRoutes] jQuery autocomplete search triggered');
+            } catch (e) {}
+        }
+
+        // Wait for the first visible result, then for the list to stop
+        // changing — the autocomplete often fills in over several renders
+        const first = await waitFor(() => visibleResults()[0], profile.resultsTimeoutMs);
+        if (!first) {
+            return fail('no_results',
+                `No autocomplete results within ${seconds(profile.resultsTimeoutMs)} — looked for ${profile.resultItem.join(', ')}`);
+        }
+        await waitForQuiet(first.parentElement || document.body, profile.settleMs);
+
+        const items = visibleResults();
+        if (items.length === 0) {
+            return fail('no_results', 'Autocomplete results disappeared before one could be opened');
+        }
+        if (items.length === 1) {
+            clickItem(items[0]);
+            return { opened: true, outcome: 'opened', method: 'search', reason: '', matches: 1 };
+        }
+
+        console.log(`[FieldRoutes] ${items.length} customers match ${searchTerm} — showing picker`);
+        const chosen = await showPicker(items);
+        if (!chosen) {
+            return { opened: false, outcome: 'multiple_matches', method: 'search',
+                     reason: 'Multiple matches — picker dismissed', matches: items.length };
+        }
+        clickItem(chosen);
+        return { opened: true, outcome: 'opened', method: 'search', reason: '', matches: items.length };
+    }
+
+    function fail(outcome, reason) {
+        console.warn(`[FieldRoutes] Customer search failed: ${reason}`);
+        return { opened: false, outcome, method: 'search', reason, matches: 0 };
+    }
+
+    function seconds(ms) {
+        return `${Math.round(ms / 100) / 10} s`;
+    }
+
+    // First selector in the list that matches anything. An invalid
+    // selector throws, naming itself, rather than silently matching nothing.
+    function queryFirst(selectors) {
+        for (const selector of selectors) {
+            let element;
+            try {
+                element = document.querySelector(selector);
+            } catch (err) {
+                throw new Error(`Invalid selector "${selector}" in the selector profile`);
+            }
+            if (element) return { element, selector };
+        }
+        return null;
+    }
+
+    // Result rows from the first resultItem selector with any visible
+    // match. jQuery UI keeps the previous search's menu in the DOM,
+    // hidden, so invisible rows are ignored.
+    function visibleResults() {
+        for (const selector of profile.resultItem) {
+            let items;
+            try {
+                items = Array.from(document.querySelectorAll(selector));
+            } catch (err) {
+                throw new Error(`Invalid selector "${selector}" in the selector profile`);
+            }
+            items = items.filter(item => item.getClientRects().length > 0);
+            if (items.length) return items;
+        }
+        return [];
+    }
+
+    // Resolves with check()'s first truthy result, re-checking on
+    // every DOM change, or with null once timeoutMs has passed.
+    function waitFor(check, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (error, value) => {
+                if (settled) return;
+                settled = true;
+                observer.disconnect();
+                clearTimeout(timer);
+                if (error) reject(error); else resolve(value);
+            };
+            const test = () => {
+                try {
+                    const value = check();
+                    if (value) finish(null, value);
+                } catch (err) {
+                    finish(err);
+                }
+            };
+
+            const observer = new MutationObserver(test);
+            const timer    = setTimeout(() => finish(null, null), timeoutMs);
+            observer.observe(document.documentElement, {
+                childList: true, subtree: true, attributes: true, attributeFilter: ['style', 'class', 'hidden']
+            });
+            test();
+        });
+    }
+
+    // Resolves once root has gone quietMs without a change, or after
+    // ten times that at most so a constantly updating page cannot stall it
+    function waitForQuiet(root, quietMs) {
+        return new Promise(resolve => {
+            const done     = () => { observer.disconnect(); clearTimeout(timer); clearTimeout(limit); resolve(); };
+            const observer = new MutationObserver(() => {
+                clearTimeout(timer);
+                timer = setTimeout(done, quietMs);
+            });
+            let timer   = setTimeout(done, quietMs);
+            const limit = setTimeout(done, quietMs * 10);
+            observer.observe(root, { childList: true, subtree: true, characterData: true });
+        });
+    }
+
+    function clickItem(item) {
+        item.click();
+        const link = item.querySelector(profile.resultLink.join(', '));
+        if (link) link.click();
+    }
+
+    // Autocomplete rows are plain text: name on the first line, address
+    // after it, and usually the customer ID as "#12345" or "ID: 12345".
+    function describeMatch(item) {
+        const text    = item.innerText || item.textContent || '';
+        const idMatch = text.match(/(?:\bID\b|#)\s*:?\s*(\d+)/i);
+        const lines   = text.split('\n').map(l => l.trim()).filter(Boolean);
+        return {
+            name:       lines[0] || '(no name)',
+            address:    lines.slice(1).filter(l => !idMatch || !l.includes(idMatch[0])).join(', '),
+            customerID: idMatch ? idMatch[1] : ''
+        };
+    }
+
+    // Overlay listing every match. Keys: 1–9 pick directly, ↑/↓ + Enter,
+    // Esc cancels. Focus stays in the search box (mousedown is swallowed
+    // and keys are captured) so jQuery UI keeps its result menu open.
+    function showPicker(items) {
+        return new Promise(done => {
+            const host = document.createElement('div');
+            host.id = 'fr3cx-picker';
+            const root = host.attachShadow({ mode: 'open' });
+            root.innerHTML = `
+                <style>
+                  .backdrop{position:fixed;inset:0;z-index:2147483647;background:rgba(0,0,0,.35);
+                            display:flex;align-items:flex-start;justify-content:center;padding-top:12vh;
+                            font-family:'Segoe UI',Arial,sans-serif}
+                  .box{background:white;border-radius:8px;width:440px;max-height:70vh;overflow:auto;
+                       box-shadow:0 8px 28px rgba(0,0,0,.3)}
+                  .title{background:#2d7d46;color:white;padding:12px 16px;font-size:14px;font-weight:600}
+                  ol{list-style:none;margin:0;padding:6px 0}
+                  li{display:flex;gap:10px;padding:9px 16px;cursor:pointer;font-size:13px;color:#333}
+                  li.selected{background:#f0f7f2}
+                  .key{flex-shrink:0;width:20px;height:20px;border-radius:4px;background:#e8ecef;
+                       text-align:center;line-height:20px;font-size:11px;font-weight:700;color:#555}
+                  .name{font-weight:600}
+                  .meta{font-size:12px;color:#777;margin-top:2px}
+                  .hint{padding:8px 16px;font-size:11px;color:#999;border-top:1px solid #e8ecef}
+                </style>
+                <div class="backdrop">
+                  <div class="box">
+                    <div class="title"></div>
+                    <ol></ol>
+                    <div class="hint">1–9 or ↑/↓ and Enter to open &nbsp;·&nbsp; Esc to cancel</div>
+                  </div>
+                </div>`;
+            root.querySelector('.title').textContent = `${items.length} customers match ${searchTerm}`;
+
+            const list = root.querySelector('ol');
+            const rows = items.map((item, i) => {
+                const match = describeMatch(item);
+                const row   = document.createElement('li');
+                row.innerHTML = '<span class="key"></span><div><div class="name"></div><div class="meta"></div></div>';
+                row.querySelector('.key').textContent  = i < 9 ? String(i + 1) : '';
+                row.querySelector('.name').textContent = match.name;
+                row.querySelector('.meta').textContent =
+                    [match.address, match.customerID && `ID ${match.customerID}`].filter(Boolean).join(' · ');
+                row.addEventListener('click', () => finish(i));
+                list.appendChild(row);
+                return row;
+            });
+
+            let selected = 0;
+            const render = () => rows.forEach((row, i) => row.classList.toggle('selected', i === selected));
+
+            function onKey(e) {
+                if (e.key === 'Escape') {
+                    finish(null);
+                } else if (e.key === 'Enter') {
+                    finish(selected);
+                } else if (e.key === 'ArrowDown') {
+                    selected = (selected + 1) % rows.length;
+                    render();
+                } else if (e.key === 'ArrowUp') {
+                    selected = (selected - 1 + rows.length) % rows.length;
+                    render();
+                } else if (/^[1-9]$/.test(e.key) && Number(e.key) <= rows.length) {
+                    finish(Number(e.key) - 1);
+                } else {
+                    return;
+                }
+                e.preventDefault();
+                e.stopPropagation();
+            }
+
+            function finish(index) {
+                window.removeEventListener('keydown', onKey, true);
+                host.remove();
+                done(index === null ? null : items[index]);
+            }
+
+            root.addEventListener('mousedown', e => e.preventDefault());
+            root.querySelector('.backdrop').addEventListener('click', e => {
+                if (e.target.classList.contains('backdrop')) finish(null);
+            });
+            window.addEventListener('keydown', onKey, true);
+            document.body.appendChild(host);
+            render();
+        });
+    }
+}
+
+// { url, onCustomerCard, busy } — onCustomerCard is true when the
+// address is exactly the profile's customerCardPath for customerID
+// (PestRoutes redirects unknown IDs and expired sessions away from
+// the card URL, so nothing on the page needs checking). busy says why
+// a screen pop must not take this tab over, or is '' when it may:
+// a visible form field the agent has typed in or changed differs
+// from the value the page loaded with (the customer search box is
+// ignored, since pops type into it), or one of the profile's
+// busyDialog dialogs is open.
+//
+// Only input and change events mark a field as the agent's:
+// PestRoutes fills many fields by script (jQuery .val()), which
+// changes the value but not defaultValue and fires neither event.
+// The first call starts listening for them — the content script
+// calls it as soon as it loads.
+function pageStatus(customerID, profile) {
+    const id       = customerID ? String(customerID) : '';
+    const cardPath = id ? profile.customerCardPath.replace('{customerID}', encodeURIComponent(id)) : '';
+    const edited   = window.fieldRoutesEditedFields || watchEdits();
+    return {
+        url:            window.location.href,
+        onCustomerCard: !!cardPath && window.location.pathname === cardPath,
+        busy:           hasUnsavedChanges() ? 'Unsaved changes in a form'
+                      : dialogOpen()        ? 'A dialog is open'
+                      : ''
+    };
+
+    function watchEdits() {
+        const fields = new WeakSet();
+        const mark   = (event) => fields.add(event.target);
+        document.addEventListener('input', mark, true);
+        document.addEventListener('change', mark, true);
+        window.fieldRoutesEditedFields = fields;
+        return fields;
+    }
+
+    function visible(el) {
+        return el.getClientRects().length > 0;
+    }
+
+    function dialogOpen() {
+        for (const selector of (profile && profile.busyDialog) || []) {
+            try {
+                if (Array.from(document.querySelectorAll(selector)).some(visible)) return true;
+            } catch (err) {}
+        }
+        return false;
+    }
+
+    function hasUnsavedChanges() {
+        const ignored = new Set();
+        for (const selector of (profile && profile.searchInput) || []) {
+            try {
+                document.querySelectorAll(selector).forEach(el => ignored.add(el));
+            } catch (err) {}
+        }
+
+        for (const field of document.querySelectorAll('input, textarea, select')) {
+            if (!edited.has(field) || ignored.has(field) || field.disabled || field.readOnly) continue;
+            if (!visible(field)) continue;
+
+            if (field instanceof HTMLSelectElement) {
+                // A single select with no default shows its first option
+                const options = Array.from(field.options);
+                const initial = options.some(o => o.defaultSelected)
+                    ? options.filter(o => o.defaultSelected)
+                    : (field.multiple ? [] : options.slice(0, 1));
+                if (options.some(o => o.selected !== initial.includes(o))) return true;
+            } else if (field.type === 'checkbox' || field.type === 'radio') {
+                if (field.checked !== field.defaultChecked) return true;
+            } else if (!['button', 'submit', 'reset', 'image', 'hidden', 'file'].includes(field.type)) {
+                if (field.value !== field.defaultValue) return true;
+            }
+        }
+        return false;
+    }
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Screen-Pop History
+// ============================================================
+// Keeps a rolling list of the last HISTORY_LIMIT openCustomer
+// events in chrome.storage.local under 'popHistory' (newest
+// first) so the popup can show missed pops and re-open them.
+//
+// Entry: { id, time, phone, customerID, caller, status, method, reason,
+//          eventId, acked, wrappedUp }
+//   caller  — optional details from the 3CX lookup (see callerFromPayload)
+//   status  — 'notified' | 'dismissed' | 'opening' | 'opened' | 'failed'
+//   eventId — SSE event id the pop arrived with; acked once its outcome
+//             has been reported back (see acknowledgeDelivery)
+//   wrappedUp — the wrap-up panel was saved or skipped (see wrapup.js)
+// ============================================================
+
+const HISTORY_KEY   = 'popHistory';
+const HISTORY_LIMIT = 25;
+
+// Read-modify-write on storage is not atomic — chain every
+// change so two pops arriving together cannot drop an entry.
+let historyQueue = Promise.resolve();
+
+function changeHistory(mutate) {
+    historyQueue = historyQueue.then(async () => {
+        const result  = await storageGet([HISTORY_KEY]);
+        const history = mutate(result[HISTORY_KEY] || []);
+        await storageSet({ [HISTORY_KEY]: history.slice(0, HISTORY_LIMIT) });
+    }).catch(err => console.error('[FieldRoutes] Failed to update pop history:', err));
+    return historyQueue;
+}
+
+async function addHistoryEntry(customerID, phone, caller = {}, eventId = null) {
+    const entry = {
+        id:         `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        time:       Date.now(),
+        phone:      phone      || '',
+        customerID: customerID || '',
+        caller,
+        status:     'opening',
+        method:     null,
+        reason:     '',
+        eventId,
+        acked:      false,
+        wrappedUp:  false
+    };
+    await changeHistory(history => [entry, ...history]);
+    return entry;
+}
+
+function updateHistoryEntry(id, changes) {
+    return changeHistory(history =>
+        history.map(entry => entry.id === id ? { ...entry, ...changes } : entry));
+}
+
+async function getHistoryEntry(id) {
+    const result = await storageGet([HISTORY_KEY]);
+    return (result[HISTORY_KEY] || []).find(entry => entry.id === id) || null;
+}
+
+// Opens the customer and records the outcome against the entry
+async function openAndRecord(entry) {
+    await updateHistoryEntry(entry.id, { status: 'opening', reason: '' });
+    const result = await handleOpenCustomer(entry.customerID, entry.phone, entry.caller);
+    await updateHistoryEntry(entry.id, {
+        status: result.opened ? 'opened' : (result.outcome === 'dismissed' ? 'dismissed' : 'failed'),
+        method: result.method,
+        reason: result.reason
+    });
+    acknowledgeDelivery(entry, result);
+    if (result.opened) offerWrapUp(result.tabId, entry);
+    return result;
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Screen-Pop Notifications
+// ============================================================
+// Optional pop mode (popMode = 'notify' in storage). Instead of
+// focusing PestRoutes the moment an openCustomer event arrives,
+// show a browser notification and only open the record — and
+// steal focus — when the agent clicks "Open record".
+//
+// The notification ID is the history entry ID, so a click after
+// the MV3 service worker has been restarted still finds the pop.
+// Firefox has no notification buttons: clicking the notification
+// itself opens the record and closing it dismisses the pop.
+// ============================================================
+
+const POP_MODE_FOCUS  = 'focus';
+const POP_MODE_NOTIFY = 'notify';
+
+async function getPopMode() {
+    const result = await storageGet(['popMode']);
+    return result.popMode === POP_MODE_NOTIFY ? POP_MODE_NOTIFY : POP_MODE_FOCUS;
+}
+
+function showPopNotification(entry) {
+    const caller  = entry.caller || {};
+    const name    = callerName(caller);
+    const details = [
+        name && caller.companyName && caller.companyName !== name ? caller.companyName : '',
+        [caller.address, caller.city].filter(Boolean).join(', '),
+        formatBalance(caller.balance)
+    ].filter(Boolean);
+
+    const options = {
+        type:           'basic',
+        iconUrl:        'icons/icon128.png',
+        title:          `Incoming call — ${formatPhoneNumber(entry.phone) || 'unknown number'}`,
+        message:        [name || (entry.customerID ? 'Existing customer' : 'Customer not identified'), ...details].join('\n'),
+        contextMessage: entry.customerID ? `Customer ID ${entry.customerID}` : '',
+        priority:       2
+    };
+    if (SUPPORTS_NOTIFICATION_BUTTONS) {
+        options.buttons            = [{ title: 'Open record' }, { title: 'Dismiss' }];
+        options.requireInteraction = true;
+    }
+
+    chrome.notifications.create(entry.id, options);
+    updateHistoryEntry(entry.id, { status: 'notified' });
+}
+
+async function openFromNotification(id) {
+    chrome.notifications.clear(id);
+    const entry = await getHistoryEntry(id);
+    if (entry && entry.status === 'notified') openAndRecord(entry);
+}
+
+async function dismissNotification(id) {
+    chrome.notifications.clear(id);
+    const entry = await getHistoryEntry(id);
+    if (entry && entry.status === 'notified') {
+        await updateHistoryEntry(id, { status: 'dismissed', reason: 'Dismissed from notification' });
+        acknowledgeDelivery(entry, { outcome: 'dismissed', reason: 'Dismissed from notification' });
+    }
+}
+
+function formatPhoneNumber(phone) {
+    const digits = (phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+    return digits.length === 10
+        ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`
+        : (phone || '');
+}
+
+chrome.notifications.onButtonClicked.addListener((id, buttonIndex) => {
+    if (buttonIndex === 0) {
+        openFromNotification(id);
+    } else {
+        dismissNotification(id);
+    }
+});
+
+chrome.notifications.onClicked.addListener(openFromNotification);
+
+chrome.notifications.onClosed.addListener((id, byUser) => {
+    if (byUser) dismissNotification(id);
+});
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Tab Targeting
+// ============================================================
+// Decides which PestRoutes tab a screen pop takes over
+// (tabTarget in storage, set on the options page):
+//   recent — the PestRoutes tab used most recently (default)
+//   pinned — one dedicated screen-pop tab that the extension
+//            pins and remembers under 'popTabId'
+//   new    — a new tab for every pop
+// A busy tab — unsaved form data or an open dialog, as reported
+// by the content script — is never taken over without asking.
+// busyTabAction in storage decides what happens instead:
+//   newTab — use the next idle PestRoutes tab, or a new one (default)
+//   ask    — show "Caller waiting: open now?" in the busy tab
+// ============================================================
+
+const TAB_TARGET_RECENT = 'recent';
+const TAB_TARGET_PINNED = 'pinned';
+const TAB_TARGET_NEW    = 'new';
+
+const BUSY_TAB_NEW_TAB = 'newTab';
+const BUSY_TAB_ASK     = 'ask';
+
+async function getTabTarget() {
+    const result = await storageGet(['tabTarget']);
+    return [TAB_TARGET_PINNED, TAB_TARGET_NEW].includes(result.tabTarget) ? result.tabTarget : TAB_TARGET_RECENT;
+}
+
+async function getBusyTabAction() {
+    const result = await storageGet(['busyTabAction']);
+    return result.busyTabAction === BUSY_TAB_ASK ? BUSY_TAB_ASK : BUSY_TAB_NEW_TAB;
+}
+
+// Resolves with { tab, detail } once the tab is focused (and, when
+// it was just opened, loaded). detail says why that tab was chosen.
+// tab is null when the agent declined the pop at the prompt.
+// pop is { customerID, phone, caller }, shown in the prompt.
+async function choosePopTab(host, origin, profile, pop) {
+    const target = await getTabTarget();
+    if (target === TAB_TARGET_NEW) return openPopTab(host, false, 'Opened a new PestRoutes tab');
+
+    let tab;
+    let others = [];
+    if (target === TAB_TARGET_PINNED) {
+        tab = await getScreenPopTab(host);
+        if (!tab) return openPopTab(host, true, 'Opened the screen-pop tab');
+    } else {
+        const tabs = await chrome.tabs.query({ url: origin });
+        if (!tabs.length) return openPopTab(host, false, 'No PestRoutes tab open — opened one');
+        tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+        [tab, ...others] = tabs;
+    }
+
+    const tabName = target === TAB_TARGET_PINNED ? 'screen-pop tab' : 'most recent PestRoutes tab';
+    const busy    = await tabBusyReason(tab, profile);
+    if (!busy) return focusPopTab(tab, `Using the ${tabName}`);
+
+    if (await getBusyTabAction() === BUSY_TAB_ASK) {
+        const choice = await askCallerWaiting(tab, busy, pop);
+        if (choice === 'here')    return { tab, detail: `${busy} in the ${tabName} — agent chose to open it there` };
+        if (choice === 'dismiss') return { tab: null, detail: `${busy} in the ${tabName} — agent chose not to open it` };
+        if (choice === 'newTab')  return openPopTab(host, false, `${busy} in the ${tabName} — agent chose a new tab`);
+        // No content script in that tab to ask — carry on as newTab
+    }
+
+    for (const other of others) {
+        if (!(await tabBusyReason(other, profile))) {
+            return focusPopTab(other, `${busy} in the ${tabName} — using another PestRoutes tab`);
+        }
+    }
+    return openPopTab(host, false, `${busy} in the ${tabName} — opened a new tab`);
+}
+
+// The remembered tab, if it is still open on this PestRoutes site.
+// Only a tab the extension opened itself is ever adopted: tab ids
+// change when the browser restarts, and a pinned PestRoutes tab
+// the agent keeps for their own work is never taken over, so a new
+// screen-pop tab is opened instead.
+async function getScreenPopTab(host) {
+    const { popTabId } = await storageGet(['popTabId']);
+    if (popTabId) {
+        const tab = await new Promise(resolve => chrome.tabs.get(popTabId, (t) => {
+            void chrome.runtime.lastError;
+            resolve(t || null);
+        }));
+        if (tab && (tab.url || '').startsWith(`https://${host}/`)) return tab;
+    }
+    return null;
+}
+
+// Why the tab is busy, or '' when a pop may take it over. Uses the
+// content script's last pageBusy report when it has sent one, and
+// asks the page otherwise. A tab that cannot be checked —
+// discarded, or showing a page the extension cannot script — has
+// no work to lose.
+async function tabBusyReason(tab, profile) {
+    if (tab.discarded) return '';
+    if (readyTabs.has(tab.id)) return busyTabs.get(tab.id) || '';
+    try {
+        const status = await runInPage(tab.id, { type: 'status', profile }, pageStatus, ['', profile]);
+        return (status && status.busy) || '';
+    } catch (err) {
+        return '';
+    }
+}
+
+// Brings the busy tab forward with the prompt in it. Resolves with
+// the agent's choice, or null when the tab has no content script.
+async function askCallerWaiting(tab, reason, pop) {
+    if (!(await waitForPage(tab.id))) return null;
+    await focusPopTab(tab, '');
+    log(`[FieldRoutes] PestRoutes tab is busy (${reason}) — asking the agent`);
+    return sendToPage(tab.id, {
+        type:       'callerWaiting',
+        phone:      formatPhoneNumber(pop.phone),
+        name:       callerName(pop.caller || {}),
+        customerID: pop.customerID,
+        reason
+    }).catch(() => null);
+}
+
+async function focusPopTab(tab, detail) {
+    await chrome.windows.update(tab.windowId, { focused: true });
+    await chrome.tabs.update(tab.id, { active: true });
+    return { tab, detail };
+}
+
+// Opens a PestRoutes tab and waits for it to load. A pinned tab is
+// remembered as the screen-pop tab. Throws when the tab does not
+// load within TAB_LOAD_TIMEOUT_MS, which the caller reports as no_tab.
+async function openPopTab(host, pinned, detail) {
+    const tab = await chrome.tabs.create({ url: `https://${host}`, active: true, pinned });
+    if (pinned) await storageSet({ popTabId: tab.id });
+    if (!(await waitForTabLoad(tab.id, TAB_LOAD_TIMEOUT_MS))) {
+        throw new Error(`PestRoutes tab did not load within ${TAB_LOAD_TIMEOUT_MS / 1000} s`);
+    }
+    return { tab, detail };
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Click-to-Call
+// ============================================================
+// content.js puts a call button next to the phone numbers on
+// PestRoutes customer cards. A click arrives here as a 'dial'
+// message; the middleware (POST /dial) places the call from this
+// agent's extension with whichever dialer it is set up for —
+// the agent comes from the token, not from the page — and the
+// result goes back to the page to show.
+// ============================================================
+
+// Resolves with { ok, number, detail } — never rejects, so the
+// page always has something to show.
+async function requestDial(phone, customerID) {
+    if (!serverAddress || !myExtension) {
+        return { ok: false, detail: 'Extension number or server not set — open the extension settings' };
+    }
+    log(`[FieldRoutes] Click-to-call: ${phone}${customerID ? ` (customer ${customerID})` : ''}`);
+
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/dial`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body:    JSON.stringify({ phone, customerID: customerID || '' })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.detail || data.error || `HTTP ${response.status}`);
+
+        return { ok: true, number: data.number, detail: data.detail || '' };
+    } catch (err) {
+        console.warn(`[FieldRoutes] Click-to-call to ${phone} failed:`, err.message);
+        return { ok: false, detail: err.message };
+    }
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Call Wrap-up
+// ============================================================
+// With wrap-up on (wrapUp = true in storage, set on the options page),
+// a pop from the middleware that opens a customer record leaves
+// a wrap-up panel on that tab: disposition, free-text notes and
+// a follow-up flag. content.js draws it; saving sends it to the
+// middleware (POST /wrapup), which writes a FieldRoutes note
+// linked to the call — the SSE event id /notify gave the pop.
+//
+// A panel stays pending for its tab until it is saved or
+// skipped, and is shown again each time that tab loads a page
+// (pageReady) — opening a record by search navigates after the
+// pop has finished. Pending panels are kept in session storage
+// under 'pendingWrapUps' (see sessionGet), so they outlive a
+// suspended service worker but not the browser:
+//   { [tabId]: { entryId, eventId, customerID, phone, name, offeredAt } }
+// ============================================================
+
+const WRAP_UP_KEY    = 'pendingWrapUps';
+const WRAP_UP_TTL_MS = 60 * 60 * 1000;   // forget a panel never saved or skipped
+
+// Chained as changeHistory is, so two tabs' changes cannot
+// overwrite each other
+let wrapUpQueue = Promise.resolve();
+
+function changeWrapUps(mutate) {
+    wrapUpQueue = wrapUpQueue.then(async () => {
+        const result  = await sessionGet([WRAP_UP_KEY]);
+        const pending = result[WRAP_UP_KEY] || {};
+        mutate(pending);
+        await sessionSet({ [WRAP_UP_KEY]: pending });
+    }).catch(err => console.error('[FieldRoutes] Failed to update pending wrap-ups:', err));
+    return wrapUpQueue;
+}
+
+async function getWrapUp(tabId) {
+    await wrapUpQueue;
+    const result = await sessionGet([WRAP_UP_KEY]);
+    return (result[WRAP_UP_KEY] || {})[tabId] || null;
+}
+
+function forgetWrapUp(tabId) {
+    return changeWrapUps(pending => { delete pending[tabId]; });
+}
+
+async function offerWrapUp(tabId, entry) {
+    if (!tabId || !entry.eventId || entry.wrappedUp) return;
+    const { wrapUp } = await storageGet(['wrapUp']);
+    if (!wrapUp) return;
+
+    await changeWrapUps(pending => {
+        pending[tabId] = {
+            entryId:    entry.id,
+            eventId:    entry.eventId,
+            customerID: entry.customerID,
+            phone:      formatPhoneNumber(entry.phone),
+            name:       callerName(entry.caller || {}),
+            offeredAt:  Date.now()
+        };
+    });
+    showWrapUp(tabId);
+}
+
+// Called after a pop and on every pageReady from the tab
+async function showWrapUp(tabId) {
+    const wrapUp = await getWrapUp(tabId);
+    if (!wrapUp) return;
+    if (Date.now() - wrapUp.offeredAt > WRAP_UP_TTL_MS) {
+        forgetWrapUp(tabId);
+        return;
+    }
+    waitForPage(tabId)
+        .then(ready => ready && sendToPage(tabId, { type: 'wrapUp', ...wrapUp }))
+        .catch(err => log('[FieldRoutes] Wrap-up panel not shown:', err.message));
+}
+
+// The panel's Save. form is { disposition, notes, followUp, customerID };
+// customerID is the record on screen, used when the pop had only a
+// phone number. Resolves with { ok, detail } for the panel to show.
+async function submitWrapUp(tabId, form) {
+    const wrapUp = await getWrapUp(tabId);
+    if (!wrapUp) return { ok: false, detail: 'This wrap-up was already saved or skipped' };
+
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/wrapup`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body:    JSON.stringify({
+                eventId:     wrapUp.eventId,
+                disposition: form.disposition || '',
+                notes:       form.notes       || '',
+                followUp:    !!form.followUp,
+                customerID:  form.customerID  || ''
+            })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.detail || data.error || `HTTP ${response.status}`);
+
+        await forgetWrapUp(tabId);
+        await updateHistoryEntry(wrapUp.entryId, { wrappedUp: true });
+        log(`[FieldRoutes] Wrap-up saved for event ${wrapUp.eventId}${data.noteID ? ` — note ${data.noteID}` : ''}`);
+        return { ok: true, detail: data.noteID ? `Saved as FieldRoutes note ${data.noteID}` : 'Saved to FieldRoutes' };
+    } catch (err) {
+        console.warn(`[FieldRoutes] Wrap-up for event ${wrapUp.eventId} failed:`, err.message);
+        return { ok: false, detail: err.message };
+    }
+}
+
+async function skipWrapUp(tabId) {
+    const wrapUp = await getWrapUp(tabId);
+    if (!wrapUp) return;
+    await forgetWrapUp(tabId);
+    updateHistoryEntry(wrapUp.entryId, { wrappedUp: true });
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Test Pop
+// ============================================================
+// The options page's "Send Test Pop" button. The background
+// script asks the middleware (POST /test-pop) to send a synthetic
+// openCustomer to this agent's own group, then traces that pop
+// through every step and keeps the trace in storage under
+// 'testPop', where the options page reads it as steps finish.
+//
+// Test pops are not added to the history and not acknowledged.
+// ============================================================
+
+const TEST_POP_KEY        = 'testPop';
+const TEST_POP_TIMEOUT_MS = 10000;   // how long to wait for the event to come back over SSE
+
+const TEST_POP_STEPS = [
+    { id: 'request',   label: 'Middleware accepted the test pop' },
+    { id: 'sse',       label: 'Event received over SSE' },
+    { id: 'tab',       label: 'PestRoutes tab found or opened' },
+    { id: 'url',       label: 'Customer card opened by ID' },
+    { id: 'searchBox', label: 'Customer search box found' },
+    { id: 'result',    label: 'Autocomplete result clicked' }
+];
+
+// { testId, startedAt, customerID, phone, done, steps: [{ id, label, status, detail }] }
+//   status — 'pending' | 'pass' | 'fail' | 'skip'
+let testPop      = null;
+let testPopTimer = null;
+
+function saveTestPop() {
+    return storageSet({ [TEST_POP_KEY]: testPop });
+}
+
+// Matches handleOpenCustomer's trace(step, ok, detail). ok null
+// means the step did not apply; step 'error' fails whichever
+// step was still in progress.
+function setTestStep(id, ok, detail = '') {
+    if (!testPop) return;
+    const step = id === 'error'
+        ? testPop.steps.find(s => s.status === 'pending')
+        : testPop.steps.find(s => s.id === id);
+    if (!step) return;
+
+    step.status = ok === null ? 'skip' : (ok ? 'pass' : 'fail');
+    step.detail = detail || '';
+    saveTestPop();
+}
+
+function finishTestPop() {
+    clearTimeout(testPopTimer);
+    for (const step of testPop.steps) {
+        if (step.status === 'pending') step.status = 'skip';
+    }
+    testPop.done = true;
+    saveTestPop();
+}
+
+async function sendTestPop(customerID, phone) {
+    clearTimeout(testPopTimer);
+    testPop = {
+        testId:     null,
+        startedAt:  Date.now(),
+        customerID: customerID || '',
+        phone:      phone      || '',
+        done:       false,
+        steps:      TEST_POP_STEPS.map(step => ({ ...step, status: 'pending', detail: '' }))
+    };
+    await saveTestPop();
+    log(`[FieldRoutes] Sending test pop — ID: ${testPop.customerID}, Phone: ${testPop.phone}`);
+
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/test-pop`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body:    JSON.stringify({ customerID: testPop.customerID, phone: testPop.phone })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+        testPop.testId = data.testId;
+        setTestStep('request', true, `Event id ${data.eventId}`);
+    } catch (err) {
+        setTestStep('request', false, err.message);
+        finishTestPop();
+        return;
+    }
+
+    // The event can beat the HTTP response back — only start the
+    // clock if it has not arrived yet
+    if (testPop.steps.find(s => s.id === 'sse').status !== 'pending') return;
+    testPopTimer = setTimeout(() => {
+        setTestStep('sse', false, `Nothing received within ${TEST_POP_TIMEOUT_MS / 1000} s — is the stream connected?`);
+        finishTestPop();
+    }, TEST_POP_TIMEOUT_MS);
+}
+
+// Called for an openCustomer event marked test=true
+async function runTestPop(msg) {
+    // The service worker may have been restarted since the button was pressed
+    if (!testPop) testPop = (await storageGet([TEST_POP_KEY]))[TEST_POP_KEY] || null;
+
+    if (!testPop || testPop.done || (testPop.testId && testPop.testId !== msg.testId)) {
+        log('[FieldRoutes] Ignoring a test pop this workstation did not start');
+        return;
+    }
+
+    clearTimeout(testPopTimer);
+    setTestStep('sse', true, `After ${Date.now() - testPop.startedAt} ms`);
+    await handleOpenCustomer(msg.customerID, msg.phone, {}, setTestStep);
+    finishTestPop();
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Call State
+// ============================================================
+// Follows this agent's calls from the middleware's call-state
+// events (callRinging, callAnswered, callHeld, callTransferred
+// and callEnded, sent when 3CX calls GET /call/<state>). Every
+// event carries 3CX's call ID, and each call moves through
+//   ringing → answered ⇄ held → ended
+// Events that arrive out of order, such as a replayed ringing
+// after answered, are ignored. A call transferred away ends
+// here. A call transferred to this agent starts out answered
+// and pops the customer record, just as /notify would.
+//
+// While a call is answered the badge shows the call timer in
+// place of ON. A badge fits only four characters, so the words
+// "ON CALL" go in the tooltip and the popup. Calls are kept in
+// storage under 'callState' so that a restarted service worker
+// picks the timer back up.
+// ============================================================
+
+const CALL_STATE_KEY    = 'callState';
+const CALL_STATE_MAX_MS = 4 * 60 * 60 * 1000;   // forget a call whose end never arrived
+const CALL_TIMER_MS     = 1000;
+
+const CALL_EVENTS = {
+    callRinging:     'ringing',
+    callAnswered:    'answered',
+    callHeld:        'held',
+    callTransferred: 'transferred',
+    callEnded:       'ended'
+};
+
+// state → the states a call may move to from it. 'none' is a
+// call not seen before; transferred and ended remove the call.
+const CALL_TRANSITIONS = {
+    none:     ['ringing', 'answered', 'held', 'transferred', 'ended'],
+    ringing:  ['answered', 'transferred', 'ended'],
+    answered: ['held', 'transferred', 'ended'],
+    held:     ['answered', 'transferred', 'ended']
+};
+
+// Which call the badge shows when there is more than one
+const CALL_BADGE_ORDER = ['answered', 'held', 'ringing'];
+
+// callId → { callId, state, phone, customerID, since, answeredAt }
+//   since      — when the call entered its current state
+//   answeredAt — when it was first answered; the timer runs from here
+let calls     = null;   // loaded from storage on first use
+let callTimer = null;
+
+async function loadCalls() {
+    if (!calls) {
+        const stored = (await storageGet([CALL_STATE_KEY]))[CALL_STATE_KEY] || [];
+        if (!calls) calls = new Map(stored.map(call => [call.callId, call]));   // unless a concurrent caller won
+    }
+    const cutoff = Date.now() - CALL_STATE_MAX_MS;
+    for (const call of calls.values()) {
+        if (call.since < cutoff) calls.delete(call.callId);
+    }
+    return calls;
+}
+
+function saveCalls() {
+    return storageSet({ [CALL_STATE_KEY]: [...calls.values()] });
+}
+
+// Called for every call-state SSE event. eventId is the SSE event
+// id, used to acknowledge the pop of a transfer to this agent.
+async function handleCallEvent(type, data, eventId) {
+    await loadCalls();
+    const next   = CALL_EVENTS[type];
+    const callId = String(data.callId || '');
+    if (!next || !callId) return;
+
+    const call  = calls.get(callId);
+    const state = call ? call.state : 'none';
+    if (!CALL_TRANSITIONS[state].includes(next)) {
+        log(`[FieldRoutes] Ignoring ${next} for call ${callId} — it is ${state}`);
+        return;
+    }
+
+    const incoming = next === 'transferred' && String(data.to) === myExtension;
+    const now      = Date.now();
+    log(`[FieldRoutes] Call ${callId}: ${state} → ${incoming ? 'transferred to us' : next}`);
+
+    if (next === 'ended' || (next === 'transferred' && !incoming)) {
+        calls.delete(callId);
+    } else {
+        calls.set(callId, {
+            callId,
+            state:      incoming ? 'answered' : next,
+            phone:      data.phone      || (call ? call.phone      : ''),
+            customerID: data.customerID || (call ? call.customerID : ''),
+            since:      now,
+            answeredAt: (call && call.answeredAt) || (next === 'ringing' ? null : now)
+        });
+    }
+    await saveCalls();
+    updateCallTimer();
+
+    if (incoming) {
+        if (data.customerID || data.phone) popCustomer(data, eventId);
+        else console.warn(`[FieldRoutes] Call ${callId} transferred to us with no customer ID or phone — nothing to pop`);
+    }
+}
+
+// The call the badge should show, or null when there is none
+function currentCall() {
+    if (!calls) return null;
+    for (const state of CALL_BADGE_ORDER) {
+        const matching = [...calls.values()].filter(call => call.state === state);
+        if (matching.length) return matching.reduce((a, b) => (b.since > a.since ? b : a));
+    }
+    return null;
+}
+
+// { text, color, title } for the badge while a call is in
+// progress, or null to fall back to the connection status
+function callBadge() {
+    const call = currentCall();
+    if (!call) return null;
+
+    const who = call.phone ? ` — ${call.phone}` : '';
+    if (call.state === 'ringing') return { text: 'RING', color: '#8e44ad', title: `RINGING${who}` };
+    if (call.state === 'held')    return { text: 'HOLD', color: '#d68910', title: `ON HOLD ${formatCallTime(Date.now() - call.answeredAt)}${who}` };
+
+    const elapsed = Date.now() - call.answeredAt;
+    return { text: formatCallBadge(elapsed), color: '#1f6fb2', title: `ON CALL ${formatCallTime(elapsed)}${who}` };
+}
+
+// 0:42, 12:05, 1:02:05
+function formatCallTime(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor(total / 60) % 60;
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Four characters at most: 0:42, 9:59, 12m, 2h
+function formatCallBadge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 10) return formatCallTime(ms);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+// Ticks the badge once a second while any call is in progress
+function updateCallTimer() {
+    updateBadge();
+    if (currentCall() && !callTimer) {
+        callTimer = setInterval(updateBadge, CALL_TIMER_MS);
+    } else if (!currentCall() && callTimer) {
+        clearInterval(callTimer);
+        callTimer = null;
+    }
+}
+
+// Restores calls saved before the service worker was suspended
+async function restoreCalls() {
+    await loadCalls();
+    updateCallTimer();
+}
+
+// For the popup's status bar: the badge tooltip's text, or ''
+async function getCallStatus() {
+    await loadCalls();
+    const badge = callBadge();
+    return { text: badge ? badge.title : '', state: badge ? currentCall().state : '' };
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Supervisor Board
+// ============================================================
+// A workstation paired as a supervisor gets tokens with role
+// 'supervisor' (see getSseToken) and opens a second stream,
+// /supervisor/sse, next to its own /sse. The middleware sends
+// the whole board on it ('board') and then each agent's row as
+// it changes ('boardUpdate'):
+//   { agent, connected, callId, state, phone, customerID,
+//     caller fields, eventId, outcome, method,
+//     startedAt, answeredAt, endedAt }
+// Times are the server's Unix ms; both events carry serverTime,
+// and clockOffset (server minus local) lets board.html run the
+// call timers without trusting the two clocks to agree.
+//
+// The board is kept in storage under 'supervisorBoard' for
+// board.html to render. Nothing on it pops by itself: other
+// agents' calls only open in this browser when the supervisor
+// clicks Open.
+// ============================================================
+
+const SUPERVISOR_BOARD_KEY = 'supervisorBoard';
+
+let supervisorStream = null;
+let supervisorTimer  = null;
+let supervisorBoard  = null;   // { rows, clockOffset, live, updatedAt }
+
+// Called by connect() with each new token: opens the board for
+// a supervisor token and takes it down for any other.
+function updateSupervisorStream(base, role) {
+    clearTimeout(supervisorTimer);
+    if (supervisorStream) {
+        supervisorStream.close();
+        supervisorStream = null;
+    }
+
+    if (role !== 'supervisor') {
+        if (supervisorBoard) log('[FieldRoutes] Not a supervisor token — closing the supervisor board');
+        supervisorBoard = null;
+        chrome.storage.local.remove(SUPERVISOR_BOARD_KEY);
+        return;
+    }
+    connectSupervisor(base);
+}
+
+async function connectSupervisor(base) {
+    let token;
+    try {
+        token = await getSseToken(base);
+    } catch (err) {
+        console.warn(`[FieldRoutes] Supervisor board: could not get a token — ${err.message}`);
+        supervisorTimer = setTimeout(() => connectSupervisor(base), err.retryMs || RECONNECT_DELAY_MS);
+        return;
+    }
+
+    log(`[FieldRoutes] Opening supervisor board: ${base}/supervisor/sse`);
+    const stream = openEventStream(`${base}/supervisor/sse`, {
+        headers: { Authorization: `Bearer ${token}` },
+
+        onEvent: (event) => {
+            if (supervisorStream === stream) handleBoardEvent(event);
+        },
+
+        onClose: (err) => {
+            if (supervisorStream !== stream) return;
+            supervisorStream = null;
+            if (supervisorBoard) saveBoard({ live: false });
+            // Refused: the credential was revoked or is no longer a
+            // supervisor's. The next connect() settles which.
+            if (err.status === 401) {
+                console.warn('[FieldRoutes] Supervisor board refused by server');
+                return;
+            }
+            console.warn(`[FieldRoutes] Supervisor board connection lost (${err.message}) — reconnecting`);
+            supervisorTimer = setTimeout(() => connectSupervisor(base), RECONNECT_DELAY_MS);
+        }
+    });
+    supervisorStream = stream;
+}
+
+function handleBoardEvent(event) {
+    let data;
+    try {
+        data = JSON.parse(event.data);
+    } catch (err) {
+        console.error(`[FieldRoutes] Failed to parse ${event.type} event:`, err);
+        return;
+    }
+    const clockOffset = Number(data.serverTime) ? Number(data.serverTime) - Date.now() : 0;
+
+    if (event.type === 'board') {
+        const rows = Array.isArray(data.rows) ? data.rows : [];
+        log(`[FieldRoutes] Supervisor board received — ${rows.length} agent(s)`);
+        saveBoard({ rows, clockOffset, live: true });
+    } else if (event.type === 'boardUpdate' && data.row && data.row.agent) {
+        const rows = (supervisorBoard ? supervisorBoard.rows : []).filter(row => row.agent !== data.row.agent);
+        rows.push(data.row);
+        rows.sort((a, b) => String(a.agent).localeCompare(String(b.agent), undefined, { numeric: true }));
+        saveBoard({ rows, clockOffset, live: true });
+    }
+}
+
+function saveBoard(changes) {
+    supervisorBoard = { rows: [], clockOffset: 0, ...supervisorBoard, ...changes, updatedAt: Date.now() };
+    return storageSet({ [SUPERVISOR_BOARD_KEY]: supervisorBoard });
+}
+
+// The board's Open button: the agent's customer, opened in this
+// browser's own PestRoutes tab. Not recorded in the pop history
+// or acknowledged — the pop belongs to the agent. A background
+// the browser restarted has no board in memory until the stream
+// sends one, so the stored board is read instead.
+async function openFromBoard(agent) {
+    const board = supervisorBoard || (await storageGet([SUPERVISOR_BOARD_KEY]))[SUPERVISOR_BOARD_KEY];
+    const row   = board && Array.isArray(board.rows) && board.rows.find(r => r.agent === agent);
+    if (!row || (!row.customerID && !row.phone)) {
+        return { opened: false, reason: `Nothing to open for extension ${agent}` };
+    }
+    log(`[FieldRoutes] Opening extension ${agent}'s customer from the supervisor board`);
+    const result = await handleOpenCustomer(row.customerID, row.phone, callerFromPayload(row));
+    return { opened: result.opened, reason: result.reason };
+}
+
+// ============================================================
+// FieldRoutes CRM for 3CX — Managed Policy
+// ============================================================
+// IT can configure a fleet through the browser's enterprise
+// policy instead of each operator typing the settings in:
+// Group Policy or the registry for Chrome and Edge (the keys are
+// described by managed-schema.json) and the "3rdparty" section of
+// policies.json for Firefox. The extension sees them all as
+// chrome.storage.managed.
+//
+// Every setting the policy sets is copied into storage.local,
+// where the rest of the extension reads it, and listed under
+// 'managedSettings' so the options page shows it locked. A
+// setting the policy stops setting keeps its last value and can
+// be changed again.
+// ============================================================
+const POLICY_DOMAINS = ['pestroutes.com', 'fieldroutes.com'];
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+// Each setting a policy may set, and the values it accepts
+const POLICY_SETTINGS = {
+    extensionNumber:   value => isText(value) && /^[0-9A-Za-z]{1,10}$/.test(value),
+    serverAddress:     value => isText(value),
+    sharedSecret:      value => isText(value),
+    pestRoutesCompany: value => isText(value) && /^[a-z0-9-]+$/.test(value),
+    pestRoutesDomain:  value => POLICY_DOMAINS.includes(value),
+    tabTarget:         value => ['recent', 'pinned', 'new'].includes(value),
+    busyTabAction:     value => ['newTab', 'ask'].includes(value),
+    popMode:           value => ['focus', 'notify'].includes(value),
+    clickToCall:       value => typeof value === 'boolean',
+    wrapUp:            value => typeof value === 'boolean',
+    logLevel:          value => ['info', 'warn'].includes(value),
+    webClientAddress:  value => isText(value),
+    extensionSync:     value => ['offer', 'sync'].includes(value)
+};
+
+// Resolves with the policy, or {} when there is none. Firefox
+// reports an error rather than {} when no policy is installed.
+function managedStorageGet() {
+    return new Promise(resolve => {
+        if (!chrome.storage.managed) return resolve({});
+        chrome.storage.managed.get(null, (items) => {
+            resolve(chrome.runtime.lastError ? {} : (items || {}));
+        });
+    });
+}
+
+// Copies the policy into storage.local, writing only what differs
+// so the settings listeners fire only for a real change
+async function applyManagedPolicy() {
+    const policy  = await managedStorageGet();
+    const current = await storageGet(null);
+    const managed = [];
+    const changes = {};
+
+    for (const [key, accepts] of Object.entries(POLICY_SETTINGS)) {
+        if (policy[key] === undefined) continue;
+        if (!accepts(policy[key])) {
+            console.warn(`[FieldRoutes] Policy value for ${key} ignored — not a valid value`);
+            continue;
+        }
+        managed.push(key);
+        if (current[key] !== policy[key]) changes[key] = policy[key];
+    }
+
+    if ((current.managedSettings || []).join() !== managed.join()) changes.managedSettings = managed;
+    if (!Object.keys(changes).length) return;
+
+    log(`[FieldRoutes] Policy applied — managed: ${managed.join(', ') || 'none'}`);
+    await storageSet(changes);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'managed') applyManagedPolicy();
+});
+
+// ============================================================
+// FieldRoutes CRM for 3CX — 3CX Web Client
+// ============================================================
+// A wrong extension number sends this agent's pops to someone
+// else without any error. When the 3CX web client is open in
+// this browser (webClientAddress in storage, set on the options
+// page, which also asks for access to it) a small watcher is
+// injected into its tab that reads the signed-in extension —
+// from the selector profile's webClientExtension selectors —
+// and reports every change:
+//   webClientExtension { extension }
+//
+// The last report is kept in storage ('detectedExtension') until
+// the tab it came from navigates or closes. When it differs from
+// the configured extension the badge warns, and the popup offers
+// to use it — or, with extensionSync 'sync', it is taken over
+// straight away unless a policy sets the number.
+// ============================================================
+const WEB_CLIENT_SETTLE_MS = 500;   // how long the web client's page gets to settle after a change
+
+const webClientTabs   = new Set();   // tabs the watcher was injected into, until they navigate
+let extensionMismatch = null;        // { detected, configured } while they differ
+
+// Injected into the web client's tab. Runs in the extension's
+// isolated world there, so it can message the background script
+// and only watches once however often it is injected. The web
+// client is a single-page app, so the extension is read again
+// whenever the page changes rather than on a timer.
+function watchWebClientExtension(selectors, settleMs) {
+    if (window.fieldRoutesWebClientWatch) return;
+    window.fieldRoutesWebClientWatch = true;
+
+    let reported = '';
+    let timer    = null;
+    const read = () => {
+        for (const selector of selectors) {
+            let element = null;
+            try { element = document.querySelector(selector); } catch (err) { continue; }
+            const match = element && /\b(\d{2,10})\b/.exec(element.textContent);
+            if (match) return match[1];
+        }
+        return '';
+    };
+    const check = () => {
+        timer = null;
+        const extension = read();
+        if (!extension || extension === reported) return;
+        reported = extension;
+        chrome.runtime.sendMessage({ type: 'webClientExtension', extension }, () => void chrome.runtime.lastError);
+    };
+
+    check();
+    new MutationObserver(() => {
+        if (!timer) timer = setTimeout(check, settleMs);
+    }).observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+}
+
+// The web client's origin from the setting — a bare host means
+// https — or '' when it is not set
+function webClientOrigin(address) {
+    const text = (address || '').trim();
+    if (!text) return '';
+    try {
+        return new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`).origin;
+    } catch (err) {
+        return '';
+    }
+}
+
+async function watchWebClient(tab) {
+    if (!tab || !tab.url || webClientTabs.has(tab.id)) return;
+    const { webClientAddress, selectorProfile } = await storageGet(['webClientAddress', 'selectorProfile']);
+    const origin = webClientOrigin(webClientAddress);
+    if (!origin || !tab.url.startsWith(`${origin}/`)) return;
+    if (!await hasOrigins([originPattern(origin)])) return;   // granted when the address is saved
+
+    webClientTabs.add(tab.id);
+    try {
+        const profile = normalizeSelectorProfile(selectorProfile);
+        await executeInTab(tab.id, watchWebClientExtension, [profile.webClientExtension, WEB_CLIENT_SETTLE_MS]);
+        log(`[FieldRoutes] Watching the 3CX web client in tab ${tab.id}`);
+    } catch (err) {
+        webClientTabs.delete(tab.id);
+        console.warn(`[FieldRoutes] Could not watch the 3CX web client in tab ${tab.id}: ${err.message}`);
+    }
+}
+
+function watchOpenWebClients() {
+    chrome.tabs.query({}, (tabs) => (tabs || []).forEach(watchWebClient));
+}
+
+// A report from a watcher in a tab that is no longer the web
+// client (the address setting changed) is ignored
+async function handleWebClientExtension(extension, tab) {
+    const result  = await storageGet(['extensionNumber', 'extensionSync', 'managedSettings', 'webClientAddress']);
+    const origin  = webClientOrigin(result.webClientAddress);
+    if (!origin || !(tab.url || '').startsWith(`${origin}/`) || !/^\d{2,10}$/.test(extension)) return;
+
+    const changes = { detectedExtension: { extension, at: Date.now(), tabId: tab.id } };
+    const locked  = (result.managedSettings || []).includes('extensionNumber');
+
+    if (extension !== result.extensionNumber && result.extensionSync === 'sync' && !locked) {
+        log(`[FieldRoutes] 3CX web client signed in as ${extension} — switching from ${result.extensionNumber || 'none'}`);
+        changes.extensionNumber = extension;
+    }
+    await storageSet(changes);
+}
+
+// What a web client tab reported no longer applies once it
+// navigates or closes. If it loads the web client again, the new
+// watcher reports afresh.
+async function forgetWebClientTab(tabId) {
+    webClientTabs.delete(tabId);
+    const { detectedExtension } = await storageGet(['detectedExtension']);
+    if (detectedExtension && detectedExtension.tabId === tabId) chrome.storage.local.remove('detectedExtension');
+}
+
+// Tab ids do not survive a browser restart, so a report kept from
+// before one is dropped unless its tab is still on the web client
+async function dropStaleDetection() {
+    const { detectedExtension, webClientAddress } = await storageGet(['detectedExtension', 'webClientAddress']);
+    if (!detectedExtension) return;
+    const tab = await new Promise(resolve => chrome.tabs.get(detectedExtension.tabId, (t) => {
+        void chrome.runtime.lastError;
+        resolve(t || null);
+    }));
+    const origin = webClientOrigin(webClientAddress);
+    if (!tab || !origin || !(tab.url || '').startsWith(`${origin}/`)) chrome.storage.local.remove('detectedExtension');
+}
+
+// ============================================================
+// EXTENSION CHECK
+// ============================================================
+async function refreshExtensionCheck() {
+    const { extensionNumber, detectedExtension } = await storageGet(['extensionNumber', 'detectedExtension']);
+    const detected = detectedExtension ? detectedExtension.extension : '';
+    extensionMismatch = detected && detected !== extensionNumber
+        ? { detected, configured: extensionNumber || '' }
+        : null;
+    updateBadge();
+}
+
+// { text, color, title } for the badge while the web client and
+// the settings disagree, or null
+function extensionBadge() {
+    if (!extensionMismatch) return null;
+    const { detected, configured } = extensionMismatch;
+    return {
+        text:  'EXT?',
+        color: '#e67e22',
+        title: `3CX web client is signed in as ${detected}, but this workstation is set to ${configured || 'no extension'}`
+    };
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.status === 'loading')  forgetWebClientTab(tabId);
+    if (changeInfo.status === 'complete') watchWebClient(tab);
+});
+chrome.tabs.onRemoved.addListener(forgetWebClientTab);
+chrome.permissions.onAdded.addListener(watchOpenWebClients);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes.webClientAddress) {
+        // What another address's web client reported no longer applies
+        chrome.storage.local.remove('detectedExtension');
+        webClientTabs.clear();
+        watchOpenWebClients();
+    }
+    if (changes.extensionNumber || changes.detectedExtension) refreshExtensionCheck();
+});
+
+dropStaleDetection().then(watchOpenWebClients);
+refreshExtensionCheck();
+
 // ============================================================
-// FieldRoutes CRM for 3CX — Background Script (Firefox MV2)
+// FieldRoutes CRM for 3CX — Background Script (SSE Edition)
 // ============================================================
-// Firefox uses Manifest V2 with event pages (persistent: false).
-// The chrome.* namespace is available via Firefox's compatibility
-// shim — no browser.* API calls needed.
-// Key differences from the Chrome/Edge MV3 version:
-//   - No service worker keepAlive alarm needed
-//   - chrome.tabs.executeScript used instead of chrome.scripting
+// Maintains a persistent SSE connection to the Pode/PowerShell
+// middleware through the fetch-based reader in sse.js.
+// SSE is simpler than WebSockets — it is a plain HTTP GET that
+// the server keeps open and streams events down.
+//
+// Shared by every browser target. Runs as an MV3 service worker
+// in Chrome/Edge and as an MV2 event page in Firefox — anything
+// that differs between the two lives in compat.js.
 // ============================================================
 
 // ============================================================
 // CONFIGURATION
 // All values are stored in chrome.storage.local and entered by
-// the operator via the popup. Nothing sensitive is hardcoded.
+// the operator on the options page. Nothing sensitive is hardcoded.
+// The PestRoutes site is <pestRoutesCompany>.<pestRoutesDomain>,
+// e.g. midstatetermite.pestroutes.com or acme.fieldroutes.com.
 // ============================================================
-const PESTROUTES_HOST = 'midstatetermite.pestroutes.com';
-const PESTROUTES_URL  = `https://${PESTROUTES_HOST}`;
-const DEFAULT_SERVER  = 'localhost:3000';
+const DEFAULT_SERVER            = 'localhost:3000';
+const DEFAULT_PESTROUTES_DOMAIN = 'pestroutes.com';
+const PESTROUTES_ORIGINS        = ['https://*.pestroutes.com/*', 'https://*.fieldroutes.com/*'];
+const TAB_LOAD_TIMEOUT_MS       = 15000;
+const RECONNECT_DELAY_MS        = 3000;
+const TOKEN_MIN_REMAINING_MS    = 30000;   // fetch a new token rather than reuse one this close to expiry
+const PAIRING_RETRY_MS          = 30000;   // retry interval while a pairing awaits admin approval
 
 // ============================================================
 // STATE
 // ============================================================
-let eventSource      = null;
+let eventStream      = null;
 let myExtension      = '';
 let serverAddress    = DEFAULT_SERVER;
 let sharedSecret     = '';
+let agentCredential  = null;   // { credential, agent, pairingCode, status } from options-page pairing
 let reconnectTimer   = null;
+let sseToken         = null;   // { token, expiresAt, role } — expiresAt in local ms
+let tokenTimer       = null;
+let connectAttempt   = 0;
+let lastEventId      = '';     // id of the last event received — sent back as Last-Event-ID
+
+// Connection diagnostics for the popup (see getDiagnostics)
+const diagnostics = {
+    readyState:     'CLOSED',  // CONNECTING | OPEN | CLOSED, as EventSource reports it
+    status:         '',        // last badge label
+    clientId:       '',        // from the server's 'connected' event
+    connectedAt:    null,
+    lastEventAt:    null,
+    lastEventType:  '',
+    reconnectCount: 0,
+    lastError:      ''
+};
+
+// ============================================================
+// SSE AUTHENTICATION
+// Credentials never go into a URL. They are sent in a header to
+// POST /token, which returns a short-lived signed token for this
+// agent:
+//   X-Agent-Credential — this workstation's own credential, once
+//                        paired from the options page and approved
+//   X-Shared-Secret    — the shared secret, for servers that
+//                        still accept it
+// /sse gets only the token, and the token is refreshed at 80% of
+// its lifetime so a reconnect always has a valid one. A token for
+// a workstation paired as a supervisor has role 'supervisor' and
+// also opens the supervisor board (supervisor.js).
+// ============================================================
+function usePairedCredential() {
+    return !!agentCredential && !!agentCredential.credential && agentCredential.agent === myExtension;
+}
+
+async function getSseToken(base) {
+    if (sseToken && sseToken.expiresAt - Date.now() > TOKEN_MIN_REMAINING_MS) {
+        return sseToken.token;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (usePairedCredential()) {
+        headers['X-Agent-Credential'] = agentCredential.credential;
+    } else {
+        headers['X-Shared-Secret'] = sharedSecret;
+    }
+
+    const response = await fetch(`${base}/token`, {
+        method:  'POST',
+        headers,
+        body:    JSON.stringify({ agent: myExtension })
+    });
+    if (response.status === 403) {
+        const data  = await response.json().catch(() => ({}));
+        const error = new Error(data.error || 'Credential rejected by server');
+        // Waiting on an admin — no point asking again every few seconds
+        if (data.status === 'pending') error.retryMs = PAIRING_RETRY_MS;
+        throw error;
+    }
+    if (!response.ok) throw new Error(`Token request failed (HTTP ${response.status})`);
+
+    // expiresIn is relative, so a clock difference between the
+    // workstation and the server does not matter
+    const data = await response.json();
+    sseToken = { token: data.token, expiresAt: Date.now() + data.expiresIn * 1000, role: data.role || 'agent' };
+    log(`[FieldRoutes] SSE token received — valid ${Math.round(data.expiresIn / 60)} min`);
+
+    clearTimeout(tokenTimer);
+    tokenTimer = setTimeout(() => {
+        sseToken = null;
+        getSseToken(base).catch(err => console.warn('[FieldRoutes] Token refresh failed:', err.message));
+    }, data.expiresIn * 1000 * 0.8);
+
+    return sseToken.token;
+}
+
+function clearSseToken() {
+    sseToken = null;
+    clearTimeout(tokenTimer);
+}
+
+// This extension's connections as the middleware sees them, for
+// the popup: GET /connections needs a token, so the popup asks
+// here. Resolves with { ok, clientIds } or { ok: false, error }.
+async function getServerConnections() {
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/connections`, {
+            headers: { Authorization: `Bearer ${token}` },
+            cache:   'no-store'
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        const mine = (data.connectedAgents || []).filter(c => String(c.agent) === myExtension);
+        return { ok: true, clientIds: mine.map(c => c.clientId) };
+    } catch (err) {
+        return { ok: false, error: err.message };
+    }
+}
 
 // ============================================================
 // SSE CONNECTION
-// EventSource automatically reconnects on drop — we just need
-// to open it with the right URL and handle events.
+// Every reconnect goes back through connect() to pick up a
+// current token. The last event id is kept in storage so it
+// survives the service worker being suspended: the middleware
+// buffers recent events per agent and replays the ones after
+// that id, so a pop sent while we were reconnecting still
+// arrives.
 // ============================================================
 function connect() {
-    chrome.storage.local.get(['extensionNumber', 'serverAddress', 'sharedSecret'], (result) => {
-        myExtension   = result.extensionNumber || '';
-        serverAddress = result.serverAddress   || DEFAULT_SERVER;
-        sharedSecret  = result.sharedSecret    || '';
+    chrome.storage.local.get(['extensionNumber', 'serverAddress', 'sharedSecret', 'agentCredential',
+                              'lastEventId'], async (result) => {
+        myExtension     = result.extensionNumber || '';
+        serverAddress   = result.serverAddress   || DEFAULT_SERVER;
+        sharedSecret    = result.sharedSecret    || '';
+        agentCredential = result.agentCredential || null;
+        lastEventId     = result.lastEventId     || '';
 
         if (!myExtension) {
-            console.warn('[FieldRoutes] No extension number set — open the extension popup.');
+            console.warn('[FieldRoutes] No extension number set — open the extension settings.');
             setStatus('off', 'Not configured');
             return;
         }
 
-        if (!sharedSecret) {
-            console.warn('[FieldRoutes] No shared secret set — open the extension popup.');
+        if (!sharedSecret && !usePairedCredential()) {
+            console.warn('[FieldRoutes] No shared secret set and workstation not paired — open the extension settings.');
             setStatus('off', 'Secret not set');
             return;
         }
 
         // Close any existing connection cleanly
-        if (eventSource) {
-            eventSource.close();
-            eventSource = null;
-        }
-
-        // Detect protocol from stored server address — support both http and https
-        const proto  = serverAddress.startsWith('https://') ? '' : 'http://';
-        const host   = serverAddress.replace(/^https?:\/\//, '');
-        const sseUrl = `${proto}${host}/sse?agent=${encodeURIComponent(myExtension)}&secret=${encodeURIComponent(sharedSecret)}`;
-        console.log(`[FieldRoutes] Connecting to SSE: ${sseUrl}`);
-
-        // EventSource is a native browser API — no library needed.
-        // It sends GET with Accept: text/event-stream automatically.
-        // On disconnect it retries after the server's 'retry:' interval (default 3s).
-        eventSource = new EventSource(sseUrl);
-
-        // Connection opened
-        eventSource.onopen = () => {
-            console.log('[FieldRoutes] SSE connection established');
-            clearTimeout(reconnectTimer);
-            setStatus('on', `Connected as ext. ${myExtension}`);
-        };
+        if (eventStream) {
+            eventStream.close();
+            eventStream = null;
+        }
+        clearTimeout(reconnectTimer);
 
-        // Server confirmed our registration
-        eventSource.addEventListener('connected', (e) => {
-            try {
-                const data = JSON.parse(e.data);
-                console.log('[FieldRoutes] Server confirmed connection:', data);
-            } catch (err) {}
-        });
+        // A newer connect() may start while this one waits for a token
+        const attempt = ++connectAttempt;
+        diagnostics.readyState = 'CONNECTING';
+        const base    = serverBaseUrl(serverAddress);
 
-        // Main event — open a customer popup
-        eventSource.addEventListener('openCustomer', (e) => {
-            try {
-                const msg = JSON.parse(e.data);
-                console.log('[FieldRoutes] openCustomer event received:', msg);
-                handleOpenCustomer(msg.customerID, msg.phone);
-            } catch (err) {
-                console.error('[FieldRoutes] Failed to parse openCustomer event:', err);
-            }
-        });
+        // Granted when the settings are saved; on the office network it always is
+        if (!await hasOrigins([originPattern(base)])) {
+            console.warn(`[FieldRoutes] No permission for ${base} — save the settings on the options page to grant it.`);
+            diagnostics.readyState = 'CLOSED';
+            diagnostics.lastError  = `No permission for ${base}`;
+            setStatus('off', 'No permission for server');
+            return;
+        }
+        if (attempt !== connectAttempt) return;
+
+        let token;
+        try {
+            token = await getSseToken(base);
+        } catch (err) {
+            console.warn(`[FieldRoutes] Could not get SSE token from ${base}: ${err.message}`);
+            diagnostics.readyState = 'CLOSED';
+            diagnostics.lastError  = err.message;
+            setStatus('off', err.message);
+            scheduleReconnect(err.retryMs || RECONNECT_DELAY_MS);
+            return;
+        }
+        if (attempt !== connectAttempt) return;
+        refreshSelectorProfile(base);
+        updateSupervisorStream(base, sseToken.role);
+
+        // Only the agent is logged — never the token or the secret
+        log(`[FieldRoutes] Connecting to SSE: ${base}/sse?agent=${myExtension}` +
+            (lastEventId ? ` (resuming after event ${lastEventId})` : ''));
+        let opened = false;
 
-        // Connection error / server unreachable
-        // EventSource will retry automatically — we just update the badge
-        eventSource.onerror = (e) => {
-            console.warn('[FieldRoutes] SSE connection error — browser will retry automatically');
-            setStatus('off', 'Reconnecting...');
+        eventStream = openEventStream(`${base}/sse?agent=${encodeURIComponent(myExtension)}`, {
+            headers: { Authorization: `Bearer ${token}` },
+            lastEventId,
 
-            // If the connection is permanently closed (readyState 2), reconnect manually
-            if (eventSource.readyState === EventSource.CLOSED) {
-                eventSource = null;
+            onOpen: () => {
+                opened = true;
+                diagnostics.readyState  = 'OPEN';
+                diagnostics.connectedAt = Date.now();
+                diagnostics.lastError   = '';
+                log('[FieldRoutes] SSE connection established');
                 clearTimeout(reconnectTimer);
-                reconnectTimer = setTimeout(connect, 5000);
+                setStatus('on', `Connected as ext. ${myExtension}`);
+            },
+
+            onEvent: (event) => {
+                diagnostics.lastEventAt   = Date.now();
+                diagnostics.lastEventType = event.type;
+                if (event.id !== null && event.id !== lastEventId) {
+                    lastEventId = event.id;
+                    storageSet({ lastEventId });
+                }
+                handleServerEvent(event);
+            },
+
+            // Connection error / server unreachable / server closed the stream
+            onClose: (err) => {
+                console.warn(`[FieldRoutes] SSE connection lost (${err.message}) — reconnecting`);
+                diagnostics.readyState = 'CLOSED';
+                diagnostics.clientId   = '';
+                diagnostics.lastError  = err.message;
+                diagnostics.reconnectCount++;
+                setStatus('off', 'Reconnecting...');
+
+                // Rejected before it ever opened — most likely the token
+                // expired or the secret changed, so fetch a fresh one
+                if (!opened) clearSseToken();
+
+                eventStream = null;
+                scheduleReconnect(RECONNECT_DELAY_MS);
             }
-        };
+        });
     });
 }
 
+function handleServerEvent(event) {
+    let data;
+    try {
+        data = JSON.parse(event.data);
+    } catch (err) {
+        console.error(`[FieldRoutes] Failed to parse ${event.type} event:`, err);
+        return;
+    }
+
+    switch (event.type) {
+        // Server confirmed our registration
+        case 'connected':
+            log('[FieldRoutes] Server confirmed connection:', data);
+            diagnostics.clientId = data.clientId || '';
+            break;
+
+        // Main event — open a customer popup
+        case 'openCustomer':
+            if (data.test) {
+                runTestPop(data);
+                break;
+            }
+            log(`[FieldRoutes] openCustomer event received${event.id ? ` (id ${event.id})` : ''}:`, data);
+            popCustomer(data, event.id);
+            break;
+
+        // Call progress from 3CX — see callstate.js
+        case 'callRinging':
+        case 'callAnswered':
+        case 'callHeld':
+        case 'callTransferred':
+        case 'callEnded':
+            handleCallEvent(event.type, data, event.id);
+            break;
+    }
+}
+
+function scheduleReconnect(delayMs) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, delayMs);
+}
+
+// Accepts "host:port", "http://host:port" or "https://host:port"
+function serverBaseUrl(address) {
+    const trimmed = address.trim().replace(/\/+$/, '');
+    return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
 // ============================================================
 // OPEN CUSTOMER HANDLER
+// Tries the most precise method first:
+//   1. url    — navigate straight to the customer card by ID
+//   2. search — type phone/ID into the autocomplete and click
+//               the first result (fallback, and the only
+//               option when 3CX sent a phone number alone)
+// Resolves with { opened, outcome, method, reason, tabId,
+// durationMs } so callers can report which method worked —
+// outcome is one of the ACK_OUTCOMES codes. When caller details
+// are given, the caller card is shown in the PestRoutes tab.
+// trace(step, ok, detail) is told how each step went — the test
+// pop uses it; ok is null for a step that did not apply.
 // ============================================================
-async function handleOpenCustomer(customerID, phone) {
-    console.log(`[FieldRoutes] Opening customer — ID: ${customerID}, Phone: ${phone}`);
+async function handleOpenCustomer(customerID, phone, caller = {}, trace = () => {}) {
+    log(`[FieldRoutes] Opening customer — ID: ${customerID}, Phone: ${phone}`);
+
+    const started = Date.now();
+    let result    = { opened: false, outcome: 'script_error', method: null, reason: '' };
+    let targetTab = null;
 
     try {
-        const tabs = await chrome.tabs.query({ url: `https://${PESTROUTES_HOST}/*` });
-        let targetTab = null;
+        const host = await getPestRoutesHost();
+        if (!host) {
+            console.warn('[FieldRoutes] No PestRoutes company set — open the extension settings.');
+            trace('tab', false, 'PestRoutes site not set');
+            return { ...result, outcome: 'not_configured', reason: 'PestRoutes site not set', durationMs: Date.now() - started };
+        }
+
+        const profile = await getSelectorProfile();
+        const origin  = `https://${host}/*`;
+        if (!await hasOrigins([origin])) {
+            console.warn(`[FieldRoutes] No host permission for ${host} — save the PestRoutes site in the extension settings.`);
+            trace('tab', false, `No permission for ${host}`);
+            return { ...result, outcome: 'not_configured', reason: `No permission for ${host}`, durationMs: Date.now() - started };
+        }
+
+        try {
+            const target = await choosePopTab(host, origin, profile, { customerID, phone, caller });
+            log(`[FieldRoutes] ${target.detail}`);
+            if (!target.tab) {
+                trace('tab', false, target.detail);
+                return { ...result, outcome: 'dismissed', reason: target.detail, durationMs: Date.now() - started };
+            }
+            targetTab = target.tab;
+            trace('tab', true, target.detail);
+        } catch (err) {
+            console.error('[FieldRoutes] Could not find or open a PestRoutes tab:', err);
+            trace('tab', false, err.message || String(err));
+            return { ...result, outcome: 'no_tab', reason: err.message || String(err), durationMs: Date.now() - started };
+        }
 
-        if (tabs.length > 0) {
-            targetTab = tabs[0];
-            await chrome.windows.update(targetTab.windowId, { focused: true });
-            await chrome.tabs.update(targetTab.id, { active: true });
+        if (customerID) {
+            result = await openByCustomerUrl(targetTab.id, host, customerID, profile);
+            trace('url', result.opened, result.opened ? '' : `${result.reason} — falling back to search`);
+            if (!result.opened) {
+                console.warn(`[FieldRoutes] Direct URL failed (${result.reason}) — falling back to search`);
+                await chrome.tabs.update(targetTab.id, { url: `https://${host}` });
+                await waitForTabLoad(targetTab.id, TAB_LOAD_TIMEOUT_MS);
+            }
         } else {
-            console.log('[FieldRoutes] No PestRoutes tab found — opening one');
-            targetTab = await chrome.tabs.create({ url: PESTROUTES_URL, active: true });
-            await waitForTabLoad(targetTab.id);
+            trace('url', null, 'No customer ID — phone search only');
         }
 
-        await sleep(800);
+        // Show the caller card before searching so it is on screen
+        // while the operator chooses between several matches
+        if (hasCallerDetails(caller)) {
+            showCallerCard(targetTab.id, customerID, phone, caller);
+        }
 
-        // Firefox MV2 uses chrome.tabs.executeScript instead of chrome.scripting
-        await chrome.tabs.executeScript(targetTab.id, {
-            code: `(${injectCustomerSearch.toString()})(${JSON.stringify(customerID)}, ${JSON.stringify(phone)})`
-        });
+        // searchCustomerInPage waits for the search box itself
+        if (!result.opened) {
+            result = await runInPage(targetTab.id, { type: 'openCustomer', customerID, phone, profile },
+                                     searchCustomerInPage, [customerID, phone, profile])
+                  || { opened: false, outcome: 'script_error', method: 'search', reason: 'No result from page script' };
+
+            if (result.outcome === 'no_search_box' || result.outcome === 'script_error') {
+                trace('searchBox', false, result.reason);
+            } else {
+                trace('searchBox', true, '');
+                trace('result', result.opened, result.opened ? `${result.matches} match(es)` : result.reason);
+            }
+        }
 
     } catch (err) {
         console.error('[FieldRoutes] Failed to open customer:', err);
+        trace('error', false, err.message || String(err));
+        result = { ...result, opened: false, outcome: 'script_error', reason: err.message || String(err) };
+    }
+
+    result.durationMs = Date.now() - started;
+
+    if (result.opened) {
+        log(`[FieldRoutes] Customer opened via ${result.method}`);
+    } else {
+        console.warn(`[FieldRoutes] Customer not opened (${result.method || 'no method'}): ${result.reason}`);
     }
+    return { ...result, tabId: targetTab ? targetTab.id : null };
 }
 
 // ============================================================
-// INJECTED INTO PESTROUTES TAB
-// Triggers the jQuery UI autocomplete search popup
+// DELIVERY ACKNOWLEDGEMENTS
+// Tells the middleware how a pop it dispatched ended, so the
+// call log records more than "sent". Only pops that arrived
+// over SSE carry an eventId; each is acknowledged once, so a
+// later re-open from history does not overwrite the outcome.
 // ============================================================
-function injectCustomerSearch(customerID, phone) {
-    const searchInput = document.getElementById('customerSearch');
-    if (!searchInput) {
-        console.warn('[FieldRoutes] #customerSearch not found on page');
-        return;
+const ACK_OUTCOMES = ['opened', 'multiple_matches', 'no_results', 'no_search_box', 'no_tab',
+                      'not_configured', 'script_error', 'dismissed'];
+
+async function acknowledgeDelivery(entry, result) {
+    if (!entry.eventId || entry.acked) return;
+    await updateHistoryEntry(entry.id, { acked: true });
+
+    const outcome = ACK_OUTCOMES.includes(result.outcome) ? result.outcome : 'script_error';
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/ack`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body:    JSON.stringify({
+                eventId:    entry.eventId,
+                outcome,
+                method:     result.method || '',
+                reason:     result.reason || '',
+                durationMs: result.durationMs || 0
+            })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        log(`[FieldRoutes] Acknowledged event ${entry.eventId}: ${outcome}`);
+    } catch (err) {
+        console.warn(`[FieldRoutes] Could not acknowledge event ${entry.eventId}:`, err.message);
     }
+}
 
-    const searchTerm = phone || customerID;
-    console.log(`[FieldRoutes] Triggering search for: ${searchTerm}`);
+// Navigates the tab to the customer card and confirms the record
+// actually loaded (PestRoutes redirects unknown IDs and expired
+// sessions away from the card URL).
+async function openByCustomerUrl(tabId, host, customerID, profile) {
+    const path = profile.customerCardPath.replace('{customerID}', encodeURIComponent(customerID));
+    log(`[FieldRoutes] Opening customer card: https://${host}${path}`);
 
-    searchInput.focus();
+    await chrome.tabs.update(tabId, { url: `https://${host}${path}`, active: true });
+    const loaded = await waitForTabLoad(tabId, TAB_LOAD_TIMEOUT_MS);
+    if (!loaded) return { opened: false, outcome: 'no_tab', method: 'url', reason: 'Customer card did not load in time' };
 
-    // Set value via native setter (required for React/jQuery UI to detect change)
-    const nativeSetter = Object.getOwnPropertyDescriptor(
-        window.HTMLInputElement.prototype, 'value'
-    ).set;
-    nativeSetter.call(searchInput, searchTerm);
+    const status = await runInPage(tabId, { type: 'status', customerID, profile }, pageStatus, [customerID, profile]);
+    return status && status.onCustomerCard
+        ? { opened: true,  outcome: 'opened',       method: 'url', reason: '' }
+        : { opened: false, outcome: 'script_error', method: 'url', reason: 'Customer card not shown' };
+}
 
-    searchInput.dispatchEvent(new Event('input',  { bubbles: true }));
-    searchInput.dispatchEvent(new Event('keyup',  { bubbles: true }));
+// Records the pop, then either opens it straight away or — in
+// notification mode — waits for the agent to click "Open record".
+// eventId is the SSE event id, used to acknowledge the outcome.
+async function popCustomer(msg, eventId = null) {
+    const entry = await addHistoryEntry(msg.customerID, msg.phone, callerFromPayload(msg), eventId);
+    if (await getPopMode() === POP_MODE_NOTIFY) {
+        showPopNotification(entry);
+    } else {
+        await openAndRecord(entry);
+    }
+}
 
-    // Trigger jQuery UI autocomplete directly if jQuery is present
-    if (typeof jQuery !== 'undefined') {
-        try {
-            jQuery('#customerSearch').val(searchTerm).autocomplete('search', searchTerm);
-            console.log('[FieldRoutes] jQuery autocomplete search triggered');
-        } catch (e) {}
+// ============================================================
+// CALLER CARD
+// Optional caller details sent by /notify from the 3CX lookup
+// ============================================================
+const CALLER_FIELDS = ['firstName', 'lastName', 'companyName', 'email', 'address', 'city', 'balance'];
+
+function callerFromPayload(msg) {
+    const caller = {};
+    for (const field of CALLER_FIELDS) {
+        if (msg[field]) caller[field] = String(msg[field]);
     }
+    return caller;
+}
 
-    // Poll for autocomplete result and click the first one
-    let attempts = 0;
-    const poll = setInterval(() => {
-        const item = document.querySelector('.ui-autocomplete li.ui-menu-item');
-        if (item) {
-            clearInterval(poll);
-            item.click();
-            const link = item.querySelector('a, .ui-menu-item-wrapper, div');
-            if (link) link.click();
-        }
-        if (++attempts > 20) {
-            clearInterval(poll);
-            console.warn('[FieldRoutes] Autocomplete result did not appear in time');
+function hasCallerDetails(caller) {
+    return !!caller && CALLER_FIELDS.some(field => caller[field]);
+}
+
+function callerName(caller) {
+    return [caller.firstName, caller.lastName].filter(Boolean).join(' ') || caller.companyName || '';
+}
+
+function formatBalance(balance) {
+    const amount = parseFloat(balance);
+    return isNaN(amount) ? '' : `Balance $${amount.toFixed(2)}`;
+}
+
+// The banner is drawn by content.js, so it is only shown in tabs
+// where the content script is loaded. Not awaited — the search
+// goes ahead while the card is drawn.
+function showCallerCard(tabId, customerID, phone, caller) {
+    waitForPage(tabId)
+        .then(ready => ready && sendToPage(tabId, { type: 'callerCard', customerID, phone, caller }))
+        .then(reply => {
+            if (!reply) log('[FieldRoutes] Caller card not shown — no content script in that tab');
+        })
+        .catch(err => log('[FieldRoutes] Caller card not shown:', err.message));
+}
+
+// ============================================================
+// SELECTOR PROFILE
+// Fetched from the middleware on every connect and cached in
+// storage, so pops keep working with the last known profile
+// while the middleware is unreachable. See selector-profile.js.
+// ============================================================
+async function refreshSelectorProfile(base) {
+    try {
+        const response = await fetch(`${base}/selectors.json`, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await storageSet({ selectorProfile: await response.json() });
+    } catch (err) {
+        console.warn('[FieldRoutes] Could not fetch selector profile — using the cached one:', err.message);
+    }
+}
+
+async function getSelectorProfile() {
+    const result = await storageGet(['selectorProfile']);
+    return normalizeSelectorProfile(result.selectorProfile);
+}
+
+// Reads the PestRoutes site from storage on every pop so a change
+// on the options page applies without reconnecting the SSE stream.
+function getPestRoutesHost() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['pestRoutesCompany', 'pestRoutesDomain'], (result) => {
+            const company = result.pestRoutesCompany || '';
+            const domain  = result.pestRoutesDomain  || DEFAULT_PESTROUTES_DOMAIN;
+            resolve(company ? `${company}.${domain}` : '');
+        });
+    });
+}
+
+// ============================================================
+// CONTENT SCRIPT MESSAGING
+// content.js runs in PestRoutes tabs on the domains the operator
+// granted on the options page — it is registered here, not in the
+// manifest, so nothing is granted at install. Background → content:
+//   status        { customerID, profile }        → pageStatus()
+//   openCustomer  { customerID, phone, profile }  → searchCustomerInPage() result
+//   callerCard    { customerID, phone, caller }   → { ok: true }
+//   callerWaiting { phone, name, customerID, reason }
+//                                                 → 'here' | 'newTab' | 'dismiss'
+//   wrapUp        { eventId, customerID, phone, name }
+//                                                 → { ok: true }
+// Content → background:
+//   pageReady     { url }    once each time the script loads
+//   pageBusy      { busy }   whenever pageStatus().busy changes
+//   dial          { phone, customerID }           → requestDial() result
+//   submitWrapUp  { disposition, notes, followUp, customerID }
+//                                                 → submitWrapUp() result
+//   skipWrapUp    {}
+// The 3CX web client's watcher (webclient.js) sends
+//   webClientExtension { extension }  whenever it reads a new one
+// Where there is no content script (a custom PestRoutes domain,
+// or a tab opened before the extension was installed or
+// updated) the same page-search.js function is injected instead.
+// ============================================================
+const PAGE_READY_TIMEOUT_MS = 1500;   // how long a freshly loaded tab gets to send pageReady
+
+const readyTabs    = new Map();   // tabId → url from pageReady
+const readyWaiters = new Map();   // tabId → callbacks waiting for pageReady
+const busyTabs     = new Map();   // tabId → reason from pageBusy, while busy
+
+function pageReady(tabId, url) {
+    readyTabs.set(tabId, url);
+    busyTabs.delete(tabId);
+    for (const callback of readyWaiters.get(tabId) || []) callback();
+    readyWaiters.delete(tabId);
+}
+
+// Resolves with the content script's reply, or null when no
+// content script is listening in that tab.
+function sendToPage(tabId, message) {
+    return new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tabId, message, (reply) => {
+            const error = chrome.runtime.lastError;
+            if (!error) {
+                resolve(reply === undefined ? null : reply);
+            } else if (/Receiving end does not exist|Could not establish connection/i.test(error.message)) {
+                resolve(null);
+            } else {
+                reject(new Error(error.message));
+            }
+        });
+    });
+}
+
+// Resolves true once the tab's content script is known to be
+// listening: it already sent pageReady, it answers a status
+// ping, or it sends pageReady within PAGE_READY_TIMEOUT_MS.
+async function waitForPage(tabId) {
+    if (readyTabs.has(tabId)) return true;
+    if (await sendToPage(tabId, { type: 'status' }).catch(() => null)) return true;
+    if (readyTabs.has(tabId)) return true;
+
+    return new Promise(resolve => {
+        const callbacks = readyWaiters.get(tabId) || [];
+        const timer = setTimeout(() => {
+            callbacks.splice(callbacks.indexOf(onReady), 1);
+            resolve(false);
+        }, PAGE_READY_TIMEOUT_MS);
+        const onReady = () => {
+            clearTimeout(timer);
+            resolve(true);
+        };
+        callbacks.push(onReady);
+        readyWaiters.set(tabId, callbacks);
+    });
+}
+
+// Sends message to the tab's content script and resolves with
+// its reply. Falls back to injecting func(...args) — which must
+// give the same reply — when there is no content script. A
+// content script that fails part-way is not retried by
+// injection, so a search is never run twice.
+async function runInPage(tabId, message, func, args) {
+    if (await waitForPage(tabId)) {
+        const reply = await sendToPage(tabId, message);
+        if (reply !== null) return reply;
+    }
+    log(`[FieldRoutes] No content script in tab ${tabId} — injecting ${func.name}`);
+    return executeInTab(tabId, func, args);
+}
+
+// Serialised, as a grant can arrive while startup registers
+let pageScriptSync = Promise.resolve();
+
+function syncPageScript() {
+    pageScriptSync = pageScriptSync.then(async () => {
+        const matches = [];
+        for (const origin of PESTROUTES_ORIGINS) {
+            if (await hasOrigins([origin])) matches.push(origin);
         }
-    }, 150);
+        await registerContentScript('pestroutes', matches, 'content.js');
+    }).catch(err => console.warn(`[FieldRoutes] Could not register the PestRoutes content script: ${err.message}`));
+    return pageScriptSync;
 }
 
+// A navigation unloads the content script; the new page sends
+// pageReady again
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading') {
+        readyTabs.delete(tabId);
+        busyTabs.delete(tabId);
+    }
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+    readyTabs.delete(tabId);
+    busyTabs.delete(tabId);
+    forgetWrapUp(tabId);
+    readyWaiters.delete(tabId);
+});
+
 // ============================================================
 // BADGE HELPERS
+// The badge shows the connection status, except while a call
+// is in progress (see callBadge in callstate.js) or the 3CX web
+// client is signed in as another extension (webclient.js).
 // ============================================================
+let connectionState = 'off';
+
 function setStatus(state, label) {
-    // Firefox MV2 uses browserAction; Chrome/Edge MV3 uses action
-    const actionApi = chrome.action || chrome.browserAction;
-    actionApi.setBadgeText({ text: state === 'on' ? 'ON' : 'OFF' });
-    actionApi.setBadgeBackgroundColor({
-        color: state === 'on' ? '#2d7d46' : '#c0392b'
-    });
+    diagnostics.status = label;
+    connectionState    = state;
+    updateBadge();
+}
+
+function updateBadge() {
+    const badge = callBadge() || extensionBadge() || {
+        text:  connectionState === 'on' ? 'ON' : 'OFF',
+        color: connectionState === 'on' ? '#2d7d46' : '#c0392b',
+        title: ''
+    };
+    actionApi.setBadgeText({ text: badge.text });
+    actionApi.setBadgeBackgroundColor({ color: badge.color });
+    actionApi.setTitle({ title: badge.title || chrome.runtime.getManifest().name });
 }
 
 // ============================================================
 // UTILITIES
 // ============================================================
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-function waitForTabLoad(tabId) {
+// Resolves true once the tab finishes loading, or false if timeoutMs
+// elapses first (no timeout when omitted).
+function waitForTabLoad(tabId, timeoutMs = 0) {
     return new Promise(resolve => {
+        let timer = null;
         const listener = (id, changeInfo) => {
             if (id === tabId && changeInfo.status === 'complete') {
                 chrome.tabs.onUpdated.removeListener(listener);
-                resolve();
+                clearTimeout(timer);
+                resolve(true);
             }
         };
         chrome.tabs.onUpdated.addListener(listener);
+        if (timeoutMs > 0) {
+            timer = setTimeout(() => {
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve(false);
+            }, timeoutMs);
+        }
     });
 }
 
 // ============================================================
 // STARTUP & LIFECYCLE
 // ============================================================
-connect();
+storageGet(['logLevel']).then(result => setLogLevel(result.logLevel));
+applyManagedPolicy().then(connect);   // connect with the settings IT pushed, not before them
+restoreCalls();
+syncPageScript();
+
+// Access granted on the options page applies straight away
+chrome.permissions.onAdded.addListener(() => {
+    syncPageScript();
+    if (!eventStream || eventStream.closed) connect();
+});
+chrome.permissions.onRemoved.addListener(syncPageScript);
 
 // Reconnect if settings change (operator updates extension number or server)
-chrome.storage.onChanged.addListener((changes) => {
-    if (changes.extensionNumber || changes.serverAddress || changes.sharedSecret) {
-        console.log('[FieldRoutes] Settings changed — reconnecting');
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;   // a policy change arrives as the local copy policy.js writes
+    if (changes.logLevel) setLogLevel(changes.logLevel.newValue);
+    if (changes.extensionNumber || changes.serverAddress || changes.sharedSecret || changes.agentCredential) {
+        log('[FieldRoutes] Settings changed — reconnecting');
+        clearSseToken();
+        // Event ids belong to one server and one agent's buffer
+        if (changes.extensionNumber || changes.serverAddress) storageSet({ lastEventId: '' });
         setTimeout(connect, 300);
     }
 });
 
-// Firefox MV2 event pages: no keepAlive alarm needed.
-// The event page wakes on SSE events and chrome.storage.onChanged automatically.
+// Messages from the popup, extension pages and content scripts
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.type === 'pageReady') {
+        if (!sender.tab) return;
+        pageReady(sender.tab.id, msg.url);
+        showWrapUp(sender.tab.id);
+        return;
+    }
+    if (msg.type === 'webClientExtension') {
+        if (sender.tab) handleWebClientExtension(String(msg.extension || ''), sender.tab);
+        return;
+    }
+    if (msg.type === 'pageBusy') {
+        if (!sender.tab) return;
+        if (msg.busy) busyTabs.set(sender.tab.id, msg.busy);
+        else busyTabs.delete(sender.tab.id);
+        return;
+    }
+    if (msg.type === 'getDiagnostics') {
+        sendResponse({ ...diagnostics, agent: myExtension, lastEventId });
+        return;
+    }
+    if (msg.type === 'getServerConnections') {
+        getServerConnections().then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'getCallStatus') {
+        getCallStatus().then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'submitWrapUp') {
+        submitWrapUp(sender.tab && sender.tab.id, msg).then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'skipWrapUp') {
+        if (sender.tab) skipWrapUp(sender.tab.id);
+        return;
+    }
+    if (msg.type === 'dial') {
+        requestDial(msg.phone, msg.customerID).then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'sendTestPop') {
+        sendTestPop(msg.customerID, msg.phone);
+        return;
+    }
+    if (msg.type === 'openFromBoard') {
+        openFromBoard(msg.agent).then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'reopenCustomer') {
+        getHistoryEntry(msg.id).then(entry => {
+            if (entry) {
+                log(`[FieldRoutes] Re-opening pop from history: ${entry.customerID || entry.phone}`);
+                chrome.notifications.clear(entry.id);
+                openAndRecord(entry);
+            }
+        });
+    }
+});
+
+// Keep service worker alive (MV3 requirement).
+// Firefox MV2 event pages wake on SSE events and chrome.storage.onChanged
+// automatically, so no alarm is needed there.
+if (IS_MV3) {
+    chrome.alarms.create('keepAlive', { periodInMinutes: 0.4 });
+    chrome.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name !== 'keepAlive') return;
+
+        // If the stream has gone away, reconnect
+        if (!eventStream || eventStream.closed) {
+            log('[FieldRoutes] keepAlive: reconnecting');
+            connect();
+        }
+    });
+}
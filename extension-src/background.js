@@ -0,0 +1,814 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Background Script (SSE Edition)
+// ============================================================
+// Maintains a persistent SSE connection to the Pode/PowerShell
+// middleware through the fetch-based reader in sse.js.
+// SSE is simpler than WebSockets — it is a plain HTTP GET that
+// the server keeps open and streams events down.
+//
+// Shared by every browser target. Runs as an MV3 service worker
+// in Chrome/Edge and as an MV2 event page in Firefox — anything
+// that differs between the two lives in compat.js.
+// ============================================================
+
+// ============================================================
+// CONFIGURATION
+// All values are stored in chrome.storage.local and entered by
+// the operator on the options page. Nothing sensitive is hardcoded.
+// The PestRoutes site is <pestRoutesCompany>.<pestRoutesDomain>,
+// e.g. midstatetermite.pestroutes.com or acme.fieldroutes.com.
+// ============================================================
+const DEFAULT_SERVER            = 'localhost:3000';
+const DEFAULT_PESTROUTES_DOMAIN = 'pestroutes.com';
+const PESTROUTES_ORIGINS        = ['https://*.pestroutes.com/*', 'https://*.fieldroutes.com/*'];
+const TAB_LOAD_TIMEOUT_MS       = 15000;
+const RECONNECT_DELAY_MS        = 3000;
+const TOKEN_MIN_REMAINING_MS    = 30000;   // fetch a new token rather than reuse one this close to expiry
+const PAIRING_RETRY_MS          = 30000;   // retry interval while a pairing awaits admin approval
+
+// ============================================================
+// STATE
+// ============================================================
+let eventStream      = null;
+let myExtension      = '';
+let serverAddress    = DEFAULT_SERVER;
+let sharedSecret     = '';
+let agentCredential  = null;   // { credential, agent, pairingCode, status } from options-page pairing
+let reconnectTimer   = null;
+let sseToken         = null;   // { token, expiresAt, role } — expiresAt in local ms
+let tokenTimer       = null;
+let connectAttempt   = 0;
+let lastEventId      = '';     // id of the last event received — sent back as Last-Event-ID
+
+// Connection diagnostics for the popup (see getDiagnostics)
+const diagnostics = {
+    readyState:     'CLOSED',  // CONNECTING | OPEN | CLOSED, as EventSource reports it
+    status:         '',        // last badge label
+    clientId:       '',        // from the server's 'connected' event
+    connectedAt:    null,
+    lastEventAt:    null,
+    lastEventType:  '',
+    reconnectCount: 0,
+    lastError:      ''
+};
+
+// ============================================================
+// SSE AUTHENTICATION
+// Credentials never go into a URL. They are sent in a header to
+// POST /token, which returns a short-lived signed token for this
+// agent:
+//   X-Agent-Credential — this workstation's own credential, once
+//                        paired from the options page and approved
+//   X-Shared-Secret    — the shared secret, for servers that
+//                        still accept it
+// /sse gets only the token, and the token is refreshed at 80% of
+// its lifetime so a reconnect always has a valid one. A token for
+// a workstation paired as a supervisor has role 'supervisor' and
+// also opens the supervisor board (supervisor.js).
+// ============================================================
+function usePairedCredential() {
+    return !!agentCredential && !!agentCredential.credential && agentCredential.agent === myExtension;
+}
+
+async function getSseToken(base) {
+    if (sseToken && sseToken.expiresAt - Date.now() > TOKEN_MIN_REMAINING_MS) {
+        return sseToken.token;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (usePairedCredential()) {
+        headers['X-Agent-Credential'] = agentCredential.credential;
+    } else {
+        headers['X-Shared-Secret'] = sharedSecret;
+    }
+
+    const response = await fetch(`${base}/token`, {
+        method:  'POST',
+        headers,
+        body:    JSON.stringify({ agent: myExtension })
+    });
+    if (response.status === 403) {
+        const data  = await response.json().catch(() => ({}));
+        const error = new Error(data.error || 'Credential rejected by server');
+        // Waiting on an admin — no point asking again every few seconds
+        if (data.status === 'pending') error.retryMs = PAIRING_RETRY_MS;
+        throw error;
+    }
+    if (!response.ok) throw new Error(`Token request failed (HTTP ${response.status})`);
+
+    // expiresIn is relative, so a clock difference between the
+    // workstation and the server does not matter
+    const data = await response.json();
+    sseToken = { token: data.token, expiresAt: Date.now() + data.expiresIn * 1000, role: data.role || 'agent' };
+    log(`[FieldRoutes] SSE token received — valid ${Math.round(data.expiresIn / 60)} min`);
+
+    clearTimeout(tokenTimer);
+    tokenTimer = setTimeout(() => {
+        sseToken = null;
+        getSseToken(base).catch(err => console.warn('[FieldRoutes] Token refresh failed:', err.message));
+    }, data.expiresIn * 1000 * 0.8);
+
+    return sseToken.token;
+}
+
+function clearSseToken() {
+    sseToken = null;
+    clearTimeout(tokenTimer);
+}
+
+// This extension's connections as the middleware sees them, for
+// the popup: GET /connections needs a token, so the popup asks
+// here. Resolves with { ok, clientIds } or { ok: false, error }.
+async function getServerConnections() {
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/connections`, {
+            headers: { Authorization: `Bearer ${token}` },
+            cache:   'no-store'
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        const mine = (data.connectedAgents || []).filter(c => String(c.agent) === myExtension);
+        return { ok: true, clientIds: mine.map(c => c.clientId) };
+    } catch (err) {
+        return { ok: false, error: err.message };
+    }
+}
+
+// ============================================================
+// SSE CONNECTION
+// Every reconnect goes back through connect() to pick up a
+// current token. The last event id is kept in storage so it
+// survives the service worker being suspended: the middleware
+// buffers recent events per agent and replays the ones after
+// that id, so a pop sent while we were reconnecting still
+// arrives.
+// ============================================================
+function connect() {
+    chrome.storage.local.get(['extensionNumber', 'serverAddress', 'sharedSecret', 'agentCredential',
+                              'lastEventId'], async (result) => {
+        myExtension     = result.extensionNumber || '';
+        serverAddress   = result.serverAddress   || DEFAULT_SERVER;
+        sharedSecret    = result.sharedSecret    || '';
+        agentCredential = result.agentCredential || null;
+        lastEventId     = result.lastEventId     || '';
+
+        if (!myExtension) {
+            console.warn('[FieldRoutes] No extension number set — open the extension settings.');
+            setStatus('off', 'Not configured');
+            return;
+        }
+
+        if (!sharedSecret && !usePairedCredential()) {
+            console.warn('[FieldRoutes] No shared secret set and workstation not paired — open the extension settings.');
+            setStatus('off', 'Secret not set');
+            return;
+        }
+
+        // Close any existing connection cleanly
+        if (eventStream) {
+            eventStream.close();
+            eventStream = null;
+        }
+        clearTimeout(reconnectTimer);
+
+        // A newer connect() may start while this one waits for a token
+        const attempt = ++connectAttempt;
+        diagnostics.readyState = 'CONNECTING';
+        const base    = serverBaseUrl(serverAddress);
+
+        // Granted when the settings are saved; on the office network it always is
+        if (!await hasOrigins([originPattern(base)])) {
+            console.warn(`[FieldRoutes] No permission for ${base} — save the settings on the options page to grant it.`);
+            diagnostics.readyState = 'CLOSED';
+            diagnostics.lastError  = `No permission for ${base}`;
+            setStatus('off', 'No permission for server');
+            return;
+        }
+        if (attempt !== connectAttempt) return;
+
+        let token;
+        try {
+            token = await getSseToken(base);
+        } catch (err) {
+            console.warn(`[FieldRoutes] Could not get SSE token from ${base}: ${err.message}`);
+            diagnostics.readyState = 'CLOSED';
+            diagnostics.lastError  = err.message;
+            setStatus('off', err.message);
+            scheduleReconnect(err.retryMs || RECONNECT_DELAY_MS);
+            return;
+        }
+        if (attempt !== connectAttempt) return;
+        refreshSelectorProfile(base);
+        updateSupervisorStream(base, sseToken.role);
+
+        // Only the agent is logged — never the token or the secret
+        log(`[FieldRoutes] Connecting to SSE: ${base}/sse?agent=${myExtension}` +
+            (lastEventId ? ` (resuming after event ${lastEventId})` : ''));
+        let opened = false;
+
+        eventStream = openEventStream(`${base}/sse?agent=${encodeURIComponent(myExtension)}`, {
+            headers: { Authorization: `Bearer ${token}` },
+            lastEventId,
+
+            onOpen: () => {
+                opened = true;
+                diagnostics.readyState  = 'OPEN';
+                diagnostics.connectedAt = Date.now();
+                diagnostics.lastError   = '';
+                log('[FieldRoutes] SSE connection established');
+                clearTimeout(reconnectTimer);
+                setStatus('on', `Connected as ext. ${myExtension}`);
+            },
+
+            onEvent: (event) => {
+                diagnostics.lastEventAt   = Date.now();
+                diagnostics.lastEventType = event.type;
+                if (event.id !== null && event.id !== lastEventId) {
+                    lastEventId = event.id;
+                    storageSet({ lastEventId });
+                }
+                handleServerEvent(event);
+            },
+
+            // Connection error / server unreachable / server closed the stream
+            onClose: (err) => {
+                console.warn(`[FieldRoutes] SSE connection lost (${err.message}) — reconnecting`);
+                diagnostics.readyState = 'CLOSED';
+                diagnostics.clientId   = '';
+                diagnostics.lastError  = err.message;
+                diagnostics.reconnectCount++;
+                setStatus('off', 'Reconnecting...');
+
+                // Rejected before it ever opened — most likely the token
+                // expired or the secret changed, so fetch a fresh one
+                if (!opened) clearSseToken();
+
+                eventStream = null;
+                scheduleReconnect(RECONNECT_DELAY_MS);
+            }
+        });
+    });
+}
+
+function handleServerEvent(event) {
+    let data;
+    try {
+        data = JSON.parse(event.data);
+    } catch (err) {
+        console.error(`[FieldRoutes] Failed to parse ${event.type} event:`, err);
+        return;
+    }
+
+    switch (event.type) {
+        // Server confirmed our registration
+        case 'connected':
+            log('[FieldRoutes] Server confirmed connection:', data);
+            diagnostics.clientId = data.clientId || '';
+            break;
+
+        // Main event — open a customer popup
+        case 'openCustomer':
+            if (data.test) {
+                runTestPop(data);
+                break;
+            }
+            log(`[FieldRoutes] openCustomer event received${event.id ? ` (id ${event.id})` : ''}:`, data);
+            popCustomer(data, event.id);
+            break;
+
+        // Call progress from 3CX — see callstate.js
+        case 'callRinging':
+        case 'callAnswered':
+        case 'callHeld':
+        case 'callTransferred':
+        case 'callEnded':
+            handleCallEvent(event.type, data, event.id);
+            break;
+    }
+}
+
+function scheduleReconnect(delayMs) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, delayMs);
+}
+
+// Accepts "host:port", "http://host:port" or "https://host:port"
+function serverBaseUrl(address) {
+    const trimmed = address.trim().replace(/\/+$/, '');
+    return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
+// ============================================================
+// OPEN CUSTOMER HANDLER
+// Tries the most precise method first:
+//   1. url    — navigate straight to the customer card by ID
+//   2. search — type phone/ID into the autocomplete and click
+//               the first result (fallback, and the only
+//               option when 3CX sent a phone number alone)
+// Resolves with { opened, outcome, method, reason, tabId,
+// durationMs } so callers can report which method worked —
+// outcome is one of the ACK_OUTCOMES codes. When caller details
+// are given, the caller card is shown in the PestRoutes tab.
+// trace(step, ok, detail) is told how each step went — the test
+// pop uses it; ok is null for a step that did not apply.
+// ============================================================
+async function handleOpenCustomer(customerID, phone, caller = {}, trace = () => {}) {
+    log(`[FieldRoutes] Opening customer — ID: ${customerID}, Phone: ${phone}`);
+
+    const started = Date.now();
+    let result    = { opened: false, outcome: 'script_error', method: null, reason: '' };
+    let targetTab = null;
+
+    try {
+        const host = await getPestRoutesHost();
+        if (!host) {
+            console.warn('[FieldRoutes] No PestRoutes company set — open the extension settings.');
+            trace('tab', false, 'PestRoutes site not set');
+            return { ...result, outcome: 'not_configured', reason: 'PestRoutes site not set', durationMs: Date.now() - started };
+        }
+
+        const profile = await getSelectorProfile();
+        const origin  = `https://${host}/*`;
+        if (!await hasOrigins([origin])) {
+            console.warn(`[FieldRoutes] No host permission for ${host} — save the PestRoutes site in the extension settings.`);
+            trace('tab', false, `No permission for ${host}`);
+            return { ...result, outcome: 'not_configured', reason: `No permission for ${host}`, durationMs: Date.now() - started };
+        }
+
+        try {
+            const target = await choosePopTab(host, origin, profile, { customerID, phone, caller });
+            log(`[FieldRoutes] ${target.detail}`);
+            if (!target.tab) {
+                trace('tab', false, target.detail);
+                return { ...result, outcome: 'dismissed', reason: target.detail, durationMs: Date.now() - started };
+            }
+            targetTab = target.tab;
+            trace('tab', true, target.detail);
+        } catch (err) {
+            console.error('[FieldRoutes] Could not find or open a PestRoutes tab:', err);
+            trace('tab', false, err.message || String(err));
+            return { ...result, outcome: 'no_tab', reason: err.message || String(err), durationMs: Date.now() - started };
+        }
+
+        if (customerID) {
+            result = await openByCustomerUrl(targetTab.id, host, customerID, profile);
+            trace('url', result.opened, result.opened ? '' : `${result.reason} — falling back to search`);
+            if (!result.opened) {
+                console.warn(`[FieldRoutes] Direct URL failed (${result.reason}) — falling back to search`);
+                await chrome.tabs.update(targetTab.id, { url: `https://${host}` });
+                await waitForTabLoad(targetTab.id, TAB_LOAD_TIMEOUT_MS);
+            }
+        } else {
+            trace('url', null, 'No customer ID — phone search only');
+        }
+
+        // Show the caller card before searching so it is on screen
+        // while the operator chooses between several matches
+        if (hasCallerDetails(caller)) {
+            showCallerCard(targetTab.id, customerID, phone, caller);
+        }
+
+        // searchCustomerInPage waits for the search box itself
+        if (!result.opened) {
+            result = await runInPage(targetTab.id, { type: 'openCustomer', customerID, phone, profile },
+                                     searchCustomerInPage, [customerID, phone, profile])
+                  || { opened: false, outcome: 'script_error', method: 'search', reason: 'No result from page script' };
+
+            if (result.outcome === 'no_search_box' || result.outcome === 'script_error') {
+                trace('searchBox', false, result.reason);
+            } else {
+                trace('searchBox', true, '');
+                trace('result', result.opened, result.opened ? `${result.matches} match(es)` : result.reason);
+            }
+        }
+
+    } catch (err) {
+        console.error('[FieldRoutes] Failed to open customer:', err);
+        trace('error', false, err.message || String(err));
+        result = { ...result, opened: false, outcome: 'script_error', reason: err.message || String(err) };
+    }
+
+    result.durationMs = Date.now() - started;
+
+    if (result.opened) {
+        log(`[FieldRoutes] Customer opened via ${result.method}`);
+    } else {
+        console.warn(`[FieldRoutes] Customer not opened (${result.method || 'no method'}): ${result.reason}`);
+    }
+    return { ...result, tabId: targetTab ? targetTab.id : null };
+}
+
+// ============================================================
+// DELIVERY ACKNOWLEDGEMENTS
+// Tells the middleware how a pop it dispatched ended, so the
+// call log records more than "sent". Only pops that arrived
+// over SSE carry an eventId; each is acknowledged once, so a
+// later re-open from history does not overwrite the outcome.
+// ============================================================
+const ACK_OUTCOMES = ['opened', 'multiple_matches', 'no_results', 'no_search_box', 'no_tab',
+                      'not_configured', 'script_error', 'dismissed'];
+
+async function acknowledgeDelivery(entry, result) {
+    if (!entry.eventId || entry.acked) return;
+    await updateHistoryEntry(entry.id, { acked: true });
+
+    const outcome = ACK_OUTCOMES.includes(result.outcome) ? result.outcome : 'script_error';
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/ack`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body:    JSON.stringify({
+                eventId:    entry.eventId,
+                outcome,
+                method:     result.method || '',
+                reason:     result.reason || '',
+                durationMs: result.durationMs || 0
+            })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        log(`[FieldRoutes] Acknowledged event ${entry.eventId}: ${outcome}`);
+    } catch (err) {
+        console.warn(`[FieldRoutes] Could not acknowledge event ${entry.eventId}:`, err.message);
+    }
+}
+
+// Navigates the tab to the customer card and confirms the record
+// actually loaded (PestRoutes redirects unknown IDs and expired
+// sessions away from the card URL).
+async function openByCustomerUrl(tabId, host, customerID, profile) {
+    const path = profile.customerCardPath.replace('{customerID}', encodeURIComponent(customerID));
+    log(`[FieldRoutes] Opening customer card: https://${host}${path}`);
+
+    await chrome.tabs.update(tabId, { url: `https://${host}${path}`, active: true });
+    const loaded = await waitForTabLoad(tabId, TAB_LOAD_TIMEOUT_MS);
+    if (!loaded) return { opened: false, outcome: 'no_tab', method: 'url', reason: 'Customer card did not load in time' };
+
+    const status = await runInPage(tabId, { type: 'status', customerID, profile }, pageStatus, [customerID, profile]);
+    return status && status.onCustomerCard
+        ? { opened: true,  outcome: 'opened',       method: 'url', reason: '' }
+        : { opened: false, outcome: 'script_error', method: 'url', reason: 'Customer card not shown' };
+}
+
+// Records the pop, then either opens it straight away or — in
+// notification mode — waits for the agent to click "Open record".
+// eventId is the SSE event id, used to acknowledge the outcome.
+async function popCustomer(msg, eventId = null) {
+    const entry = await addHistoryEntry(msg.customerID, msg.phone, callerFromPayload(msg), eventId);
+    if (await getPopMode() === POP_MODE_NOTIFY) {
+        showPopNotification(entry);
+    } else {
+        await openAndRecord(entry);
+    }
+}
+
+// ============================================================
+// CALLER CARD
+// Optional caller details sent by /notify from the 3CX lookup
+// ============================================================
+const CALLER_FIELDS = ['firstName', 'lastName', 'companyName', 'email', 'address', 'city', 'balance'];
+
+function callerFromPayload(msg) {
+    const caller = {};
+    for (const field of CALLER_FIELDS) {
+        if (msg[field]) caller[field] = String(msg[field]);
+    }
+    return caller;
+}
+
+function hasCallerDetails(caller) {
+    return !!caller && CALLER_FIELDS.some(field => caller[field]);
+}
+
+function callerName(caller) {
+    return [caller.firstName, caller.lastName].filter(Boolean).join(' ') || caller.companyName || '';
+}
+
+function formatBalance(balance) {
+    const amount = parseFloat(balance);
+    return isNaN(amount) ? '' : `Balance $${amount.toFixed(2)}`;
+}
+
+// The banner is drawn by content.js, so it is only shown in tabs
+// where the content script is loaded. Not awaited — the search
+// goes ahead while the card is drawn.
+function showCallerCard(tabId, customerID, phone, caller) {
+    waitForPage(tabId)
+        .then(ready => ready && sendToPage(tabId, { type: 'callerCard', customerID, phone, caller }))
+        .then(reply => {
+            if (!reply) log('[FieldRoutes] Caller card not shown — no content script in that tab');
+        })
+        .catch(err => log('[FieldRoutes] Caller card not shown:', err.message));
+}
+
+// ============================================================
+// SELECTOR PROFILE
+// Fetched from the middleware on every connect and cached in
+// storage, so pops keep working with the last known profile
+// while the middleware is unreachable. See selector-profile.js.
+// ============================================================
+async function refreshSelectorProfile(base) {
+    try {
+        const response = await fetch(`${base}/selectors.json`, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await storageSet({ selectorProfile: await response.json() });
+    } catch (err) {
+        console.warn('[FieldRoutes] Could not fetch selector profile — using the cached one:', err.message);
+    }
+}
+
+async function getSelectorProfile() {
+    const result = await storageGet(['selectorProfile']);
+    return normalizeSelectorProfile(result.selectorProfile);
+}
+
+// Reads the PestRoutes site from storage on every pop so a change
+// on the options page applies without reconnecting the SSE stream.
+function getPestRoutesHost() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['pestRoutesCompany', 'pestRoutesDomain'], (result) => {
+            const company = result.pestRoutesCompany || '';
+            const domain  = result.pestRoutesDomain  || DEFAULT_PESTROUTES_DOMAIN;
+            resolve(company ? `${company}.${domain}` : '');
+        });
+    });
+}
+
+// ============================================================
+// CONTENT SCRIPT MESSAGING
+// content.js runs in PestRoutes tabs on the domains the operator
+// granted on the options page — it is registered here, not in the
+// manifest, so nothing is granted at install. Background → content:
+//   status        { customerID, profile }        → pageStatus()
+//   openCustomer  { customerID, phone, profile }  → searchCustomerInPage() result
+//   callerCard    { customerID, phone, caller }   → { ok: true }
+//   callerWaiting { phone, name, customerID, reason }
+//                                                 → 'here' | 'newTab' | 'dismiss'
+//   wrapUp        { eventId, customerID, phone, name }
+//                                                 → { ok: true }
+// Content → background:
+//   pageReady     { url }    once each time the script loads
+//   pageBusy      { busy }   whenever pageStatus().busy changes
+//   dial          { phone, customerID }           → requestDial() result
+//   submitWrapUp  { disposition, notes, followUp, customerID }
+//                                                 → submitWrapUp() result
+//   skipWrapUp    {}
+// The 3CX web client's watcher (webclient.js) sends
+//   webClientExtension { extension }  whenever it reads a new one
+// Where there is no content script (a custom PestRoutes domain,
+// or a tab opened before the extension was installed or
+// updated) the same page-search.js function is injected instead.
+// ============================================================
+const PAGE_READY_TIMEOUT_MS = 1500;   // how long a freshly loaded tab gets to send pageReady
+
+const readyTabs    = new Map();   // tabId → url from pageReady
+const readyWaiters = new Map();   // tabId → callbacks waiting for pageReady
+const busyTabs     = new Map();   // tabId → reason from pageBusy, while busy
+
+function pageReady(tabId, url) {
+    readyTabs.set(tabId, url);
+    busyTabs.delete(tabId);
+    for (const callback of readyWaiters.get(tabId) || []) callback();
+    readyWaiters.delete(tabId);
+}
+
+// Resolves with the content script's reply, or null when no
+// content script is listening in that tab.
+function sendToPage(tabId, message) {
+    return new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tabId, message, (reply) => {
+            const error = chrome.runtime.lastError;
+            if (!error) {
+                resolve(reply === undefined ? null : reply);
+            } else if (/Receiving end does not exist|Could not establish connection/i.test(error.message)) {
+                resolve(null);
+            } else {
+                reject(new Error(error.message));
+            }
+        });
+    });
+}
+
+// Resolves true once the tab's content script is known to be
+// listening: it already sent pageReady, it answers a status
+// ping, or it sends pageReady within PAGE_READY_TIMEOUT_MS.
+async function waitForPage(tabId) {
+    if (readyTabs.has(tabId)) return true;
+    if (await sendToPage(tabId, { type: 'status' }).catch(() => null)) return true;
+    if (readyTabs.has(tabId)) return true;
+
+    return new Promise(resolve => {
+        const callbacks = readyWaiters.get(tabId) || [];
+        const timer = setTimeout(() => {
+            callbacks.splice(callbacks.indexOf(onReady), 1);
+            resolve(false);
+        }, PAGE_READY_TIMEOUT_MS);
+        const onReady = () => {
+            clearTimeout(timer);
+            resolve(true);
+        };
+        callbacks.push(onReady);
+        readyWaiters.set(tabId, callbacks);
+    });
+}
+
+// Sends message to the tab's content script and resolves with
+// its reply. Falls back to injecting func(...args) — which must
+// give the same reply — when there is no content script. A
+// content script that fails part-way is not retried by
+// injection, so a search is never run twice.
+async function runInPage(tabId, message, func, args) {
+    if (await waitForPage(tabId)) {
+        const reply = await sendToPage(tabId, message);
+        if (reply !== null) return reply;
+    }
+    log(`[FieldRoutes] No content script in tab ${tabId} — injecting ${func.name}`);
+    return executeInTab(tabId, func, args);
+}
+
+// Serialised, as a grant can arrive while startup registers
+let pageScriptSync = Promise.resolve();
+
+function syncPageScript() {
+    pageScriptSync = pageScriptSync.then(async () => {
+        const matches = [];
+        for (const origin of PESTROUTES_ORIGINS) {
+            if (await hasOrigins([origin])) matches.push(origin);
+        }
+        await registerContentScript('pestroutes', matches, 'content.js');
+    }).catch(err => console.warn(`[FieldRoutes] Could not register the PestRoutes content script: ${err.message}`));
+    return pageScriptSync;
+}
+
+// A navigation unloads the content script; the new page sends
+// pageReady again
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading') {
+        readyTabs.delete(tabId);
+        busyTabs.delete(tabId);
+    }
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+    readyTabs.delete(tabId);
+    busyTabs.delete(tabId);
+    forgetWrapUp(tabId);
+    readyWaiters.delete(tabId);
+});
+
+// ============================================================
+// BADGE HELPERS
+// The badge shows the connection status, except while a call
+// is in progress (see callBadge in callstate.js) or the 3CX web
+// client is signed in as another extension (webclient.js).
+// ============================================================
+let connectionState = 'off';
+
+function setStatus(state, label) {
+    diagnostics.status = label;
+    connectionState    = state;
+    updateBadge();
+}
+
+function updateBadge() {
+    const badge = callBadge() || extensionBadge() || {
+        text:  connectionState === 'on' ? 'ON' : 'OFF',
+        color: connectionState === 'on' ? '#2d7d46' : '#c0392b',
+        title: ''
+    };
+    actionApi.setBadgeText({ text: badge.text });
+    actionApi.setBadgeBackgroundColor({ color: badge.color });
+    actionApi.setTitle({ title: badge.title || chrome.runtime.getManifest().name });
+}
+
+// ============================================================
+// UTILITIES
+// ============================================================
+// Resolves true once the tab finishes loading, or false if timeoutMs
+// elapses first (no timeout when omitted).
+function waitForTabLoad(tabId, timeoutMs = 0) {
+    return new Promise(resolve => {
+        let timer = null;
+        const listener = (id, changeInfo) => {
+            if (id === tabId && changeInfo.status === 'complete') {
+                chrome.tabs.onUpdated.removeListener(listener);
+                clearTimeout(timer);
+                resolve(true);
+            }
+        };
+        chrome.tabs.onUpdated.addListener(listener);
+        if (timeoutMs > 0) {
+            timer = setTimeout(() => {
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve(false);
+            }, timeoutMs);
+        }
+    });
+}
+
+// ============================================================
+// STARTUP & LIFECYCLE
+// ============================================================
+storageGet(['logLevel']).then(result => setLogLevel(result.logLevel));
+applyManagedPolicy().then(connect);   // connect with the settings IT pushed, not before them
+restoreCalls();
+syncPageScript();
+
+// Access granted on the options page applies straight away
+chrome.permissions.onAdded.addListener(() => {
+    syncPageScript();
+    if (!eventStream || eventStream.closed) connect();
+});
+chrome.permissions.onRemoved.addListener(syncPageScript);
+
+// Reconnect if settings change (operator updates extension number or server)
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;   // a policy change arrives as the local copy policy.js writes
+    if (changes.logLevel) setLogLevel(changes.logLevel.newValue);
+    if (changes.extensionNumber || changes.serverAddress || changes.sharedSecret || changes.agentCredential) {
+        log('[FieldRoutes] Settings changed — reconnecting');
+        clearSseToken();
+        // Event ids belong to one server and one agent's buffer
+        if (changes.extensionNumber || changes.serverAddress) storageSet({ lastEventId: '' });
+        setTimeout(connect, 300);
+    }
+});
+
+// Messages from the popup, extension pages and content scripts
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.type === 'pageReady') {
+        if (!sender.tab) return;
+        pageReady(sender.tab.id, msg.url);
+        showWrapUp(sender.tab.id);
+        return;
+    }
+    if (msg.type === 'webClientExtension') {
+        if (sender.tab) handleWebClientExtension(String(msg.extension || ''), sender.tab);
+        return;
+    }
+    if (msg.type === 'pageBusy') {
+        if (!sender.tab) return;
+        if (msg.busy) busyTabs.set(sender.tab.id, msg.busy);
+        else busyTabs.delete(sender.tab.id);
+        return;
+    }
+    if (msg.type === 'getDiagnostics') {
+        sendResponse({ ...diagnostics, agent: myExtension, lastEventId });
+        return;
+    }
+    if (msg.type === 'getServerConnections') {
+        getServerConnections().then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'getCallStatus') {
+        getCallStatus().then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'submitWrapUp') {
+        submitWrapUp(sender.tab && sender.tab.id, msg).then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'skipWrapUp') {
+        if (sender.tab) skipWrapUp(sender.tab.id);
+        return;
+    }
+    if (msg.type === 'dial') {
+        requestDial(msg.phone, msg.customerID).then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'sendTestPop') {
+        sendTestPop(msg.customerID, msg.phone);
+        return;
+    }
+    if (msg.type === 'openFromBoard') {
+        openFromBoard(msg.agent).then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'reopenCustomer') {
+        getHistoryEntry(msg.id).then(entry => {
+            if (entry) {
+                log(`[FieldRoutes] Re-opening pop from history: ${entry.customerID || entry.phone}`);
+                chrome.notifications.clear(entry.id);
+                openAndRecord(entry);
+            }
+        });
+    }
+});
+
+// Keep service worker alive (MV3 requirement).
+// Firefox MV2 event pages wake on SSE events and chrome.storage.onChanged
+// automatically, so no alarm is needed there.
+if (IS_MV3) {
+    chrome.alarms.create('keepAlive', { periodInMinutes: 0.4 });
+    chrome.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name !== 'keepAlive') return;
+
+        // If the stream has gone away, reconnect
+        if (!eventStream || eventStream.closed) {
+            log('[FieldRoutes] keepAlive: reconnecting');
+            connect();
+        }
+    });
+}
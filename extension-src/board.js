@@ -0,0 +1,179 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Supervisor Board Page
+// ============================================================
+// Renders the board the background script keeps in storage
+// ('supervisorBoard', see supervisor.js): one row per agent with
+// their call, caller, customer and what the screen pop did.
+// Re-rendered on every change; the timers tick once a second in
+// between. Open asks the background script to show that
+// customer in this browser's own PestRoutes tab.
+// ============================================================
+
+const statusDot  = document.getElementById('statusDot');
+const statusText = document.getElementById('statusText');
+const openResult = document.getElementById('openResult');
+const boardTable = document.getElementById('boardTable');
+const boardRows  = document.getElementById('boardRows');
+const boardEmpty = document.getElementById('boardEmpty');
+
+const TIMER_MS = 1000;
+
+const CALL_STATES = {
+    ringing:     'Ringing',
+    answered:    'On call',
+    hold:        'On hold',
+    transferred: 'Transferred',
+    ended:       'Ended'
+};
+
+// Outcomes as calls.csv records them (see /notify and /ack)
+const POP_OUTCOMES = {
+    SENT:             'Sent',
+    TRANSFERRED:      'Sent (transfer)',
+    NO_EXTENSION:     'Extension not connected',
+    OPENED:           'Opened',
+    MULTIPLE_MATCHES: 'Several matches',
+    NO_RESULTS:       'No match',
+    NO_SEARCH_BOX:    'No search box',
+    NO_TAB:           'No PestRoutes tab',
+    NOT_CONFIGURED:   'Not set up',
+    SCRIPT_ERROR:     'Error',
+    DISMISSED:        'Dismissed'
+};
+
+let clockOffset = 0;   // server clock minus ours, from the last event
+
+// ============================================================
+// RENDERING
+// ============================================================
+function renderBoard(board) {
+    boardRows.textContent = '';
+
+    if (!board) {
+        setStatusLine(false, 'This workstation is not paired as a supervisor');
+        boardTable.hidden = true;
+        boardEmpty.style.display = 'none';
+        return;
+    }
+
+    clockOffset = board.clockOffset || 0;
+    const updated = new Date(board.updatedAt).toLocaleTimeString();
+    setStatusLine(board.live, board.live ? `Live · updated ${updated}` : `Reconnecting... · last update ${updated}`);
+
+    boardTable.hidden        = !board.rows.length;
+    boardEmpty.style.display = board.rows.length ? 'none' : 'block';
+    for (const row of board.rows) boardRows.appendChild(renderRow(row));
+    updateTimers();
+}
+
+function renderRow(row) {
+    const tr = document.createElement('tr');
+
+    const agent = cell('agent', row.agent);
+
+    const state = document.createElement('span');
+    const key   = CALL_STATES[row.state] ? row.state : (row.connected ? 'idle' : 'offline');
+    state.className   = `state ${key}`;
+    state.textContent = CALL_STATES[row.state] || (row.connected ? 'Idle' : 'Not connected');
+    const call = document.createElement('td');
+    call.append(state);
+
+    const name   = [row.firstName, row.lastName].filter(Boolean).join(' ') || row.companyName || '';
+    const caller = cell('', name || formatPhone(row.phone));
+    if (name && row.phone) caller.append(detail(formatPhone(row.phone)));
+
+    const customer = cell('', row.customerID ? `ID ${row.customerID}` : (row.phone ? 'Phone search' : ''));
+
+    const outcome = cell('outcome', POP_OUTCOMES[row.outcome] || row.outcome || '');
+    if (row.outcome === 'OPENED') outcome.classList.add('opened');
+    else if (row.outcome && !['SENT', 'TRANSFERRED'].includes(row.outcome)) outcome.classList.add('failed');
+    if (row.method) outcome.append(detail(`via ${row.method}`));
+
+    const timer = cell('timer', '');
+    timer.dataset.from = row.answeredAt || (row.state === 'ringing' ? row.startedAt : '') || '';
+    timer.dataset.to   = row.endedAt || '';
+
+    const open   = document.createElement('button');
+    open.className   = 'open';
+    open.textContent = 'Open';
+    open.disabled    = !row.customerID && !row.phone;
+    open.title       = open.disabled ? '' : 'Open this customer in your own PestRoutes tab';
+    open.addEventListener('click', () => openCustomer(row.agent, open));
+    const action = document.createElement('td');
+    action.append(open);
+
+    tr.append(agent, call, caller, customer, outcome, timer, action);
+    return tr;
+}
+
+function cell(className, text) {
+    const td = document.createElement('td');
+    if (className) td.className = className;
+    td.textContent = text;
+    return td;
+}
+
+function detail(text) {
+    const div = document.createElement('div');
+    div.className   = 'detail';
+    div.textContent = text;
+    return div;
+}
+
+function setStatusLine(ok, text) {
+    statusDot.className    = `status-dot ${ok ? 'connected' : 'disconnected'}`;
+    statusText.textContent = text;
+}
+
+// Times are the server's, so "now" is too
+function updateTimers() {
+    const now = Date.now() + clockOffset;
+    for (const timer of boardRows.querySelectorAll('.timer')) {
+        const from = Number(timer.dataset.from);
+        const to   = Number(timer.dataset.to) || now;
+        timer.textContent = from ? formatCallTime(to - from) : '';
+    }
+}
+
+// 0:42, 12:05, 1:02:05
+function formatCallTime(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor(total / 60) % 60;
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function formatPhone(phone) {
+    const digits = (phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+    return digits.length === 10
+        ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`
+        : (phone || '');
+}
+
+// ============================================================
+// OPEN
+// ============================================================
+function openCustomer(agent, button) {
+    button.disabled = true;
+    openResult.className   = 'open-result';
+    openResult.textContent = `Opening extension ${agent}'s customer...`;
+    chrome.runtime.sendMessage({ type: 'openFromBoard', agent }, (result) => {
+        button.disabled = false;
+        if (chrome.runtime.lastError || !result) {
+            openResult.className   = 'open-result failed';
+            openResult.textContent = 'The extension did not answer — try again';
+            return;
+        }
+        openResult.className   = `open-result ${result.opened ? '' : 'failed'}`;
+        openResult.textContent = result.opened
+            ? `Opened extension ${agent}'s customer`
+            : `Not opened: ${result.reason}`;
+    });
+}
+
+chrome.storage.local.get(['supervisorBoard'], (result) => renderBoard(result.supervisorBoard || null));
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.supervisorBoard) renderBoard(changes.supervisorBoard.newValue || null);
+});
+setInterval(updateTimers, TIMER_MS);
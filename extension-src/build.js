@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+// ============================================================
+// FieldRoutes CRM for 3CX — Extension Build
+// ============================================================
+// Writes extension-chrome/, extension-edge/ and extension-firefox/
+// from the shared source in extension-src/. Never edit the
+// generated folders by hand — edit extension-src/ and re-run:
+//
+//   node extension-src/build.js           write all three targets
+//   node extension-src/build.js --check   exit 1 if any target is stale
+//
+// Plain Node.js, no packages required.
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+const SRC_DIR  = __dirname;
+const ROOT_DIR = path.resolve(SRC_DIR, '..');
+
+// ============================================================
+// TARGETS
+// manifest — file under manifests/ copied as manifest.json
+// label    — substituted for {{BROWSER}} in HTML templates
+// schema   — ships managed-schema.json, the policy schema the
+//            manifest names (Firefox reads policies.json instead)
+// ============================================================
+const TARGETS = [
+    { dir: 'extension-chrome',  manifest: 'chrome.json',  label: 'Chrome',  schema: true  },
+    { dir: 'extension-edge',    manifest: 'edge.json',    label: 'Edge',    schema: true  },
+    { dir: 'extension-firefox', manifest: 'firefox.json', label: 'Firefox', schema: false }
+];
+
+// ============================================================
+// SOURCES
+// The background script must be a single file (MV3 service
+// workers take exactly one script), so these are concatenated
+// in order into background.js. The content script is built the
+// same way so it can share the page-automation sources.
+// ============================================================
+const BACKGROUND_SOURCES = ['compat.js', 'log.js', 'sse.js', 'selector-profile.js', 'page-search.js',
+                            'history.js', 'notifications.js', 'targeting.js', 'dial.js',
+                            'wrapup.js', 'testpop.js', 'callstate.js', 'supervisor.js', 'policy.js',
+                            'webclient.js', 'background.js'];
+const CONTENT_SOURCES    = ['selector-profile.js', 'page-search.js', 'content.js'];
+const SCRIPT_FILES       = ['popup.js', 'options.js', 'board.js'];
+const HTML_FILES         = ['popup.html', 'options.html', 'board.html'];
+const ASSET_DIRS         = ['icons'];
+
+const JS_BANNER   = '// GENERATED by extension-src/build.js — edit the file in extension-src/ instead.\n\n';
+const HTML_BANNER = '<!-- GENERATED by extension-src/build.js — edit the file in extension-src/ instead. -->\n';
+
+// ============================================================
+// BUILD
+// Returns a map of relative path -> Buffer for one target
+// ============================================================
+function readSource(file) {
+    return fs.readFileSync(path.join(SRC_DIR, file), 'utf8');
+}
+
+function renderTemplate(text, target) {
+    return text.replace(/\{\{BROWSER\}\}/g, target.label);
+}
+
+function buildTarget(target) {
+    const files = new Map();
+
+    files.set('manifest.json', Buffer.from(readSource(path.join('manifests', target.manifest))));
+    if (target.schema) files.set('managed-schema.json', Buffer.from(readSource('managed-schema.json')));
+
+    const background = BACKGROUND_SOURCES.map(readSource).join('\n');
+    files.set('background.js', Buffer.from(JS_BANNER + background));
+
+    const content = CONTENT_SOURCES.map(readSource).join('\n');
+    files.set('content.js', Buffer.from(JS_BANNER + content));
+
+    for (const file of SCRIPT_FILES) {
+        files.set(file, Buffer.from(JS_BANNER + readSource(file)));
+    }
+
+    for (const file of HTML_FILES) {
+        const html = renderTemplate(readSource(file), target)
+            .replace(/^(<!DOCTYPE html>\r?\n)/i, `$1${HTML_BANNER}`);
+        files.set(file, Buffer.from(html));
+    }
+
+    for (const dir of ASSET_DIRS) {
+        for (const name of fs.readdirSync(path.join(SRC_DIR, dir))) {
+            files.set(path.posix.join(dir, name), fs.readFileSync(path.join(SRC_DIR, dir, name)));
+        }
+    }
+
+    return files;
+}
+
+// ============================================================
+// WRITE / CHECK
+// ============================================================
+function listFiles(dir, prefix = '') {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+        return entry.isDirectory() ? listFiles(path.join(dir, entry.name), rel) : [rel];
+    });
+}
+
+function writeTarget(target, files) {
+    const outDir = path.join(ROOT_DIR, target.dir);
+    fs.rmSync(outDir, { recursive: true, force: true });
+
+    for (const [rel, content] of files) {
+        const outPath = path.join(outDir, rel);
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, content);
+    }
+    console.log(`[build] ${target.dir}/ — ${files.size} files`);
+}
+
+function checkTarget(target, files) {
+    const outDir   = path.join(ROOT_DIR, target.dir);
+    const problems = [];
+
+    for (const [rel, content] of files) {
+        const outPath = path.join(outDir, rel);
+        if (!fs.existsSync(outPath)) {
+            problems.push(`missing ${rel}`);
+        } else if (!fs.readFileSync(outPath).equals(content)) {
+            problems.push(`stale ${rel}`);
+        }
+    }
+    for (const rel of listFiles(outDir)) {
+        if (!files.has(rel)) problems.push(`unexpected ${rel}`);
+    }
+
+    for (const problem of problems) console.error(`[build] ${target.dir}/: ${problem}`);
+    return problems.length === 0;
+}
+
+function main(argv) {
+    const check = argv.includes('--check');
+    let ok = true;
+
+    for (const target of TARGETS) {
+        const files = buildTarget(target);
+        if (check) {
+            ok = checkTarget(target, files) && ok;
+        } else {
+            writeTarget(target, files);
+        }
+    }
+
+    if (!ok) {
+        console.error('[build] Generated extensions are out of date — run: node extension-src/build.js');
+        process.exit(1);
+    }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,169 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Call State
+// ============================================================
+// Follows this agent's calls from the middleware's call-state
+// events (callRinging, callAnswered, callHeld, callTransferred
+// and callEnded, sent when 3CX calls GET /call/<state>). Every
+// event carries 3CX's call ID, and each call moves through
+//   ringing → answered ⇄ held → ended
+// Events that arrive out of order, such as a replayed ringing
+// after answered, are ignored. A call transferred away ends
+// here. A call transferred to this agent starts out answered
+// and pops the customer record, just as /notify would.
+//
+// While a call is answered the badge shows the call timer in
+// place of ON. A badge fits only four characters, so the words
+// "ON CALL" go in the tooltip and the popup. Calls are kept in
+// storage under 'callState' so that a restarted service worker
+// picks the timer back up.
+// ============================================================
+
+const CALL_STATE_KEY    = 'callState';
+const CALL_STATE_MAX_MS = 4 * 60 * 60 * 1000;   // forget a call whose end never arrived
+const CALL_TIMER_MS     = 1000;
+
+const CALL_EVENTS = {
+    callRinging:     'ringing',
+    callAnswered:    'answered',
+    callHeld:        'held',
+    callTransferred: 'transferred',
+    callEnded:       'ended'
+};
+
+// state → the states a call may move to from it. 'none' is a
+// call not seen before; transferred and ended remove the call.
+const CALL_TRANSITIONS = {
+    none:     ['ringing', 'answered', 'held', 'transferred', 'ended'],
+    ringing:  ['answered', 'transferred', 'ended'],
+    answered: ['held', 'transferred', 'ended'],
+    held:     ['answered', 'transferred', 'ended']
+};
+
+// Which call the badge shows when there is more than one
+const CALL_BADGE_ORDER = ['answered', 'held', 'ringing'];
+
+// callId → { callId, state, phone, customerID, since, answeredAt }
+//   since      — when the call entered its current state
+//   answeredAt — when it was first answered; the timer runs from here
+let calls     = null;   // loaded from storage on first use
+let callTimer = null;
+
+async function loadCalls() {
+    if (!calls) {
+        const stored = (await storageGet([CALL_STATE_KEY]))[CALL_STATE_KEY] || [];
+        if (!calls) calls = new Map(stored.map(call => [call.callId, call]));   // unless a concurrent caller won
+    }
+    const cutoff = Date.now() - CALL_STATE_MAX_MS;
+    for (const call of calls.values()) {
+        if (call.since < cutoff) calls.delete(call.callId);
+    }
+    return calls;
+}
+
+function saveCalls() {
+    return storageSet({ [CALL_STATE_KEY]: [...calls.values()] });
+}
+
+// Called for every call-state SSE event. eventId is the SSE event
+// id, used to acknowledge the pop of a transfer to this agent.
+async function handleCallEvent(type, data, eventId) {
+    await loadCalls();
+    const next   = CALL_EVENTS[type];
+    const callId = String(data.callId || '');
+    if (!next || !callId) return;
+
+    const call  = calls.get(callId);
+    const state = call ? call.state : 'none';
+    if (!CALL_TRANSITIONS[state].includes(next)) {
+        log(`[FieldRoutes] Ignoring ${next} for call ${callId} — it is ${state}`);
+        return;
+    }
+
+    const incoming = next === 'transferred' && String(data.to) === myExtension;
+    const now      = Date.now();
+    log(`[FieldRoutes] Call ${callId}: ${state} → ${incoming ? 'transferred to us' : next}`);
+
+    if (next === 'ended' || (next === 'transferred' && !incoming)) {
+        calls.delete(callId);
+    } else {
+        calls.set(callId, {
+            callId,
+            state:      incoming ? 'answered' : next,
+            phone:      data.phone      || (call ? call.phone      : ''),
+            customerID: data.customerID || (call ? call.customerID : ''),
+            since:      now,
+            answeredAt: (call && call.answeredAt) || (next === 'ringing' ? null : now)
+        });
+    }
+    await saveCalls();
+    updateCallTimer();
+
+    if (incoming) {
+        if (data.customerID || data.phone) popCustomer(data, eventId);
+        else console.warn(`[FieldRoutes] Call ${callId} transferred to us with no customer ID or phone — nothing to pop`);
+    }
+}
+
+// The call the badge should show, or null when there is none
+function currentCall() {
+    if (!calls) return null;
+    for (const state of CALL_BADGE_ORDER) {
+        const matching = [...calls.values()].filter(call => call.state === state);
+        if (matching.length) return matching.reduce((a, b) => (b.since > a.since ? b : a));
+    }
+    return null;
+}
+
+// { text, color, title } for the badge while a call is in
+// progress, or null to fall back to the connection status
+function callBadge() {
+    const call = currentCall();
+    if (!call) return null;
+
+    const who = call.phone ? ` — ${call.phone}` : '';
+    if (call.state === 'ringing') return { text: 'RING', color: '#8e44ad', title: `RINGING${who}` };
+    if (call.state === 'held')    return { text: 'HOLD', color: '#d68910', title: `ON HOLD ${formatCallTime(Date.now() - call.answeredAt)}${who}` };
+
+    const elapsed = Date.now() - call.answeredAt;
+    return { text: formatCallBadge(elapsed), color: '#1f6fb2', title: `ON CALL ${formatCallTime(elapsed)}${who}` };
+}
+
+// 0:42, 12:05, 1:02:05
+function formatCallTime(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor(total / 60) % 60;
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Four characters at most: 0:42, 9:59, 12m, 2h
+function formatCallBadge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 10) return formatCallTime(ms);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+// Ticks the badge once a second while any call is in progress
+function updateCallTimer() {
+    updateBadge();
+    if (currentCall() && !callTimer) {
+        callTimer = setInterval(updateBadge, CALL_TIMER_MS);
+    } else if (!currentCall() && callTimer) {
+        clearInterval(callTimer);
+        callTimer = null;
+    }
+}
+
+// Restores calls saved before the service worker was suspended
+async function restoreCalls() {
+    await loadCalls();
+    updateCallTimer();
+}
+
+// For the popup's status bar: the badge tooltip's text, or ''
+async function getCallStatus() {
+    await loadCalls();
+    const badge = callBadge();
+    return { text: badge ? badge.title : '', state: badge ? currentCall().state : '' };
+}
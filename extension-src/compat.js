@@ -0,0 +1,100 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Browser Compatibility Layer
+// ============================================================
+// build.js prepends this file to background.js for every
+// target. It hides the differences between Chrome/Edge
+// (Manifest V3 service worker) and Firefox (Manifest V2 event
+// page) so the rest of the background script is written once:
+//   - chrome.action (MV3) vs chrome.browserAction (MV2)
+//   - chrome.scripting.executeScript (MV3) vs
+//     chrome.tabs.executeScript (MV2)
+//   - chrome.scripting.registerContentScripts (MV3) vs
+//     browser.contentScripts.register (MV2)
+//   - MV3 service workers are suspended when idle and need the
+//     keepAlive alarm; MV2 event pages do not
+//   - Firefox notifications cannot have buttons
+//   - chrome.storage.session may be missing on Firefox
+// ============================================================
+
+const IS_MV3    = chrome.runtime.getManifest().manifest_version >= 3;
+const actionApi = chrome.action || chrome.browserAction;
+
+const IS_FIREFOX                    = typeof browser !== 'undefined' && !!browser.runtime.getBrowserInfo;
+const SUPPORTS_NOTIFICATION_BUTTONS = !IS_FIREFOX;
+
+// Runs func(...args) inside the page of the given tab and
+// resolves with the function's return value.
+async function executeInTab(tabId, func, args = []) {
+    if (IS_MV3) {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId },
+            func,
+            args
+        });
+        return results && results[0] ? results[0].result : undefined;
+    }
+
+    // MV2 only accepts a code string — serialise the function and its arguments
+    const code    = `(${func.toString()})(${args.map(a => JSON.stringify(a)).join(', ')})`;
+    const results = await chrome.tabs.executeScript(tabId, { code });
+    return results ? results[0] : undefined;
+}
+
+// Registers file as the content script for matches, replacing
+// what was registered under id before; no matches leaves none.
+// MV3 registrations outlive the service worker and MV2 ones end
+// with the event page, so this runs on every background start.
+const mv2ContentScripts = new Map();   // id → RegisteredContentScript
+
+async function registerContentScript(id, matches, file) {
+    if (IS_MV3) {
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [id] });
+        if (registered.length) await chrome.scripting.unregisterContentScripts({ ids: [id] });
+        if (matches.length) {
+            await chrome.scripting.registerContentScripts([{ id, matches, js: [file], runAt: 'document_idle' }]);
+        }
+        return;
+    }
+
+    if (mv2ContentScripts.has(id)) await mv2ContentScripts.get(id).unregister();
+    mv2ContentScripts.delete(id);
+    if (matches.length) {
+        mv2ContentScripts.set(id, await browser.contentScripts.register({ matches, js: [{ file }], runAt: 'document_idle' }));
+    }
+}
+
+// Whether every origin is granted. Callback form, as storage
+// below, for Firefox's MV2 chrome.* namespace.
+function hasOrigins(origins) {
+    return new Promise(resolve => chrome.permissions.contains({ origins }, (granted) => resolve(!!granted)));
+}
+
+// The match pattern for a URL's host on any port
+function originPattern(url) {
+    const { protocol, hostname } = new URL(url);
+    return `${protocol}//${hostname}/*`;
+}
+
+// chrome.storage.local wrapped in promises. Firefox's chrome.*
+// namespace is callback-only under MV2, so always use callbacks.
+function storageGet(keys) {
+    return new Promise(resolve => chrome.storage.local.get(keys, resolve));
+}
+
+function storageSet(items) {
+    return new Promise(resolve => chrome.storage.local.set(items, resolve));
+}
+
+// The same for state that should last only as long as the browser
+// does: chrome.storage.session, kept in memory across service
+// worker restarts. A Firefox without it falls back to
+// storage.local.
+const sessionArea = chrome.storage.session || chrome.storage.local;
+
+function sessionGet(keys) {
+    return new Promise(resolve => sessionArea.get(keys, resolve));
+}
+
+function sessionSet(items) {
+    return new Promise(resolve => sessionArea.set(items, resolve));
+}
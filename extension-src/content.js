@@ -0,0 +1,496 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Content Script
+// ============================================================
+// Runs on every PestRoutes page. Listens for messages from
+// the background service worker and can interact with the
+// live page DOM directly. build.js prepends selector-profile.js
+// and page-search.js.
+//
+// Protocol — see CONTENT SCRIPT MESSAGING in background.js:
+//   → pageReady     sent once when the script loads
+//   → pageBusy      sent whenever pageStatus().busy changes
+//   → dial          a click-to-call button was clicked; the reply
+//                   is the middleware's result
+//   → submitWrapUp  the wrap-up panel was saved; same
+//   → skipWrapUp    the wrap-up panel was skipped
+//   ← status        replies with pageStatus()
+//   ← openCustomer  replies with the searchCustomerInPage() result
+//   ← callerCard    replies { ok: true }
+//   ← callerWaiting replies 'here', 'newTab' or 'dismiss'
+//   ← wrapUp        replies { ok: true }
+// ============================================================
+
+console.log('[FieldRoutes CRM for 3CX] Content script active on', window.location.hostname);
+
+// Handshake — the background script waits for this after opening
+// or navigating a tab before it sends anything
+chrome.runtime.sendMessage({ type: 'pageReady', url: window.location.href }, () => {
+    void chrome.runtime.lastError;
+});
+
+// Listen for messages from the background worker
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.type === 'wrapUp') {
+        showWrapUpPanel(msg);
+        sendResponse({ ok: true });
+        return;
+    }
+    if (msg.type === 'callerWaiting') {
+        showCallerWaiting(msg).then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'status') {
+        sendResponse(pageStatus(msg.customerID, normalizeSelectorProfile(msg.profile)));
+        return;
+    }
+    if (msg.type === 'openCustomer') {
+        // Resolves once the customer is opened or the search gives up
+        searchCustomerInPage(msg.customerID, msg.phone, normalizeSelectorProfile(msg.profile))
+            .then(sendResponse);
+        return true;
+    }
+    if (msg.type === 'callerCard') {
+        showCallerCard(msg.customerID, msg.phone, msg.caller || {});
+        sendResponse({ ok: true });
+    }
+});
+
+// ============================================================
+// PAGE WATCHING
+// The busy check and the click-to-call scan both re-run when the
+// page changes. Each is batched so a busy page is scanned at
+// most every PAGE_CHECK_MS.
+// ============================================================
+const PAGE_CHECK_MS = 250;
+
+let pageProfile = normalizeSelectorProfile();
+let clickToCall = false;
+
+chrome.storage.local.get(['selectorProfile', 'clickToCall'], (result) => {
+    pageProfile = normalizeSelectorProfile(result.selectorProfile);
+    clickToCall = !!result.clickToCall;
+    scheduleBusyCheck();
+    schedulePhoneScan();
+});
+chrome.storage.onChanged.addListener((changes) => {
+    if (changes.selectorProfile) {
+        pageProfile = normalizeSelectorProfile(changes.selectorProfile.newValue);
+        scheduleBusyCheck();
+    }
+    if (changes.clickToCall) {
+        clickToCall = !!changes.clickToCall.newValue;
+        if (!clickToCall) removeDialButtons();
+        schedulePhoneScan();
+    }
+});
+
+for (const type of ['input', 'change', 'reset']) {
+    document.addEventListener(type, scheduleBusyCheck, true);
+}
+new MutationObserver(() => {
+    scheduleBusyCheck();
+    schedulePhoneScan();
+}).observe(document.documentElement, {
+    childList: true, subtree: true, attributes: true, attributeFilter: ['class', 'style', 'open', 'hidden']
+});
+
+// ============================================================
+// BUSY PAGE
+// Tells the background script (pageBusy) when the agent starts
+// editing a form or opens a PestRoutes dialog, and when the page
+// is idle again, so screen pops stay out of this tab meanwhile.
+// ============================================================
+let busyReason = '';
+let busyTimer  = null;
+
+pageStatus('', pageProfile);   // starts watching for the agent's edits before the first one
+
+function checkBusy() {
+    busyTimer = null;
+    const reason = wrapUpUnsaved() ? 'Wrap-up notes not saved' : pageStatus('', pageProfile).busy;
+    if (reason === busyReason) return;
+
+    busyReason = reason;
+    chrome.runtime.sendMessage({ type: 'pageBusy', busy: reason }, () => {
+        void chrome.runtime.lastError;
+    });
+}
+
+function scheduleBusyCheck() {
+    if (!busyTimer) busyTimer = setTimeout(checkBusy, PAGE_CHECK_MS);
+}
+
+// ============================================================
+// CLICK-TO-CALL
+// With click-to-call on (clickToCall in storage, set on the
+// options page) every phone number on a customer card gets a call
+// button. A click asks the background script to dial it through
+// the middleware from this agent's 3CX extension, and the result
+// shows in a toast. Text nodes are only scanned once, so adding
+// the buttons does not set off another full pass.
+//
+// Only numbers written the way PestRoutes shows them count —
+// (555) 123-4567, 555-123-4567 or 555.123.4567 — so a bare run of
+// ten digits, such as a customer or account ID, gets no button.
+// ============================================================
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[.-])\d{3}[.-]\d{4}\b/g;
+const DIAL_TOAST_MS = 6000;
+
+let phoneTimer  = null;
+let scannedText = new WeakSet();
+
+function schedulePhoneScan() {
+    if (clickToCall && !phoneTimer) phoneTimer = setTimeout(scanPhoneNumbers, PAGE_CHECK_MS);
+}
+
+// The customer ID in the address bar, or '' when this is not a
+// customer card (per the profile's customerCardPath)
+function customerIdFromPage() {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const [before, after = ''] = pageProfile.customerCardPath.split('{customerID}');
+    const match = window.location.pathname.match(new RegExp(`^${escape(before)}([^/]+)${escape(after)}`));
+    return match ? decodeURIComponent(match[1]) : '';
+}
+
+function scanPhoneNumbers() {
+    phoneTimer = null;
+    const customerID = customerIdFromPage();
+    if (!clickToCall || !customerID || !document.body) return;
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+            if (scannedText.has(node)) return NodeFilter.FILTER_REJECT;
+            const parent = node.parentElement;
+            return parent && !parent.closest('script, style, noscript, textarea, select, [contenteditable]')
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT;
+        }
+    });
+
+    // Collect first — inserting buttons while walking would move the walker
+    const found = [];
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        scannedText.add(node);
+        const numbers = node.nodeValue.match(PHONE_PATTERN);
+        if (numbers) found.push({ node, numbers });
+    }
+    for (const { node, numbers } of found) {
+        // Inserted last-first so the buttons end up in reading order
+        for (const number of numbers.reverse()) node.after(createDialButton(number.trim(), customerID));
+    }
+}
+
+function removeDialButtons() {
+    document.querySelectorAll('.fr3cx-dial').forEach(host => host.remove());
+    scannedText = new WeakSet();
+}
+
+function createDialButton(number, customerID) {
+    const host = document.createElement('span');
+    host.className = 'fr3cx-dial';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+        <style>
+          button{margin-left:4px;padding:0 6px;border:1px solid #2d7d46;border-radius:4px;background:white;
+                 color:#2d7d46;font:600 11px/16px 'Segoe UI',Arial,sans-serif;cursor:pointer;vertical-align:middle}
+          button:hover{background:#f0f7f2}
+          button:disabled{opacity:.6;cursor:default}
+        </style>
+        <button type="button">&#x1F4DE; Call</button>`;
+
+    const button = root.querySelector('button');
+    button.title = `Call ${number} from your 3CX extension`;
+    button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        button.disabled = true;
+        chrome.runtime.sendMessage({ type: 'dial', phone: number, customerID }, (reply) => {
+            button.disabled = false;
+            if (chrome.runtime.lastError || !reply) {
+                reply = { ok: false, detail: 'The extension did not answer — reload the page and try again' };
+            }
+            showDialToast(number, reply);
+        });
+    });
+    return host;
+}
+
+function showDialToast(number, reply) {
+    const existing = document.getElementById('fr3cx-dial-toast');
+    if (existing) existing.remove();
+
+    const host = document.createElement('div');
+    host.id = 'fr3cx-dial-toast';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+        <style>
+          .toast{position:fixed;bottom:16px;right:16px;z-index:2147483646;max-width:320px;padding:10px 14px;
+                 border-radius:6px;box-shadow:0 6px 24px rgba(0,0,0,.25);color:white;background:#2d7d46;
+                 font:13px 'Segoe UI',Arial,sans-serif}
+          .toast.failed{background:#c0392b}
+          .detail{font-size:12px;opacity:.85;margin-top:2px}
+        </style>
+        <div class="toast"><div class="title"></div><div class="detail"></div></div>`;
+    root.querySelector('.toast').classList.toggle('failed', !reply.ok);
+    root.querySelector('.title').textContent  = reply.ok ? `📞 Calling ${number}` : `✗ Could not call ${number}`;
+    root.querySelector('.detail').textContent = reply.detail || '';
+
+    document.body.appendChild(host);
+    setTimeout(() => host.remove(), DIAL_TOAST_MS);
+}
+
+// ============================================================
+// CALLER WAITING PROMPT
+// Shown instead of a screen pop when this tab is busy and the
+// agent chose to be asked. Resolves with 'here' (take this tab
+// over), 'newTab' or 'dismiss'; unanswered, it dismisses itself
+// after CALLER_WAITING_MS.
+// ============================================================
+const CALLER_WAITING_MS = 120000;
+
+function showCallerWaiting({ phone, name, customerID, reason }) {
+    return new Promise(done => {
+        const existing = document.getElementById('fr3cx-caller-waiting');
+        if (existing) existing.remove();
+
+        const host = document.createElement('div');
+        host.id = 'fr3cx-caller-waiting';
+        const root = host.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>
+              .box{position:fixed;top:16px;left:50%;transform:translateX(-50%);z-index:2147483647;
+                   width:360px;background:white;border-radius:8px;box-shadow:0 8px 28px rgba(0,0,0,.3);
+                   overflow:hidden;font-family:'Segoe UI',Arial,sans-serif;color:#333}
+              .title{background:#2d7d46;color:white;padding:10px 14px;font-size:14px;font-weight:600}
+              .body{padding:10px 14px;font-size:13px}
+              .who{font-weight:700}
+              .why{font-size:12px;color:#777;margin-top:4px}
+              .buttons{display:flex;gap:6px;padding:0 14px 12px}
+              button{flex:1;padding:7px 6px;border:none;border-radius:5px;font-size:12px;font-weight:600;
+                     cursor:pointer;background:#e8ecef;color:#333}
+              button.primary{background:#2d7d46;color:white}
+            </style>
+            <div class="box">
+              <div class="title">&#x1F4DE; Caller waiting: open now?</div>
+              <div class="body"><div class="who"></div><div class="why"></div></div>
+              <div class="buttons">
+                <button class="primary" data-choice="here">Open here</button>
+                <button data-choice="newTab">Open in new tab</button>
+                <button data-choice="dismiss">Not now</button>
+              </div>
+            </div>`;
+        root.querySelector('.who').textContent =
+            [name, phone, customerID && `ID ${customerID}`].filter(Boolean).join(' · ') || 'Unknown caller';
+        root.querySelector('.why').textContent = `${reason} — opening the record here could lose your work.`;
+
+        const timer = setTimeout(() => finish('dismiss'), CALLER_WAITING_MS);
+        function finish(choice) {
+            clearTimeout(timer);
+            host.remove();
+            done(choice);
+        }
+        root.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => finish(button.dataset.choice));
+        });
+        document.body.appendChild(host);
+    });
+}
+
+// ============================================================
+// WRAP-UP PANEL
+// Shown on the record after a pop (see wrapup.js): disposition,
+// notes and a follow-up flag, saved as a FieldRoutes note via
+// the middleware. Starts collapsed to a bar in the bottom-left
+// corner so it does not cover the record; a panel with anything
+// filled in counts as unsaved work for the busy check.
+// ============================================================
+const WRAP_UP_DISPOSITIONS = [
+    'Question answered', 'Service scheduled', 'Service rescheduled', 'Service cancelled',
+    'Billing or payment', 'Complaint', 'New sale', 'Left message', 'Wrong number', 'Other'
+];
+const WRAP_UP_SAVED_MS = 4000;   // how long "Saved" shows before the panel goes
+
+let wrapUpForm = null;   // { eventId, dirty() } while a panel is on the page
+
+function wrapUpUnsaved() {
+    return !!wrapUpForm && wrapUpForm.dirty();
+}
+
+function showWrapUpPanel({ eventId, customerID, phone, name }) {
+    // The same call's panel is already open — keep what was typed
+    if (wrapUpForm && wrapUpForm.eventId === eventId && document.getElementById('fr3cx-wrap-up')) return;
+    const existing = document.getElementById('fr3cx-wrap-up');
+    if (existing) existing.remove();
+
+    const host = document.createElement('div');
+    host.id = 'fr3cx-wrap-up';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+        <style>
+          .panel{position:fixed;bottom:16px;left:16px;z-index:2147483645;width:320px;background:white;
+                 border-radius:8px;box-shadow:0 6px 24px rgba(0,0,0,.25);overflow:hidden;
+                 font-family:'Segoe UI',Arial,sans-serif;color:#333;font-size:13px}
+          .head{display:flex;align-items:center;justify-content:space-between;gap:8px;background:#2d7d46;
+                color:white;padding:8px 12px;font-size:12px;font-weight:600;cursor:pointer}
+          .who{font-weight:400;opacity:.9;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+          .body{padding:10px 12px;display:flex;flex-direction:column;gap:8px}
+          .panel.collapsed .body{display:none}
+          select,textarea{width:100%;box-sizing:border-box;padding:6px;border:1px solid #dce0e5;border-radius:5px;
+                          font:13px 'Segoe UI',Arial,sans-serif}
+          textarea{height:70px;resize:vertical}
+          .follow{display:flex;align-items:center;gap:6px;font-size:12px}
+          .buttons{display:flex;gap:6px}
+          button{flex:1;padding:7px 6px;border:none;border-radius:5px;font-size:12px;font-weight:600;
+                 cursor:pointer;background:#e8ecef;color:#333}
+          button.primary{background:#2d7d46;color:white}
+          button:disabled{opacity:.6;cursor:default}
+          .message{font-size:12px;color:#777;min-height:14px}
+          .message.failed{color:#c0392b}
+          .message.saved{color:#2d7d46}
+        </style>
+        <div class="panel collapsed">
+          <div class="head"><span>&#x1F4DD; Call wrap-up</span><span class="who"></span></div>
+          <div class="body">
+            <select class="disposition"><option value="">Disposition…</option></select>
+            <textarea class="notes" placeholder="Notes for the customer record"></textarea>
+            <label class="follow"><input type="checkbox" class="follow-up"> Needs follow-up</label>
+            <div class="buttons">
+              <button class="primary save">Save to FieldRoutes</button>
+              <button class="skip">Skip</button>
+            </div>
+            <div class="message"></div>
+          </div>
+        </div>`;
+
+    const panel       = root.querySelector('.panel');
+    const disposition = root.querySelector('.disposition');
+    const notes       = root.querySelector('.notes');
+    const followUp    = root.querySelector('.follow-up');
+    const saveBtn     = root.querySelector('.save');
+    const message     = root.querySelector('.message');
+
+    root.querySelector('.who').textContent = [name, phone, customerID && `ID ${customerID}`].filter(Boolean).join(' · ');
+    for (const label of WRAP_UP_DISPOSITIONS) disposition.add(new Option(label, label));
+
+    const setMessage = (text, className = '') => {
+        message.textContent = text;
+        message.className   = `message ${className}`;
+    };
+    const form = {
+        eventId,
+        dirty: () => !!(disposition.value || notes.value.trim() || followUp.checked)
+    };
+    const close = () => {
+        host.remove();
+        if (wrapUpForm === form) wrapUpForm = null;
+        scheduleBusyCheck();
+    };
+
+    root.querySelector('.head').addEventListener('click', () => panel.classList.toggle('collapsed'));
+    for (const field of [disposition, notes, followUp]) field.addEventListener('input', scheduleBusyCheck);
+
+    saveBtn.addEventListener('click', () => {
+        if (!disposition.value) {
+            setMessage('Choose a disposition first', 'failed');
+            disposition.focus();
+            return;
+        }
+        saveBtn.disabled = true;
+        setMessage('Saving…');
+        chrome.runtime.sendMessage({
+            type:        'submitWrapUp',
+            disposition: disposition.value,
+            notes:       notes.value.trim(),
+            followUp:    followUp.checked,
+            customerID:  customerIdFromPage() || customerID || ''
+        }, (reply) => {
+            if (chrome.runtime.lastError || !reply) {
+                reply = { ok: false, detail: 'The extension did not answer — try again' };
+            }
+            if (!reply.ok) {
+                saveBtn.disabled = false;
+                setMessage(reply.detail, 'failed');
+                return;
+            }
+            setMessage(`✓ ${reply.detail}`, 'saved');
+            form.dirty = () => false;
+            scheduleBusyCheck();
+            setTimeout(close, WRAP_UP_SAVED_MS);
+        });
+    });
+    root.querySelector('.skip').addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'skipWrapUp' }, () => void chrome.runtime.lastError);
+        close();
+    });
+
+    wrapUpForm = form;
+    document.body.appendChild(host);
+}
+
+// ============================================================
+// CALLER CARD
+// Banner in the top-right corner with the caller details that
+// 3CX looked up. Replaces any previous card and hides itself
+// after CALLER_CARD_MS unless the mouse is over it.
+// ============================================================
+const CALLER_CARD_MS = 30000;
+
+function showCallerCard(customerID, phone, caller) {
+    const existing = document.getElementById('fr3cx-caller-card');
+    if (existing) existing.remove();
+
+    const host = document.createElement('div');
+    host.id = 'fr3cx-caller-card';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+        <style>
+          .card{position:fixed;top:16px;right:16px;z-index:2147483646;width:300px;background:white;
+                border-radius:8px;box-shadow:0 6px 24px rgba(0,0,0,.25);overflow:hidden;
+                font-family:'Segoe UI',Arial,sans-serif;color:#333}
+          .head{display:flex;align-items:center;justify-content:space-between;background:#2d7d46;
+                color:white;padding:8px 12px;font-size:12px;font-weight:600;letter-spacing:.3px}
+          .close{background:none;border:none;color:white;font-size:16px;cursor:pointer;line-height:1}
+          .body{padding:10px 12px}
+          .name{font-size:15px;font-weight:700}
+          .line{font-size:12px;color:#666;margin-top:3px}
+          .balance{font-weight:700;color:#2d7d46}
+          .balance.owing{color:#c0392b}
+        </style>
+        <div class="card">
+          <div class="head"><span>&#x1F4DE; Incoming call</span><button class="close" title="Close">&times;</button></div>
+          <div class="body"></div>
+        </div>`;
+
+    const body    = root.querySelector('.body');
+    const addLine = (text, className = 'line') => {
+        if (!text) return null;
+        const div = document.createElement('div');
+        div.className   = className;
+        div.textContent = text;
+        body.appendChild(div);
+        return div;
+    };
+
+    const name = [caller.firstName, caller.lastName].filter(Boolean).join(' ');
+    addLine(name || caller.companyName || phone || 'Unknown caller', 'name');
+    if (name) addLine(caller.companyName);
+    addLine([phone, customerID && `ID ${customerID}`].filter(Boolean).join(' · '));
+    addLine([caller.address, caller.city].filter(Boolean).join(', '));
+    addLine(caller.email);
+
+    const amount = parseFloat(caller.balance);
+    if (!isNaN(amount)) {
+        addLine(`Balance $${amount.toFixed(2)}`, amount > 0 ? 'line balance owing' : 'line balance');
+    }
+
+    let timer = setTimeout(() => host.remove(), CALLER_CARD_MS);
+    const card = root.querySelector('.card');
+    card.addEventListener('mouseenter', () => clearTimeout(timer));
+    card.addEventListener('mouseleave', () => { timer = setTimeout(() => host.remove(), CALLER_CARD_MS); });
+    root.querySelector('.close').addEventListener('click', () => {
+        clearTimeout(timer);
+        host.remove();
+    });
+
+    document.body.appendChild(host);
+}
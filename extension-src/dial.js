@@ -0,0 +1,36 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Click-to-Call
+// ============================================================
+// content.js puts a call button next to the phone numbers on
+// PestRoutes customer cards. A click arrives here as a 'dial'
+// message; the middleware (POST /dial) places the call from this
+// agent's extension with whichever dialer it is set up for —
+// the agent comes from the token, not from the page — and the
+// result goes back to the page to show.
+// ============================================================
+
+// Resolves with { ok, number, detail } — never rejects, so the
+// page always has something to show.
+async function requestDial(phone, customerID) {
+    if (!serverAddress || !myExtension) {
+        return { ok: false, detail: 'Extension number or server not set — open the extension settings' };
+    }
+    log(`[FieldRoutes] Click-to-call: ${phone}${customerID ? ` (customer ${customerID})` : ''}`);
+
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/dial`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body:    JSON.stringify({ phone, customerID: customerID || '' })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.detail || data.error || `HTTP ${response.status}`);
+
+        return { ok: true, number: data.number, detail: data.detail || '' };
+    } catch (err) {
+        console.warn(`[FieldRoutes] Click-to-call to ${phone} failed:`, err.message);
+        return { ok: false, detail: err.message };
+    }
+}
@@ -0,0 +1,73 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Screen-Pop History
+// ============================================================
+// Keeps a rolling list of the last HISTORY_LIMIT openCustomer
+// events in chrome.storage.local under 'popHistory' (newest
+// first) so the popup can show missed pops and re-open them.
+//
+// Entry: { id, time, phone, customerID, caller, status, method, reason,
+//          eventId, acked, wrappedUp }
+//   caller  — optional details from the 3CX lookup (see callerFromPayload)
+//   status  — 'notified' | 'dismissed' | 'opening' | 'opened' | 'failed'
+//   eventId — SSE event id the pop arrived with; acked once its outcome
+//             has been reported back (see acknowledgeDelivery)
+//   wrappedUp — the wrap-up panel was saved or skipped (see wrapup.js)
+// ============================================================
+
+const HISTORY_KEY   = 'popHistory';
+const HISTORY_LIMIT = 25;
+
+// Read-modify-write on storage is not atomic — chain every
+// change so two pops arriving together cannot drop an entry.
+let historyQueue = Promise.resolve();
+
+function changeHistory(mutate) {
+    historyQueue = historyQueue.then(async () => {
+        const result  = await storageGet([HISTORY_KEY]);
+        const history = mutate(result[HISTORY_KEY] || []);
+        await storageSet({ [HISTORY_KEY]: history.slice(0, HISTORY_LIMIT) });
+    }).catch(err => console.error('[FieldRoutes] Failed to update pop history:', err));
+    return historyQueue;
+}
+
+async function addHistoryEntry(customerID, phone, caller = {}, eventId = null) {
+    const entry = {
+        id:         `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        time:       Date.now(),
+        phone:      phone      || '',
+        customerID: customerID || '',
+        caller,
+        status:     'opening',
+        method:     null,
+        reason:     '',
+        eventId,
+        acked:      false,
+        wrappedUp:  false
+    };
+    await changeHistory(history => [entry, ...history]);
+    return entry;
+}
+
+function updateHistoryEntry(id, changes) {
+    return changeHistory(history =>
+        history.map(entry => entry.id === id ? { ...entry, ...changes } : entry));
+}
+
+async function getHistoryEntry(id) {
+    const result = await storageGet([HISTORY_KEY]);
+    return (result[HISTORY_KEY] || []).find(entry => entry.id === id) || null;
+}
+
+// Opens the customer and records the outcome against the entry
+async function openAndRecord(entry) {
+    await updateHistoryEntry(entry.id, { status: 'opening', reason: '' });
+    const result = await handleOpenCustomer(entry.customerID, entry.phone, entry.caller);
+    await updateHistoryEntry(entry.id, {
+        status: result.opened ? 'opened' : (result.outcome === 'dismissed' ? 'dismissed' : 'failed'),
+        method: result.method,
+        reason: result.reason
+    });
+    acknowledgeDelivery(entry, result);
+    if (result.opened) offerWrapUp(result.tabId, entry);
+    return result;
+}
@@ -0,0 +1,20 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Logging
+// ============================================================
+// build.js puts this file straight after compat.js in
+// background.js, so log() is there for every module after it.
+// The background script writes its routine lines with log(),
+// which the options page's Extension Log setting ('logLevel')
+// silences at 'warn'. Warnings and errors go to console.warn and
+// console.error and are always written. The console itself is
+// never patched, so other code's output is untouched.
+// ============================================================
+let logLevel = 'info';
+
+function setLogLevel(level) {
+    logLevel = level === 'warn' ? 'warn' : 'info';
+}
+
+function log(...args) {
+    if (logLevel === 'info') console.log(...args);
+}
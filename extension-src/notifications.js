@@ -0,0 +1,83 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Screen-Pop Notifications
+// ============================================================
+// Optional pop mode (popMode = 'notify' in storage). Instead of
+// focusing PestRoutes the moment an openCustomer event arrives,
+// show a browser notification and only open the record — and
+// steal focus — when the agent clicks "Open record".
+//
+// The notification ID is the history entry ID, so a click after
+// the MV3 service worker has been restarted still finds the pop.
+// Firefox has no notification buttons: clicking the notification
+// itself opens the record and closing it dismisses the pop.
+// ============================================================
+
+const POP_MODE_FOCUS  = 'focus';
+const POP_MODE_NOTIFY = 'notify';
+
+async function getPopMode() {
+    const result = await storageGet(['popMode']);
+    return result.popMode === POP_MODE_NOTIFY ? POP_MODE_NOTIFY : POP_MODE_FOCUS;
+}
+
+function showPopNotification(entry) {
+    const caller  = entry.caller || {};
+    const name    = callerName(caller);
+    const details = [
+        name && caller.companyName && caller.companyName !== name ? caller.companyName : '',
+        [caller.address, caller.city].filter(Boolean).join(', '),
+        formatBalance(caller.balance)
+    ].filter(Boolean);
+
+    const options = {
+        type:           'basic',
+        iconUrl:        'icons/icon128.png',
+        title:          `Incoming call — ${formatPhoneNumber(entry.phone) || 'unknown number'}`,
+        message:        [name || (entry.customerID ? 'Existing customer' : 'Customer not identified'), ...details].join('\n'),
+        contextMessage: entry.customerID ? `Customer ID ${entry.customerID}` : '',
+        priority:       2
+    };
+    if (SUPPORTS_NOTIFICATION_BUTTONS) {
+        options.buttons            = [{ title: 'Open record' }, { title: 'Dismiss' }];
+        options.requireInteraction = true;
+    }
+
+    chrome.notifications.create(entry.id, options);
+    updateHistoryEntry(entry.id, { status: 'notified' });
+}
+
+async function openFromNotification(id) {
+    chrome.notifications.clear(id);
+    const entry = await getHistoryEntry(id);
+    if (entry && entry.status === 'notified') openAndRecord(entry);
+}
+
+async function dismissNotification(id) {
+    chrome.notifications.clear(id);
+    const entry = await getHistoryEntry(id);
+    if (entry && entry.status === 'notified') {
+        await updateHistoryEntry(id, { status: 'dismissed', reason: 'Dismissed from notification' });
+        acknowledgeDelivery(entry, { outcome: 'dismissed', reason: 'Dismissed from notification' });
+    }
+}
+
+function formatPhoneNumber(phone) {
+    const digits = (phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+    return digits.length === 10
+        ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`
+        : (phone || '');
+}
+
+chrome.notifications.onButtonClicked.addListener((id, buttonIndex) => {
+    if (buttonIndex === 0) {
+        openFromNotification(id);
+    } else {
+        dismissNotification(id);
+    }
+});
+
+chrome.notifications.onClicked.addListener(openFromNotification);
+
+chrome.notifications.onClosed.addListener((id, byUser) => {
+    if (byUser) dismissNotification(id);
+});
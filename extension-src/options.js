@@ -0,0 +1,712 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Options Page
+// ============================================================
+// Every setting in one place, grouped, with a single Save. The
+// form is checked before anything is stored, and only settings
+// that changed are written, so the background script reconnects
+// (see the storage listener in background.js) only when the
+// connection settings really changed.
+// ============================================================
+
+const extensionInput  = document.getElementById('extensionInput');
+const serverInput     = document.getElementById('serverInput');
+const secretInput     = document.getElementById('secretInput');
+const secretSet       = document.getElementById('secretSet');
+const detectedBox     = document.getElementById('detectedExtension');
+const detectedText    = document.getElementById('detectedText');
+const useDetectedBtn  = document.getElementById('useDetectedBtn');
+const webClientInput  = document.getElementById('webClientInput');
+const extSyncSelect   = document.getElementById('extensionSyncSelect');
+const testConnBtn     = document.getElementById('testConnectionBtn');
+const connectionSteps = document.getElementById('connectionSteps');
+const pairLabelInput  = document.getElementById('pairLabelInput');
+const pairSupervisor  = document.getElementById('pairSupervisorInput');
+const pairingStatus   = document.getElementById('pairingStatus');
+const pairBtn         = document.getElementById('pairBtn');
+const companyInput    = document.getElementById('companyInput');
+const domainSelect    = document.getElementById('domainSelect');
+const targetSelect    = document.getElementById('tabTargetSelect');
+const busyTabSelect   = document.getElementById('busyTabSelect');
+const dialSelect      = document.getElementById('dialSelect');
+const wrapUpSelect    = document.getElementById('wrapUpSelect');
+const popModeSelect   = document.getElementById('popModeSelect');
+const logLevelSelect  = document.getElementById('logLevelSelect');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const historyMessage  = document.getElementById('historyMessage');
+const testInput       = document.getElementById('testSearchInput');
+const testPopBtn      = document.getElementById('testPopBtn');
+const testSteps       = document.getElementById('testSteps');
+const exportSecret    = document.getElementById('exportSecretInput');
+const exportBtn       = document.getElementById('exportBtn');
+const importBtn       = document.getElementById('importBtn');
+const importInput     = document.getElementById('importInput');
+const importMessage   = document.getElementById('importMessage');
+const saveBtn         = document.getElementById('saveBtn');
+const saveMessage     = document.getElementById('saveMessage');
+const managedBanner   = document.getElementById('managedBanner');
+
+// ============================================================
+// SETTINGS
+// Every stored setting the form edits, with its input. Selects
+// only take the values they list; flag selects store true for
+// 'on'. Save, import and export all go through this table. The
+// shared secret is handled apart because it is never shown back.
+// ============================================================
+const SETTINGS = {
+    extensionNumber:   { input: extensionInput },
+    serverAddress:     { input: serverInput },
+    pestRoutesCompany: { input: companyInput },
+    pestRoutesDomain:  { input: domainSelect },
+    tabTarget:         { input: targetSelect },
+    busyTabAction:     { input: busyTabSelect },
+    clickToCall:       { input: dialSelect, flag: true },
+    wrapUp:            { input: wrapUpSelect, flag: true },
+    popMode:           { input: popModeSelect },
+    logLevel:          { input: logLevelSelect },
+    webClientAddress:  { input: webClientInput },
+    extensionSync:     { input: extSyncSelect }
+};
+
+const EXTENSION_PATTERN = /^[0-9A-Za-z]{1,10}$/;   // as the middleware's /enroll accepts
+const COMPANY_PATTERN   = /^[a-z0-9-]+$/;
+const EXPORT_FORMAT     = 'fieldroutes-3cx-settings';
+const EXPORT_VERSION    = 1;
+
+let saved = {};   // what is in storage now
+
+function selectValues(select) {
+    return [...select.options].map(option => option.value);
+}
+
+function fillForm(settings) {
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        if (!(key in settings)) continue;
+        const value = settings[key];
+        if (setting.flag) {
+            setting.input.value = value ? 'on' : 'off';
+        } else if (setting.input.tagName === 'SELECT') {
+            if (selectValues(setting.input).includes(value)) setting.input.value = value;
+        } else {
+            setting.input.value = value || '';
+        }
+    }
+    secretSet.hidden = !saved.sharedSecret;
+}
+
+function loadSettings() {
+    chrome.storage.local.get(null, (result) => {
+        saved = result;
+        fillForm(saved);
+        showManaged();
+        showDetected();
+        loadPairing();
+    });
+}
+
+// ============================================================
+// MANAGED SETTINGS
+// Settings the organization's policy sets (policy.js copies them
+// into storage and lists them in 'managedSettings') are shown
+// but cannot be edited, saved or imported here.
+// ============================================================
+function isManaged(key) {
+    return (saved.managedSettings || []).includes(key);
+}
+
+function showManaged() {
+    const inputs = Object.entries(SETTINGS).map(([key, setting]) => [key, setting.input]);
+    inputs.push(['sharedSecret', secretInput]);
+
+    const fields = new Map();   // .field → whether anything in it is managed
+    for (const [key, input] of inputs) {
+        input.disabled = isManaged(key);
+        const field = input.closest('.field');
+        fields.set(field, fields.get(field) || input.disabled);
+    }
+
+    for (const [field, managed] of fields) {
+        let note = field.querySelector('.managed-note');
+        if (!note) {
+            note = document.createElement('div');
+            note.className   = 'managed-note';
+            note.textContent = 'Set by your organization';
+            field.appendChild(note);
+        }
+        note.hidden = !managed;
+    }
+    managedBanner.hidden = !(saved.managedSettings || []).length;
+}
+
+// ============================================================
+// VALIDATION
+// ============================================================
+
+// Accepts host, host:port, or an http:// or https:// address.
+// Returns { address } as it is stored — trimmed, without a
+// trailing slash — or { error }.
+function parseServerAddress(value) {
+    const text = value.trim().replace(/\/+$/, '');
+    if (!text) return { error: 'Enter the middleware server address' };
+
+    const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(text);
+    if (scheme && !/^https?$/i.test(scheme[1])) {
+        return { error: `Use http:// or https://, not ${scheme[1]}://` };
+    }
+
+    let url;
+    try {
+        url = new URL(scheme ? text : `http://${text}`);
+    } catch (err) {
+        return { error: 'Not a valid host:port or address' };
+    }
+    if (!url.hostname)                                          return { error: 'The server address has no host name' };
+    if (url.pathname !== '/' || url.search || url.hash)        return { error: 'Enter the server address only, without a path' };
+    if (url.username || url.password)                          return { error: 'Do not put a user name or password in the address' };
+    return { address: text };
+}
+
+// Accepts the web client's address as copied from the address
+// bar and keeps only its origin. Blank turns detection off.
+function parseWebClientAddress(value) {
+    const text = value.trim();
+    if (!text) return { address: '' };
+
+    const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(text);
+    if (scheme && !/^https?$/i.test(scheme[1])) {
+        return { error: `Use https:// or http://, not ${scheme[1]}://` };
+    }
+    try {
+        return { address: new URL(scheme ? text : `https://${text}`).origin };
+    } catch (err) {
+        return { error: 'Not a valid web client address' };
+    }
+}
+
+// Accepts "host:port", "http://host:port" or "https://host:port"
+function serverBaseUrl(address) {
+    const trimmed = (address || 'localhost:3000').trim().replace(/\/+$/, '');
+    return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
+// The match pattern for a URL's host on any port
+function originPattern(url) {
+    const { protocol, hostname } = new URL(url);
+    return `${protocol}//${hostname}/*`;
+}
+
+// Asks for access to origins and resolves whether it was granted.
+// Must be called straight from a click, before anything awaits.
+function requestOrigins(origins) {
+    return new Promise(resolve => {
+        chrome.permissions.request({ origins }, (granted) => resolve(!chrome.runtime.lastError && !!granted));
+    });
+}
+
+// Accepts "acme", "acme.pestroutes.com" or a pasted URL and returns just the
+// subdomain. A pasted fieldroutes.com / pestroutes.com host also sets the domain.
+function parseCompany(value) {
+    const host  = value.trim().toLowerCase().replace(/^https?:\/\//, '').split('/')[0];
+    const match = host.match(/^([^.]+)\.(pestroutes\.com|fieldroutes\.com)$/);
+    if (match) {
+        domainSelect.value = match[2];
+        return match[1];
+    }
+    return host;
+}
+
+// Reads and checks the form. Returns { values, errors } where
+// errors maps a field to its message. Managed settings are left
+// out of both.
+function readForm() {
+    const values = {};
+    const errors = {};
+
+    if (!isManaged('extensionNumber')) {
+        values.extensionNumber = extensionInput.value.trim();
+        if (!values.extensionNumber) {
+            errors.extension = 'Enter your 3CX extension number';
+        } else if (!EXTENSION_PATTERN.test(values.extensionNumber)) {
+            errors.extension = 'Up to 10 letters and digits, e.g. 101';
+        }
+    }
+
+    if (!isManaged('serverAddress')) {
+        const server = parseServerAddress(serverInput.value);
+        if (server.error) errors.server = server.error;
+        else              values.serverAddress = server.address;
+    }
+
+    if (!isManaged('pestRoutesCompany')) {
+        values.pestRoutesCompany = parseCompany(companyInput.value);
+        if (!values.pestRoutesCompany) {
+            errors.site = 'Enter your PestRoutes company, e.g. mycompany';
+        } else if (!COMPANY_PATTERN.test(values.pestRoutesCompany)) {
+            errors.site = 'Only letters, digits and dashes — the part before .pestroutes.com';
+        }
+    }
+
+    if (!isManaged('webClientAddress')) {
+        const webClient = parseWebClientAddress(webClientInput.value);
+        if (webClient.error) errors.webClient = webClient.error;
+        else                 values.webClientAddress = webClient.address;
+    }
+
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        if (key in values || isManaged(key) || setting.input.tagName !== 'SELECT') continue;
+        values[key] = setting.flag ? setting.input.value === 'on' : setting.input.value;
+    }
+    return { values, errors };
+}
+
+function showErrors(errors) {
+    for (const field of ['extension', 'server', 'site', 'webClient']) {
+        const message = document.getElementById(`${field}Error`);
+        message.hidden      = !errors[field];
+        message.textContent = errors[field] || '';
+        document.getElementById(`${field}Field`).classList.toggle('invalid', !!errors[field]);
+    }
+}
+
+function setMessage(element, text, ok = true) {
+    element.className   = `message ${ok ? '' : 'failed'}`;
+    element.textContent = text;
+}
+
+// ============================================================
+// SAVE
+// Access to the PestRoutes domain, the middleware and the web
+// client is requested here because permissions.request() must
+// run inside the click. The manifest grants none of them.
+// ============================================================
+saveBtn.addEventListener('click', () => {
+    const { values, errors } = readForm();
+    showErrors(errors);
+    if (Object.keys(errors).length) {
+        setMessage(saveMessage, 'Nothing saved — fix the settings marked in red', false);
+        return;
+    }
+
+    const domain    = values.pestRoutesDomain || saved.pestRoutesDomain || 'pestroutes.com';
+    const webClient = 'webClientAddress' in values ? values.webClientAddress : saved.webClientAddress;
+    const origins   = [`https://*.${domain}/*`, originPattern(serverBaseUrl(values.serverAddress || saved.serverAddress))];
+    if (webClient) origins.push(originPattern(webClient));
+
+    requestOrigins(origins).then((granted) => {
+        if (!granted) {
+            setMessage(saveMessage, 'Nothing saved — the browser did not grant access to the sites these settings use', false);
+            return;
+        }
+
+        if (secretInput.value && !isManaged('sharedSecret')) values.sharedSecret = secretInput.value;
+        const changes = {};
+        for (const [key, value] of Object.entries(values)) {
+            if (saved[key] !== value) changes[key] = value;
+        }
+        if (!Object.keys(changes).length) {
+            setMessage(saveMessage, 'No changes to save');
+            return;
+        }
+
+        chrome.storage.local.set(changes, () => {
+            secretInput.value  = '';   // never left in the field after saving
+            if (values.pestRoutesCompany) companyInput.value = values.pestRoutesCompany;
+            setMessage(saveMessage, `✓ Saved${changes.extensionNumber || changes.serverAddress || changes.sharedSecret
+                ? ' — reconnecting' : ''}`);
+        });
+    });
+});
+
+// ============================================================
+// SIGNED-IN EXTENSION
+// What the 3CX web client last showed as signed in (see
+// webclient.js), offered while it differs from the saved number.
+// Use fills it in; Save stores it.
+// ============================================================
+function showDetected() {
+    const detected = saved.detectedExtension ? saved.detectedExtension.extension : '';
+    detectedBox.hidden = !detected || detected === saved.extensionNumber;
+    if (detectedBox.hidden) return;
+
+    detectedText.textContent = `The 3CX web client is signed in as ${detected}`;
+    useDetectedBtn.textContent = `Use ${detected}`;
+    useDetectedBtn.hidden      = isManaged('extensionNumber');
+}
+
+useDetectedBtn.addEventListener('click', () => {
+    extensionInput.value = saved.detectedExtension.extension;
+    showErrors(readForm().errors);
+    setMessage(saveMessage, 'Extension filled in from the 3CX web client — click Save');
+});
+
+// ============================================================
+// TEST CONNECTION
+// Checks what is in the form, saved or not: that the middleware
+// answers /health, that /token accepts this extension with
+// the paired credential or the shared secret, and — with the
+// token that gives — whether /connections lists it. The token
+// is used for nothing else.
+// ============================================================
+const STEP_ICONS = { pass: '✓', fail: '✗', pending: '…', skip: '–' };
+
+function renderSteps(list, steps) {
+    list.textContent = '';
+    for (const step of steps) {
+        const li   = document.createElement('li');
+        const icon = document.createElement('span');
+        icon.className   = `step-icon ${step.status}`;
+        icon.textContent = STEP_ICONS[step.status] || '?';
+
+        const text = document.createElement('div');
+        text.textContent = step.label;
+        if (step.detail) {
+            const detail = document.createElement('div');
+            detail.className   = 'step-detail';
+            detail.textContent = step.detail;
+            text.appendChild(detail);
+        }
+
+        li.append(icon, text);
+        list.appendChild(li);
+    }
+}
+
+// granted is whether the browser let the extension reach the
+// server in the form, asked for by the click
+async function testConnection(granted = true) {
+    const steps = [];
+    const step  = (label, status, detail = '') => {
+        steps.push({ label, status, detail });
+        renderSteps(connectionSteps, steps);
+        return steps[steps.length - 1];
+    };
+    const finish = (entry, status, detail) => {
+        Object.assign(entry, { status, detail });
+        renderSteps(connectionSteps, steps);
+    };
+
+    const server = parseServerAddress(serverInput.value);
+    if (server.error) {
+        step('Server address', 'fail', server.error);
+        return;
+    }
+
+    const base    = serverBaseUrl(server.address);
+    if (!granted) {
+        step(`Reach ${base}`, 'fail', 'Access to the server was not granted');
+        return;
+    }
+    const reach   = step(`Reach ${base}`, 'pending');
+    const started = performance.now();
+    let health;
+    try {
+        const response = await fetch(`${base}/health`, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        health = await response.json();
+        finish(reach, 'pass', `Middleware ${health.version || 'version unknown'} · ${Math.round(performance.now() - started)} ms`);
+    } catch (err) {
+        finish(reach, 'fail', `No answer from the middleware: ${err.message}`);
+        return;
+    }
+
+    const ext = extensionInput.value.trim();
+    if (!EXTENSION_PATTERN.test(ext)) {
+        step('Credentials', 'skip', 'Enter a valid extension number to check them');
+        return;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    const record  = saved.agentCredential;
+    let using;
+    if (record && record.credential && record.agent === ext) {
+        headers['X-Agent-Credential'] = record.credential;
+        using = 'this workstation\'s pairing';
+    } else if (secretInput.value || saved.sharedSecret) {
+        headers['X-Shared-Secret'] = secretInput.value || saved.sharedSecret;
+        using = 'the shared secret';
+    } else {
+        step('Credentials', 'fail', 'No shared secret entered and this workstation is not paired');
+        return;
+    }
+
+    const auth = step(`Extension ${ext} accepted with ${using}`, 'pending');
+    let token;
+    try {
+        const response = await fetch(`${base}/token`, { method: 'POST', headers, body: JSON.stringify({ agent: ext }) });
+        const data     = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        token = data.token;
+        finish(auth, 'pass', data.role === 'supervisor' ? 'Paired as a supervisor' : '');
+    } catch (err) {
+        finish(auth, 'fail', err.message);
+        return;
+    }
+
+    let connected = false;
+    try {
+        const response = await fetch(`${base}/connections`, { headers: { Authorization: `Bearer ${token}` }, cache: 'no-store' });
+        const data     = response.ok ? await response.json() : {};
+        connected = (data.connectedAgents || []).some(c => String(c.agent) === ext);
+    } catch (err) {
+        // Reported as not connected below
+    }
+    step(`Extension ${ext} connected`, connected ? 'pass' : 'skip',
+         connected ? '' : 'Not connected yet — it connects once these settings are saved');
+}
+
+testConnBtn.addEventListener('click', async () => {
+    testConnBtn.disabled = true;
+    const server = parseServerAddress(serverInput.value);
+    const access = server.error ? Promise.resolve(true) : requestOrigins([originPattern(serverBaseUrl(server.address))]);
+    try {
+        await testConnection(await access);
+    } finally {
+        testConnBtn.disabled = false;
+    }
+});
+
+// ============================================================
+// WORKSTATION PAIRING
+// POST /enroll returns this browser's credential and a short
+// pairing code. The operator reads the code to an admin, who
+// approves it on the server's Agents page; this page polls
+// /enroll/status meanwhile. The background script picks the
+// credential up from storage ('agentCredential') and reconnects.
+// ============================================================
+const PAIRING_POLL_MS = 4000;
+let pairingPollTimer  = null;
+
+function renderPairing(record, extensionNumber) {
+    pairingStatus.textContent = '';
+    pairingStatus.className   = 'pairing-status';
+    pairBtn.textContent       = 'Pair This Workstation';
+
+    if (!record) {
+        pairingStatus.textContent = 'Not paired — using the shared secret';
+        return;
+    }
+
+    pairingStatus.classList.add(record.status);
+    pairBtn.textContent = 'Pair Again';
+    if (record.label) pairLabelInput.value = record.label;
+    pairSupervisor.checked = record.role === 'supervisor';
+    const asRole = record.role === 'supervisor' ? ' as a supervisor' : '';
+
+    if (record.status === 'pending') {
+        const code = document.createElement('span');
+        code.className   = 'pairing-code';
+        code.textContent = record.pairingCode;
+        pairingStatus.append('Waiting for approval — give your administrator code ', code);
+    } else if (record.status === 'approved') {
+        pairingStatus.textContent = record.agent === extensionNumber
+            ? `✓ Paired to extension ${record.agent}${asRole}`
+            : `Paired to extension ${record.agent}, not ${extensionNumber || 'this extension'} — pair again`;
+    } else {
+        pairingStatus.textContent = 'Pairing was rejected or revoked — pair again';
+    }
+}
+
+function loadPairing() {
+    const record = saved.agentCredential || null;
+    renderPairing(record, saved.extensionNumber);
+
+    clearTimeout(pairingPollTimer);
+    if (record && record.status === 'pending') {
+        pairingPollTimer = setTimeout(() => pollPairing(record, saved.serverAddress), PAIRING_POLL_MS);
+    }
+}
+
+async function pollPairing(record, serverAddress) {
+    try {
+        const response = await fetch(`${serverBaseUrl(serverAddress)}/enroll/status`, {
+            headers: { 'X-Agent-Credential': record.credential }
+        });
+        const data   = await response.json();
+        const status = response.ok ? data.status : 'revoked';
+        if (status !== record.status) {
+            // Storage change re-renders via the listener below
+            chrome.storage.local.set({ agentCredential: { ...record, status } });
+            return;
+        }
+    } catch (err) {
+        // Server unreachable — keep polling while the page is open
+    }
+    loadPairing();
+}
+
+pairBtn.addEventListener('click', async () => {
+    if (!saved.extensionNumber) {
+        renderPairing(null);
+        pairingStatus.className   = 'pairing-status revoked';
+        pairingStatus.textContent = 'Save your extension number before pairing';
+        return;
+    }
+
+    const label = pairLabelInput.value.trim();
+    const role  = pairSupervisor.checked ? 'supervisor' : 'agent';
+    pairBtn.disabled = true;
+    try {
+        const response = await fetch(`${serverBaseUrl(saved.serverAddress)}/enroll`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify({ agent: saved.extensionNumber, label, role })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+        chrome.storage.local.set({
+            agentCredential: {
+                credential:  data.credential,
+                agent:       saved.extensionNumber,
+                label,
+                role:        data.role || role,
+                pairingCode: data.pairingCode,
+                status:      data.status
+            }
+        });
+    } catch (err) {
+        pairingStatus.className   = 'pairing-status revoked';
+        pairingStatus.textContent = `Pairing failed: ${err.message}`;
+    } finally {
+        pairBtn.disabled = false;
+    }
+});
+
+// ============================================================
+// LOGGING
+// ============================================================
+clearHistoryBtn.addEventListener('click', () => {
+    chrome.storage.local.set({ popHistory: [] }, () => setMessage(historyMessage, '✓ Recent calls cleared'));
+});
+
+// ============================================================
+// TEST POP
+// The background script runs the test (testpop.js) and writes
+// each step's result to storage ('testPop'); this only renders
+// it, so the result is still there after PestRoutes takes focus.
+// ============================================================
+function renderTestPop(test) {
+    testPopBtn.disabled = !!test && !test.done;
+    if (!test) {
+        testSteps.textContent = '';
+        return;
+    }
+    if (!testInput.value) testInput.value = test.phone || test.customerID;
+    renderSteps(testSteps, test.steps);
+}
+
+testPopBtn.addEventListener('click', () => {
+    const value = testInput.value.trim();
+    if (!value) return;
+
+    const isPhone = value.replace(/\D/g, '').length >= 10;
+    chrome.runtime.sendMessage({
+        type:       'sendTestPop',
+        customerID: isPhone ? '' : value,
+        phone:      isPhone ? value : ''
+    });
+});
+
+chrome.storage.local.get(['testPop'], (result) => renderTestPop(result.testPop || null));
+
+// ============================================================
+// IMPORT & EXPORT
+// The file holds the saved settings, not the form:
+//   { format, version, exportedAt, settings }
+// The shared secret is only included when asked for, and the
+// workstation's pairing never is — it belongs to this browser.
+// An import fills in the form and leaves saving to the user;
+// settings the policy manages are not imported.
+// ============================================================
+function exportSettings(includeSecret) {
+    const settings = {};
+    for (const key of Object.keys(SETTINGS)) {
+        if (saved[key] !== undefined) settings[key] = saved[key];
+    }
+    if (includeSecret && saved.sharedSecret) settings.sharedSecret = saved.sharedSecret;
+    return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), settings };
+}
+
+// Returns { imported, ignored } — the setting names applied to
+// the form and the ones left out — or throws if the text is not
+// a settings file.
+function importSettings(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('The file is not valid JSON');
+    }
+    if (!data || data.format !== EXPORT_FORMAT || !data.settings || typeof data.settings !== 'object') {
+        throw new Error('Not a FieldRoutes CRM for 3CX settings file');
+    }
+
+    const form     = {};
+    const imported = [];
+    const ignored  = [];
+    for (const [key, value] of Object.entries(data.settings)) {
+        const setting = SETTINGS[key];
+        const valid   = key === 'sharedSecret' ? typeof value === 'string' && value !== ''
+                      : !setting ? false
+                      : setting.flag ? typeof value === 'boolean'
+                      : setting.input.tagName === 'SELECT' ? selectValues(setting.input).includes(value)
+                      : typeof value === 'string';
+        if (!valid || isManaged(key)) {
+            ignored.push(key);
+        } else if (key === 'sharedSecret') {
+            secretInput.value = value;
+            imported.push(key);
+        } else {
+            form[key] = value;
+            imported.push(key);
+        }
+    }
+    fillForm(form);
+    showErrors(readForm().errors);
+    return { imported, ignored };
+}
+
+exportBtn.addEventListener('click', () => {
+    const json = JSON.stringify(exportSettings(exportSecret.checked), null, 2);
+    const link = document.createElement('a');
+    link.href     = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = 'fieldroutes-3cx-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+importBtn.addEventListener('click', () => importInput.click());
+
+importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+        const { imported, ignored } = importSettings(await file.text());
+        setMessage(importMessage, `Imported ${imported.length} setting(s)` +
+                                  (ignored.length ? `, ignored ${ignored.join(', ')}` : '') + ' — check them and Save');
+    } catch (err) {
+        setMessage(importMessage, err.message, false);
+    }
+});
+
+// ============================================================
+// STARTUP
+// ============================================================
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    for (const [key, change] of Object.entries(changes)) {
+        if ('newValue' in change) saved[key] = change.newValue;
+        else delete saved[key];
+    }
+    if (changes.sharedSecret) secretSet.hidden = !saved.sharedSecret;
+    if (Object.keys(changes).some(key => key === 'managedSettings' || isManaged(key))) {
+        // The policy changed while the page was open
+        fillForm(Object.fromEntries((saved.managedSettings || []).map(key => [key, saved[key]])));
+        showManaged();
+    }
+    if (changes.agentCredential || changes.extensionNumber) loadPairing();
+    if (changes.detectedExtension || changes.extensionNumber || changes.managedSettings) showDetected();
+    if (changes.testPop) renderTestPop(changes.testPop.newValue || null);
+});
+
+loadSettings();
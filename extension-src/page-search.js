@@ -0,0 +1,358 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — PestRoutes Customer Search
+// ============================================================
+// build.js includes this in both background.js and content.js.
+// searchCustomerInPage() types the phone number (or customer
+// ID) into the PestRoutes search box and opens the result:
+//   - one match is clicked straight away
+//   - several matches go to a picker so the operator chooses
+//
+// It is called directly by the content script and injected by
+// the background script, which serialises the function on its
+// own — so everything it uses is declared inside it, and the
+// selector profile is passed in rather than read from storage.
+//
+// Waiting is done with MutationObserver against the profile's
+// timeouts rather than fixed sleeps and polls, and every failure
+// says which selector it was looking for.
+//
+// Resolves with { opened, outcome, method: 'search', reason, matches }
+//
+// pageStatus() answers the background script's 'status' message
+// and is injected the same way when there is no content script.
+// ============================================================
+
+function searchCustomerInPage(customerID, phone, profile) {
+    const searchTerm = phone || customerID;
+    return run().catch(err => fail('script_error', `Page script error: ${err.message}`));
+
+    async function run() {
+        const box = await waitFor(() => queryFirst(profile.searchInput), profile.pageTimeoutMs);
+        if (!box) {
+            return fail('no_search_box',
+                `Search box not found after ${seconds(profile.pageTimeoutMs)} — looked for ${profile.searchInput.join(', ')}`);
+        }
+        const searchInput = box.element;
+        if (!(searchInput instanceof HTMLInputElement)) {
+            return fail('no_search_box',
+                `"${box.selector}" matched a <${searchInput.tagName.toLowerCase()}>, not an input`);
+        }
+
+        console.log(`[FieldRoutes] Triggering search for: ${searchTerm}`);
+        searchInput.focus();
+
+        // Set value via native setter (required for React/jQuery UI to detect change)
+        const nativeSetter = Object.getOwnPropertyDescriptor(
+            window.HTMLInputElement.prototype, 'value'
+        ).set;
+        nativeSetter.call(searchInput, searchTerm);
+
+        searchInput.dispatchEvent(new Event('input',  { bubbles: true }));
+        searchInput.dispatchEvent(new Event('keyup',  { bubbles: true }));
+
+        // Trigger jQuery UI autocomplete directly if jQuery is present
+        if (typeof jQuery !== 'undefined') {
+            try {
+                jQuery(searchInput).val(searchTerm).autocomplete('search', searchTerm);
+                console.log('[FieldRoutes] jQuery autocomplete search triggered');
+            } catch (e) {}
+        }
+
+        // Wait for the first visible result, then for the list to stop
+        // changing — the autocomplete often fills in over several renders
+        const first = await waitFor(() => visibleResults()[0], profile.resultsTimeoutMs);
+        if (!first) {
+            return fail('no_results',
+                `No autocomplete results within ${seconds(profile.resultsTimeoutMs)} — looked for ${profile.resultItem.join(', ')}`);
+        }
+        await waitForQuiet(first.parentElement || document.body, profile.settleMs);
+
+        const items = visibleResults();
+        if (items.length === 0) {
+            return fail('no_results', 'Autocomplete results disappeared before one could be opened');
+        }
+        if (items.length === 1) {
+            clickItem(items[0]);
+            return { opened: true, outcome: 'opened', method: 'search', reason: '', matches: 1 };
+        }
+
+        console.log(`[FieldRoutes] ${items.length} customers match ${searchTerm} — showing picker`);
+        const chosen = await showPicker(items);
+        if (!chosen) {
+            return { opened: false, outcome: 'multiple_matches', method: 'search',
+                     reason: 'Multiple matches — picker dismissed', matches: items.length };
+        }
+        clickItem(chosen);
+        return { opened: true, outcome: 'opened', method: 'search', reason: '', matches: items.length };
+    }
+
+    function fail(outcome, reason) {
+        console.warn(`[FieldRoutes] Customer search failed: ${reason}`);
+        return { opened: false, outcome, method: 'search', reason, matches: 0 };
+    }
+
+    function seconds(ms) {
+        return `${Math.round(ms / 100) / 10} s`;
+    }
+
+    // First selector in the list that matches anything. An invalid
+    // selector throws, naming itself, rather than silently matching nothing.
+    function queryFirst(selectors) {
+        for (const selector of selectors) {
+            let element;
+            try {
+                element = document.querySelector(selector);
+            } catch (err) {
+                throw new Error(`Invalid selector "${selector}" in the selector profile`);
+            }
+            if (element) return { element, selector };
+        }
+        return null;
+    }
+
+    // Result rows from the first resultItem selector with any visible
+    // match. jQuery UI keeps the previous search's menu in the DOM,
+    // hidden, so invisible rows are ignored.
+    function visibleResults() {
+        for (const selector of profile.resultItem) {
+            let items;
+            try {
+                items = Array.from(document.querySelectorAll(selector));
+            } catch (err) {
+                throw new Error(`Invalid selector "${selector}" in the selector profile`);
+            }
+            items = items.filter(item => item.getClientRects().length > 0);
+            if (items.length) return items;
+        }
+        return [];
+    }
+
+    // Resolves with check()'s first truthy result, re-checking on
+    // every DOM change, or with null once timeoutMs has passed.
+    function waitFor(check, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (error, value) => {
+                if (settled) return;
+                settled = true;
+                observer.disconnect();
+                clearTimeout(timer);
+                if (error) reject(error); else resolve(value);
+            };
+            const test = () => {
+                try {
+                    const value = check();
+                    if (value) finish(null, value);
+                } catch (err) {
+                    finish(err);
+                }
+            };
+
+            const observer = new MutationObserver(test);
+            const timer    = setTimeout(() => finish(null, null), timeoutMs);
+            observer.observe(document.documentElement, {
+                childList: true, subtree: true, attributes: true, attributeFilter: ['style', 'class', 'hidden']
+            });
+            test();
+        });
+    }
+
+    // Resolves once root has gone quietMs without a change, or after
+    // ten times that at most so a constantly updating page cannot stall it
+    function waitForQuiet(root, quietMs) {
+        return new Promise(resolve => {
+            const done     = () => { observer.disconnect(); clearTimeout(timer); clearTimeout(limit); resolve(); };
+            const observer = new MutationObserver(() => {
+                clearTimeout(timer);
+                timer = setTimeout(done, quietMs);
+            });
+            let timer   = setTimeout(done, quietMs);
+            const limit = setTimeout(done, quietMs * 10);
+            observer.observe(root, { childList: true, subtree: true, characterData: true });
+        });
+    }
+
+    function clickItem(item) {
+        item.click();
+        const link = item.querySelector(profile.resultLink.join(', '));
+        if (link) link.click();
+    }
+
+    // Autocomplete rows are plain text: name on the first line, address
+    // after it, and usually the customer ID as "#12345" or "ID: 12345".
+    function describeMatch(item) {
+        const text    = item.innerText || item.textContent || '';
+        const idMatch = text.match(/(?:\bID\b|#)\s*:?\s*(\d+)/i);
+        const lines   = text.split('\n').map(l => l.trim()).filter(Boolean);
+        return {
+            name:       lines[0] || '(no name)',
+            address:    lines.slice(1).filter(l => !idMatch || !l.includes(idMatch[0])).join(', '),
+            customerID: idMatch ? idMatch[1] : ''
+        };
+    }
+
+    // Overlay listing every match. Keys: 1–9 pick directly, ↑/↓ + Enter,
+    // Esc cancels. Focus stays in the search box (mousedown is swallowed
+    // and keys are captured) so jQuery UI keeps its result menu open.
+    function showPicker(items) {
+        return new Promise(done => {
+            const host = document.createElement('div');
+            host.id = 'fr3cx-picker';
+            const root = host.attachShadow({ mode: 'open' });
+            root.innerHTML = `
+                <style>
+                  .backdrop{position:fixed;inset:0;z-index:2147483647;background:rgba(0,0,0,.35);
+                            display:flex;align-items:flex-start;justify-content:center;padding-top:12vh;
+                            font-family:'Segoe UI',Arial,sans-serif}
+                  .box{background:white;border-radius:8px;width:440px;max-height:70vh;overflow:auto;
+                       box-shadow:0 8px 28px rgba(0,0,0,.3)}
+                  .title{background:#2d7d46;color:white;padding:12px 16px;font-size:14px;font-weight:600}
+                  ol{list-style:none;margin:0;padding:6px 0}
+                  li{display:flex;gap:10px;padding:9px 16px;cursor:pointer;font-size:13px;color:#333}
+                  li.selected{background:#f0f7f2}
+                  .key{flex-shrink:0;width:20px;height:20px;border-radius:4px;background:#e8ecef;
+                       text-align:center;line-height:20px;font-size:11px;font-weight:700;color:#555}
+                  .name{font-weight:600}
+                  .meta{font-size:12px;color:#777;margin-top:2px}
+                  .hint{padding:8px 16px;font-size:11px;color:#999;border-top:1px solid #e8ecef}
+                </style>
+                <div class="backdrop">
+                  <div class="box">
+                    <div class="title"></div>
+                    <ol></ol>
+                    <div class="hint">1–9 or ↑/↓ and Enter to open &nbsp;·&nbsp; Esc to cancel</div>
+                  </div>
+                </div>`;
+            root.querySelector('.title').textContent = `${items.length} customers match ${searchTerm}`;
+
+            const list = root.querySelector('ol');
+            const rows = items.map((item, i) => {
+                const match = describeMatch(item);
+                const row   = document.createElement('li');
+                row.innerHTML = '<span class="key"></span><div><div class="name"></div><div class="meta"></div></div>';
+                row.querySelector('.key').textContent  = i < 9 ? String(i + 1) : '';
+                row.querySelector('.name').textContent = match.name;
+                row.querySelector('.meta').textContent =
+                    [match.address, match.customerID && `ID ${match.customerID}`].filter(Boolean).join(' · ');
+                row.addEventListener('click', () => finish(i));
+                list.appendChild(row);
+                return row;
+            });
+
+            let selected = 0;
+            const render = () => rows.forEach((row, i) => row.classList.toggle('selected', i === selected));
+
+            function onKey(e) {
+                if (e.key === 'Escape') {
+                    finish(null);
+                } else if (e.key === 'Enter') {
+                    finish(selected);
+                } else if (e.key === 'ArrowDown') {
+                    selected = (selected + 1) % rows.length;
+                    render();
+                } else if (e.key === 'ArrowUp') {
+                    selected = (selected - 1 + rows.length) % rows.length;
+                    render();
+                } else if (/^[1-9]$/.test(e.key) && Number(e.key) <= rows.length) {
+                    finish(Number(e.key) - 1);
+                } else {
+                    return;
+                }
+                e.preventDefault();
+                e.stopPropagation();
+            }
+
+            function finish(index) {
+                window.removeEventListener('keydown', onKey, true);
+                host.remove();
+                done(index === null ? null : items[index]);
+            }
+
+            root.addEventListener('mousedown', e => e.preventDefault());
+            root.querySelector('.backdrop').addEventListener('click', e => {
+                if (e.target.classList.contains('backdrop')) finish(null);
+            });
+            window.addEventListener('keydown', onKey, true);
+            document.body.appendChild(host);
+            render();
+        });
+    }
+}
+
+// { url, onCustomerCard, busy } — onCustomerCard is true when the
+// address is exactly the profile's customerCardPath for customerID
+// (PestRoutes redirects unknown IDs and expired sessions away from
+// the card URL, so nothing on the page needs checking). busy says why
+// a screen pop must not take this tab over, or is '' when it may:
+// a visible form field the agent has typed in or changed differs
+// from the value the page loaded with (the customer search box is
+// ignored, since pops type into it), or one of the profile's
+// busyDialog dialogs is open.
+//
+// Only input and change events mark a field as the agent's:
+// PestRoutes fills many fields by script (jQuery .val()), which
+// changes the value but not defaultValue and fires neither event.
+// The first call starts listening for them — the content script
+// calls it as soon as it loads.
+function pageStatus(customerID, profile) {
+    const id       = customerID ? String(customerID) : '';
+    const cardPath = id ? profile.customerCardPath.replace('{customerID}', encodeURIComponent(id)) : '';
+    const edited   = window.fieldRoutesEditedFields || watchEdits();
+    return {
+        url:            window.location.href,
+        onCustomerCard: !!cardPath && window.location.pathname === cardPath,
+        busy:           hasUnsavedChanges() ? 'Unsaved changes in a form'
+                      : dialogOpen()        ? 'A dialog is open'
+                      : ''
+    };
+
+    function watchEdits() {
+        const fields = new WeakSet();
+        const mark   = (event) => fields.add(event.target);
+        document.addEventListener('input', mark, true);
+        document.addEventListener('change', mark, true);
+        window.fieldRoutesEditedFields = fields;
+        return fields;
+    }
+
+    function visible(el) {
+        return el.getClientRects().length > 0;
+    }
+
+    function dialogOpen() {
+        for (const selector of (profile && profile.busyDialog) || []) {
+            try {
+                if (Array.from(document.querySelectorAll(selector)).some(visible)) return true;
+            } catch (err) {}
+        }
+        return false;
+    }
+
+    function hasUnsavedChanges() {
+        const ignored = new Set();
+        for (const selector of (profile && profile.searchInput) || []) {
+            try {
+                document.querySelectorAll(selector).forEach(el => ignored.add(el));
+            } catch (err) {}
+        }
+
+        for (const field of document.querySelectorAll('input, textarea, select')) {
+            if (!edited.has(field) || ignored.has(field) || field.disabled || field.readOnly) continue;
+            if (!visible(field)) continue;
+
+            if (field instanceof HTMLSelectElement) {
+                // A single select with no default shows its first option
+                const options = Array.from(field.options);
+                const initial = options.some(o => o.defaultSelected)
+                    ? options.filter(o => o.defaultSelected)
+                    : (field.multiple ? [] : options.slice(0, 1));
+                if (options.some(o => o.selected !== initial.includes(o))) return true;
+            } else if (field.type === 'checkbox' || field.type === 'radio') {
+                if (field.checked !== field.defaultChecked) return true;
+            } else if (!['button', 'submit', 'reset', 'image', 'hidden', 'file'].includes(field.type)) {
+                if (field.value !== field.defaultValue) return true;
+            }
+        }
+        return false;
+    }
+}
@@ -0,0 +1,76 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Managed Policy
+// ============================================================
+// IT can configure a fleet through the browser's enterprise
+// policy instead of each operator typing the settings in:
+// Group Policy or the registry for Chrome and Edge (the keys are
+// described by managed-schema.json) and the "3rdparty" section of
+// policies.json for Firefox. The extension sees them all as
+// chrome.storage.managed.
+//
+// Every setting the policy sets is copied into storage.local,
+// where the rest of the extension reads it, and listed under
+// 'managedSettings' so the options page shows it locked. A
+// setting the policy stops setting keeps its last value and can
+// be changed again.
+// ============================================================
+const POLICY_DOMAINS = ['pestroutes.com', 'fieldroutes.com'];
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+// Each setting a policy may set, and the values it accepts
+const POLICY_SETTINGS = {
+    extensionNumber:   value => isText(value) && /^[0-9A-Za-z]{1,10}$/.test(value),
+    serverAddress:     value => isText(value),
+    sharedSecret:      value => isText(value),
+    pestRoutesCompany: value => isText(value) && /^[a-z0-9-]+$/.test(value),
+    pestRoutesDomain:  value => POLICY_DOMAINS.includes(value),
+    tabTarget:         value => ['recent', 'pinned', 'new'].includes(value),
+    busyTabAction:     value => ['newTab', 'ask'].includes(value),
+    popMode:           value => ['focus', 'notify'].includes(value),
+    clickToCall:       value => typeof value === 'boolean',
+    wrapUp:            value => typeof value === 'boolean',
+    logLevel:          value => ['info', 'warn'].includes(value),
+    webClientAddress:  value => isText(value),
+    extensionSync:     value => ['offer', 'sync'].includes(value)
+};
+
+// Resolves with the policy, or {} when there is none. Firefox
+// reports an error rather than {} when no policy is installed.
+function managedStorageGet() {
+    return new Promise(resolve => {
+        if (!chrome.storage.managed) return resolve({});
+        chrome.storage.managed.get(null, (items) => {
+            resolve(chrome.runtime.lastError ? {} : (items || {}));
+        });
+    });
+}
+
+// Copies the policy into storage.local, writing only what differs
+// so the settings listeners fire only for a real change
+async function applyManagedPolicy() {
+    const policy  = await managedStorageGet();
+    const current = await storageGet(null);
+    const managed = [];
+    const changes = {};
+
+    for (const [key, accepts] of Object.entries(POLICY_SETTINGS)) {
+        if (policy[key] === undefined) continue;
+        if (!accepts(policy[key])) {
+            console.warn(`[FieldRoutes] Policy value for ${key} ignored — not a valid value`);
+            continue;
+        }
+        managed.push(key);
+        if (current[key] !== policy[key]) changes[key] = policy[key];
+    }
+
+    if ((current.managedSettings || []).join() !== managed.join()) changes.managedSettings = managed;
+    if (!Object.keys(changes).length) return;
+
+    log(`[FieldRoutes] Policy applied — managed: ${managed.join(', ') || 'none'}`);
+    await storageSet(changes);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'managed') applyManagedPolicy();
+});
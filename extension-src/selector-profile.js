@@ -0,0 +1,49 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Selector Profile
+// ============================================================
+// build.js includes this in both background.js and content.js.
+// Everything the extension needs to know about PestRoutes'
+// markup — and where the 3CX web client shows the signed-in
+// extension (webclient.js) — in one object, so a markup
+// change can be fixed by editing the profile on the
+// middleware's /selectors page instead of shipping a new
+// extension. The background script fetches /selectors.json
+// on every connect and keeps it in storage under
+// 'selectorProfile'.
+//
+// Selector fields are lists and the first one that matches
+// wins, so an old and a new layout can both be listed. Any
+// field that is missing or invalid falls back to the default.
+// ============================================================
+
+const DEFAULT_SELECTOR_PROFILE = {
+    searchInput:      ['#customerSearch'],
+    resultItem:       ['.ui-autocomplete li.ui-menu-item'],
+    resultLink:       ['a', '.ui-menu-item-wrapper', 'div'],   // clicked inside a result row
+    busyDialog:       ['dialog[open]', '[role="dialog"]', '[aria-modal="true"]',
+                       '.ui-dialog', '.modal.in', '.modal.show'],   // while one is open the tab is busy
+    customerCardPath: '/customers/{customerID}',               // direct link to a customer record
+    webClientExtension: ['[data-qa="extension-number"]', '.extension-number',
+                         '.user-extension'],   // the signed-in extension in the 3CX web client
+    pageTimeoutMs:    10000,   // wait this long for the search box to appear
+    resultsTimeoutMs: 5000,    // and this long for autocomplete results
+    settleMs:         300      // results must stop changing for this long before they are counted
+};
+
+function normalizeSelectorProfile(raw) {
+    const profile = { ...DEFAULT_SELECTOR_PROFILE };
+    if (!raw || typeof raw !== 'object') return profile;
+
+    for (const key of ['searchInput', 'resultItem', 'resultLink', 'busyDialog', 'webClientExtension']) {
+        const list = [].concat(raw[key] || []).filter(sel => typeof sel === 'string' && sel.trim());
+        if (list.length) profile[key] = list;
+    }
+    if (typeof raw.customerCardPath === 'string' && /^\/.*\{customerID\}/.test(raw.customerCardPath)) {
+        profile.customerCardPath = raw.customerCardPath;
+    }
+    for (const key of ['pageTimeoutMs', 'resultsTimeoutMs', 'settleMs']) {
+        const value = Number(raw[key]);
+        if (value >= 1 && value <= 60000) profile[key] = value;
+    }
+    return profile;
+}
@@ -0,0 +1,106 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — SSE Stream Reader
+// ============================================================
+// build.js concatenates this into background.js ahead of the
+// main script. It replaces the native EventSource, which cannot
+// send request headers, with fetch() + ReadableStream:
+//   - the SSE token goes in an Authorization header, not the URL
+//   - the id of the last event received is sent back as
+//     Last-Event-ID, so the middleware replays anything sent
+//     while the extension was reconnecting
+//   - it never reconnects by itself; onClose is called once and
+//     the caller decides when to connect again
+// ============================================================
+
+// Opens a stream and returns { close(), closed, lastEventId }.
+//   onOpen()         — response accepted, events will follow
+//   onEvent(event)   — { type, data, id } for each complete event
+//   onClose(error)   — stream ended; error.status is set when the
+//                      server refused the request. Not called after
+//                      close().
+function openEventStream(url, { headers = {}, lastEventId = '', onOpen, onEvent, onClose }) {
+    const controller = new AbortController();
+    const stream = {
+        closed:      false,
+        lastEventId,
+        close() {
+            stream.closed = true;
+            controller.abort();
+        }
+    };
+
+    const requestHeaders = { Accept: 'text/event-stream', ...headers };
+    if (lastEventId) requestHeaders['Last-Event-ID'] = lastEventId;
+
+    (async () => {
+        let error;
+        try {
+            const response = await fetch(url, { headers: requestHeaders, cache: 'no-store', signal: controller.signal });
+            if (!response.ok) {
+                error = new Error(`HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            if (!(response.headers.get('Content-Type') || '').startsWith('text/event-stream')) {
+                throw new Error('Server did not return an event stream');
+            }
+
+            if (onOpen) onOpen();
+            await readEventStream(response.body, (event) => {
+                if (event.id !== null) stream.lastEventId = event.id;
+                if (!stream.closed && onEvent) onEvent(event);
+            });
+            error = new Error('Stream ended by server');
+        } catch (err) {
+            error = err;
+        }
+
+        if (stream.closed) return;
+        stream.closed = true;
+        if (onClose) onClose(error);
+    })();
+
+    return stream;
+}
+
+// Parses text/event-stream per the HTML spec: fields up to a
+// blank line make one event, ':' lines are comments, and only
+// events with data are dispatched. id is null when the event
+// had no id: field.
+async function readEventStream(body, dispatch) {
+    const reader  = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let type   = '';
+    let data   = [];
+    let id     = null;
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += decoder.decode(value, { stream: true });
+        // A trailing lone \r may be the first half of \r\n — keep it for the next chunk
+        const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line === '') {
+                if (data.length) dispatch({ type: type || 'message', data: data.join('\n'), id });
+                type = '';
+                data = [];
+                id   = null;
+                continue;
+            }
+            if (line.startsWith(':')) continue;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const text  = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+            if (field === 'event')                          type = text;
+            else if (field === 'data')                      data.push(text);
+            else if (field === 'id' && !text.includes('\0')) id  = text;
+        }
+    }
+}
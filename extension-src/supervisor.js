@@ -0,0 +1,122 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Supervisor Board
+// ============================================================
+// A workstation paired as a supervisor gets tokens with role
+// 'supervisor' (see getSseToken) and opens a second stream,
+// /supervisor/sse, next to its own /sse. The middleware sends
+// the whole board on it ('board') and then each agent's row as
+// it changes ('boardUpdate'):
+//   { agent, connected, callId, state, phone, customerID,
+//     caller fields, eventId, outcome, method,
+//     startedAt, answeredAt, endedAt }
+// Times are the server's Unix ms; both events carry serverTime,
+// and clockOffset (server minus local) lets board.html run the
+// call timers without trusting the two clocks to agree.
+//
+// The board is kept in storage under 'supervisorBoard' for
+// board.html to render. Nothing on it pops by itself: other
+// agents' calls only open in this browser when the supervisor
+// clicks Open.
+// ============================================================
+
+const SUPERVISOR_BOARD_KEY = 'supervisorBoard';
+
+let supervisorStream = null;
+let supervisorTimer  = null;
+let supervisorBoard  = null;   // { rows, clockOffset, live, updatedAt }
+
+// Called by connect() with each new token: opens the board for
+// a supervisor token and takes it down for any other.
+function updateSupervisorStream(base, role) {
+    clearTimeout(supervisorTimer);
+    if (supervisorStream) {
+        supervisorStream.close();
+        supervisorStream = null;
+    }
+
+    if (role !== 'supervisor') {
+        if (supervisorBoard) log('[FieldRoutes] Not a supervisor token — closing the supervisor board');
+        supervisorBoard = null;
+        chrome.storage.local.remove(SUPERVISOR_BOARD_KEY);
+        return;
+    }
+    connectSupervisor(base);
+}
+
+async function connectSupervisor(base) {
+    let token;
+    try {
+        token = await getSseToken(base);
+    } catch (err) {
+        console.warn(`[FieldRoutes] Supervisor board: could not get a token — ${err.message}`);
+        supervisorTimer = setTimeout(() => connectSupervisor(base), err.retryMs || RECONNECT_DELAY_MS);
+        return;
+    }
+
+    log(`[FieldRoutes] Opening supervisor board: ${base}/supervisor/sse`);
+    const stream = openEventStream(`${base}/supervisor/sse`, {
+        headers: { Authorization: `Bearer ${token}` },
+
+        onEvent: (event) => {
+            if (supervisorStream === stream) handleBoardEvent(event);
+        },
+
+        onClose: (err) => {
+            if (supervisorStream !== stream) return;
+            supervisorStream = null;
+            if (supervisorBoard) saveBoard({ live: false });
+            // Refused: the credential was revoked or is no longer a
+            // supervisor's. The next connect() settles which.
+            if (err.status === 401) {
+                console.warn('[FieldRoutes] Supervisor board refused by server');
+                return;
+            }
+            console.warn(`[FieldRoutes] Supervisor board connection lost (${err.message}) — reconnecting`);
+            supervisorTimer = setTimeout(() => connectSupervisor(base), RECONNECT_DELAY_MS);
+        }
+    });
+    supervisorStream = stream;
+}
+
+function handleBoardEvent(event) {
+    let data;
+    try {
+        data = JSON.parse(event.data);
+    } catch (err) {
+        console.error(`[FieldRoutes] Failed to parse ${event.type} event:`, err);
+        return;
+    }
+    const clockOffset = Number(data.serverTime) ? Number(data.serverTime) - Date.now() : 0;
+
+    if (event.type === 'board') {
+        const rows = Array.isArray(data.rows) ? data.rows : [];
+        log(`[FieldRoutes] Supervisor board received — ${rows.length} agent(s)`);
+        saveBoard({ rows, clockOffset, live: true });
+    } else if (event.type === 'boardUpdate' && data.row && data.row.agent) {
+        const rows = (supervisorBoard ? supervisorBoard.rows : []).filter(row => row.agent !== data.row.agent);
+        rows.push(data.row);
+        rows.sort((a, b) => String(a.agent).localeCompare(String(b.agent), undefined, { numeric: true }));
+        saveBoard({ rows, clockOffset, live: true });
+    }
+}
+
+function saveBoard(changes) {
+    supervisorBoard = { rows: [], clockOffset: 0, ...supervisorBoard, ...changes, updatedAt: Date.now() };
+    return storageSet({ [SUPERVISOR_BOARD_KEY]: supervisorBoard });
+}
+
+// The board's Open button: the agent's customer, opened in this
+// browser's own PestRoutes tab. Not recorded in the pop history
+// or acknowledged — the pop belongs to the agent. A background
+// the browser restarted has no board in memory until the stream
+// sends one, so the stored board is read instead.
+async function openFromBoard(agent) {
+    const board = supervisorBoard || (await storageGet([SUPERVISOR_BOARD_KEY]))[SUPERVISOR_BOARD_KEY];
+    const row   = board && Array.isArray(board.rows) && board.rows.find(r => r.agent === agent);
+    if (!row || (!row.customerID && !row.phone)) {
+        return { opened: false, reason: `Nothing to open for extension ${agent}` };
+    }
+    log(`[FieldRoutes] Opening extension ${agent}'s customer from the supervisor board`);
+    const result = await handleOpenCustomer(row.customerID, row.phone, callerFromPayload(row));
+    return { opened: result.opened, reason: result.reason };
+}
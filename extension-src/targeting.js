@@ -0,0 +1,138 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Tab Targeting
+// ============================================================
+// Decides which PestRoutes tab a screen pop takes over
+// (tabTarget in storage, set on the options page):
+//   recent — the PestRoutes tab used most recently (default)
+//   pinned — one dedicated screen-pop tab that the extension
+//            pins and remembers under 'popTabId'
+//   new    — a new tab for every pop
+// A busy tab — unsaved form data or an open dialog, as reported
+// by the content script — is never taken over without asking.
+// busyTabAction in storage decides what happens instead:
+//   newTab — use the next idle PestRoutes tab, or a new one (default)
+//   ask    — show "Caller waiting: open now?" in the busy tab
+// ============================================================
+
+const TAB_TARGET_RECENT = 'recent';
+const TAB_TARGET_PINNED = 'pinned';
+const TAB_TARGET_NEW    = 'new';
+
+const BUSY_TAB_NEW_TAB = 'newTab';
+const BUSY_TAB_ASK     = 'ask';
+
+async function getTabTarget() {
+    const result = await storageGet(['tabTarget']);
+    return [TAB_TARGET_PINNED, TAB_TARGET_NEW].includes(result.tabTarget) ? result.tabTarget : TAB_TARGET_RECENT;
+}
+
+async function getBusyTabAction() {
+    const result = await storageGet(['busyTabAction']);
+    return result.busyTabAction === BUSY_TAB_ASK ? BUSY_TAB_ASK : BUSY_TAB_NEW_TAB;
+}
+
+// Resolves with { tab, detail } once the tab is focused (and, when
+// it was just opened, loaded). detail says why that tab was chosen.
+// tab is null when the agent declined the pop at the prompt.
+// pop is { customerID, phone, caller }, shown in the prompt.
+async function choosePopTab(host, origin, profile, pop) {
+    const target = await getTabTarget();
+    if (target === TAB_TARGET_NEW) return openPopTab(host, false, 'Opened a new PestRoutes tab');
+
+    let tab;
+    let others = [];
+    if (target === TAB_TARGET_PINNED) {
+        tab = await getScreenPopTab(host);
+        if (!tab) return openPopTab(host, true, 'Opened the screen-pop tab');
+    } else {
+        const tabs = await chrome.tabs.query({ url: origin });
+        if (!tabs.length) return openPopTab(host, false, 'No PestRoutes tab open — opened one');
+        tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+        [tab, ...others] = tabs;
+    }
+
+    const tabName = target === TAB_TARGET_PINNED ? 'screen-pop tab' : 'most recent PestRoutes tab';
+    const busy    = await tabBusyReason(tab, profile);
+    if (!busy) return focusPopTab(tab, `Using the ${tabName}`);
+
+    if (await getBusyTabAction() === BUSY_TAB_ASK) {
+        const choice = await askCallerWaiting(tab, busy, pop);
+        if (choice === 'here')    return { tab, detail: `${busy} in the ${tabName} — agent chose to open it there` };
+        if (choice === 'dismiss') return { tab: null, detail: `${busy} in the ${tabName} — agent chose not to open it` };
+        if (choice === 'newTab')  return openPopTab(host, false, `${busy} in the ${tabName} — agent chose a new tab`);
+        // No content script in that tab to ask — carry on as newTab
+    }
+
+    for (const other of others) {
+        if (!(await tabBusyReason(other, profile))) {
+            return focusPopTab(other, `${busy} in the ${tabName} — using another PestRoutes tab`);
+        }
+    }
+    return openPopTab(host, false, `${busy} in the ${tabName} — opened a new tab`);
+}
+
+// The remembered tab, if it is still open on this PestRoutes site.
+// Only a tab the extension opened itself is ever adopted: tab ids
+// change when the browser restarts, and a pinned PestRoutes tab
+// the agent keeps for their own work is never taken over, so a new
+// screen-pop tab is opened instead.
+async function getScreenPopTab(host) {
+    const { popTabId } = await storageGet(['popTabId']);
+    if (popTabId) {
+        const tab = await new Promise(resolve => chrome.tabs.get(popTabId, (t) => {
+            void chrome.runtime.lastError;
+            resolve(t || null);
+        }));
+        if (tab && (tab.url || '').startsWith(`https://${host}/`)) return tab;
+    }
+    return null;
+}
+
+// Why the tab is busy, or '' when a pop may take it over. Uses the
+// content script's last pageBusy report when it has sent one, and
+// asks the page otherwise. A tab that cannot be checked —
+// discarded, or showing a page the extension cannot script — has
+// no work to lose.
+async function tabBusyReason(tab, profile) {
+    if (tab.discarded) return '';
+    if (readyTabs.has(tab.id)) return busyTabs.get(tab.id) || '';
+    try {
+        const status = await runInPage(tab.id, { type: 'status', profile }, pageStatus, ['', profile]);
+        return (status && status.busy) || '';
+    } catch (err) {
+        return '';
+    }
+}
+
+// Brings the busy tab forward with the prompt in it. Resolves with
+// the agent's choice, or null when the tab has no content script.
+async function askCallerWaiting(tab, reason, pop) {
+    if (!(await waitForPage(tab.id))) return null;
+    await focusPopTab(tab, '');
+    log(`[FieldRoutes] PestRoutes tab is busy (${reason}) — asking the agent`);
+    return sendToPage(tab.id, {
+        type:       'callerWaiting',
+        phone:      formatPhoneNumber(pop.phone),
+        name:       callerName(pop.caller || {}),
+        customerID: pop.customerID,
+        reason
+    }).catch(() => null);
+}
+
+async function focusPopTab(tab, detail) {
+    await chrome.windows.update(tab.windowId, { focused: true });
+    await chrome.tabs.update(tab.id, { active: true });
+    return { tab, detail };
+}
+
+// Opens a PestRoutes tab and waits for it to load. A pinned tab is
+// remembered as the screen-pop tab. Throws when the tab does not
+// load within TAB_LOAD_TIMEOUT_MS, which the caller reports as no_tab.
+async function openPopTab(host, pinned, detail) {
+    const tab = await chrome.tabs.create({ url: `https://${host}`, active: true, pinned });
+    if (pinned) await storageSet({ popTabId: tab.id });
+    if (!(await waitForTabLoad(tab.id, TAB_LOAD_TIMEOUT_MS))) {
+        throw new Error(`PestRoutes tab did not load within ${TAB_LOAD_TIMEOUT_MS / 1000} s`);
+    }
+    return { tab, detail };
+}
@@ -0,0 +1,113 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Test Pop
+// ============================================================
+// The options page's "Send Test Pop" button. The background
+// script asks the middleware (POST /test-pop) to send a synthetic
+// openCustomer to this agent's own group, then traces that pop
+// through every step and keeps the trace in storage under
+// 'testPop', where the options page reads it as steps finish.
+//
+// Test pops are not added to the history and not acknowledged.
+// ============================================================
+
+const TEST_POP_KEY        = 'testPop';
+const TEST_POP_TIMEOUT_MS = 10000;   // how long to wait for the event to come back over SSE
+
+const TEST_POP_STEPS = [
+    { id: 'request',   label: 'Middleware accepted the test pop' },
+    { id: 'sse',       label: 'Event received over SSE' },
+    { id: 'tab',       label: 'PestRoutes tab found or opened' },
+    { id: 'url',       label: 'Customer card opened by ID' },
+    { id: 'searchBox', label: 'Customer search box found' },
+    { id: 'result',    label: 'Autocomplete result clicked' }
+];
+
+// { testId, startedAt, customerID, phone, done, steps: [{ id, label, status, detail }] }
+//   status — 'pending' | 'pass' | 'fail' | 'skip'
+let testPop      = null;
+let testPopTimer = null;
+
+function saveTestPop() {
+    return storageSet({ [TEST_POP_KEY]: testPop });
+}
+
+// Matches handleOpenCustomer's trace(step, ok, detail). ok null
+// means the step did not apply; step 'error' fails whichever
+// step was still in progress.
+function setTestStep(id, ok, detail = '') {
+    if (!testPop) return;
+    const step = id === 'error'
+        ? testPop.steps.find(s => s.status === 'pending')
+        : testPop.steps.find(s => s.id === id);
+    if (!step) return;
+
+    step.status = ok === null ? 'skip' : (ok ? 'pass' : 'fail');
+    step.detail = detail || '';
+    saveTestPop();
+}
+
+function finishTestPop() {
+    clearTimeout(testPopTimer);
+    for (const step of testPop.steps) {
+        if (step.status === 'pending') step.status = 'skip';
+    }
+    testPop.done = true;
+    saveTestPop();
+}
+
+async function sendTestPop(customerID, phone) {
+    clearTimeout(testPopTimer);
+    testPop = {
+        testId:     null,
+        startedAt:  Date.now(),
+        customerID: customerID || '',
+        phone:      phone      || '',
+        done:       false,
+        steps:      TEST_POP_STEPS.map(step => ({ ...step, status: 'pending', detail: '' }))
+    };
+    await saveTestPop();
+    log(`[FieldRoutes] Sending test pop — ID: ${testPop.customerID}, Phone: ${testPop.phone}`);
+
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/test-pop`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body:    JSON.stringify({ customerID: testPop.customerID, phone: testPop.phone })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+        testPop.testId = data.testId;
+        setTestStep('request', true, `Event id ${data.eventId}`);
+    } catch (err) {
+        setTestStep('request', false, err.message);
+        finishTestPop();
+        return;
+    }
+
+    // The event can beat the HTTP response back — only start the
+    // clock if it has not arrived yet
+    if (testPop.steps.find(s => s.id === 'sse').status !== 'pending') return;
+    testPopTimer = setTimeout(() => {
+        setTestStep('sse', false, `Nothing received within ${TEST_POP_TIMEOUT_MS / 1000} s — is the stream connected?`);
+        finishTestPop();
+    }, TEST_POP_TIMEOUT_MS);
+}
+
+// Called for an openCustomer event marked test=true
+async function runTestPop(msg) {
+    // The service worker may have been restarted since the button was pressed
+    if (!testPop) testPop = (await storageGet([TEST_POP_KEY]))[TEST_POP_KEY] || null;
+
+    if (!testPop || testPop.done || (testPop.testId && testPop.testId !== msg.testId)) {
+        log('[FieldRoutes] Ignoring a test pop this workstation did not start');
+        return;
+    }
+
+    clearTimeout(testPopTimer);
+    setTestStep('sse', true, `After ${Date.now() - testPop.startedAt} ms`);
+    await handleOpenCustomer(msg.customerID, msg.phone, {}, setTestStep);
+    finishTestPop();
+}
@@ -0,0 +1,174 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — 3CX Web Client
+// ============================================================
+// A wrong extension number sends this agent's pops to someone
+// else without any error. When the 3CX web client is open in
+// this browser (webClientAddress in storage, set on the options
+// page, which also asks for access to it) a small watcher is
+// injected into its tab that reads the signed-in extension —
+// from the selector profile's webClientExtension selectors —
+// and reports every change:
+//   webClientExtension { extension }
+//
+// The last report is kept in storage ('detectedExtension') until
+// the tab it came from navigates or closes. When it differs from
+// the configured extension the badge warns, and the popup offers
+// to use it — or, with extensionSync 'sync', it is taken over
+// straight away unless a policy sets the number.
+// ============================================================
+const WEB_CLIENT_SETTLE_MS = 500;   // how long the web client's page gets to settle after a change
+
+const webClientTabs   = new Set();   // tabs the watcher was injected into, until they navigate
+let extensionMismatch = null;        // { detected, configured } while they differ
+
+// Injected into the web client's tab. Runs in the extension's
+// isolated world there, so it can message the background script
+// and only watches once however often it is injected. The web
+// client is a single-page app, so the extension is read again
+// whenever the page changes rather than on a timer.
+function watchWebClientExtension(selectors, settleMs) {
+    if (window.fieldRoutesWebClientWatch) return;
+    window.fieldRoutesWebClientWatch = true;
+
+    let reported = '';
+    let timer    = null;
+    const read = () => {
+        for (const selector of selectors) {
+            let element = null;
+            try { element = document.querySelector(selector); } catch (err) { continue; }
+            const match = element && /\b(\d{2,10})\b/.exec(element.textContent);
+            if (match) return match[1];
+        }
+        return '';
+    };
+    const check = () => {
+        timer = null;
+        const extension = read();
+        if (!extension || extension === reported) return;
+        reported = extension;
+        chrome.runtime.sendMessage({ type: 'webClientExtension', extension }, () => void chrome.runtime.lastError);
+    };
+
+    check();
+    new MutationObserver(() => {
+        if (!timer) timer = setTimeout(check, settleMs);
+    }).observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+}
+
+// The web client's origin from the setting — a bare host means
+// https — or '' when it is not set
+function webClientOrigin(address) {
+    const text = (address || '').trim();
+    if (!text) return '';
+    try {
+        return new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`).origin;
+    } catch (err) {
+        return '';
+    }
+}
+
+async function watchWebClient(tab) {
+    if (!tab || !tab.url || webClientTabs.has(tab.id)) return;
+    const { webClientAddress, selectorProfile } = await storageGet(['webClientAddress', 'selectorProfile']);
+    const origin = webClientOrigin(webClientAddress);
+    if (!origin || !tab.url.startsWith(`${origin}/`)) return;
+    if (!await hasOrigins([originPattern(origin)])) return;   // granted when the address is saved
+
+    webClientTabs.add(tab.id);
+    try {
+        const profile = normalizeSelectorProfile(selectorProfile);
+        await executeInTab(tab.id, watchWebClientExtension, [profile.webClientExtension, WEB_CLIENT_SETTLE_MS]);
+        log(`[FieldRoutes] Watching the 3CX web client in tab ${tab.id}`);
+    } catch (err) {
+        webClientTabs.delete(tab.id);
+        console.warn(`[FieldRoutes] Could not watch the 3CX web client in tab ${tab.id}: ${err.message}`);
+    }
+}
+
+function watchOpenWebClients() {
+    chrome.tabs.query({}, (tabs) => (tabs || []).forEach(watchWebClient));
+}
+
+// A report from a watcher in a tab that is no longer the web
+// client (the address setting changed) is ignored
+async function handleWebClientExtension(extension, tab) {
+    const result  = await storageGet(['extensionNumber', 'extensionSync', 'managedSettings', 'webClientAddress']);
+    const origin  = webClientOrigin(result.webClientAddress);
+    if (!origin || !(tab.url || '').startsWith(`${origin}/`) || !/^\d{2,10}$/.test(extension)) return;
+
+    const changes = { detectedExtension: { extension, at: Date.now(), tabId: tab.id } };
+    const locked  = (result.managedSettings || []).includes('extensionNumber');
+
+    if (extension !== result.extensionNumber && result.extensionSync === 'sync' && !locked) {
+        log(`[FieldRoutes] 3CX web client signed in as ${extension} — switching from ${result.extensionNumber || 'none'}`);
+        changes.extensionNumber = extension;
+    }
+    await storageSet(changes);
+}
+
+// What a web client tab reported no longer applies once it
+// navigates or closes. If it loads the web client again, the new
+// watcher reports afresh.
+async function forgetWebClientTab(tabId) {
+    webClientTabs.delete(tabId);
+    const { detectedExtension } = await storageGet(['detectedExtension']);
+    if (detectedExtension && detectedExtension.tabId === tabId) chrome.storage.local.remove('detectedExtension');
+}
+
+// Tab ids do not survive a browser restart, so a report kept from
+// before one is dropped unless its tab is still on the web client
+async function dropStaleDetection() {
+    const { detectedExtension, webClientAddress } = await storageGet(['detectedExtension', 'webClientAddress']);
+    if (!detectedExtension) return;
+    const tab = await new Promise(resolve => chrome.tabs.get(detectedExtension.tabId, (t) => {
+        void chrome.runtime.lastError;
+        resolve(t || null);
+    }));
+    const origin = webClientOrigin(webClientAddress);
+    if (!tab || !origin || !(tab.url || '').startsWith(`${origin}/`)) chrome.storage.local.remove('detectedExtension');
+}
+
+// ============================================================
+// EXTENSION CHECK
+// ============================================================
+async function refreshExtensionCheck() {
+    const { extensionNumber, detectedExtension } = await storageGet(['extensionNumber', 'detectedExtension']);
+    const detected = detectedExtension ? detectedExtension.extension : '';
+    extensionMismatch = detected && detected !== extensionNumber
+        ? { detected, configured: extensionNumber || '' }
+        : null;
+    updateBadge();
+}
+
+// { text, color, title } for the badge while the web client and
+// the settings disagree, or null
+function extensionBadge() {
+    if (!extensionMismatch) return null;
+    const { detected, configured } = extensionMismatch;
+    return {
+        text:  'EXT?',
+        color: '#e67e22',
+        title: `3CX web client is signed in as ${detected}, but this workstation is set to ${configured || 'no extension'}`
+    };
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.status === 'loading')  forgetWebClientTab(tabId);
+    if (changeInfo.status === 'complete') watchWebClient(tab);
+});
+chrome.tabs.onRemoved.addListener(forgetWebClientTab);
+chrome.permissions.onAdded.addListener(watchOpenWebClients);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes.webClientAddress) {
+        // What another address's web client reported no longer applies
+        chrome.storage.local.remove('detectedExtension');
+        webClientTabs.clear();
+        watchOpenWebClients();
+    }
+    if (changes.extensionNumber || changes.detectedExtension) refreshExtensionCheck();
+});
+
+dropStaleDetection().then(watchOpenWebClients);
+refreshExtensionCheck();
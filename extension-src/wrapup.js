@@ -0,0 +1,117 @@
+// ============================================================
+// FieldRoutes CRM for 3CX — Call Wrap-up
+// ============================================================
+// With wrap-up on (wrapUp = true in storage, set on the options page),
+// a pop from the middleware that opens a customer record leaves
+// a wrap-up panel on that tab: disposition, free-text notes and
+// a follow-up flag. content.js draws it; saving sends it to the
+// middleware (POST /wrapup), which writes a FieldRoutes note
+// linked to the call — the SSE event id /notify gave the pop.
+//
+// A panel stays pending for its tab until it is saved or
+// skipped, and is shown again each time that tab loads a page
+// (pageReady) — opening a record by search navigates after the
+// pop has finished. Pending panels are kept in session storage
+// under 'pendingWrapUps' (see sessionGet), so they outlive a
+// suspended service worker but not the browser:
+//   { [tabId]: { entryId, eventId, customerID, phone, name, offeredAt } }
+// ============================================================
+
+const WRAP_UP_KEY    = 'pendingWrapUps';
+const WRAP_UP_TTL_MS = 60 * 60 * 1000;   // forget a panel never saved or skipped
+
+// Chained as changeHistory is, so two tabs' changes cannot
+// overwrite each other
+let wrapUpQueue = Promise.resolve();
+
+function changeWrapUps(mutate) {
+    wrapUpQueue = wrapUpQueue.then(async () => {
+        const result  = await sessionGet([WRAP_UP_KEY]);
+        const pending = result[WRAP_UP_KEY] || {};
+        mutate(pending);
+        await sessionSet({ [WRAP_UP_KEY]: pending });
+    }).catch(err => console.error('[FieldRoutes] Failed to update pending wrap-ups:', err));
+    return wrapUpQueue;
+}
+
+async function getWrapUp(tabId) {
+    await wrapUpQueue;
+    const result = await sessionGet([WRAP_UP_KEY]);
+    return (result[WRAP_UP_KEY] || {})[tabId] || null;
+}
+
+function forgetWrapUp(tabId) {
+    return changeWrapUps(pending => { delete pending[tabId]; });
+}
+
+async function offerWrapUp(tabId, entry) {
+    if (!tabId || !entry.eventId || entry.wrappedUp) return;
+    const { wrapUp } = await storageGet(['wrapUp']);
+    if (!wrapUp) return;
+
+    await changeWrapUps(pending => {
+        pending[tabId] = {
+            entryId:    entry.id,
+            eventId:    entry.eventId,
+            customerID: entry.customerID,
+            phone:      formatPhoneNumber(entry.phone),
+            name:       callerName(entry.caller || {}),
+            offeredAt:  Date.now()
+        };
+    });
+    showWrapUp(tabId);
+}
+
+// Called after a pop and on every pageReady from the tab
+async function showWrapUp(tabId) {
+    const wrapUp = await getWrapUp(tabId);
+    if (!wrapUp) return;
+    if (Date.now() - wrapUp.offeredAt > WRAP_UP_TTL_MS) {
+        forgetWrapUp(tabId);
+        return;
+    }
+    waitForPage(tabId)
+        .then(ready => ready && sendToPage(tabId, { type: 'wrapUp', ...wrapUp }))
+        .catch(err => log('[FieldRoutes] Wrap-up panel not shown:', err.message));
+}
+
+// The panel's Save. form is { disposition, notes, followUp, customerID };
+// customerID is the record on screen, used when the pop had only a
+// phone number. Resolves with { ok, detail } for the panel to show.
+async function submitWrapUp(tabId, form) {
+    const wrapUp = await getWrapUp(tabId);
+    if (!wrapUp) return { ok: false, detail: 'This wrap-up was already saved or skipped' };
+
+    try {
+        const base     = serverBaseUrl(serverAddress);
+        const token    = await getSseToken(base);
+        const response = await fetch(`${base}/wrapup`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body:    JSON.stringify({
+                eventId:     wrapUp.eventId,
+                disposition: form.disposition || '',
+                notes:       form.notes       || '',
+                followUp:    !!form.followUp,
+                customerID:  form.customerID  || ''
+            })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.detail || data.error || `HTTP ${response.status}`);
+
+        await forgetWrapUp(tabId);
+        await updateHistoryEntry(wrapUp.entryId, { wrappedUp: true });
+        log(`[FieldRoutes] Wrap-up saved for event ${wrapUp.eventId}${data.noteID ? ` — note ${data.noteID}` : ''}`);
+        return { ok: true, detail: data.noteID ? `Saved as FieldRoutes note ${data.noteID}` : 'Saved to FieldRoutes' };
+    } catch (err) {
+        console.warn(`[FieldRoutes] Wrap-up for event ${wrapUp.eventId} failed:`, err.message);
+        return { ok: false, detail: err.message };
+    }
+}
+
+async function skipWrapUp(tabId) {
+    const wrapUp = await getWrapUp(tabId);
+    if (!wrapUp) return;
+    await forgetWrapUp(tabId);
+    updateHistoryEntry(wrapUp.entryId, { wrappedUp: true });
+}
@@ -13,6 +13,8 @@
 # The server restarts automatically after saving.
 # ==============================================================================
 
+$ServerVersion = '3.0.0'   # reported by /health and shown in the extension popup
+
 # ==============================================================================
 # PATHS
 # ==============================================================================
@@ -29,6 +31,9 @@ $ConfigPath  = Join-Path $DataRoot  'config.json'
 $CertsDir    = Join-Path $DataRoot  'certs'
 $LogDir      = Join-Path $DataRoot  'logs'
 $CallCsvPath = Join-Path $LogDir    'calls.csv'
+$CallOutcomesPath = Join-Path $LogDir 'call-outcomes.csv'
+$AgentsPath  = Join-Path $DataRoot  'agents.json'
+$SelectorsPath = Join-Path $DataRoot 'selectors.json'
 
 foreach ($dir in @($DataRoot, $CertsDir, $LogDir)) {
     if (-not (Test-Path $dir)) { New-Item -ItemType Directory -Path $dir -Force | Out-Null }
@@ -76,17 +81,706 @@ function Write-Log {
         Remove-Item -Force -ErrorAction SilentlyContinue
 }
 
+# calls.csv has one row per call. /notify writes the row when it dispatches the
+# pop. The extension's acknowledgement (POST /ack) later says what happened on
+# the workstation — Outcome, Method, Detail, DurationMs — and that is appended
+# to call-outcomes.csv against the EventId instead of rewriting calls.csv, which
+# grows every day: /notify and /ack never read or rewrite the log. The /calls
+# page and /calls.csv put the two back together (Get-CallLogLines).
+# The last $CallIndexHours hours of calls are also kept in memory by EventId
+# for /ack and /wrapup (see Get-CallRecord).
+# CallId is 3CX's own ID for the call, when /notify or /call was given one.
+# Outcomes: OPENED, MULTIPLE_MATCHES (picker dismissed), NO_RESULTS, NO_SEARCH_BOX,
+# NO_TAB, NOT_CONFIGURED (site or permission missing), SCRIPT_ERROR, DISMISSED
+# (notification dismissed without opening).
+$AckOutcomes    = @('OPENED', 'MULTIPLE_MATCHES', 'NO_RESULTS', 'NO_SEARCH_BOX', 'NO_TAB',
+                    'NOT_CONFIGURED', 'SCRIPT_ERROR', 'DISMISSED')
+$CallCsvColumns = @('Timestamp', 'CustomerID', 'Phone', 'Agent', 'ExtensionConnected', 'Result', 'EventId',
+                    'Outcome', 'Method', 'Detail', 'DurationMs', 'CallId')
+$CallCsvHeader  = '"' + ($CallCsvColumns -join '","') + '"'
+$CallOutcomesHeader = '"Timestamp","EventId","Outcome","Method","Detail","DurationMs"'
+$CallIndexHours = 24   # acknowledgements come within seconds, wrap-ups within the hour
+
+# Creates both files, or extends the header of a log from before acknowledgements
+# or call IDs in place — the old rows simply have the new columns empty. Runs
+# once at startup.
+function Initialize-CallCsv {
+    if (-not (Test-Path $CallCsvPath)) {
+        $CallCsvHeader | Out-File -FilePath $CallCsvPath -Encoding utf8
+    } elseif ((Get-Content $CallCsvPath -TotalCount 1 -Encoding utf8) -ne $CallCsvHeader) {
+        $lines    = @(Get-Content $CallCsvPath -Encoding utf8)
+        $lines[0] = $CallCsvHeader
+        $lines | Out-File -FilePath $CallCsvPath -Encoding utf8
+    }
+    if (-not (Test-Path $CallOutcomesPath)) {
+        $CallOutcomesHeader | Out-File -FilePath $CallOutcomesPath -Encoding utf8
+    }
+}
+
+function ConvertTo-CallCsvRow ([string[]]$Values) {
+    # Cells are split on '","' when read back, so no quotes or line breaks inside
+    $clean = $Values | ForEach-Object { "$_" -replace '"', "'" -replace '[\r\n]+', ' ' }
+    return '"' + ($clean -join '","') + '"'
+}
+
+function ConvertFrom-CallCsvRow ([string]$Line) {
+    return @(($Line -split '","') | ForEach-Object { $_ -replace '"','' })
+}
+
+# Adds a calls.csv row to the in-memory index and drops the rows that have
+# aged out of it. Call inside Lock-PodeObject.
+function Add-CallIndexEntry ([string[]]$Cells) {
+    $index  = Get-PodeState -Name 'CallIndex'
+    $record = [ordered]@{}
+    for ($c = 0; $c -lt $CallCsvColumns.Count; $c++) { $record[$CallCsvColumns[$c]] = "$($Cells[$c])" }
+    $index[$record.EventId] = [pscustomobject]$record
+
+    $cutoff = (Get-Date).AddHours(-$CallIndexHours).ToString('yyyy-MM-dd HH:mm:ss')
+    foreach ($id in @($index.Keys)) {
+        if ($index[$id].Timestamp -lt $cutoff) { $index.Remove($id) }
+    }
+}
+
+# Copies a call-outcomes.csv row onto an index record
+function Set-RecordOutcome ($Record, [string[]]$Cells) {
+    $Record.Outcome    = $Cells[2]
+    $Record.Method     = $Cells[3]
+    $Record.Detail     = $Cells[4]
+    $Record.DurationMs = $Cells[5]
+}
+
+# Loads the last $CallIndexHours hours of calls.csv, with their outcomes, into
+# the index. Runs once at startup, after Initialize-CallCsv.
+function Initialize-CallIndex {
+    $cutoff = (Get-Date).AddHours(-$CallIndexHours).ToString('yyyy-MM-dd HH:mm:ss')
+    Lock-PodeObject -ScriptBlock {
+        foreach ($line in Get-Content $CallCsvPath -Encoding utf8 | Select-Object -Skip 1) {
+            $cells = ConvertFrom-CallCsvRow $line
+            if ($cells.Count -ge 7 -and $cells[6] -and $cells[0] -ge $cutoff) { Add-CallIndexEntry $cells }
+        }
+        $index = Get-PodeState -Name 'CallIndex'
+        foreach ($line in Get-Content $CallOutcomesPath -Encoding utf8 | Select-Object -Skip 1) {
+            $cells = ConvertFrom-CallCsvRow $line
+            if ($cells.Count -ge 6 -and $cells[1] -and $index.ContainsKey($cells[1])) {
+                Set-RecordOutcome $index[$cells[1]] $cells
+            }
+        }
+    }
+}
+
 function Write-CallCsv {
     param([string]$CustomerID, [string]$Phone, [string]$Agent,
-          [bool]$ExtConnected, [string]$Result)
-    if (-not (Test-Path $CallCsvPath)) {
-        '"Timestamp","CustomerID","Phone","Agent","ExtensionConnected","Result"' |
-            Out-File -FilePath $CallCsvPath -Encoding utf8
+          [bool]$ExtConnected, [string]$Result, [string]$EventId = '', [string]$CallId = '')
+    $ts    = Get-Date -Format 'yyyy-MM-dd HH:mm:ss'
+    $cells = @($ts, $CustomerID, $Phone, $Agent,
+               ($ExtConnected ? 'YES' : 'NO'), $Result, $EventId, '', '', '', '', $CallId)
+    $row   = ConvertTo-CallCsvRow $cells
+    Lock-PodeObject -ScriptBlock {
+        $row | Out-File -FilePath $CallCsvPath -Append -Encoding utf8
+        if ($EventId) { Add-CallIndexEntry $cells }
+    }
+}
+
+# Records the outcome of the call dispatched with EventId in call-outcomes.csv.
+# Returns $false if no such call is in the index.
+function Set-CallOutcome {
+    param([string]$EventId, [string]$Outcome, [string]$Method,
+          [string]$Detail, [string]$DurationMs)
+    return Lock-PodeObject -Return -ScriptBlock {
+        $record = $EventId ? (Get-PodeState -Name 'CallIndex')[$EventId] : $null
+        if (-not $record) { return $false }
+        $cells = @((Get-Date -Format 'yyyy-MM-dd HH:mm:ss'), $EventId, $Outcome, $Method, $Detail, $DurationMs)
+        ConvertTo-CallCsvRow $cells | Out-File -FilePath $CallOutcomesPath -Append -Encoding utf8
+        Set-RecordOutcome $record $cells
+        return $true
+    }
+}
+
+# The call dispatched with EventId, as an object with one property per calls.csv
+# column, or $null if there is no such call in the last $CallIndexHours hours.
+function Get-CallRecord ([string]$EventId) {
+    if (-not $EventId) { return $null }
+    return Lock-PodeObject -Return -ScriptBlock {
+        return (Get-PodeState -Name 'CallIndex')[$EventId]
+    }
+}
+
+# calls.csv with each row's outcome from call-outcomes.csv filled in, as lines —
+# for the /calls page and the download, which may read the whole log
+function Get-CallLogLines {
+    $lines    = @(Get-Content $CallCsvPath -Encoding utf8)
+    $outcomes = @{}
+    foreach ($line in Get-Content $CallOutcomesPath -Encoding utf8 -ErrorAction SilentlyContinue | Select-Object -Skip 1) {
+        $cells = ConvertFrom-CallCsvRow $line
+        if ($cells.Count -ge 6 -and $cells[1]) { $outcomes[$cells[1]] = $cells }
+    }
+    if (-not $outcomes.Count) { return $lines }
+
+    return @($lines[0]) + @($lines | Select-Object -Skip 1 | ForEach-Object {
+        $cells   = ConvertFrom-CallCsvRow $_
+        $outcome = ($cells.Count -ge 7 -and $cells[6]) ? $outcomes[$cells[6]] : $null
+        if (-not $outcome) { return $_ }
+        $cells = @($cells) + @('') * [Math]::Max(0, $CallCsvColumns.Count - $cells.Count)
+        $cells[7] = $outcome[2]; $cells[8] = $outcome[3]; $cells[9] = $outcome[4]; $cells[10] = $outcome[5]
+        ConvertTo-CallCsvRow $cells
+    })
+}
+
+# ==============================================================================
+# SSE TOKENS
+# The extension trades the shared secret (sent in a header, never in a URL) for
+# a short-lived token at POST /token and opens /sse with the token instead.
+# Token format:  base64url({"agent":"101","exp":<unix seconds>}) . base64url(HMAC)
+# The HMAC key is TokenKey, a random key generated at first start that never
+# leaves the server — every workstation has the shared secret and could sign
+# its own tokens with it. Saving a new shared secret generates a new TokenKey,
+# so changing the secret still revokes every token.
+# Tokens issued to a paired workstation also carry its credential ID ("cid") so
+# they are refused as soon as that credential is revoked, and its "role" — only
+# a supervisor token opens /supervisor/sse. With RequireAgentCredentials on, a
+# token without a cid (issued for the shared secret) is refused too.
+# ==============================================================================
+function ConvertTo-Base64Url ([byte[]]$Bytes) {
+    return [Convert]::ToBase64String($Bytes).TrimEnd('=').Replace('+', '-').Replace('/', '_')
+}
+
+function ConvertFrom-Base64Url ([string]$Text) {
+    $b64 = $Text.Replace('-', '+').Replace('_', '/')
+    switch ($b64.Length % 4) { 2 { $b64 += '==' } 3 { $b64 += '=' } }
+    return [Convert]::FromBase64String($b64)
+}
+
+function Test-SecretEqual ([string]$A, [string]$B) {
+    # Constant-time comparison so response timing does not leak the secret
+    if ([string]::IsNullOrEmpty($A) -or [string]::IsNullOrEmpty($B)) { return $false }
+    return [System.Security.Cryptography.CryptographicOperations]::FixedTimeEquals(
+        [System.Text.Encoding]::UTF8.GetBytes($A), [System.Text.Encoding]::UTF8.GetBytes($B))
+}
+
+function Get-TokenSignature ([string]$Body, [string]$Key) {
+    $hmac = [System.Security.Cryptography.HMACSHA256]::new([System.Text.Encoding]::UTF8.GetBytes($Key))
+    try {
+        return ConvertTo-Base64Url $hmac.ComputeHash([System.Text.Encoding]::UTF8.GetBytes($Body))
+    } finally {
+        $hmac.Dispose()
+    }
+}
+
+function New-SseToken {
+    param([string]$Agent, [string]$Key, [int]$LifetimeMinutes, [string]$CredentialId = '', [string]$Role = 'agent')
+    $exp    = [DateTimeOffset]::UtcNow.AddMinutes($LifetimeMinutes).ToUnixTimeSeconds()
+    $claims = @{ agent = $Agent; cid = $CredentialId; role = $Role; exp = $exp } | ConvertTo-Json -Compress
+    $body   = ConvertTo-Base64Url ([System.Text.Encoding]::UTF8.GetBytes($claims))
+    return @{ token = "$body.$(Get-TokenSignature $body $Key)"; expiresAt = $exp }
+}
+
+# Returns the token's claims (agent, cid, role, exp), or $null if it is malformed,
+# tampered with or expired.
+function Get-SseTokenClaims {
+    param([string]$Token, [string]$Key)
+    $parts = "$Token".Split('.')
+    if ($parts.Count -ne 2) { return $null }
+    if (-not (Test-SecretEqual $parts[1] (Get-TokenSignature $parts[0] $Key))) { return $null }
+    try {
+        $claims = [System.Text.Encoding]::UTF8.GetString((ConvertFrom-Base64Url $parts[0])) | ConvertFrom-Json
+    } catch {
+        return $null
+    }
+    if ([long]$claims.exp -lt [DateTimeOffset]::UtcNow.ToUnixTimeSeconds()) { return $null }
+    return $claims
+}
+
+# Why a token with valid claims no longer gets its agent in, or '' if it does:
+# a shared-secret token once paired workstations are required, or a credential
+# that has been revoked since the token was issued.
+function Get-TokenRefusal ($Claims, $Config) {
+    if (-not $Claims.cid) {
+        return $Config.RequireAgentCredentials ? 'issued for the shared secret, pairing required' : ''
+    }
+    $record = Read-Agents | Where-Object { $_.Id -eq $Claims.cid } | Select-Object -First 1
+    if (-not $record -or $record.Status -ne 'approved') { return "credential $($Claims.cid) revoked" }
+    return ''
+}
+
+# Claims of the "Authorization: Bearer <token>" header on the current request,
+# for the routes the extension calls once it has a token (/ack, /test-pop), or
+# $null if the token is invalid, expired or refused (see Get-TokenRefusal).
+function Get-BearerClaims {
+    $auth = Get-PodeHeader -Name 'Authorization'
+    if ($auth -notmatch '^Bearer\s+(\S+)$') { return $null }
+    $token  = $Matches[1]
+    $cfg    = Read-Config
+    $claims = Get-SseTokenClaims -Token $token -Key $cfg.TokenKey
+    if (-not $claims) { return $null }
+    $refusal = Get-TokenRefusal $claims $cfg
+    if ($refusal) {
+        Write-Log WARN "Token for agent '$($claims.agent)' refused — $refusal"
+        return $null
+    }
+    return $claims
+}
+
+# ==============================================================================
+# AGENT CREDENTIALS
+# Per-workstation enrollment, stored in agents.json next to config.json:
+#   1. The popup calls POST /enroll with its extension number. The server
+#      creates a random credential ("<id>.<secret>") bound to that extension,
+#      returns it with a short pairing code, and keeps only a SHA-256 hash.
+#   2. The operator reads the pairing code to an admin, who approves it on
+#      /agents. Until then the credential cannot get a token.
+#   3. The extension sends the credential in the X-Agent-Credential header to
+#      POST /token. Revoking it on /agents stops new tokens, refuses tokens
+#      already issued, and drops that extension's open SSE connection.
+# A workstation can ask to pair as a supervisor. Approving that request gives it
+# the supervisor board (see SUPERVISOR BOARD) on top of its own screen pops.
+# Record: Id, Agent, Label, Role, SecretHash, PairingCode, Status, RequestedAt,
+#         ApprovedAt, LastSeen, Source — Status is pending|approved|revoked,
+#         Role is agent|supervisor (records from before roles have none: agent).
+# ==============================================================================
+function Read-Agents {
+    if (-not (Test-Path $AgentsPath)) { return @() }
+    try {
+        return @(Get-Content $AgentsPath -Raw -Encoding utf8 | ConvertFrom-Json)
+    } catch {
+        Write-Log ERROR "Could not read agents.json: $_"
+        return @()
+    }
+}
+
+function Save-Agents ($Agents) {
+    ConvertTo-Json -InputObject @($Agents) -Depth 4 | Set-Content $AgentsPath -Encoding utf8
+}
+
+function Get-Sha256Hex ([string]$Text) {
+    $sha = [System.Security.Cryptography.SHA256]::Create()
+    try {
+        return [Convert]::ToHexString($sha.ComputeHash([System.Text.Encoding]::UTF8.GetBytes($Text)))
+    } finally {
+        $sha.Dispose()
+    }
+}
+
+function New-RandomString ([int]$Bytes = 32) {
+    return ConvertTo-Base64Url ([System.Security.Cryptography.RandomNumberGenerator]::GetBytes($Bytes))
+}
+
+function New-PairingCode {
+    # No 0/O or 1/I/L so the code can be read out over the phone
+    $alphabet = '23456789ABCDEFGHJKMNPQRSTUVWXYZ'
+    $chars    = 1..6 | ForEach-Object { $alphabet[[System.Security.Cryptography.RandomNumberGenerator]::GetInt32($alphabet.Length)] }
+    return (-join $chars[0..2]) + '-' + (-join $chars[3..5])
+}
+
+# Looks up an "<id>.<secret>" credential. Returns the record whatever its
+# status, or $null if the ID is unknown or the secret does not match.
+function Find-AgentCredential ([string]$Credential) {
+    $parts = "$Credential".Split('.', 2)
+    if ($parts.Count -ne 2) { return $null }
+    $record = Read-Agents | Where-Object { $_.Id -eq $parts[0] } | Select-Object -First 1
+    if (-not $record) { return $null }
+    if (-not (Test-SecretEqual (Get-Sha256Hex $parts[1]) $record.SecretHash)) { return $null }
+    return $record
+}
+
+function Get-AgentRole ($Record) {
+    return ($Record -and $Record.Role -eq 'supervisor') ? 'supervisor' : 'agent'
+}
+
+function Update-AgentRecord ([string]$Id, [scriptblock]$Change) {
+    Lock-PodeObject -ScriptBlock {
+        $agents = Read-Agents
+        $record = $agents | Where-Object { $_.Id -eq $Id } | Select-Object -First 1
+        if ($record) {
+            & $Change $record
+            Save-Agents $agents
+        }
+    }
+}
+
+# ==============================================================================
+# ADMIN ACCESS
+# /agents approves the credentials above and /settings holds the shared secret,
+# so both answer requests from this machine, and from anywhere else only with
+# the Admin Key set on /settings. The browser asks for it as the password of an
+# HTTP Basic sign-in; the user name is not checked. Without an Admin Key they
+# are reachable from this machine only.
+# ==============================================================================
+function Test-AdminRequest {
+    $address = $WebEvent.Request.RemoteEndPoint.Address
+    if ([System.Net.IPAddress]::IsLoopback($address)) { return $true }
+
+    $key  = (Read-Config).AdminKey
+    $auth = Get-PodeHeader -Name 'Authorization'
+    if ($key -and $auth -match '^Basic\s+(\S+)$') {
+        try {
+            $password = ([System.Text.Encoding]::UTF8.GetString([Convert]::FromBase64String($Matches[1])) -split ':', 2)[1]
+            if (Test-SecretEqual $password $key) { return $true }
+        } catch {
+            # Not base64 — refused below like a wrong key
+        }
+    }
+    Write-Log WARN "Admin page $($WebEvent.Path) refused for $address"
+    Set-PodeHeader -Name 'WWW-Authenticate' -Value 'Basic realm="FieldRoutes CRM for 3CX admin"'
+    Set-PodeResponseStatus -Code 401
+    Write-PodeTextResponse -Value ($key ? 'Admin Key required' : 'Open this page on the middleware server, or set an Admin Key there')
+    return $false
+}
+
+# ==============================================================================
+# SSE EVENT BUFFER
+# Send-PodeSseEvent does not buffer: an event sent while an extension is between
+# connections is lost. Every event for an agent therefore gets an increasing id
+# and is kept for a short while. When the extension reconnects it sends the id
+# of the last event it received as Last-Event-ID and /sse replays the rest.
+# Ids start from the Unix time in ms at startup, so they keep increasing across
+# restarts and an id from before a restart never matches the new buffer.
+# ==============================================================================
+$EventBufferSeconds = 60    # replay nothing older — a pop for a call long over is noise
+$EventBufferSize    = 20    # per agent
+
+function Send-AgentEvent {
+    param([string]$Agent, [string]$EventType, [string]$Data)
+    $id = Lock-PodeObject -Return -ScriptBlock {
+        $buffer = Get-PodeState -Name 'EventBuffer'
+        $buffer.NextId++
+        $cutoff = (Get-Date).AddSeconds(-$EventBufferSeconds)
+        $events = @($buffer.Agents[$Agent] | Where-Object { $_ -and $_.Time -gt $cutoff }) +
+                  [pscustomobject]@{ Id = $buffer.NextId; Type = $EventType; Data = $Data; Time = Get-Date }
+        $buffer.Agents[$Agent] = @($events | Select-Object -Last $EventBufferSize)
+        return $buffer.NextId
+    }
+    Send-PodeSseEvent -Name 'Operators' -Group $Agent -Id "$id" -EventType $EventType -Data $Data
+    return $id
+}
+
+# Replays buffered events newer than LastEventId down the connection that is
+# handling the current request. Returns how many were sent.
+function Send-MissedEvents {
+    param([string]$Agent, [string]$LastEventId)
+    $after = 0L
+    if (-not [long]::TryParse($LastEventId, [ref]$after)) { return 0 }
+    $cutoff = (Get-Date).AddSeconds(-$EventBufferSeconds)
+    $missed = @(Lock-PodeObject -Return -ScriptBlock {
+        @((Get-PodeState -Name 'EventBuffer').Agents[$Agent] | Where-Object { $_ -and $_.Id -gt $after -and $_.Time -gt $cutoff })
+    })
+    foreach ($evt in $missed) {
+        Send-PodeSseEvent -FromEvent -Id "$($evt.Id)" -EventType $evt.Type -Data $evt.Data
+    }
+    return $missed.Count
+}
+
+# ==============================================================================
+# SSE CONNECTION REGISTRY
+# Pode does not list who is connected, so /sse records each connection here
+# (keyed by client ID) and Get-SseConnections drops the ones Pode no longer
+# has — the extension closed, reconnected or was revoked.
+# ==============================================================================
+function Register-SseConnection {
+    param([string]$Agent, [string]$ClientId, [string]$Source)
+    Lock-PodeObject -ScriptBlock {
+        (Get-PodeState -Name 'Connections')[$ClientId] = [pscustomobject]@{
+            Agent       = $Agent
+            ClientId    = $ClientId
+            Source      = $Source
+            ConnectedAt = (Get-Date -Format 'yyyy-MM-dd HH:mm:ss')
+        }
+    }
+}
+
+function Get-SseConnections {
+    return @(Lock-PodeObject -Return -ScriptBlock {
+        $connections = Get-PodeState -Name 'Connections'
+        foreach ($id in @($connections.Keys)) {
+            if (-not (Test-PodeSseClientId -Name 'Operators' -ClientId $id)) { $connections.Remove($id) }
+        }
+        @($connections.Values | Sort-Object Agent, ConnectedAt)
+    })
+}
+
+# ==============================================================================
+# CALL STATE
+# 3CX reports call progress to GET /call/<state>. Each state is sent to the agent
+# as an SSE event of its own, carrying 3CX's call ID, and the extension follows
+# the call from them. Calls are remembered by call ID for a while so that a later
+# event carrying only the ID — a transfer, typically — still knows who is calling.
+# ==============================================================================
+$CallStateEvents = [ordered]@{
+    ringing     = 'callRinging'
+    answered    = 'callAnswered'
+    hold        = 'callHeld'
+    transferred = 'callTransferred'
+    ended       = 'callEnded'
+}
+$CallerFields    = @('firstName', 'lastName', 'companyName', 'email', 'address', 'city', 'balance')
+$CallMemoryHours = 12
+
+# Merges the non-empty Fields into what is known about CallId and returns a copy.
+function Update-CallMemory ([string]$CallId, [hashtable]$Fields) {
+    return Lock-PodeObject -Return -ScriptBlock {
+        $calls  = Get-PodeState -Name 'Calls'
+        $cutoff = (Get-Date).AddHours(-$CallMemoryHours)
+        foreach ($id in @($calls.Keys)) {
+            if ($calls[$id].Time -lt $cutoff) { $calls.Remove($id) }
+        }
+        $call = $calls[$CallId] ?? @{}
+        foreach ($key in $Fields.Keys) {
+            if ("$($Fields[$key])") { $call[$key] = "$($Fields[$key])" }
+        }
+        $call.Time      = Get-Date
+        $calls[$CallId] = $call
+        return $call.Clone()
+    }
+}
+
+# ==============================================================================
+# SUPERVISOR BOARD
+# One row per agent: the call they are on, who is calling, the customer it
+# popped and what the pop did on their workstation. /notify, /call and /ack
+# update the row, and every change goes to the 'Supervisors' SSE group as a
+# boardUpdate event. /supervisor/sse sends the whole board when it connects.
+# Row: agent, connected, callId, state (ringing|answered|hold|transferred|ended),
+#      phone, customerID, the $CallerFields, eventId, outcome, method, and the
+#      times startedAt, answeredAt, endedAt — Unix ms, '' until they happen.
+# A row for a different call starts afresh; rows idle for $CallMemoryHours go.
+# ==============================================================================
+function Get-UnixMs {
+    return [DateTimeOffset]::UtcNow.ToUnixTimeMilliseconds()
+}
+
+# Applies Fields to the agent's row and sends the result to supervisors.
+#   -NewCall  the fields describe a call; unless it is the call the row already
+#             shows, the row is cleared first
+#   -EventId  only update the row if it still shows the pop with this event id
+function Update-BoardRow {
+    param([string]$Agent, [hashtable]$Fields, [switch]$NewCall, [string]$EventId = '')
+    if (-not $Agent) { return }
+    $row = Lock-PodeObject -Return -ScriptBlock {
+        $board = Get-PodeState -Name 'Board'
+        $row   = $board[$Agent]
+        if ($EventId -and (-not $row -or $row.eventId -ne $EventId)) { return $null }
+        if (-not $row -or ($NewCall -and (-not $Fields.callId -or $Fields.callId -ne $row.callId))) {
+            $row = @{ agent = $Agent; callId = ''; state = ''; phone = ''; customerID = ''
+                      eventId = ''; outcome = ''; method = ''; startedAt = ''; answeredAt = ''; endedAt = '' }
+            foreach ($field in $CallerFields) { $row[$field] = '' }
+            if ($NewCall) { $row.startedAt = Get-UnixMs }
+        }
+        foreach ($key in $Fields.Keys) { $row[$key] = "$($Fields[$key])" }
+        if ($row.state -in 'answered', 'hold' -and -not $row.answeredAt) { $row.answeredAt = Get-UnixMs }
+        if ($row.state -in 'transferred', 'ended' -and -not $row.endedAt) { $row.endedAt = Get-UnixMs }
+        $row.updatedAt = Get-Date
+        $board[$Agent] = $row
+        return $row.Clone()
+    }
+    if (-not $row) { return }
+    Send-SupervisorEvent -EventType 'boardUpdate' -Data @{ row = (ConvertTo-BoardRow $row); serverTime = Get-UnixMs }
+}
+
+# The row as sent to supervisors, with whether the agent is connected now
+function ConvertTo-BoardRow ($Row, $Connected = $null) {
+    $out = @{}
+    foreach ($key in $Row.Keys) { if ($key -ne 'updatedAt') { $out[$key] = $Row[$key] } }
+    $out.connected = $Connected ?? (@(Get-SseConnections).Agent -contains $Row.agent)
+    return $out
+}
+
+# Every row, plus an empty one for each connected agent who has had no call
+function Get-BoardRows {
+    $rows = @(Lock-PodeObject -Return -ScriptBlock {
+        $board  = Get-PodeState -Name 'Board'
+        $cutoff = (Get-Date).AddHours(-$CallMemoryHours)
+        foreach ($agent in @($board.Keys)) {
+            if ($board[$agent].updatedAt -lt $cutoff) { $board.Remove($agent) }
+        }
+        @($board.Values | ForEach-Object { $_.Clone() })
+    })
+    $connected = @(Get-SseConnections).Agent
+    $result    = @($rows | ForEach-Object { ConvertTo-BoardRow $_ ($connected -contains $_.agent) })
+    foreach ($agent in ($connected | Sort-Object -Unique)) {
+        if ($rows.agent -notcontains $agent) { $result += @{ agent = $agent; connected = $true; state = '' } }
+    }
+    return @($result | Sort-Object { $_.agent })
+}
+
+function Send-SupervisorEvent {
+    param([string]$EventType, [hashtable]$Data)
+    try {
+        Send-PodeSseEvent -Name 'Supervisors' -EventType $EventType -Data ($Data | ConvertTo-Json -Compress -Depth 4)
+    } catch {
+        Write-Log WARN "Could not send $EventType to supervisors: $_"
+    }
+}
+
+# ==============================================================================
+# SELECTOR PROFILE
+# What the extension looks for on PestRoutes pages. Served at /selectors.json and
+# edited on /selectors, so a PestRoutes markup change can be fixed here instead
+# of shipping a new extension. Stored in selectors.json; the defaults below match
+# the ones built into the extension (extension-src/selector-profile.js), which
+# also fills in any field missing from the served profile.
+#   searchInput, resultItem, resultLink — CSS selector lists, first match wins
+#   busyDialog                          — CSS selectors for PestRoutes dialogs; while
+#                                         one is open the tab is left alone (optional)
+#   customerCardPath                    — must contain {customerID}
+#   webClientExtension                  — CSS selectors for the signed-in extension in
+#                                         the 3CX web client (optional)
+#   pageTimeoutMs, resultsTimeoutMs, settleMs — waits on the page, 1–60000 ms
+# ==============================================================================
+$DefaultSelectorProfile = [ordered]@{
+    searchInput      = @('#customerSearch')
+    resultItem       = @('.ui-autocomplete li.ui-menu-item')
+    resultLink       = @('a', '.ui-menu-item-wrapper', 'div')
+    busyDialog       = @('dialog[open]', '[role="dialog"]', '[aria-modal="true"]', '.ui-dialog', '.modal.in', '.modal.show')
+    customerCardPath = '/customers/{customerID}'
+    webClientExtension = @('[data-qa="extension-number"]', '.extension-number', '.user-extension')
+    pageTimeoutMs    = 10000
+    resultsTimeoutMs = 5000
+    settleMs         = 300
+}
+
+function Read-SelectorProfile {
+    if (-not (Test-Path $SelectorsPath)) { return $DefaultSelectorProfile }
+    try {
+        return Get-Content $SelectorsPath -Raw -Encoding utf8 | ConvertFrom-Json
+    } catch {
+        Write-Log ERROR "Could not read selectors.json — serving defaults: $_"
+        return $DefaultSelectorProfile
+    }
+}
+
+# Returns a list of problems with a profile parsed from JSON; empty if it is usable
+function Test-SelectorProfile ($Candidate) {
+    $problems = @()
+    foreach ($key in @('searchInput', 'resultItem', 'resultLink')) {
+        $list = @($Candidate.$key)
+        if (-not $list -or ($list | Where-Object { $_ -isnot [string] -or -not $_.Trim() })) {
+            $problems += "$key must be a list of CSS selectors"
+        }
+    }
+    # Optional — profiles saved before they existed leave them out
+    foreach ($key in @('busyDialog', 'webClientExtension')) {
+        if ($null -ne $Candidate.$key -and
+            (@($Candidate.$key) | Where-Object { $_ -isnot [string] -or -not $_.Trim() })) {
+            $problems += "$key must be a list of CSS selectors"
+        }
+    }
+    if ("$($Candidate.customerCardPath)" -notmatch '^/.*\{customerID\}') {
+        $problems += 'customerCardPath must start with / and contain {customerID}'
+    }
+    foreach ($key in @('pageTimeoutMs', 'resultsTimeoutMs', 'settleMs')) {
+        $value = $Candidate.$key -as [int]
+        if (-not $value -or $value -lt 1 -or $value -gt 60000) { $problems += "$key must be between 1 and 60000" }
+    }
+    return $problems
+}
+
+# ==============================================================================
+# DIALER
+# Click-to-call from PestRoutes pages: the extension POSTs /dial and the call is
+# placed from the agent's own extension by whichever dialer DialerMode selects.
+# Each Invoke-*Dial takes the config, the agent's extension and the number, and
+# returns @{ ok; detail }.
+#   Disabled — /dial refuses every request (default)
+#   Stub     — logs the request and reports success without dialling anything;
+#              for testing the extension without touching the phone system
+#   3CX      — 3CX V20 Call Control API. Needs an API client (Admin Console →
+#              Integrations → API) with access to the agents' extensions; its
+#              OAuth token is cached until shortly before it expires.
+# ==============================================================================
+$DialerModes = @('Disabled', 'Stub', '3CX')
+
+# Digits with an optional leading +, or $null if it does not look like a number
+function ConvertTo-DialNumber ([string]$Phone) {
+    $number = ($Phone -replace '[^\d+]', '')
+    if ($number -notmatch '^\+?\d{3,20}$') { return $null }
+    return $number
+}
+
+function Invoke-StubDial ($Config, [string]$Agent, [string]$Number) {
+    Write-Log CALL "DIAL (stub) — agent=`"$Agent`" number=`"$Number`" — nothing dialled"
+    return @{ ok = $true; detail = 'Stub dialer — no call was placed' }
+}
+
+function Get-ThreeCxAccessToken ($Config) {
+    $cached = Get-PodeState -Name 'ThreeCxToken'
+    if ($cached -and $cached.Url -eq $Config.ThreeCxUrl -and $cached.Expires -gt (Get-Date)) { return $cached.Token }
+
+    $response = Invoke-RestMethod -Method Post -Uri "$($Config.ThreeCxUrl.TrimEnd('/'))/connect/token" `
+                                  -ContentType 'application/x-www-form-urlencoded' -TimeoutSec 10 -Body @{
+        client_id     = $Config.ThreeCxClientId
+        client_secret = $Config.ThreeCxClientSecret
+        grant_type    = 'client_credentials'
+    }
+    Set-PodeState -Name 'ThreeCxToken' -Value @{
+        Url     = $Config.ThreeCxUrl
+        Token   = $response.access_token
+        Expires = (Get-Date).AddSeconds([int]$response.expires_in - 60)
+    } | Out-Null
+    return $response.access_token
+}
+
+function Invoke-ThreeCxDial ($Config, [string]$Agent, [string]$Number) {
+    if (-not $Config.ThreeCxUrl -or -not $Config.ThreeCxClientId -or -not $Config.ThreeCxClientSecret) {
+        return @{ ok = $false; detail = '3CX dialer is not configured — see Settings' }
+    }
+    try {
+        $token = Get-ThreeCxAccessToken $Config
+        $uri   = "$($Config.ThreeCxUrl.TrimEnd('/'))/callcontrol/$([uri]::EscapeDataString($Agent))/makecall"
+        $result = Invoke-RestMethod -Method Post -Uri $uri -TimeoutSec 10 `
+                                    -Headers @{ Authorization = "Bearer $token" } `
+                                    -ContentType 'application/json' `
+                                    -Body (@{ destination = $Number } | ConvertTo-Json -Compress)
+        if ($result.finalstatus -and $result.finalstatus -ne 'Success') {
+            return @{ ok = $false; detail = "3CX: $($result.finalstatus) $($result.reason)".Trim() }
+        }
+        return @{ ok = $true; detail = '3CX is ringing your phone' }
+    } catch {
+        Write-Log WARN "3CX dial failed for agent '$Agent': $_"
+        return @{ ok = $false; detail = "3CX: $($_.Exception.Message)" }
+    }
+}
+
+function Invoke-Dial ([string]$Agent, [string]$Number) {
+    $cfg = Read-Config
+    switch ($cfg.DialerMode) {
+        'Stub'  { return Invoke-StubDial    $cfg $Agent $Number }
+        '3CX'   { return Invoke-ThreeCxDial $cfg $Agent $Number }
+        default { return @{ ok = $false; detail = 'Click-to-call is turned off on the middleware' } }
+    }
+}
+
+# ==============================================================================
+# FIELDROUTES NOTES
+# The extension's wrap-up panel (POST /wrapup) becomes a note on the customer
+# record, created with the same FieldRoutes call as the 3CX template's ReportCall
+# scenario (api/note/create). Uses the FieldRoutes API settings on /settings —
+# the office ID, key and token entered in the 3CX CRM template.
+# ==============================================================================
+$WrapUpNotesMaxLength = 2000
+
+function New-FieldRoutesNote {
+    param($Config, [string]$CustomerID, [string]$Text)
+    if (-not ($Config.FieldRoutesCompany -and $Config.FieldRoutesOfficeID -and
+              $Config.FieldRoutesAuthKey -and $Config.FieldRoutesAuthToken)) {
+        return @{ ok = $false; detail = 'FieldRoutes API is not configured on the middleware — see Settings' }
+    }
+    try {
+        $result = Invoke-RestMethod -Method Post -TimeoutSec 15 `
+                                    -Uri "https://$($Config.FieldRoutesCompany).fieldroutes.com/api/note/create" `
+                                    -ContentType 'application/x-www-form-urlencoded' -Body @{
+            officeID            = $Config.FieldRoutesOfficeID
+            authenticationKey   = $Config.FieldRoutesAuthKey
+            authenticationToken = $Config.FieldRoutesAuthToken
+            customerID          = $CustomerID
+            notes               = $Text
+        }
+        if ($result.success -eq $false) {
+            return @{ ok = $false; detail = "FieldRoutes: $($result.errorMessage ?? 'note was not created')" }
+        }
+        return @{ ok = $true; noteID = "$($result.noteID)"; detail = '' }
+    } catch {
+        Write-Log WARN "FieldRoutes note for customer $CustomerID failed: $_"
+        return @{ ok = $false; detail = "FieldRoutes: $($_.Exception.Message)" }
     }
-    $ts  = Get-Date -Format 'yyyy-MM-dd HH:mm:ss'
-    $row = '"' + @($ts, $CustomerID, $Phone, $Agent,
-                   ($ExtConnected ? 'YES' : 'NO'), $Result) -join '","' + '"'
-    $row | Out-File -FilePath $CallCsvPath -Append -Encoding utf8
 }
 
 # ==============================================================================
@@ -102,6 +796,8 @@ function Get-PageHtml {
     $navItems = @(
         @{ path='/calls';       label='&#x1F4DE; Call Log'    }
         @{ path='/logs';        label='&#x1F4C4; Server Log'  }
+        @{ path='/agents';      label='&#x1F465; Agents'      }
+        @{ path='/selectors';   label='&#x1F50D; Selectors'   }
         @{ path='/certificate'; label='&#x1F512; Certificate' }
         @{ path='/settings';    label='&#x2699;&#xFE0F; Settings' }
         @{ path='/health';      label='&#x2665; Health'       }
@@ -226,6 +922,7 @@ function Get-PageHtml {
     .pill-green{background:#d4edda;color:#155724}
     .pill-red{background:#f8d7da;color:#721c24}
     .pill-gray{background:#e9ecef;color:#495057}
+    .pill-blue{background:#d6e9f8;color:#1f4e79}
   </style>
 </head>
 <body>
@@ -249,22 +946,25 @@ function Get-CallTableHtml {
     if (-not (Test-Path $CallCsvPath)) {
         return '<p style="color:#999;text-align:center;padding:40px">No calls logged yet.</p>'
     }
-    $lines = Get-Content $CallCsvPath -Encoding utf8
+    $lines = Get-CallLogLines
     if ($lines.Count -lt 2) {
         return '<p style="color:#999;text-align:center;padding:40px">No calls logged yet.</p>'
     }
-    $headers = ($lines[0] -split '","') | ForEach-Object { $_ -replace '"','' }
+    $headers = ConvertFrom-CallCsvRow $lines[0]
     $rows    = $lines | Select-Object -Skip 1 | Sort-Object -Descending
 
     $tableRows = $rows | ForEach-Object {
-        $cells = ($_ -split '","') | ForEach-Object { $_ -replace '"','' }
+        $cells = ConvertFrom-CallCsvRow $_
         $tds   = for ($i = 0; $i -lt $cells.Count; $i++) {
             $cls = ''
             if ($headers[$i] -eq 'ExtensionConnected') { $cls = ($cells[$i] -eq 'YES') ? 'yes' : 'no' }
             if ($headers[$i] -eq 'Result') {
-                $cls = switch ($cells[$i]) { 'SENT' { 'yes' } 'NO_EXTENSION' { 'no' } default { 'warn' } }
+                $cls = switch ($cells[$i]) { { $_ -in 'SENT', 'DIALED', 'TRANSFERRED' } { 'yes' } { $_ -in 'NO_EXTENSION', 'DIAL_FAILED' } { 'no' } default { 'warn' } }
             }
-            "<td class=`"$cls`">$($cells[$i])</td>"
+            if ($headers[$i] -eq 'Outcome' -and $cells[$i]) {
+                $cls = switch ($cells[$i]) { 'OPENED' { 'yes' } { $_ -in 'DISMISSED', 'MULTIPLE_MATCHES' } { 'warn' } default { 'no' } }
+            }
+            "<td class=`"$cls`">$([System.Web.HttpUtility]::HtmlEncode($cells[$i]))</td>"
         }
         "<tr>$($tds -join '')</tr>"
     }
@@ -313,10 +1013,32 @@ if (-not (Get-Module -ListAvailable -Name Pode)) {
     exit 1
 }
 
+# Tokens are signed with a key only this server knows (see SSE TOKENS), and
+# 3CX's /call URLs carry a key of their own rather than the shared secret
+if (-not $cfg.TokenKey -or -not $cfg.IntegrationKey) {
+    if (-not $cfg.TokenKey)       { $cfg.TokenKey       = New-RandomString 32 }
+    if (-not $cfg.IntegrationKey) { $cfg.IntegrationKey = New-RandomString 24 }
+    Save-Config $cfg
+    Write-Log INFO 'Generated the token signing key and 3CX integration key'
+}
+
+Initialize-CallCsv
+
 Start-PodeServer -Threads 4 {
 
     $cfg = Read-Config
 
+    Set-PodeState -Name 'EventBuffer' -Value @{
+        NextId = [DateTimeOffset]::UtcNow.ToUnixTimeMilliseconds()
+        Agents = @{}
+    } | Out-Null
+    Set-PodeState -Name 'Connections' -Value @{} | Out-Null
+    Set-PodeState -Name 'ThreeCxToken' -Value $null | Out-Null
+    Set-PodeState -Name 'Calls' -Value @{} | Out-Null
+    Set-PodeState -Name 'Board' -Value @{} | Out-Null
+    Set-PodeState -Name 'CallIndex' -Value @{} | Out-Null
+    Initialize-CallIndex
+
     # ------------------------------------------------------------------
     # ENDPOINT — HTTP or HTTPS depending on config
     # ------------------------------------------------------------------
@@ -331,44 +1053,259 @@ Start-PodeServer -Threads 4 {
         Write-Log INFO "HTTP endpoint active on port $($cfg.Port)"
     }
 
+    # ------------------------------------------------------------------
+    # /token — exchange a credential for a short-lived SSE token
+    # Paired workstations send X-Agent-Credential; otherwise the shared
+    # secret in X-Shared-Secret, unless RequireAgentCredentials is on.
+    # The agent comes from the JSON body. role tells the extension
+    # whether it may open /supervisor/sse with the token.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Post -Path '/token' -ScriptBlock {
+        $cfg        = Read-Config
+        $agent      = "$($WebEvent.Data.agent)".Trim()
+        $credential = Get-PodeHeader -Name 'X-Agent-Credential'
+        $secret     = Get-PodeHeader -Name 'X-Shared-Secret'
+
+        if ([string]::IsNullOrWhiteSpace($agent)) {
+            Set-PodeResponseStatus -Code 400
+            Write-PodeJsonResponse -Value @{ error = 'Missing agent' }
+            return
+        }
+
+        $credentialId = ''
+        $role         = 'agent'
+        if ($credential) {
+            $record  = Find-AgentCredential $credential
+            $refusal = if (-not $record)                      { 'Unknown credential' }
+                       elseif ($record.Status -eq 'pending')  { 'Pairing not approved yet' }
+                       elseif ($record.Status -ne 'approved') { 'Credential revoked' }
+                       elseif ($record.Agent -ne $agent)      { "Credential is paired to extension $($record.Agent)" }
+            if ($refusal) {
+                Set-PodeResponseStatus -Code 403
+                Write-PodeJsonResponse -Value @{ error = $refusal; status = ($record ? $record.Status : 'unknown') }
+                Write-Log WARN "Token refused for agent '$agent' — $refusal"
+                return
+            }
+            $credentialId = $record.Id
+            $role         = Get-AgentRole $record
+            Update-AgentRecord $record.Id { param($r) $r.LastSeen = (Get-Date -Format 'yyyy-MM-dd HH:mm:ss') }
+        } elseif ($cfg.RequireAgentCredentials) {
+            Set-PodeResponseStatus -Code 403
+            Write-PodeJsonResponse -Value @{ error = 'This server requires a paired workstation'; status = 'unpaired' }
+            Write-Log WARN "Token refused for agent '$agent' — shared secret not accepted, pairing required"
+            return
+        } elseif (-not (Test-SecretEqual $secret $cfg.Secret)) {
+            Set-PodeResponseStatus -Code 403
+            Write-PodeJsonResponse -Value @{ error = 'Shared secret rejected by server' }
+            Write-Log WARN "Token refused for agent '$agent' — wrong secret"
+            return
+        }
+
+        $lifetime = [Math]::Max(1, [int]$cfg.TokenLifetimeMinutes)
+        $issued   = New-SseToken -Agent $agent -Key $cfg.TokenKey -LifetimeMinutes $lifetime -CredentialId $credentialId -Role $role
+        Write-Log WS "Token issued for extension $agent (valid $lifetime min$($credentialId ? ", credential $credentialId" : '')$(($role -eq 'supervisor') ? ', supervisor' : ''))"
+        Write-PodeJsonResponse -Value @{
+            token     = $issued.token
+            expiresAt = $issued.expiresAt
+            expiresIn = $lifetime * 60
+            role      = $role
+        }
+    }
+
+    # ------------------------------------------------------------------
+    # /enroll — a workstation asks to be paired to an extension
+    # Returns its credential (only ever sent here) and the pairing code
+    # the operator reads to an admin. Re-pairing replaces that
+    # workstation's earlier pending request for the same extension.
+    # role=supervisor asks for the supervisor board as well; the admin
+    # sees that on /agents before approving.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Post -Path '/enroll' -ScriptBlock {
+        $agent    = "$($WebEvent.Data.agent)".Trim()
+        $label    = "$($WebEvent.Data.label)".Trim()
+        $role     = ("$($WebEvent.Data.role)".Trim() -eq 'supervisor') ? 'supervisor' : 'agent'
+        $clientIP = $WebEvent.Request.RemoteEndPoint.Address.ToString()
+
+        if ($agent -notmatch '^[0-9A-Za-z]{1,10}$') {
+            Set-PodeResponseStatus -Code 400
+            Write-PodeJsonResponse -Value @{ error = 'Invalid extension number' }
+            return
+        }
+        if ($label.Length -gt 60) { $label = $label.Substring(0, 60) }
+
+        $id     = New-RandomString 9
+        $secret = New-RandomString 32
+        $code   = New-PairingCode
+
+        Lock-PodeObject -ScriptBlock {
+            $agents = @(Read-Agents | Where-Object {
+                -not ($_.Status -eq 'pending' -and $_.Agent -eq $agent -and $_.Source -eq $clientIP)
+            })
+            $agents += [pscustomobject]@{
+                Id          = $id
+                Agent       = $agent
+                Label       = $label
+                Role        = $role
+                SecretHash  = Get-Sha256Hex $secret
+                PairingCode = $code
+                Status      = 'pending'
+                RequestedAt = (Get-Date -Format 'yyyy-MM-dd HH:mm:ss')
+                ApprovedAt  = ''
+                LastSeen    = ''
+                Source      = $clientIP
+            }
+            Save-Agents $agents
+        }
+
+        Write-Log WS "Pairing requested — extension $agent$(($role -eq 'supervisor') ? ' as supervisor' : ''), code $code, src=$clientIP"
+        Write-PodeJsonResponse -Value @{
+            id          = $id
+            credential  = "$id.$secret"
+            pairingCode = $code
+            status      = 'pending'
+            role        = $role
+        }
+    }
+
+    # ------------------------------------------------------------------
+    # /enroll/status — the popup polls this while waiting for approval
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Get -Path '/enroll/status' -ScriptBlock {
+        $record = Find-AgentCredential (Get-PodeHeader -Name 'X-Agent-Credential')
+        if (-not $record) {
+            Set-PodeResponseStatus -Code 404
+            Write-PodeJsonResponse -Value @{ status = 'unknown' }
+            return
+        }
+        Write-PodeJsonResponse -Value @{
+            status      = $record.Status
+            agent       = $record.Agent
+            pairingCode = $record.PairingCode
+            role        = Get-AgentRole $record
+        }
+    }
+
     # ------------------------------------------------------------------
     # SSE — operator connections
+    # Authenticated by a token from /token, sent as "Authorization:
+    # Bearer <token>". Older extensions use EventSource, which cannot
+    # set headers, and pass ?token= instead. The old ?secret= query is
+    # still accepted so extensions can be updated gradually, but it
+    # leaks the secret into access/proxy logs and is logged as a warning.
+    # A Last-Event-ID header replays events the extension missed.
     # ------------------------------------------------------------------
     Add-PodeRoute -Method Get -Path '/sse' -ScriptBlock {
         $agent  = $WebEvent.Query['agent']
+        $token  = $WebEvent.Query['token']
         $secret = $WebEvent.Query['secret']
         $cfg    = Read-Config
 
+        $auth = Get-PodeHeader -Name 'Authorization'
+        if ($auth -match '^Bearer\s+(\S+)$') { $token = $Matches[1] }
+
         if ([string]::IsNullOrWhiteSpace($agent)) {
             Set-PodeResponseStatus -Code 400
             Write-PodeTextResponse -Value 'Missing agent'
             return
         }
-        if ($secret -ne $cfg.Secret) {
+        if ($token) {
+            $claims = Get-SseTokenClaims -Token $token -Key $cfg.TokenKey
+            if (-not $claims -or $claims.agent -ne $agent) {
+                Set-PodeResponseStatus -Code 401
+                Write-PodeTextResponse -Value 'Invalid or expired token'
+                Write-Log WARN "SSE rejected for agent '$agent' — invalid or expired token"
+                return
+            }
+            $refusal = Get-TokenRefusal $claims $cfg
+            if ($refusal) {
+                Set-PodeResponseStatus -Code 401
+                Write-PodeTextResponse -Value 'Credential revoked'
+                Write-Log WARN "SSE rejected for agent '$agent' — $refusal"
+                return
+            }
+        } elseif (-not $cfg.RequireAgentCredentials -and (Test-SecretEqual $secret $cfg.Secret)) {
+            Write-Log WARN "Extension $agent connected with ?secret= (deprecated) — update the browser extension"
+        } else {
             Set-PodeResponseStatus -Code 403
             Write-PodeTextResponse -Value 'Forbidden'
             Write-Log WARN "SSE rejected for agent '$agent' — wrong secret"
             return
         }
         ConvertTo-PodeSseConnection -Name 'Operators' -Group $agent
+        Register-SseConnection -Agent $agent -ClientId $WebEvent.Sse.ClientId `
+                               -Source $WebEvent.Request.RemoteEndPoint.Address.ToString()
         Write-Log WS "Extension $agent connected (ClientId: $($WebEvent.Sse.ClientId))"
+        Update-BoardRow -Agent $agent -Fields @{}
         Send-PodeSseEvent -FromEvent -EventType 'connected' -Data (@{
             status = 'connected'; agent = $agent
             clientId = $WebEvent.Sse.ClientId
             timestamp = (Get-Date -Format 'yyyy-MM-dd HH:mm:ss')
         } | ConvertTo-Json -Compress)
+
+        $lastEventId = Get-PodeHeader -Name 'Last-Event-ID'
+        if ($lastEventId) {
+            $replayed = Send-MissedEvents -Agent $agent -LastEventId $lastEventId
+            if ($replayed) { Write-Log WS "Replayed $replayed missed event(s) to extension $agent (after id $lastEventId)" }
+        }
+    }
+
+    # ------------------------------------------------------------------
+    # /supervisor/sse — the supervisor board
+    # Needs a token from /token for a credential approved as supervisor.
+    # Sends the whole board as 'board', then a 'boardUpdate' per change.
+    # Both carry serverTime (Unix ms) so the extension can run the call
+    # timers against the server's clock. Nothing is replayed: a
+    # reconnecting supervisor gets the whole board again.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Get -Path '/supervisor/sse' -ScriptBlock {
+        $claims = Get-BearerClaims
+        if (-not $claims -or $claims.role -ne 'supervisor' -or -not $claims.cid) {
+            Set-PodeResponseStatus -Code 401
+            Write-PodeTextResponse -Value 'Invalid or expired token'
+            Write-Log WARN "Supervisor board refused for agent '$($claims.agent)' — not a supervisor token"
+            return
+        }
+        $record = Read-Agents | Where-Object { $_.Id -eq $claims.cid } | Select-Object -First 1
+        if (-not $record -or $record.Status -ne 'approved' -or (Get-AgentRole $record) -ne 'supervisor') {
+            Set-PodeResponseStatus -Code 401
+            Write-PodeTextResponse -Value 'Credential revoked'
+            Write-Log WARN "Supervisor board refused for agent '$($claims.agent)' — credential $($claims.cid) revoked"
+            return
+        }
+
+        ConvertTo-PodeSseConnection -Name 'Supervisors' -Group $claims.agent
+        Write-Log WS "Supervisor $($claims.agent) opened the board (ClientId: $($WebEvent.Sse.ClientId))"
+        Send-PodeSseEvent -FromEvent -EventType 'board' -Data (@{
+            rows = @(Get-BoardRows); serverTime = Get-UnixMs
+        } | ConvertTo-Json -Compress -Depth 4)
     }
 
     # ------------------------------------------------------------------
     # /notify — called by 3CX on answer
+    # The caller fields (firstName ... balance) are optional and come
+    # from the 3CX CRM template lookup — the extension shows them on
+    # its caller card. Unfilled 3CX variables arrive as empty strings.
+    # With callId, the customer and caller are remembered for that call's
+    # later /call events.
     # ------------------------------------------------------------------
     Add-PodeRoute -Method Get -Path '/notify' -ScriptBlock {
         $customerID = $WebEvent.Query['customerID']
         $phone      = $WebEvent.Query['phone']
         $agent      = $WebEvent.Query['agent']
+        $callId     = "$($WebEvent.Query['callId'])".Trim()
         $clientIP   = $WebEvent.Request.RemoteEndPoint.Address.ToString()
 
-        Write-Log CALL "INBOUND — customerID=`"$customerID`" phone=`"$phone`" agent=`"$agent`" src=$clientIP"
+        $caller = @{}
+        foreach ($field in $CallerFields) {
+            $caller[$field] = "$($WebEvent.Query[$field])".Trim()
+        }
+        if ($callId -notmatch '^[\w.:-]{1,64}$') { $callId = '' }
+        if ($callId) {
+            Update-CallMemory -CallId $callId -Fields (@{ agent = $agent; customerID = $customerID; phone = $phone } + $caller) | Out-Null
+        }
+        $callerName = (@($caller.firstName, $caller.lastName) -join ' ').Trim()
+
+        Write-Log CALL "INBOUND — customerID=`"$customerID`" phone=`"$phone`" agent=`"$agent`" name=`"$callerName`" src=$clientIP"
 
         if ([string]::IsNullOrWhiteSpace($customerID) -and [string]::IsNullOrWhiteSpace($phone)) {
             Set-PodeResponseStatus -Code 400; Write-PodeTextResponse -Value 'Missing customerID or phone'; return
@@ -376,19 +1313,24 @@ Start-PodeServer -Threads 4 {
 
         $payload = @{ type='openCustomer'; customerID=$customerID; phone=$phone
                       agent=$agent; timestamp=(Get-Date -Format 'yyyy-MM-dd HH:mm:ss')
-                    } | ConvertTo-Json -Compress
+                    } + $caller | ConvertTo-Json -Compress
 
-        $sent = $false
+        $sent    = $false
+        $eventId = ''
         try {
-            Send-PodeSseEvent -Name 'Operators' -Group $agent -EventType 'openCustomer' -Data $payload
+            $eventId = Send-AgentEvent -Agent $agent -EventType 'openCustomer' -Data $payload
             $sent = $true
-            Write-Log CALL "DISPATCHED — agent=`"$agent`" customerID=`"$customerID`""
+            Write-Log CALL "DISPATCHED — agent=`"$agent`" customerID=`"$customerID`" id=$eventId"
         } catch {
             Write-Log WARN "Dispatch failed for agent '$agent': $_"
         }
 
         Write-CallCsv -CustomerID $customerID -Phone $phone -Agent $agent `
-                      -ExtConnected $sent -Result ($sent ? 'SENT' : 'NO_EXTENSION')
+                      -ExtConnected $sent -Result ($sent ? 'SENT' : 'NO_EXTENSION') -EventId $eventId -CallId $callId
+        Update-BoardRow -Agent $agent -NewCall -Fields (@{
+            callId = $callId; state = 'answered'; customerID = $customerID; phone = $phone
+            eventId = $eventId; outcome = ($sent ? 'SENT' : 'NO_EXTENSION'); method = ''
+        } + $caller)
 
         if ($sent) {
             Write-PodeHtmlResponse -Value @"
@@ -418,20 +1360,488 @@ h2{color:#c0392b;margin:0 0 10px}p{color:#666;margin:0}</style></head>
     }
 
     # ------------------------------------------------------------------
-    # /health
+    # /call/:state — call progress from 3CX
+    # state is ringing, answered, hold, transferred or ended; callId and
+    # agent are required, customerID, phone and the caller fields are
+    # optional once an earlier event for the call has carried them.
+    # A transfer also needs to= (the extension taking the call). The
+    # transferring agent gets it as the end of their call; the receiving
+    # agent gets it with the caller's details, pops the record, and the
+    # transfer is written to calls.csv for them as TRANSFERRED.
+    # These events end and hand over agents' calls, so 3CX must prove it
+    # is 3CX: the shared secret in X-Shared-Secret, or — where it can only
+    # request a URL — key= with the Integration Key. That key is not the
+    # shared secret, so a URL that leaks from a 3CX config or a proxy log
+    # gives away only this route, and it is changed on /settings alone.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Get -Path '/call/:state' -ScriptBlock {
+        $cfg    = Read-Config
+        $secret = Get-PodeHeader -Name 'X-Shared-Secret'
+        $key    = "$($WebEvent.Query['key'])"
+        if (-not (Test-SecretEqual $secret $cfg.Secret) -and -not (Test-SecretEqual $key $cfg.IntegrationKey)) {
+            Set-PodeResponseStatus -Code 403
+            Write-PodeJsonResponse -Value @{ error = 'Shared secret or integration key rejected by server' }
+            Write-Log WARN "Call event refused from $($WebEvent.Request.RemoteEndPoint.Address) — wrong secret or key"
+            return
+        }
+
+        $state  = "$($WebEvent.Parameters['state'])".Trim().ToLowerInvariant()
+        $callId = "$($WebEvent.Query['callId'])".Trim()
+        $agent  = "$($WebEvent.Query['agent'])".Trim()
+        $to     = "$($WebEvent.Query['to'])".Trim()
+
+        if (-not $CallStateEvents.Contains($state)) {
+            Set-PodeResponseStatus -Code 404
+            Write-PodeJsonResponse -Value @{ error = "Unknown call state '$state'" }
+            return
+        }
+        if ($callId -notmatch '^[\w.:-]{1,64}$' -or -not $agent -or ($state -eq 'transferred' -and -not $to)) {
+            Set-PodeResponseStatus -Code 400
+            Write-PodeJsonResponse -Value @{ error = 'Missing or invalid callId, agent or to' }
+            return
+        }
+
+        $fields = @{ customerID = "$($WebEvent.Query['customerID'])".Trim(); phone = "$($WebEvent.Query['phone'])".Trim() }
+        foreach ($field in $CallerFields) { $fields[$field] = "$($WebEvent.Query[$field])".Trim() }
+        $call = Update-CallMemory -CallId $callId -Fields $fields
+
+        $type    = $CallStateEvents[$state]
+        $payload = @{ type = $type; state = $state; callId = $callId; agent = $agent; to = $to
+                      customerID = "$($call.customerID)"; phone = "$($call.phone)"
+                      timestamp = (Get-Date -Format 'yyyy-MM-dd HH:mm:ss') }
+        foreach ($field in $CallerFields) { $payload[$field] = "$($call[$field])" }
+        $payload = $payload | ConvertTo-Json -Compress
+
+        Write-Log CALL "CALL $($state.ToUpperInvariant()) — callId=`"$callId`" agent=`"$agent`"$($to ? " to=`"$to`"" : '')"
+        try {
+            $eventId = Send-AgentEvent -Agent $agent -EventType $type -Data $payload
+        } catch {
+            Write-Log WARN "Call state dispatch failed for agent '$agent': $_"
+            Set-PodeResponseStatus -Code 502
+            Write-PodeJsonResponse -Value @{ error = 'Dispatch failed' }
+            return
+        }
+        $boardFields = @{ callId = $callId; state = $state; customerID = "$($call.customerID)"; phone = "$($call.phone)" }
+        foreach ($field in $CallerFields) { $boardFields[$field] = "$($call[$field])" }
+        Update-BoardRow -Agent $agent -NewCall -Fields $boardFields
+        if ($state -ne 'transferred') {
+            Write-PodeJsonResponse -Value @{ status = 'sent'; event = $type; eventId = $eventId }
+            return
+        }
+
+        $sent       = $false
+        $transferId = ''
+        try {
+            $transferId = Send-AgentEvent -Agent $to -EventType $type -Data $payload
+            $sent = $true
+            Update-CallMemory -CallId $callId -Fields @{ agent = $to } | Out-Null
+            Write-Log CALL "DISPATCHED — transfer to agent=`"$to`" customerID=`"$($call.customerID)`" id=$transferId"
+        } catch {
+            Write-Log WARN "Transfer dispatch failed for agent '$to': $_"
+        }
+        Write-CallCsv -CustomerID "$($call.customerID)" -Phone "$($call.phone)" -Agent $to `
+                      -ExtConnected $sent -Result ($sent ? 'TRANSFERRED' : 'NO_EXTENSION') -EventId $transferId `
+                      -CallId $callId
+        $boardFields.state   = 'answered'
+        $boardFields.eventId = $transferId
+        $boardFields.outcome = $sent ? 'TRANSFERRED' : 'NO_EXTENSION'
+        $boardFields.method  = ''
+        Update-BoardRow -Agent $to -NewCall -Fields $boardFields
+        Write-PodeJsonResponse -Value @{ status = 'sent'; event = $type; eventId = $eventId; transferEventId = $transferId }
+    }
+
+    # ------------------------------------------------------------------
+    # /ack — the extension reports what happened to a pop
+    # Authenticated with the same SSE token. The outcome is recorded
+    # against the call /notify dispatched with that event id — only when
+    # that call is the token's own agent's, so no workstation can rewrite
+    # another agent's call.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Post -Path '/ack' -ScriptBlock {
+        $claims = Get-BearerClaims
+        if (-not $claims) {
+            Set-PodeResponseStatus -Code 401
+            Write-PodeJsonResponse -Value @{ error = 'Invalid or expired token' }
+            return
+        }
+
+        $eventId  = "$($WebEvent.Data.eventId)".Trim()
+        $outcome  = "$($WebEvent.Data.outcome)".Trim().ToUpperInvariant()
+        $method   = "$($WebEvent.Data.method)".Trim()
+        $detail   = "$($WebEvent.Data.reason)".Trim()
+        $duration = [int]($WebEvent.Data.durationMs -as [int])
+        if ($detail.Length -gt 200) { $detail = $detail.Substring(0, 200) }
+
+        if ($eventId -notmatch '^\d+$' -or $outcome -notin $AckOutcomes) {
+            Set-PodeResponseStatus -Code 400
+            Write-PodeJsonResponse -Value @{ error = 'Invalid eventId or outcome' }
+            return
+        }
+
+        $call = Get-CallRecord -EventId $eventId
+        if (-not $call -or $call.Agent -ne $claims.agent) {
+            Write-Log WARN "ACK for unknown event id $eventId from agent '$($claims.agent)'"
+            Set-PodeResponseStatus -Code 404
+            Write-PodeJsonResponse -Value @{ error = 'Unknown event id' }
+            return
+        }
+
+        Write-Log CALL "ACK — agent=`"$($claims.agent)`" id=$eventId outcome=$outcome method=$method ${duration}ms$($detail ? " — $detail" : '')"
+        if (-not (Set-CallOutcome -EventId $eventId -Outcome $outcome -Method $method -Detail $detail -DurationMs $duration)) {
+            Write-Log WARN "ACK for unknown event id $eventId from agent '$($claims.agent)'"
+            Set-PodeResponseStatus -Code 404
+            Write-PodeJsonResponse -Value @{ error = 'Unknown event id' }
+            return
+        }
+        Update-BoardRow -Agent $claims.agent -EventId $eventId -Fields @{ outcome = $outcome; method = $method }
+        Write-PodeJsonResponse -Value @{ status = 'ok' }
+    }
+
+    # ------------------------------------------------------------------
+    # /wrapup — the extension's wrap-up panel after a pop
+    # Creates a FieldRoutes note for the call whose pop /notify dispatched
+    # as SSE event eventId. The customer and 3CX call ID come from that
+    # calls.csv row; only for a pop that arrived with a phone number alone
+    # is the record the agent ended up on accepted from the request.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Post -Path '/wrapup' -ScriptBlock {
+        $cfg    = Read-Config
+        $claims = Get-BearerClaims
+        if (-not $claims) {
+            Set-PodeResponseStatus -Code 401
+            Write-PodeJsonResponse -Value @{ error = 'Invalid or expired token' }
+            return
+        }
+
+        $eventId     = "$($WebEvent.Data.eventId)".Trim()
+        $disposition = "$($WebEvent.Data.disposition)".Trim() -replace '[\r\n|]+', ' '
+        $notes       = "$($WebEvent.Data.notes)".Trim() -replace '\s*[\r\n]+\s*', ' / '
+        $followUp    = $WebEvent.Data.followUp -eq $true
+        if ($notes.Length -gt $WrapUpNotesMaxLength) { $notes = $notes.Substring(0, $WrapUpNotesMaxLength) }
+
+        if ($eventId -notmatch '^\d+$' -or -not $disposition -or $disposition.Length -gt 60) {
+            Set-PodeResponseStatus -Code 400
+            Write-PodeJsonResponse -Value @{ error = 'Invalid eventId or disposition' }
+            return
+        }
+
+        $call = Get-CallRecord -EventId $eventId
+        if (-not $call -or $call.Agent -ne $claims.agent) {
+            Set-PodeResponseStatus -Code 404
+            Write-PodeJsonResponse -Value @{ error = 'Unknown call' }
+            return
+        }
+        $customerID = $call.CustomerID ? $call.CustomerID : "$($WebEvent.Data.customerID)".Trim()
+        if ($customerID -notmatch '^\d+$') {
+            Set-PodeResponseStatus -Code 400
+            Write-PodeJsonResponse -Value @{ error = 'No customer record for this call' }
+            return
+        }
+
+        $text = "3CX Call Wrap-up | $($call.CallId ? "Call ID: $($call.CallId) | " : '')Event ID: $eventId" +
+                " | Disposition: $disposition" +
+                "$($followUp ? ' | FOLLOW-UP NEEDED' : '') | Number: $($call.Phone) | Agent: $($claims.agent)" +
+                " | Date: $($call.Timestamp)$($notes ? " | Notes: $notes" : '')"
+        $result = New-FieldRoutesNote -Config $cfg -CustomerID $customerID -Text $text
+
+        Write-Log CALL "WRAP-UP — agent=`"$($claims.agent)`" id=$eventId customerID=`"$customerID`" disposition=`"$disposition`" followUp=$followUp — $($result.ok ? "note $($result.noteID)" : $result.detail)"
+        if (-not $result.ok) { Set-PodeResponseStatus -Code 502 }
+        Write-PodeJsonResponse -Value @{ status = ($result.ok ? 'saved' : 'failed'); noteID = $result.noteID; detail = $result.detail }
+    }
+
+    # ------------------------------------------------------------------
+    # /test-pop — the popup's "Send Test Pop" button
+    # Sends a synthetic openCustomer to the calling agent's own group so
+    # the whole path can be checked without a real call. Marked test=true:
+    # the extension traces it step by step instead of recording a pop,
+    # and it is not written to calls.csv.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Post -Path '/test-pop' -ScriptBlock {
+        $claims = Get-BearerClaims
+        if (-not $claims) {
+            Set-PodeResponseStatus -Code 401
+            Write-PodeJsonResponse -Value @{ error = 'Invalid or expired token' }
+            return
+        }
+
+        $agent      = $claims.agent
+        $customerID = "$($WebEvent.Data.customerID)".Trim()
+        $phone      = "$($WebEvent.Data.phone)".Trim()
+        if ([string]::IsNullOrWhiteSpace($customerID) -and [string]::IsNullOrWhiteSpace($phone)) {
+            Set-PodeResponseStatus -Code 400
+            Write-PodeJsonResponse -Value @{ error = 'Missing customerID or phone' }
+            return
+        }
+
+        $testId  = New-RandomString 8
+        $payload = @{ type='openCustomer'; test=$true; testId=$testId
+                      customerID=$customerID; phone=$phone; agent=$agent
+                      timestamp=(Get-Date -Format 'yyyy-MM-dd HH:mm:ss') } | ConvertTo-Json -Compress
+        $eventId = Send-AgentEvent -Agent $agent -EventType 'openCustomer' -Data $payload
+
+        Write-Log CALL "TEST POP — agent=`"$agent`" customerID=`"$customerID`" phone=`"$phone`" id=$eventId"
+        Write-PodeJsonResponse -Value @{ status = 'sent'; testId = $testId; eventId = $eventId }
+    }
+
+    # ------------------------------------------------------------------
+    # /dial — click-to-call from a PestRoutes page
+    # The extension sends the number; the agent always comes from the
+    # token, so a workstation can only dial from its own extension.
+    # Written to calls.csv as DIALED or DIAL_FAILED.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Post -Path '/dial' -ScriptBlock {
+        $claims = Get-BearerClaims
+        if (-not $claims) {
+            Set-PodeResponseStatus -Code 401
+            Write-PodeJsonResponse -Value @{ error = 'Invalid or expired token' }
+            return
+        }
+
+        $agent      = $claims.agent
+        $customerID = "$($WebEvent.Data.customerID)".Trim()
+        $number     = ConvertTo-DialNumber "$($WebEvent.Data.phone)"
+        if (-not $number) {
+            Set-PodeResponseStatus -Code 400
+            Write-PodeJsonResponse -Value @{ error = 'Missing or invalid phone number' }
+            return
+        }
+
+        Write-Log CALL "OUTBOUND — agent=`"$agent`" number=`"$number`" customerID=`"$customerID`""
+        $result = Invoke-Dial -Agent $agent -Number $number
+        if ($result.ok) {
+            Write-Log CALL "DIALED — agent=`"$agent`" number=`"$number`" — $($result.detail)"
+        } else {
+            Write-Log WARN "DIAL_FAILED — agent=`"$agent`" number=`"$number`" — $($result.detail)"
+        }
+        Write-CallCsv -CustomerID $customerID -Phone $number -Agent $agent `
+                      -ExtConnected $true -Result ($result.ok ? 'DIALED' : 'DIAL_FAILED')
+
+        if (-not $result.ok) { Set-PodeResponseStatus -Code 502 }
+        Write-PodeJsonResponse -Value @{ status = ($result.ok ? 'dialing' : 'failed'); number = $number; detail = $result.detail }
+    }
+
+    # ------------------------------------------------------------------
+    # /health — version and uptime only; it needs no token, so it says
+    # nothing about who is connected (see /connections)
     # ------------------------------------------------------------------
     Add-PodeRoute -Method Get -Path '/health' -ScriptBlock {
-        $cfg = Read-Config
         Write-PodeJsonResponse -Value @{
             status    = 'ok'
+            version   = $ServerVersion
             timestamp = (Get-Date -Format 'yyyy-MM-dd HH:mm:ss')
             uptime    = (Get-PodeServerUptime).ToString()
-            port      = $cfg.Port
-            https     = $cfg.UseHttps
-            fqdn      = $cfg.Fqdn
         }
     }
 
+    # ------------------------------------------------------------------
+    # /connections — open extension connections, for the popup's status
+    # line and the options page's Test Connection
+    # Needs a token: an agent's lists its own extension's connections,
+    # a supervisor's every agent's.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Get -Path '/connections' -ScriptBlock {
+        $claims = Get-BearerClaims
+        if (-not $claims) {
+            Set-PodeResponseStatus -Code 401
+            Write-PodeJsonResponse -Value @{ error = 'Invalid or expired token' }
+            return
+        }
+        $connections = @(Get-SseConnections | Where-Object { $claims.role -eq 'supervisor' -or $_.Agent -eq $claims.agent })
+        Write-PodeJsonResponse -Value @{
+            connectedAgents = @($connections | ForEach-Object {
+                @{ agent = $_.Agent; clientId = $_.ClientId; connectedAt = $_.ConnectedAt }
+            })
+        }
+    }
+
+    # ------------------------------------------------------------------
+    # /agents — approve, reject and revoke workstation pairings
+    # Admin only (see Test-AdminRequest).
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Get -Path '/agents' -ScriptBlock {
+        if (-not (Test-AdminRequest)) { return }
+        $cfg    = Read-Config
+        $agents = @(Read-Agents | Sort-Object RequestedAt -Descending)
+
+        $flash = $WebEvent.Query['done']
+        $alertHtml = switch ($flash) {
+            'approved' { "<div class='alert alert-success'>&#10003; Workstation approved. It connects on its next attempt.</div>" }
+            'rejected' { "<div class='alert alert-info'>Pairing request rejected.</div>" }
+            'revoked'  { "<div class='alert alert-success'>&#10003; Credential revoked and its connection closed.</div>" }
+            'error'    { "<div class='alert alert-error'>&#9888; Something went wrong. Check the server log.</div>" }
+            default    { '' }
+        }
+
+        $modeHtml = $cfg.RequireAgentCredentials `
+            ? "<span class='pill pill-green'>Paired workstations only</span>" `
+            : "<span class='pill pill-gray'>Shared secret also accepted</span>"
+
+        function Get-AgentRowsHtml ($Records, [string[]]$Actions) {
+            if (-not $Records) {
+                return "<p style='color:#999;text-align:center;padding:24px'>None.</p>"
+            }
+            $rows = $Records | ForEach-Object {
+                $id      = [System.Web.HttpUtility]::HtmlEncode($_.Id)
+                $buttons = $Actions | ForEach-Object {
+                    $cls = ($_ -eq 'approve') ? 'btn-primary' : 'btn-danger'
+                    "<button type='submit' name='action' value='$_' class='btn $cls' style='padding:5px 12px'>$((Get-Culture).TextInfo.ToTitleCase($_))</button>"
+                }
+                "<tr><td>$($_.RequestedAt)</td>" +
+                "<td><strong>$([System.Web.HttpUtility]::HtmlEncode($_.Agent))</strong></td>" +
+                "<td>$(((Get-AgentRole $_) -eq 'supervisor') ? "<span class='pill pill-blue'>Supervisor</span>" : 'Agent')</td>" +
+                "<td style='font-family:monospace;font-size:14px'>$($_.PairingCode)</td>" +
+                "<td>$([System.Web.HttpUtility]::HtmlEncode($_.Label))</td>" +
+                "<td>$($_.Source)</td>" +
+                "<td>$($_.LastSeen ? $_.LastSeen : '&mdash;')</td>" +
+                "<td><form method='POST' action='/agents' style='display:flex;gap:6px'>" +
+                "<input type='hidden' name='id' value='$id'>$($buttons -join '')</form></td></tr>"
+            }
+            return "<table><thead><tr><th>Requested</th><th>Extension</th><th>Role</th><th>Code</th><th>Workstation</th>" +
+                   "<th>Source IP</th><th>Last Token</th><th></th></tr></thead><tbody>$($rows -join '')</tbody></table>"
+        }
+
+        $body = @"
+$alertHtml
+<div class="subtitle">
+  Each workstation pairs itself from the extension popup and shows a code. Approve the request whose
+  code the operator reads to you. A <em>Supervisor</em> request also sees every agent's calls live, so
+  approve those only for supervisors. &nbsp;$modeHtml
+</div>
+<div class="card" style="padding:0;overflow:hidden">
+  <h2 style="padding:16px 20px 10px;margin:0">Waiting for Approval</h2>
+  $(Get-AgentRowsHtml @($agents | Where-Object Status -eq 'pending') @('approve', 'reject'))
+</div>
+<div class="card" style="padding:0;overflow:hidden">
+  <h2 style="padding:16px 20px 10px;margin:0">Approved Workstations</h2>
+  $(Get-AgentRowsHtml @($agents | Where-Object Status -eq 'approved') @('revoke'))
+</div>
+<div class="card" style="padding:0;overflow:hidden">
+  <h2 style="padding:16px 20px 10px;margin:0">Revoked</h2>
+  $(Get-AgentRowsHtml @($agents | Where-Object Status -eq 'revoked') @())
+</div>
+<meta http-equiv="refresh" content="30">
+"@
+        Write-PodeHtmlResponse -Value (Get-PageHtml -Title 'Agents' -Body $body -ActiveNav '/agents')
+    }
+
+    Add-PodeRoute -Method Post -Path '/agents' -ScriptBlock {
+        if (-not (Test-AdminRequest)) { return }
+        try {
+            $id     = "$($WebEvent.Data['id'])"
+            $action = "$($WebEvent.Data['action'])"
+            $record = Read-Agents | Where-Object { $_.Id -eq $id } | Select-Object -First 1
+            if (-not $record) { throw "Unknown credential '$id'" }
+
+            switch ($action) {
+                'approve' {
+                    Update-AgentRecord $id { param($r) $r.Status = 'approved'; $r.ApprovedAt = (Get-Date -Format 'yyyy-MM-dd HH:mm:ss') }
+                    Write-Log WS "Pairing approved — extension $($record.Agent), credential $id"
+                    Move-PodeResponseUrl -Url '/agents?done=approved'
+                }
+                'reject' {
+                    Lock-PodeObject -ScriptBlock { Save-Agents @(Read-Agents | Where-Object { $_.Id -ne $id }) }
+                    Write-Log WS "Pairing rejected — extension $($record.Agent), credential $id"
+                    Move-PodeResponseUrl -Url '/agents?done=rejected'
+                }
+                'revoke' {
+                    Update-AgentRecord $id { param($r) $r.Status = 'revoked' }
+                    try {
+                        Close-PodeSseConnection -Name 'Operators' -Group $record.Agent
+                        if ((Get-AgentRole $record) -eq 'supervisor') {
+                            Close-PodeSseConnection -Name 'Supervisors' -Group $record.Agent
+                        }
+                    } catch {
+                        Write-Log WARN "Could not close SSE connection for extension $($record.Agent): $_"
+                    }
+                    Write-Log WS "Credential revoked — extension $($record.Agent), credential $id"
+                    Move-PodeResponseUrl -Url '/agents?done=revoked'
+                }
+                default { throw "Unknown action '$action'" }
+            }
+        } catch {
+            Write-Log ERROR "Agents POST error: $_"
+            Move-PodeResponseUrl -Url '/agents?done=error'
+        }
+    }
+
+    # ------------------------------------------------------------------
+    # /selectors.json — the selector profile, fetched by the extension
+    # on every connect. Not secret: it only describes PestRoutes markup.
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Get -Path '/selectors.json' -ScriptBlock {
+        Write-PodeJsonResponse -Value (Read-SelectorProfile) -Depth 5
+    }
+
+    # ------------------------------------------------------------------
+    # /selectors — edit the selector profile
+    # ------------------------------------------------------------------
+    Add-PodeRoute -Method Get -Path '/selectors' -ScriptBlock {
+        $flash = $WebEvent.Query['done']
+        $alertHtml = switch ($flash) {
+            'saved'   { "<div class='alert alert-success'>&#10003; Selector profile saved. Extensions pick it up when they next connect.</div>" }
+            'reset'   { "<div class='alert alert-info'>Selector profile reset to the built-in defaults.</div>" }
+            'invalid' { "<div class='alert alert-error'>&#9888; Not saved: $([System.Web.HttpUtility]::HtmlEncode($WebEvent.Query['reason']))</div>" }
+            default   { '' }
+        }
+        $usingDefaults = -not (Test-Path $SelectorsPath)
+        $json = (Read-SelectorProfile) | ConvertTo-Json -Depth 5
+
+        $body = @"
+$alertHtml
+<div class="subtitle">
+  What the extension looks for on PestRoutes pages. If pops start failing with
+  <em>Search box not found</em> or <em>No autocomplete results</em> after a PestRoutes update,
+  add the new selector here &mdash; no extension update needed. &nbsp;
+  $($usingDefaults ? "<span class='pill pill-gray'>Built-in defaults</span>" : "<span class='pill pill-green'>Customised</span>")
+</div>
+<form method="POST" action="/selectors">
+  <div class="card">
+    <h2>Selector Profile</h2>
+    <textarea name="Profile" spellcheck="false"
+              style="width:100%;height:320px;font-family:monospace;font-size:13px;padding:12px;
+                     border:1px solid #dce0e5;border-radius:6px;background:#fafafa">$([System.Web.HttpUtility]::HtmlEncode($json))</textarea>
+    <div class="hint" style="font-size:11px;color:#aaa;margin-top:6px">
+      <strong>searchInput</strong>, <strong>resultItem</strong>, <strong>resultLink</strong> &mdash; CSS selector lists, the first that matches wins &middot;
+      <strong>busyDialog</strong> &mdash; PestRoutes dialogs; while one is open, pops leave the tab alone &middot;
+      <strong>customerCardPath</strong> &mdash; must contain {customerID} &middot;
+      <strong>webClientExtension</strong> &mdash; where the 3CX web client shows the signed-in extension &middot;
+      <strong>pageTimeoutMs</strong>, <strong>resultsTimeoutMs</strong>, <strong>settleMs</strong> &mdash; how long to wait on the page
+    </div>
+    <div class="btn-row">
+      <button type="submit" name="action" value="save" class="btn btn-primary">&#x1F4BE; Save Profile</button>
+      <button type="submit" name="action" value="reset" class="btn btn-secondary">Reset to Defaults</button>
+    </div>
+  </div>
+</form>
+"@
+        Write-PodeHtmlResponse -Value (Get-PageHtml -Title 'Selectors' -Body $body -ActiveNav '/selectors')
+    }
+
+    Add-PodeRoute -Method Post -Path '/selectors' -ScriptBlock {
+        if ("$($WebEvent.Data['action'])" -eq 'reset') {
+            Remove-Item $SelectorsPath -Force -ErrorAction SilentlyContinue
+            Write-Log INFO 'Selector profile reset to defaults'
+            Move-PodeResponseUrl -Url '/selectors?done=reset'
+            return
+        }
+
+        try {
+            $selectorProfile = "$($WebEvent.Data['Profile'])" | ConvertFrom-Json -ErrorAction Stop
+        } catch {
+            Move-PodeResponseUrl -Url '/selectors?done=invalid&reason=Not+valid+JSON'
+            return
+        }
+        $problems = @(Test-SelectorProfile $selectorProfile)
+        if ($problems) {
+            Move-PodeResponseUrl -Url "/selectors?done=invalid&reason=$([uri]::EscapeDataString($problems -join '; '))"
+            return
+        }
+
+        $selectorProfile | ConvertTo-Json -Depth 5 | Out-File -FilePath $SelectorsPath -Encoding utf8
+        Write-Log INFO 'Selector profile saved'
+        Move-PodeResponseUrl -Url '/selectors?done=saved'
+    }
+
     # ------------------------------------------------------------------
     # /calls — call log viewer
     # ------------------------------------------------------------------
@@ -453,12 +1863,12 @@ h2{color:#c0392b;margin:0 0 10px}p{color:#666;margin:0}</style></head>
     }
 
     # ------------------------------------------------------------------
-    # /calls.csv
+    # /calls.csv — the log with the outcomes filled in
     # ------------------------------------------------------------------
     Add-PodeRoute -Method Get -Path '/calls.csv' -ScriptBlock {
         if (Test-Path $CallCsvPath) {
-            Set-PodeResponseAttachment -Path $CallCsvPath
-            Write-PodeFileResponse -Path $CallCsvPath -ContentType 'text/csv'
+            Set-PodeHeader -Name 'Content-Disposition' -Value 'attachment; filename="calls.csv"'
+            Write-PodeTextResponse -Value ((Get-CallLogLines) -join "`r`n") -ContentType 'text/csv'
         } else {
             Set-PodeResponseStatus -Code 404; Write-PodeTextResponse -Value 'No call log yet'
         }
@@ -498,19 +1908,24 @@ h2{color:#c0392b;margin:0 0 10px}p{color:#666;margin:0}</style></head>
     }
 
     # ------------------------------------------------------------------
-    # /settings — GET (show form)
+    # /settings — GET (show form). Admin only, as is the POST.
     # ------------------------------------------------------------------
     Add-PodeRoute -Method Get -Path '/settings' -ScriptBlock {
+        if (-not (Test-AdminRequest)) { return }
         $cfg   = Read-Config
         $proto = $cfg.UseHttps ? 'https' : 'http'
         $base  = "${proto}://$($cfg.Fqdn):$($cfg.Port)"
 
         $httpsChecked  = $cfg.UseHttps ? 'checked' : ''
+        $pairedChecked = $cfg.RequireAgentCredentials ? 'checked' : ''
         $certExists    = ($cfg.CertPath -and (Test-Path $cfg.CertPath)) ? $true : $false
         $certPill      = $certExists `
             ? "<span class='pill pill-green'>&#10003; Certificate loaded</span>" `
             : "<span class='pill pill-red'>No certificate</span>"
         $certFileName  = $certExists ? (Split-Path $cfg.CertPath -Leaf) : 'None'
+        $dialerOptions = ($DialerModes | ForEach-Object {
+            "<option value=`"$_`"$($_ -eq $cfg.DialerMode ? ' selected' : '')>$_</option>"
+        }) -join ''
 
         $flash = $WebEvent.Query['saved']
         $alertHtml = switch ($flash) {
@@ -585,6 +2000,77 @@ $alertHtml
       <input type="text" name="Secret" value="$($cfg.Secret)">
       <div class="hint">Must match the SECRET value in each operator's Chrome extension. Change this after updating all extensions.</div>
     </div>
+    <div class="field">
+      <label>Require Paired Workstations</label>
+      <div class="toggle-row">
+        <label class="toggle">
+          <input type="checkbox" name="RequireAgentCredentials" value="true" $pairedChecked>
+          <span class="slider"></span>
+        </label>
+        <span style="font-size:13px;color:#555">Refuse the shared secret — only workstations approved on <a href="/agents" style="color:#2d7d46">Agents</a> can connect</span>
+      </div>
+      <div class="hint">Turn on once every workstation is paired. Each pairing is bound to one extension and can be revoked on its own.</div>
+    </div>
+    <div class="field">
+      <label>SSE Token Lifetime (minutes)</label>
+      <input type="number" name="TokenLifetimeMinutes" value="$($cfg.TokenLifetimeMinutes)" min="1" max="1440">
+      <div class="hint">Extensions exchange the shared secret for a signed token at /token and refresh it before it expires.</div>
+    </div>
+    <div class="field">
+      <label>3CX Integration Key</label>
+      <input type="text" name="IntegrationKey" value="$($cfg.IntegrationKey)">
+      <div class="hint">Goes in the 3CX Call State URLs as <code>&amp;key=</code>, for 3CX integrations that cannot send the shared secret in a header. Change it here, and in 3CX, if a URL leaks — the shared secret is unaffected.</div>
+    </div>
+    <div class="field">
+      <label>Admin Key</label>
+      <input type="password" name="AdminKey" value="" placeholder="$($cfg.AdminKey ? 'Leave blank to keep existing key' : 'Not set — Settings and Agents open on this server only')">
+      <div class="hint">Lets Settings and Agents be opened from other machines: the browser asks for it as the password (any user name). Keep it to the admins — it is not the shared secret.</div>
+    </div>
+  </div>
+
+  <div class="card">
+    <h2>FieldRoutes API</h2>
+    <div class="hint" style="margin-bottom:8px">
+      Used to save the extension's call wrap-up notes to the customer record. Same values as the 3CX CRM template.
+    </div>
+    <div class="field">
+      <label>Company Name (subdomain)</label>
+      <input type="text" name="FieldRoutesCompany" value="$($cfg.FieldRoutesCompany)" placeholder="yourcompany">
+    </div>
+    <div class="field">
+      <label>Office ID</label>
+      <input type="text" name="FieldRoutesOfficeID" value="$($cfg.FieldRoutesOfficeID)">
+    </div>
+    <div class="field">
+      <label>Authentication Key</label>
+      <input type="password" name="FieldRoutesAuthKey" value="" placeholder="$($cfg.FieldRoutesAuthKey ? 'Leave blank to keep existing key' : '')">
+    </div>
+    <div class="field">
+      <label>Authentication Token</label>
+      <input type="password" name="FieldRoutesAuthToken" value="" placeholder="$($cfg.FieldRoutesAuthToken ? 'Leave blank to keep existing token' : '')">
+    </div>
+  </div>
+
+  <div class="card">
+    <h2>Click-to-Call</h2>
+    <div class="field">
+      <label>Dialer</label>
+      <select name="DialerMode">$dialerOptions</select>
+      <div class="hint">How the extension's click-to-call buttons place calls. <strong>Stub</strong> only logs the request &mdash; use it to test without ringing phones.</div>
+    </div>
+    <div class="field">
+      <label>3CX Server URL</label>
+      <input type="text" name="ThreeCxUrl" value="$($cfg.ThreeCxUrl)" placeholder="https://yourcompany.3cx.us">
+    </div>
+    <div class="field">
+      <label>3CX API Client ID</label>
+      <input type="text" name="ThreeCxClientId" value="$($cfg.ThreeCxClientId)">
+    </div>
+    <div class="field">
+      <label>3CX API Secret</label>
+      <input type="password" name="ThreeCxClientSecret" value="" placeholder="$($cfg.ThreeCxClientSecret ? 'Leave blank to keep existing secret' : '')">
+      <div class="hint">From 3CX Admin Console &rarr; Integrations &rarr; API. The client needs Call Control access to the agents' extensions.</div>
+    </div>
   </div>
 
   <div class="card">
@@ -601,10 +2087,12 @@ $alertHtml
     <div class="hint" style="margin-bottom:8px">
       These are the URLs to use based on your current settings. Update your 3CX CRM template and Chrome extensions if these change.
     </div>
+    <div class="url-label">Token Endpoint (Chrome Extension — POST, secret in X-Shared-Secret header)</div>
+    <div class="url-box">$base/token</div>
     <div class="url-label">SSE Endpoint (Chrome Extension)</div>
-    <div class="url-box">$base/sse?agent=[EXTENSION_NUMBER]&amp;secret=$($cfg.Secret)</div>
+    <div class="url-box">$base/sse?agent=[EXTENSION_NUMBER]&amp;token=[TOKEN]</div>
     <div class="url-label">3CX CRM ContactUrl</div>
-    <div class="url-box">$base/notify?customerID=[EntityId]&amp;phone=[Number]&amp;agent=[Agent]</div>
+    <div class="url-box">$base/notify?customerID=[CustomerID]&amp;phone=[Number]&amp;agent=[Agent]&amp;firstName=[FirstName]&amp;lastName=[LastName]&amp;companyName=[CompanyNameField]&amp;email=[Email]&amp;address=[Address]&amp;city=[City]&amp;balance=[Balance]</div>
     <div class="url-label">Call Log Viewer</div>
     <div class="url-box">$base/calls</div>
     <div class="url-label">Health Check</div>
@@ -638,6 +2126,7 @@ $alertHtml
     # /settings — POST (save and restart)
     # ------------------------------------------------------------------
     Add-PodeRoute -Method Post -Path '/settings' -ScriptBlock {
+        if (-not (Test-AdminRequest)) { return }
         try {
             $cfg = Read-Config
 
@@ -646,8 +2135,28 @@ $alertHtml
             $cfg.BindAddress   = ($WebEvent.Data['BindAddress']         ?? $cfg.BindAddress).Trim()
             $cfg.Fqdn          = ($WebEvent.Data['Fqdn']               ?? $cfg.Fqdn).Trim()
             $cfg.UseHttps      = ($WebEvent.Data['UseHttps']            -eq 'true')
+            $oldSecret     = $cfg.Secret
             $cfg.Secret        = ($WebEvent.Data['Secret']             ?? $cfg.Secret).Trim()
+            # A new shared secret revokes every token, as it did when it signed them
+            if ($cfg.Secret -cne $oldSecret) { $cfg.TokenKey = New-RandomString 32 }
             $cfg.LogRetainDays = [int]($WebEvent.Data['LogRetainDays'] ?? $cfg.LogRetainDays)
+            $cfg.TokenLifetimeMinutes = [int]($WebEvent.Data['TokenLifetimeMinutes'] ?? $cfg.TokenLifetimeMinutes)
+            $cfg.RequireAgentCredentials = ($WebEvent.Data['RequireAgentCredentials'] -eq 'true')
+            if ($WebEvent.Data['DialerMode'] -in $DialerModes) { $cfg.DialerMode = $WebEvent.Data['DialerMode'] }
+            $cfg.ThreeCxUrl      = ($WebEvent.Data['ThreeCxUrl']      ?? $cfg.ThreeCxUrl).Trim()
+            $cfg.ThreeCxClientId = ($WebEvent.Data['ThreeCxClientId'] ?? $cfg.ThreeCxClientId).Trim()
+            $newDialSecret = ($WebEvent.Data['ThreeCxClientSecret'] ?? '').Trim()
+            if ($newDialSecret) { $cfg.ThreeCxClientSecret = $newDialSecret }
+            $newIntegrationKey = ($WebEvent.Data['IntegrationKey'] ?? '').Trim()
+            if ($newIntegrationKey) { $cfg.IntegrationKey = $newIntegrationKey }
+            $newAdminKey = ($WebEvent.Data['AdminKey'] ?? '').Trim()
+            if ($newAdminKey) { $cfg.AdminKey = $newAdminKey }
+            $cfg.FieldRoutesCompany  = ($WebEvent.Data['FieldRoutesCompany']  ?? $cfg.FieldRoutesCompany).Trim()
+            $cfg.FieldRoutesOfficeID = ($WebEvent.Data['FieldRoutesOfficeID'] ?? $cfg.FieldRoutesOfficeID).Trim()
+            foreach ($key in @('FieldRoutesAuthKey', 'FieldRoutesAuthToken')) {
+                $newValue = ($WebEvent.Data[$key] ?? '').Trim()
+                if ($newValue) { $cfg[$key] = $newValue }
+            }
 
             # Handle certificate upload
             $certFile = $WebEvent.Files['CertFile']
@@ -1140,5 +2649,5 @@ updatePluginVis()
     Write-Log INFO "Call log        : $base/calls"
     Write-Log INFO "Server log      : $base/logs"
     Write-Log INFO "Health check    : $base/health"
-    Write-Log INFO "3CX ContactUrl  : $base/notify?customerID=[EntityId]&phone=[Number]&agent=[Agent]"
+    Write-Log INFO "3CX ContactUrl  : $base/notify?customerID=[CustomerID]&phone=[Number]&agent=[Agent]&firstName=[FirstName]&lastName=[LastName]&companyName=[CompanyNameField]&email=[Email]&address=[Address]&city=[City]&balance=[Balance]"
 }